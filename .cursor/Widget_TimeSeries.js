@@ -15,8 +15,14 @@ HTMLWidgets.widget({
                 // Assign a unique ID to the element.
                 el.id = `timeSeries--${input.lChartConfig.MetricID}_${input.strOutcome}`;
 
-                // Add click event listener to chart.
-                input.lChartConfig.clickCallback = clickCallback(el, input);
+                // Add click event listener to chart, publishing the clicked group to the other widgets of the report.
+                const onClick = clickCallback(el, input);
+                input.lChartConfig.clickCallback = function(datum) {
+                    onClick(datum);
+                    if (datum && datum.GroupID) {
+                        gsmSimaerepViz.selectionStore.select(datum.GroupID, { source: instance });
+                    }
+                };
 
                 // Generate time series.
                 const instance = gsmViz.default.timeSeries(
@@ -28,6 +34,12 @@ HTMLWidgets.widget({
                     input.dfGroups
                 );
 
+                // Receive group selections made in the other widgets of the report.
+                if (el.unregisterSelection) {
+                    el.unregisterSelection();
+                }
+                el.unregisterSelection = gsmSimaerepViz.selectionStore.register(instance);
+
                 // Add dropdowns that highlight group IDs.
                 const { widgetControls } = addWidgetControls(
                     el,
@@ -37,6 +49,14 @@ HTMLWidgets.widget({
                     input.bAddGroupSelect
                 );
 
+                // Publish groups picked in the widget's own dropdown to the other widgets of the report.
+                const groupSelect = widgetControls.querySelector('.gsm-widget-control--group');
+                if (groupSelect) {
+                    groupSelect.addEventListener('change', function() {
+                        gsmSimaerepViz.selectionStore.select(groupSelect.value, { source: instance });
+                    });
+                }
+
                 // Add a dropdown that changes the outcome variable.
                 const outcomeSelect = addOutcomeSelect(
                     widgetControls,
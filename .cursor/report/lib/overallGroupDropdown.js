@@ -1,54 +1,31 @@
 /**
- * This function highlights a group ID in all chart-type widgets.
+ * This function returns the shared selection store of gsm.simaerep.viz.
  *
- * @returns {undefined}
+ * Widgets register with the store themselves (Simaerep, SiteList and SimaerepDashboard on
+ * creation, gsm.viz widgets in their htmlwidget bindings), so the report no longer scans
+ * `.gsm-widget` containers for charts.
+ *
+ * @returns {Object} selection store
  */
-function overallClick() {
-    // Select all widget containers.
-    const widgetContainers = [
-      ...document.querySelectorAll('.gsm-widget')
-    ];
-
-    // Capture chart object attached to chart-type widgets.
-    const chartWidgets = widgetContainers
-        .map(el => {
-            const canvas = el.getElementsByTagName("canvas");
-
-            // Check if widget container contains a canvas element.
-            const chart = canvas.length > 0
-                ? canvas[0].chart
-                : null;
-
-            const chartType = el.className;
-
-            return {
-                chart,
-                chartType
-            };
-        })
-        .filter(
-            // remove non-chart widgets (tables generally)
-            widget => widget.chart !== null
-        );
+function getSelectionStore() {
+    return gsmSimaerepViz.selectionStore;
+}
 
-  // Loop over widgets, updating the selected group ID in each.
-  for (const widget of chartWidgets) {
-    if (/timeSeries/.test(widget.chartType)) {
-        widget.chart.helpers.updateSelectedGroupIDs(event.target.value);
-    } else {
-        widget.chart.data.config.selectedGroupIDs = event.target.value; // group ID
-        widget.chart.helpers.updateConfig(
-            widget.chart,
-            widget.chart.data.config,
-            widget.chart.data._thresholds_
-        );
-    }
+/**
+ * This function sets the group and country selects of all widgets to the selected group ID.
+ *
+ * @param {Array} groupIDs - selected group IDs
+ *
+ * @returns {undefined}
+ */
+function syncGroupSelects(groupIDs) {
+    const groupID = groupIDs.length === 1 ? groupIDs[0] : 'None';
 
     // Set all group selects to the selected group ID, if the group ID appears in the list of options.
-    if (event.target.value !== 'None') {
+    if (groupID !== 'None') {
         document.querySelectorAll(".gsm-widget-control--group").forEach((el) => {
-            el.value = [...el.options].map(option => option.text).includes(event.target.value)
-                ? event.target.value
+            el.value = [...el.options].map(option => option.text).includes(groupID)
+                ? groupID
                 : 'None';
         });
 
@@ -63,7 +40,17 @@ function overallClick() {
             el.value = 'None';
         });
     }
-  }
+}
+
+/**
+ * This function highlights a group ID in all registered widgets.
+ *
+ * @param {Event} event - change event of the overall group select
+ *
+ * @returns {undefined}
+ */
+function overallClick(event) {
+    getSelectionStore().select(event.target.value);
 }
 
 /**
@@ -101,6 +88,12 @@ function overallGroupDropdown() {
         groupOptionAll.innerHTML = groupID;
         overallGroupSelect.appendChild(groupOptionAll);
     }
+
+    // Follow selections made in the dropdown or in any widget.
+    getSelectionStore().subscribe(({ groupIDs }) => {
+        overallGroupSelect.value = groupIDs.length === 1 ? groupIDs[0] : 'None';
+        syncGroupSelects(groupIDs);
+    });
 }
 
 // add overall group select
@@ -0,0 +1,9 @@
+HTMLWidgets.widget({
+    name: 'Widget_Simaerep',
+    type: 'output',
+    factory: function(el, width, height) {
+        // Converts the R data frames, maps lChartConfig to the Simaerep options and
+        // resizes the chart in place (see SimaerepWidget in gsm.simaerep.viz)
+        return new gsmSimaerepViz.SimaerepWidget(el, width, height);
+    }
+});
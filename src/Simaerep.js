@@ -8,17 +8,78 @@
  */
 
 import Chart from 'chart.js/auto';
+import applyTheme from './util/applyTheme.js';
+import compareValues from './util/compareValues.js';
+import computeSimaerep from './util/computeSimaerep.js';
+import createCrosshairPlugin from './util/createCrosshairPlugin.js';
+import createEventEmitter from './util/createEventEmitter.js';
+import createLassoPlugin from './util/createLassoPlugin.js';
+import createLiveRegion from './util/createLiveRegion.js';
+import createScoreGauge from './util/createScoreGauge.js';
+import createZoomPlugin from './util/createZoomPlugin.js';
+import downloadBlob from './util/downloadBlob.js';
+import drawChart from './util/drawChart.js';
+import escapeHtml from './util/escapeHtml.js';
+import exportPages from './util/exportPages.js';
+import formatGroupTooltipLabel from './util/formatGroupTooltipLabel.js';
+import getChangedKeys from './util/getChangedKeys.js';
+import getCountryToSites from './util/getCountryToSites.js';
+import getLegendItems from './util/getLegendItems.js';
+import getRovingIndex from './util/getRovingIndex.js';
+import getSelectedGroupIDs from './util/getSelectedGroupIDs.js';
+import getThresholdBand from './util/getThresholdBand.js';
 import hexToRgba from './util/hexToRgba.js';
+import hideVisually from './util/hideVisually.js';
+import interpolateY from './util/interpolateY.js';
+import lineCrossesPolygon from './util/lineCrossesPolygon.js';
+import normalizeSelection from './util/normalizeSelection.js';
+import parseThresholds from './util/parseThresholds.js';
+import persistState from './util/persistState.js';
+import reclassifySites from './util/reclassifySites.js';
+import renderDataTable from './util/renderDataTable.js';
+import sanitizeColor from './util/sanitizeColor.js';
+import selectionStore from './util/selectionStore.js';
+import setScaleLimits from './util/setScaleLimits.js';
 import structureGroupMetadata from './util/structureGroupMetadata.js';
+import summarizePatients from './util/summarizePatients.js';
+import validateSimaerepData from './util/validateSimaerepData.js';
+
+// Distance around the visible right panel in which site plots are already mounted
+const SITE_PLOT_OVERSCAN = '50% 0px';
+
+// df_groups fields shown in site tooltips when groupTooltipKeys is not configured
+const DEFAULT_GROUP_TOOLTIP_KEYS = [
+  { key: 'studyid', label: 'Study ID' },
+  { key: 'invid', label: 'Investigator ID' },
+  { key: 'InvestigatorName', label: 'Investigator Name' },
+  { key: 'Status', label: 'Site Status' },
+  { key: 'City', label: 'City' },
+  { key: 'State', label: 'State' },
+  { key: 'Country', label: 'Country' },
+  { key: 'ActiveParticipantCount', label: 'Active Participant Count' },
+  { key: 'SiteCount', label: 'Site Count' },
+  { key: 'PercentParticipantsActive', label: 'Percent Active Participants', format: value => `${value}%` },
+  { key: 'ActiveParticipants', label: 'Active Participants' },
+];
+
+// Right panel options set by its control bar
+const SITE_PLOT_KEYS = ['sitePlotSortKey', 'sitePlotSortOrder', 'sitePlotGroupBy', 'sitePlotInclude', 'sitePlotGroupIDs'];
+
+// Options applied in place by updateConfig, all other changes re-render the widget
+// (threshold changes reclassify the sites before re-rendering)
+const INCREMENTAL_KEYS = ['selectedGroupIDs', 'theme', 'hiddenLegendItems', 'thresholds', 'Threshold', 'width', 'height', ...SITE_PLOT_KEYS];
+
+// Legend entries hidden by the flagged site filter of the legend
+const FLAG_FILTERS = {
+  all: [],
+  over: ['flag:-2', 'flag:-1', 'flag:0'],
+  under: ['flag:0', 'flag:1', 'flag:2'],
+};
 
 class Simaerep {
   constructor(container, data, config = {}) {
     this.container = container;
-    this.rawData = data || {};
-    
-    // Add df_visit extraction for right panel patient trajectories
-    this.visitData = this.rawData.df_visit || [];
-    
+
     // Extract metric fields from metric object if provided
     const metric = config.metric || {};
     
@@ -36,12 +97,39 @@ class Simaerep {
       rightPanelWidth: config.rightPanelWidth || '50%',
       maxVisibleSitePlots: config.maxVisibleSitePlots || 4,
       sitePlotAspectRatio: config.sitePlotAspectRatio || 1,
+      // Right panel controls: order, country grouping and sites ('flagged', 'all' or 'custom' for sitePlotGroupIDs)
+      showSitePlotControls: config.showSitePlotControls !== false,
+      sitePlotSortKey: config.sitePlotSortKey || 'Score',
+      sitePlotSortOrder: config.sitePlotSortOrder || 'ascending',
+      sitePlotGroupBy: config.sitePlotGroupBy || 'none',
+      sitePlotInclude: config.sitePlotInclude || 'flagged',
+      sitePlotGroupIDs: config.sitePlotGroupIDs || [],
+      showScoreGauge: config.showScoreGauge !== false,
+      // Patient drill-down: table of the subjects of the site whose patient line was clicked
+      showPatientTable: config.showPatientTable !== false,
+      // Zoom configuration
+      enableZoom: config.enableZoom !== false,
+      zoomMode: config.zoomMode || 'xy',
+      zoomWheelModifier: config.zoomWheelModifier || null,
+      linkZoomX: config.linkZoomX === true,
+      // Export configuration
+      showExportButton: config.showExportButton !== false,
+      exportDpi: config.exportDpi || 150,
+      // Data table configuration
+      showDataTableToggle: config.showDataTableToggle !== false,
+      showDataTable: config.showDataTable === true,
+      // Theme: 'light', 'dark', 'highContrast' or an object of theme tokens
+      theme: config.theme || 'light',
+      // Legend configuration: hidden entries are keys like 'flag:-2' or 'siteType:unflagged'
+      showLegend: config.showLegend !== false,
+      hiddenLegendItems: config.hiddenLegendItems || [],
       // KRI metadata fields extracted from metric object with fallbacks
       Metric: metric.Metric || config.Metric || 'Adverse Event Rate',
       Numerator: metric.Numerator || config.Numerator || 'Adverse Events',
       Denominator: metric.Denominator || config.Denominator || 'Visits',
       Score: metric.Score || config.Score || 'Over/Under-Reporting Probability',
       ExpectedNumerator: metric.ExpectedNumerator || config.ExpectedNumerator || 'Delta Expected AEs',
+      Threshold: metric.Threshold || config.Threshold || null,
       Abbreviation: metric.Abbreviation || config.Abbreviation || 'AE',
       ...config,
     };
@@ -49,8 +137,12 @@ class Simaerep {
     // Store original metric object for reference
     this.metric = metric;
 
+    this.loadData(data, config);
+
     // Structure group metadata if provided
     this.groupMetadata = structureGroupMetadata(config.groupMetadata, this.config);
+    // Sites of each country, also used by selectCountry without a country selector
+    this.countryToSites = getCountryToSites(this.groupMetadata);
 
     // Track selected country for maintaining selector state
     this.selectedCountry = 'None';
@@ -67,47 +159,305 @@ class Simaerep {
       _thresholds_: config.thresholds || {},
     };
 
+    // Instance events (on/off/once) and the source of the change being handled
+    this.events = createEventEmitter();
+    // Listeners of config.on also receive the events of the first render, which happens in the constructor
+    Object.entries(config.on || {}).forEach(([type, listener]) => this.events.on(type, listener));
+    // Last selection reported by 'selectionchange'
+    this.selectionKey = this.getSelectionKey();
+
     // Helper methods required by gsm.kri
     this.helpers = {
-      updateConfig: this.updateConfig.bind(this),
-      updateSelectedGroupIDs: this.updateSelectedGroupIDs.bind(this),
+      updateConfig: (...args) => this.events.withSource('gsm.kri', () => this.updateConfig(...args)),
+      updateSelectedGroupIDs: (...args) => this.events.withSource('gsm.kri', () => this.updateSelectedGroupIDs(...args)),
     };
 
     // Chart.js instance (will be created in render)
     this.chartInstance = null;
     
-    // Site plot Chart.js instances for right panel
+    // Site plot Chart.js instances for right panel (mounted plots only)
     this.sitePlotCharts = [];
+    // All flagged site plots by GroupID, mounted or not
+    this.sitePlots = new Map();
+    // Canvases of unmounted site plots, reused for the next mounted plot
+    this.canvasPool = [];
+    this.sitePlotObserver = null;
+    this.rightPanelResizeObserver = null;
+
+    // Zoomed scale ranges per panel ('overview' or GroupID), kept across re-renders
+    this.zoomLimits = new Map();
+    // Shared x range of all panels when linkZoomX is enabled
+    this.linkedZoomX = null;
+    this.resetZoomButtons = new Map();
+
+    // Denominator value and site plot of the crosshair shown on all panels ({ x, groupID } or null)
+    this.crosshair = null;
+    // Flagged site hovered in the overview, outlined in the right panel
+    this.hoveredSitePlotID = null;
+    // Site curve under the pointer in the overview, reported by 'site-hovered'
+    this.hoveredGroupID = null;
 
     // Unique tooltip ID for this instance (supports multiple charts on same page)
     this.tooltipId = 'simaerep-tooltip-' + Math.random().toString(36).substr(2, 9);
 
+    // Screen-reader announcements of selection changes and keyboard navigation
+    this.liveRegion = createLiveRegion('simaerep-live-region');
+    // Site shown by keyboard navigation of the overview (index into getNavigableSites())
+    this.activeSiteIndex = -1;
+    // Site plot that holds the roving tabindex of the right panel
+    this.focusedSitePlotID = null;
+
+    // Sorting and filtering of the data tables, kept across re-renders
+    this.dataTableState = {
+      sites: { sortKey: null, sortOrder: 'ascending', filter: '' },
+      curves: { sortKey: null, sortOrder: 'ascending', filter: '' },
+      patients: { sortKey: null, sortOrder: 'ascending', filter: '' },
+    };
+
+    // Patient drill-down: site of the patient table and highlighted patient ({ groupID, subjectID } or null)
+    this.selectedPatient = null;
+    // Per-patient totals and rates of df_visit, computed on first use
+    this.patientSummary = null;
+
+    // The overview canvas is kept across re-renders, so it is only set up once
+    this.canvas.tabIndex = 0;
+    this.canvas.setAttribute('role', 'img');
+    this.canvas.addEventListener('keydown', (e) => this.asUser(() => this.handleOverviewKeydown(e)));
+
     this.render();
+
+    // Share the selection with the other widgets of the selection scope (syncSelection: false opts out)
+    this.unregisterSelection = this.config.syncSelection === false
+      ? null
+      : selectionStore.register(this, {
+        scope: this.config.selectionScope,
+        apply: (selection, country) => this.receiveSelection(selection, country),
+      });
+
+    // Restore and save the state in the URL hash and/or localStorage
+    this.stopPersistState = this.config.syncStateToHash || this.config.syncStateToStorage
+      ? persistState(this, {
+        key: this.config.stateKey || this.container.id,
+        hash: this.config.syncStateToHash === true,
+        storage: this.config.syncStateToStorage === true,
+      })
+      : null;
+  }
+
+  /**
+   * Listen to an instance event: selectionchange, statechange, hover, render, zoom, datachange, error or destroy
+   * @returns {Function} function removing the listener
+   */
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  /**
+   * Listen to the next instance event of a type only
+   * @returns {Function} function removing the listener
+   */
+  once(type, listener) {
+    return this.events.once(type, listener);
+  }
+
+  /**
+   * Remove a listener added with on() or once()
+   */
+  off(type, listener) {
+    this.events.off(type, listener);
+  }
+
+  /**
+   * Run the handler of a user interaction: the events it causes have source 'user'
+   */
+  asUser(callback) {
+    return this.events.withSource('user', callback);
+  }
+
+  /**
+   * Selected GroupIDs and country, compared to report only actual selection changes
+   */
+  getSelectionKey() {
+    const country = this.selectedCountry && this.selectedCountry !== 'None' ? this.selectedCountry : null;
+    return JSON.stringify([getSelectedGroupIDs(this.data.config.selectedGroupIDs), country]);
+  }
+
+  /**
+   * Emit 'selectionchange' when the selected sites or country changed
+   */
+  emitSelectionChange() {
+    const key = this.getSelectionKey();
+    if (key === this.selectionKey) return;
+    this.selectionKey = key;
+
+    const [groupIDs, country] = JSON.parse(key);
+    this.events.emit('selectionchange', { groupIDs, country, source: this.events.getSource() });
+    this.emitStateChange();
+
+    if (this.unregisterSelection) {
+      selectionStore.select(this.data.config.selectedGroupIDs, { scope: this.data.config.selectionScope, country, source: this });
+    }
+  }
+
+  /**
+   * Emit 'statechange' with the state returned by getState()
+   */
+  emitStateChange() {
+    this.events.emit('statechange', { state: this.getState(), source: this.events.getSource() });
+  }
+
+  /**
+   * Get the state a reviewer set up in the widget, to restore it with setState()
+   * @returns {Object} selectedGroupIDs, selectedCountry, zoom ranges per zoomed panel,
+   *   hiddenLegendItems, the sitePlot* options, data table view, sorting and filters,
+   *   and the right panel scroll position
+   */
+  getState() {
+    const config = this.data.config;
+    const panels = new Set(['overview', ...this.zoomLimits.keys()]);
+    const zoom = {};
+    panels.forEach(panel => {
+      if (this.isZoomed(panel)) zoom[panel] = this.getZoomLimits(panel);
+    });
+
+    return {
+      selectedGroupIDs: config.selectedGroupIDs,
+      selectedCountry: this.selectedCountry && this.selectedCountry !== 'None' ? this.selectedCountry : null,
+      zoom,
+      hiddenLegendItems: [...(config.hiddenLegendItems || [])],
+      ...Object.fromEntries(SITE_PLOT_KEYS.map(key => [key, config[key]])),
+      showDataTable: config.showDataTable === true,
+      dataTables: JSON.parse(JSON.stringify(this.dataTableState)),
+      scrollTop: this.rightPanel ? this.rightPanel.scrollTop : 0,
+    };
+  }
+
+  /**
+   * Restore a state returned by getState(), e.g. after a reload; keys left out are not changed
+   * @param {Object} state - state or part of a state
+   */
+  setState(state = {}) {
+    const sitePlotOptions = Object.fromEntries(SITE_PLOT_KEYS.filter(key => key in state).map(key => [key, state[key]]));
+    if (Object.keys(sitePlotOptions).length > 0) {
+      this.setSitePlotOptions(sitePlotOptions);
+    }
+    if (Array.isArray(state.hiddenLegendItems)) {
+      this.setHiddenLegendItems([...state.hiddenLegendItems]);
+    }
+
+    if (state.dataTables) {
+      Object.entries(this.dataTableState).forEach(([table, tableState]) => {
+        Object.assign(tableState, state.dataTables[table]);
+      });
+    }
+    if ('showDataTable' in state || state.dataTables) {
+      this.toggleDataTable('showDataTable' in state ? state.showDataTable === true : this.data.config.showDataTable);
+    }
+
+    if ('selectedGroupIDs' in state || 'selectedCountry' in state) {
+      const country = 'selectedCountry' in state ? state.selectedCountry : this.getState().selectedCountry;
+      const selection = 'selectedGroupIDs' in state ? state.selectedGroupIDs : this.data.config.selectedGroupIDs;
+      this.selectedCountry = country || 'None';
+      // A saved scroll position takes the place of scrolling to the selected site
+      this.updateSelectedGroupIDs(selection || 'None', Boolean(country) || Number.isFinite(state.scrollTop));
+    }
+
+    if (state.zoom) {
+      this.resetZoom();
+      Object.entries(state.zoom).forEach(([panel, limits]) => this.setZoom(panel, limits));
+    }
+
+    if (this.rightPanel && Number.isFinite(state.scrollTop)) {
+      this.rightPanel.scrollTop = state.scrollTop;
+    }
+  }
+
+  /**
+   * Apply a selection made in another widget of the selection scope
+   * @param {string|Array<string>} selection - GroupID, GroupIDs or 'None'
+   * @param {string|null} country - country the sites were selected by
+   */
+  receiveSelection(selection, country) {
+    this.selectedCountry = country || 'None';
+    // Like a country selected here, a country only highlights the overview
+    this.updateSelectedGroupIDs(selection, Boolean(country));
   }
 
   /**
    * Update chart configuration - required by gsm.kri
    */
   updateConfig(chart, config, thresholds) {
+    const previousConfig = this.data.config;
+    const previousThresholds = this.getThresholds();
     this.data.config = { ...this.data.config, ...config };
-    this.data._thresholds_ = thresholds || this.data._thresholds_;
-    this.render();
+    // render() reads the options from this.config
+    this.config = this.data.config;
+    this.data._thresholds_ = thresholds || config.thresholds || this.data._thresholds_;
+
+    // New thresholds reclassify the Flag and Color of every site
+    const thresholdsChanged = getChangedKeys({ thresholds: previousThresholds }, { thresholds: this.getThresholds() }).length > 0;
+    if (thresholdsChanged) {
+      this.rawData = reclassifySites(this.rawData, this.getThresholds());
+    }
+
+    // Rebuild the DOM only when options other than the selection, theme, legend and right panel changed
+    const changedKeys = getChangedKeys(previousConfig, this.data.config);
+    if (changedKeys.includes('groupMetadata') || changedKeys.includes('GroupLevel')) {
+      this.groupMetadata = structureGroupMetadata(this.config.groupMetadata, this.config);
+      this.countryToSites = getCountryToSites(this.groupMetadata);
+    }
+    if (thresholdsChanged || changedKeys.some(key => !INCREMENTAL_KEYS.includes(key))) {
+      this.render();
+    } else {
+      if (changedKeys.includes('theme')) {
+        this.setTheme(this.data.config.theme);
+      }
+      if (changedKeys.includes('width') || changedKeys.includes('height')) {
+        this.resize(this.data.config.width, this.data.config.height);
+      }
+      if (changedKeys.includes('hiddenLegendItems')) {
+        this.setHiddenLegendItems(this.data.config.hiddenLegendItems);
+      }
+      if (changedKeys.some(key => SITE_PLOT_KEYS.includes(key))) {
+        this.setSitePlotOptions({});
+      }
+      if (changedKeys.includes('selectedGroupIDs')) {
+        this.applySelection();
+      }
+    }
     
     // Trigger interactions for selected site (if any)
     const groupID = this.data.config.selectedGroupIDs;
     if (groupID && groupID !== 'None') {
-      requestAnimationFrame(() => {
-        const targetSite = Array.isArray(groupID) 
-          ? this.findFirstFlaggedSite(groupID) 
-          : groupID;
-        
-        if (targetSite) {
-          this.highlightSitePlot(targetSite);
-          this.scrollToSitePlot(groupID);
-          this.showTooltipForSite(targetSite);
-        }
-      });
+      requestAnimationFrame(() => this.revealSelection(groupID));
+    }
+    this.emitSelectionChange();
+  }
+
+  /**
+   * Resize the widget without re-rendering: the panels take the new height and the overview
+   * and mounted site plots are redrawn at the new size, keeping selection, zoom and scroll position
+   * @param {number|string} width - width in pixels or CSS units
+   * @param {number|string} height - height in pixels or CSS units, or 'auto' to follow aspectRatio
+   */
+  resize(width, height) {
+    const size = { width: width || '100%', height: height || 'auto' };
+    this.data.config = { ...this.data.config, ...size };
+    this.config = this.data.config;
+    if (!this.panelsContainer) return;
+
+    const panelsHeight = this.getPanelsHeight();
+    this.panelsContainer.style.height = panelsHeight;
+    this.panelsContainer.style.maxHeight = panelsHeight;
+
+    const charts = [this.chartInstance, ...this.sitePlotCharts.map(item => item.chart)];
+    if (this.chartInstance) {
+      this.chartInstance.options.maintainAspectRatio = size.height === 'auto';
     }
+    charts.forEach(chart => {
+      if (chart && typeof chart.resize === 'function') chart.resize();
+    });
+    this.sizeRightPanel();
   }
 
   /**
@@ -115,23 +465,157 @@ class Simaerep {
    */
   updateSelectedGroupIDs(groupID, skipInteraction = false) {
     this.data.config.selectedGroupIDs = groupID;
-    this.render();
+    this.applySelection();
+    this.emitSelectionChange();
     
     // If called externally (via gsm.kri group selector), also show highlight, scroll, and tooltip
     // skipInteraction is true when called from selectSite/selectCountry to avoid duplicate calls
     if (!skipInteraction && groupID && groupID !== 'None') {
-      requestAnimationFrame(() => {
-        const targetSite = Array.isArray(groupID) 
-          ? this.findFirstFlaggedSite(groupID) 
-          : groupID;
-        
-        if (targetSite) {
-          this.highlightSitePlot(targetSite);
-          this.scrollToSitePlot(groupID);
-          this.showTooltipForSite(targetSite);
-        }
-      });
+      requestAnimationFrame(() => this.revealSelection(groupID));
+    }
+  }
+
+  /**
+   * Change the KRI thresholds: the Flag and Color of every site are derived again from its Score,
+   * and the curves, legend and site plots are redrawn
+   * @param {Array<number>|string|Object} thresholds - e.g. [-0.99, -0.95, 0.95, 0.99] or "-0.99, -0.95, 0.95, 0.99"
+   */
+  setThresholds(thresholds) {
+    this.updateConfig(this, {}, thresholds);
+  }
+
+  /**
+   * Get the KRI thresholds: gsm.kri thresholds take precedence over df_metric.Threshold
+   * @returns {Array<number>} ascending thresholds (empty if none are defined)
+   */
+  getThresholds() {
+    return parseThresholds(this.data._thresholds_) ||
+      parseThresholds(this.data.config.Threshold) ||
+      [];
+  }
+
+  /**
+   * Highlight, scroll to and show the tooltip of the selected site
+   * Multi-site selections reveal their next flagged site on every call
+   */
+  revealSelection(groupID) {
+    const targetSite = this.scrollToSitePlot(groupID) || (Array.isArray(groupID) ? null : groupID);
+
+    if (targetSite) {
+      this.highlightSitePlot(targetSite);
+      this.showTooltipForSite(targetSite);
+    }
+  }
+
+  /**
+   * Switch the theme without re-rendering: update the CSS custom properties of the
+   * container and recolor the mounted charts in place
+   * @param {string|Object} theme - 'light', 'dark', 'highContrast' or an object of theme tokens
+   */
+  setTheme(theme) {
+    this.data.config.theme = theme;
+    this.theme = applyTheme(this.container, theme);
+
+    // Nothing to recolor while the diagnostics panel is shown
+    if (!this.chartInstance) return;
+
+    this.applyChartTheme(this.chartInstance);
+    this.sitePlotCharts.forEach(item => this.applyChartTheme(item.chart));
+  }
+
+  /**
+   * Set the theme colors of a chart's scales, study line and patient lines
+   */
+  applyChartTheme(chart) {
+    Object.values(chart.options.scales || {}).forEach(scale => {
+      if (scale.grid) scale.grid.color = this.theme.grid;
+      if (scale.ticks) scale.ticks.color = this.theme.textMuted;
+      if (scale.title) scale.title.color = this.theme.textMuted;
+    });
+
+    chart.data.datasets.forEach(dataset => {
+      if (dataset.dataType === 'patient') {
+        Object.assign(dataset, this.getPatientLineStyle(dataset.siteGroupID, dataset.subjectID));
+      } else if (dataset.siteType === 'study') {
+        dataset.borderColor = this.theme.study;
+        dataset.backgroundColor = this.theme.study;
+      }
+    });
+
+    chart.update('none');
+  }
+
+  /**
+   * Store a data bundle: curves and site labels are derived client-side when only df_visit
+   * is provided, and the bundle is validated against the declared schema
+   * @param {Object} data - Simaerep data bundle
+   * @param {Object} config - options with computeFromVisits, simaerepOptions, thresholds and metric
+   */
+  loadData(data, config) {
+    this.rawData = data || {};
+
+    // Add df_visit extraction for right panel patient trajectories
+    this.visitData = this.rawData.df_visit || [];
+
+    if (this.shouldComputeFromVisits(config)) {
+      this.rawData = {
+        ...this.rawData,
+        ...computeSimaerep(this.visitData, {
+          thresholds: config.thresholds || (config.metric || {}).Threshold,
+          GroupLevel: this.config.GroupLevel,
+          ...config.simaerepOptions,
+        }),
+      };
+    }
+
+    // config.validateData: false skips validation
+    this.validation = this.config.validateData === false
+      ? null
+      : validateSimaerepData(this.rawData, this.config);
+    if (this.validation) {
+      this.validation.warnings.forEach(warning => console.warn(`Simaerep: ${warning.message}`));
+    }
+  }
+
+  /**
+   * Replace the data bundle without recreating the widget: selection, zoom, theme and
+   * options are kept
+   * @param {Object} data - Simaerep data bundle (same tables as the constructor)
+   */
+  setData(data) {
+    const thresholds = this.getThresholds();
+    this.loadData(data, {
+      ...this.data.config,
+      thresholds: thresholds.length > 0 ? thresholds : undefined,
+    });
+    this.render();
+    this.events.emit('datachange', { source: this.events.getSource() });
+  }
+
+  /**
+   * Zoom a panel ('overview' or site GroupID) to the given ranges
+   * @param {string} panel - 'overview' or site GroupID
+   * @param {Object} limits - { x: { min, max } | null, y: { min, max } | null }; null resets an axis
+   */
+  setZoom(panel, limits) {
+    const zoomable = this.getZoomableCharts().find(item => item.panel === panel);
+    if (zoomable) {
+      setScaleLimits(zoomable.chart, limits);
     }
+    this.handleZoom(panel, limits);
+  }
+
+  /**
+   * Check whether chart inputs should be computed from df_visit
+   * config.computeFromVisits: true forces computation, false disables it,
+   * otherwise computation happens when none of the precomputed tables are provided
+   */
+  shouldComputeFromVisits(config) {
+    if (this.visitData.length === 0 || config.computeFromVisits === false) return false;
+    if (config.computeFromVisits === true) return true;
+
+    return ['df_mean_study', 'df_mean_group_flagged', 'df_mean_group_not_flagged', 'df_label_sites']
+      .every(key => this.rawData[key] === undefined);
   }
 
   /**
@@ -139,12 +623,6 @@ class Simaerep {
    */
   processData() {
     const datasets = [];
-    const selectedGroupID = this.data.config.selectedGroupIDs;
-    
-    // Check if a site is actually selected (not 'None')
-    // Handle both single selection (string) and multiple selection (array)
-    const hasSelection = selectedGroupID && selectedGroupID !== 'None' && 
-      (Array.isArray(selectedGroupID) ? selectedGroupID.length > 0 : true);
 
     // Extract data from rawData structure
     const studyData = this.rawData.df_mean_study || [];
@@ -179,54 +657,38 @@ class Simaerep {
     // 1. Add unflagged sites (first layer)
     const unflaggedGroups = groupByGroupID(unflaggedSites);
     Object.entries(unflaggedGroups).forEach(([groupID, points]) => {
-      const isSelected = Array.isArray(selectedGroupID) 
-        ? selectedGroupID.includes(groupID) 
-        : groupID === selectedGroupID;
       const baseColor = siteMetadata[groupID]?.Color || '#CCCCCC';
-      
-      // Apply opacity reduction for unselected items when there's a selection
-      const opacity = hasSelection && !isSelected ? 0.2 : 1.0;
-      const color = hexToRgba(baseColor, opacity);
-      
+
       datasets.push({
         label: `Site ${groupID}`,
         data: points,
-        borderColor: color,
-        backgroundColor: color,
-        borderWidth: isSelected ? 3 : 1,
         pointRadius: 0,
         tension: 0,
         fill: false,
         groupID: groupID,
         siteType: 'unflagged',
-        order: isSelected ? 3 : 5 // Selected unflagged sites above unselected, but below flagged
+        flag: this.getSiteFlag(groupID),
+        baseColor,
+        ...this.getSelectionStyle('unflagged', groupID, baseColor)
       });
     });
 
     // 2. Add flagged sites (second layer)
     const flaggedGroups = groupByGroupID(flaggedSites);
     Object.entries(flaggedGroups).forEach(([groupID, points]) => {
-      const isSelected = Array.isArray(selectedGroupID) 
-        ? selectedGroupID.includes(groupID) 
-        : groupID === selectedGroupID;
       const baseColor = siteMetadata[groupID]?.Color || '#3182BD';
-      
-      // Apply opacity reduction for unselected items when there's a selection
-      const opacity = hasSelection && !isSelected ? 0.2 : 1.0;
-      const color = hexToRgba(baseColor, opacity);
-      
+
       datasets.push({
         label: `Site ${groupID}`,
         data: points,
-        borderColor: color,
-        backgroundColor: color,
-        borderWidth: isSelected ? 3 : 1.5,
         pointRadius: 0,
         tension: 0,
         fill: false,
         groupID: groupID,
         siteType: 'flagged',
-        order: isSelected ? 1 : 2 // Selected flagged sites on top, unselected flagged above all unflagged
+        flag: this.getSiteFlag(groupID),
+        baseColor,
+        ...this.getSelectionStyle('flagged', groupID, baseColor)
       });
     });
 
@@ -241,148 +703,2091 @@ class Simaerep {
       datasets.push({
         label: 'Study',
         data: studyPoints,
-        borderColor: '#000000',
-        backgroundColor: '#000000',
+        borderColor: this.theme.study,
+        backgroundColor: this.theme.study,
         borderWidth: 2,
         pointRadius: 0,
         tension: 0,
         fill: false,
         groupID: 'study',
         siteType: 'study',
+        flag: null,
         order: 0 // Always on top
       });
     }
 
+    // Categories hidden in the legend
+    datasets.forEach(dataset => {
+      dataset.hidden = this.isLegendHidden(dataset.siteType, dataset.flag);
+    });
+
     return datasets;
   }
 
   /**
-   * Render the chart
+   * Flag of a site from df_label_sites (null when missing)
    */
-  render() {
-    // Clear container
-    this.container.innerHTML = '';
-    this.container.classList.add('gsm-widget', 'simaerep-chart');
-    // Set container positioning for tooltip placement
-    this.container.style.position = 'relative';
-    this.container.style.overflow = 'visible';
-
-    // Add selectors first if enabled (at top of chart)
-    if (this.config.showGroupSelector || this.config.showCountrySelector) {
-      this.addSelectors();
-    }
-
-    // Calculate height accounting for selector dropdown
-    const selectorHeight = (this.config.showGroupSelector || this.config.showCountrySelector) ? 40 : 0;
-    const availableHeight = this.config.height === 'auto' ? '100%' : 
-      (typeof this.config.height === 'number' ? `${this.config.height - selectorHeight}px` : 
-       `calc(${this.config.height} - ${selectorHeight}px)`);
-
-    // Check if right panel should be displayed
-    const showRightPanel = this.config.showRightPanel && this.visitData.length > 0;
+  getSiteFlag(groupID) {
+    const flag = parseFloat((this.siteMetadata || {})[groupID]?.Flag);
+    return Number.isInteger(flag) ? flag : null;
+  }
 
-    // Create main panels container (flex layout)
-    const panelsContainer = document.createElement('div');
-    panelsContainer.className = 'simaerep-panels-container';
-    panelsContainer.style.display = 'flex';
-    panelsContainer.style.gap = '10px';
-    panelsContainer.style.width = '100%';
-    panelsContainer.style.height = availableHeight;
-    panelsContainer.style.maxHeight = availableHeight;
+  /**
+   * Check whether the legend hides a siteType or Flag category
+   * @param {string} siteType - 'flagged', 'unflagged' or 'study'
+   * @param {number|null} flag - Flag of the site
+   */
+  isLegendHidden(siteType, flag) {
+    const hidden = this.data.config.hiddenLegendItems || [];
+    return hidden.includes(`siteType:${siteType}`) ||
+      (flag !== null && flag !== undefined && hidden.includes(`flag:${flag}`));
+  }
 
-    // Create left panel wrapper
-    const leftPanel = document.createElement('div');
-    leftPanel.className = 'simaerep-left-panel';
-    leftPanel.style.flex = showRightPanel ? '1 1 50%' : '1 1 100%';
-    leftPanel.style.position = 'relative';
-    leftPanel.style.minWidth = '0'; // Prevent flex overflow
-    leftPanel.style.overflow = 'visible'; // Allow tooltip to extend beyond panel
-    
-    // Store reference to left panel for tooltip positioning
-    this.leftPanel = leftPanel;
-    
-    // Add canvas to left panel
-    leftPanel.appendChild(this.canvas);
-    panelsContainer.appendChild(leftPanel);
+  /**
+   * Show only the legend categories not listed, without re-rendering: hidden overview
+   * curves are toggled in place and the right panel keeps the sites of visible categories
+   * @param {Array<string>} keys - legend entries to hide, e.g. ['flag:0', 'siteType:study']
+   */
+  setHiddenLegendItems(keys) {
+    this.data.config.hiddenLegendItems = keys;
 
-    // Create right panel if enabled and data is available
-    if (showRightPanel) {
-      const rightPanel = document.createElement('div');
-      rightPanel.className = 'simaerep-right-panel';
-      rightPanel.style.flex = '1 1 50%';
-      rightPanel.style.overflowY = 'auto';
-      rightPanel.style.overflowX = 'hidden';
-      rightPanel.style.padding = '0 10px';
-      rightPanel.style.minWidth = '0'; // Prevent flex overflow
-      rightPanel.style.display = 'grid';
-      rightPanel.style.gridTemplateColumns = 'repeat(2, 1fr)';
-      rightPanel.style.gap = '15px';
-      rightPanel.style.alignContent = 'start'; // Align grid items to the top
-      
-      // Store reference to right panel for later use
-      this.rightPanel = rightPanel;
-      
-      panelsContainer.appendChild(rightPanel);
-    }
+    // Nothing to filter while the diagnostics panel is shown
+    if (!this.chartInstance) return;
 
-    this.container.appendChild(panelsContainer);
+    this.chartInstance.data.datasets.forEach(dataset => {
+      dataset.hidden = this.isLegendHidden(dataset.siteType, dataset.flag);
+    });
+    this.chartInstance.update('none');
+    this.updateLegend();
 
-    // Destroy existing chart instances
-    if (this.chartInstance) {
-      this.chartInstance.destroy();
-    }
-    if (this.sitePlotCharts) {
-      this.sitePlotCharts.forEach(item => {
-        if (item.chart) {
-          item.chart.destroy();
-        }
-      });
-      this.sitePlotCharts = [];
+    // Rebuild the right panel only when its sites changed
+    const sitePlotIDs = this.getSitePlotSites().map(site => site.GroupID);
+    if (this.rightPanel && sitePlotIDs.join('\u0000') !== Array.from(this.sitePlots.keys()).join('\u0000')) {
+      this.renderSitePlots();
+      this.renderSelectionChips();
     }
+    this.emitStateChange();
+  }
 
-    // Render left panel chart
-    this.renderLeftPanel();
+  /**
+   * Show or hide a legend entry (click on the legend)
+   */
+  toggleLegendItem(key) {
+    const hidden = this.data.config.hiddenLegendItems || [];
+    this.changeLegend(hidden.includes(key)
+      ? hidden.filter(item => item !== key)
+      : [...hidden, key]);
+  }
 
-    // Render right panel site plots if enabled
-    if (showRightPanel) {
-      this.renderSitePlots();
-    }
+  /**
+   * Show only one entry of a legend group (double-click on the legend);
+   * isolating the only visible entry shows the whole group again
+   */
+  isolateLegendItem(key) {
+    const hidden = this.data.config.hiddenLegendItems || [];
+    const group = key.split(':')[0];
+    const others = (this.legendItems || [])
+      .filter(item => item.group === group && item.key !== key)
+      .map(item => item.key);
+    const isIsolated = !hidden.includes(key) && others.every(item => hidden.includes(item));
+
+    this.changeLegend([
+      ...hidden.filter(item => item !== key && !others.includes(item)),
+      ...(isIsolated ? [] : others),
+    ]);
   }
 
   /**
-   * Render the left panel (main overview chart)
+   * Show only over-reporting (Flag > 0), only under-reporting (Flag < 0) or all sites
+   * @param {string} filter - 'over', 'under' or 'all'
+   */
+  setFlagFilter(filter) {
+    const hidden = (this.data.config.hiddenLegendItems || []).filter(item => !item.startsWith('flag:'));
+    this.changeLegend([...hidden, ...(FLAG_FILTERS[filter] || [])]);
+  }
+
+  /**
+   * Flagged site filter matching the hidden Flag entries ('all', 'over', 'under' or 'custom')
+   */
+  getFlagFilter() {
+    const hiddenFlags = (this.data.config.hiddenLegendItems || [])
+      .filter(item => item.startsWith('flag:'))
+      .sort()
+      .join();
+    const match = Object.entries(FLAG_FILTERS).find(([, keys]) => [...keys].sort().join() === hiddenFlags);
+    return match ? match[0] : 'custom';
+  }
+
+  /**
+   * Apply a legend change made in the widget and notify other widgets
+   */
+  changeLegend(keys) {
+    this.setHiddenLegendItems(keys);
+
+    const event = new CustomEvent('legend-changed', {
+      detail: { hiddenLegendItems: keys },
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Get the selection-dependent style of a site line in the overview chart
+   * @param {string} siteType - 'flagged' or 'unflagged'
+   */
+  getSelectionStyle(siteType, groupID, baseColor) {
+    const selectedGroupID = this.data.config.selectedGroupIDs;
+
+    // Check if a site is actually selected (not 'None')
+    // Handle both single selection (string) and multiple selection (array)
+    const hasSelection = selectedGroupID && selectedGroupID !== 'None' &&
+      (Array.isArray(selectedGroupID) ? selectedGroupID.length > 0 : true);
+    const isSelected = Array.isArray(selectedGroupID)
+      ? selectedGroupID.includes(groupID)
+      : groupID === selectedGroupID;
+
+    // Apply opacity reduction for unselected items when there's a selection
+    const opacity = hasSelection && !isSelected ? 0.2 : 1.0;
+    const color = hexToRgba(baseColor, opacity);
+
+    if (siteType === 'flagged') {
+      return {
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: isSelected ? 3 : 1.5,
+        order: isSelected ? 1 : 2 // Selected flagged sites on top, unselected flagged above all unflagged
+      };
+    }
+
+    return {
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: isSelected ? 3 : 1,
+      order: isSelected ? 3 : 5 // Selected unflagged sites above unselected, but below flagged
+    };
+  }
+
+  /**
+   * Apply the current selection without rebuilding the DOM: restyle the affected
+   * overview datasets in place and sync the selectors
+   */
+  applySelection() {
+    // Nothing to restyle while the diagnostics panel is shown
+    if (!this.chartInstance) return;
+
+    let changed = false;
+    this.chartInstance.data.datasets.forEach(dataset => {
+      if (dataset.siteType !== 'flagged' && dataset.siteType !== 'unflagged') return;
+
+      const style = this.getSelectionStyle(dataset.siteType, dataset.groupID, dataset.baseColor);
+      Object.entries(style).forEach(([key, value]) => {
+        if (dataset[key] !== value) {
+          dataset[key] = value;
+          changed = true;
+        }
+      });
+    });
+
+    // Hide the tooltip and active point of the previous selection
+    this.hideTooltips();
+    if (typeof this.chartInstance.setActiveElements === 'function') {
+      this.chartInstance.setActiveElements([]);
+      changed = true;
+    }
+
+    if (changed) {
+      this.chartInstance.update('none');
+    }
+
+    this.highlightSitePlot(null);
+    this.syncSelectors();
+    this.sitePlots.forEach((plot, groupID) => {
+      plot.container.setAttribute('aria-selected', String(this.isSiteSelected(groupID)));
+    });
+    this.announceSelection();
+
+    if (this.data.config.showDataTable) {
+      this.renderDataTables();
+    }
+  }
+
+  /**
+   * Check whether a site is part of the current selection
+   */
+  isSiteSelected(groupID) {
+    const selection = this.data.config.selectedGroupIDs;
+    return Array.isArray(selection) ? selection.includes(groupID) : selection === groupID;
+  }
+
+  /**
+   * Announce the current selection in the live region
+   */
+  announceSelection() {
+    const selection = this.data.config.selectedGroupIDs;
+
+    if (Array.isArray(selection) && selection.length > 0) {
+      const country = this.selectedCountry && this.selectedCountry !== 'None'
+        ? ` in ${this.selectedCountry}`
+        : '';
+      this.announce(`${selection.length} sites${country} selected`);
+    } else if (selection && selection !== 'None' && !Array.isArray(selection)) {
+      this.announce(`${this.getSiteSummary(selection)} selected`);
+    } else {
+      this.announce('Selection cleared');
+    }
+  }
+
+  /**
+   * Set the text of the live region
+   */
+  announce(message) {
+    this.liveRegion.textContent = message;
+  }
+
+  /**
+   * Hide all tooltips of this instance
+   */
+  hideTooltips() {
+    const tooltips = this.container.querySelectorAll(`[id^="${this.tooltipId}"]`);
+    tooltips.forEach(tooltip => {
+      tooltip.style.opacity = '0';
+    });
+  }
+
+  /**
+   * Set the site and country selectors to the current selection
+   */
+  syncSelectors() {
+    if (this.siteSelector) {
+      this.siteSelector.value = this.getSiteSelectorValue();
+    }
+    if (this.countrySelector) {
+      this.countrySelector.value = this.selectedCountry || 'None';
+    }
+    this.renderSelectionChips();
+  }
+
+  /**
+   * Show the sites of a multi-site selection as removable chips next to the site selector
+   */
+  renderSelectionChips() {
+    if (!this.selectionChips) return;
+
+    const selection = this.data.config.selectedGroupIDs;
+    const isMultiSelection = Array.isArray(selection) && (this.selectedCountry || 'None') === 'None';
+    this.selectionChips.innerHTML = '';
+    this.selectionChips.style.display = isMultiSelection ? 'flex' : 'none';
+    if (!isMultiSelection) return;
+
+    selection.forEach(groupID => {
+      const chip = document.createElement('span');
+      chip.className = 'simaerep-selection-chip';
+      chip.dataset.groupId = groupID;
+      chip.style.display = 'inline-flex';
+      chip.style.alignItems = 'center';
+      chip.style.gap = '4px';
+      chip.style.padding = '2px 6px';
+      chip.style.borderRadius = '12px';
+      chip.style.fontSize = '12px';
+      chip.textContent = groupID;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'simaerep-selection-chip-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove site ${groupID}`);
+      remove.style.padding = '0 4px';
+      remove.style.borderRadius = '50%';
+      remove.style.cursor = 'pointer';
+      remove.addEventListener('click', () => this.asUser(() => this.toggleSite(groupID)));
+      chip.appendChild(remove);
+
+      this.selectionChips.appendChild(chip);
+    });
+
+    if (selection.some(groupID => this.sitePlots.has(groupID))) {
+      const next = document.createElement('button');
+      next.type = 'button';
+      next.className = 'simaerep-selection-next';
+      next.textContent = 'Next';
+      next.title = 'Scroll to the next selected flagged site';
+      next.style.padding = '2px 8px';
+      next.style.borderRadius = '4px';
+      next.style.cursor = 'pointer';
+      next.addEventListener('click', () => this.revealSelection(this.data.config.selectedGroupIDs));
+      this.selectionChips.appendChild(next);
+    }
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'simaerep-selection-clear';
+    clear.textContent = 'Clear';
+    clear.style.padding = '2px 8px';
+    clear.style.borderRadius = '4px';
+    clear.style.cursor = 'pointer';
+    clear.addEventListener('click', () => this.asUser(() => this.selectSites([])));
+    this.selectionChips.appendChild(clear);
+  }
+
+  /**
+   * Value of the site selector: the selected site, or 'None' for no or multiple selected sites
+   */
+  getSiteSelectorValue() {
+    const currentSelection = this.data.config.selectedGroupIDs;
+    return (Array.isArray(currentSelection) || currentSelection === 'None')
+      ? 'None'
+      : currentSelection;
+  }
+
+  /**
+   * Render the chart
+   */
+  render() {
+    // Keep the right panel scroll position across re-renders
+    const rightPanelScrollTop = this.rightPanel ? this.rightPanel.scrollTop : 0;
+
+    // Clear container
+    this.container.innerHTML = '';
+    this.resetZoomButtons = new Map();
+    this.selectionChips = null;
+    this.legend = null;
+    this.sitePlotControls = null;
+    this.patientPanel = null;
+    this.patientSummary = null;
+    this.panelsContainer = null;
+    this.container.classList.add('gsm-widget', 'simaerep-chart');
+    this.theme = applyTheme(this.container, this.data.config.theme);
+    // Set container positioning for tooltip placement
+    this.container.style.position = 'relative';
+    this.container.style.overflow = 'visible';
+
+    // Show diagnostics instead of a blank canvas when the data bundle is invalid
+    if (this.validation && !this.validation.valid) {
+      this.renderDiagnostics();
+      this.events.emit('error', {
+        message: `${this.validation.errors.length} data error(s) found`,
+        errors: this.validation.errors,
+      });
+      return;
+    }
+
+    this.container.appendChild(this.liveRegion);
+
+    // Add selectors and toolbar first if enabled (at top of chart)
+    const toolbar = this.hasToolbar() ? this.addSelectors() : null;
+    if (toolbar && this.hasSelectors()) {
+      this.container.appendChild(toolbar);
+    }
+
+    const availableHeight = this.getPanelsHeight();
+
+    // Check if right panel should be displayed
+    const showRightPanel = this.config.showRightPanel && this.visitData.length > 0;
+
+    // Create main panels container (flex layout)
+    const panelsContainer = document.createElement('div');
+    panelsContainer.className = 'simaerep-panels-container';
+    panelsContainer.style.display = 'flex';
+    panelsContainer.style.gap = '10px';
+    panelsContainer.style.width = '100%';
+    panelsContainer.style.height = availableHeight;
+    panelsContainer.style.maxHeight = availableHeight;
+    this.panelsContainer = panelsContainer;
+
+    // Create left panel wrapper
+    const leftPanel = document.createElement('div');
+    leftPanel.className = 'simaerep-left-panel';
+    leftPanel.style.flex = showRightPanel ? '1 1 50%' : '1 1 100%';
+    leftPanel.style.position = 'relative';
+    leftPanel.style.minWidth = '0'; // Prevent flex overflow
+    leftPanel.style.overflow = 'visible'; // Allow tooltip to extend beyond panel
+    
+    // Store reference to left panel for tooltip positioning
+    this.leftPanel = leftPanel;
+    
+    // Add canvas to left panel, described by a text summary for screen readers
+    leftPanel.appendChild(this.canvas);
+    this.addChartSummary(leftPanel);
+    this.addResetZoomButton('overview', leftPanel);
+    // Without selectors the toolbar buttons float over the overview, so the panels keep their height
+    if (toolbar && !this.hasSelectors()) {
+      toolbar.style.position = 'absolute';
+      toolbar.style.top = '4px';
+      toolbar.style.right = '4px';
+      toolbar.style.zIndex = '2';
+      toolbar.style.marginBottom = '0';
+      toolbar.style.gap = '8px';
+      leftPanel.appendChild(toolbar);
+
+      const resetZoomButton = this.resetZoomButtons.get('overview');
+      if (resetZoomButton) {
+        resetZoomButton.style.top = '36px';
+      }
+    }
+    panelsContainer.appendChild(leftPanel);
+
+    // Create right panel if enabled and data is available
+    if (showRightPanel) {
+      // Column holding the control bar above the scrollable site plot grid
+      const rightColumn = document.createElement('div');
+      rightColumn.className = 'simaerep-right-column';
+      rightColumn.style.flex = '1 1 50%';
+      rightColumn.style.display = 'flex';
+      rightColumn.style.flexDirection = 'column';
+      rightColumn.style.gap = '6px';
+      rightColumn.style.minWidth = '0'; // Prevent flex overflow
+
+      if (this.data.config.showSitePlotControls) {
+        this.addSitePlotControls(rightColumn);
+      }
+
+      const rightPanel = document.createElement('div');
+      rightPanel.className = 'simaerep-right-panel';
+      rightPanel.style.flex = '1 1 auto';
+      rightPanel.style.overflowY = 'auto';
+      rightPanel.style.overflowX = 'hidden';
+      rightPanel.style.padding = '0 10px';
+      rightPanel.style.minWidth = '0'; // Prevent flex overflow
+      rightPanel.style.display = 'grid';
+      rightPanel.style.gridTemplateColumns = 'repeat(2, 1fr)';
+      rightPanel.style.gap = '15px';
+      rightPanel.style.alignContent = 'start'; // Align grid items to the top
+      rightPanel.setAttribute('role', 'listbox');
+      rightPanel.setAttribute('aria-label', `Flagged ${this.config.GroupLevel.toLowerCase()}s`);
+      rightPanel.addEventListener('keydown', (e) => this.asUser(() => this.handleSitePlotKeydown(e)));
+      rightPanel.addEventListener('scroll', () => this.emitStateChange());
+      
+      // Store reference to right panel for later use
+      this.rightPanel = rightPanel;
+      
+      rightColumn.appendChild(rightPanel);
+
+      if (this.data.config.showPatientTable) {
+        this.addPatientPanel(rightColumn);
+      }
+
+      panelsContainer.appendChild(rightColumn);
+    }
+
+    this.container.appendChild(panelsContainer);
+
+    // Data table view below the panels, shown with the table toggle
+    this.dataTableContainer = document.createElement('div');
+    this.dataTableContainer.className = 'simaerep-data-tables';
+    this.dataTableContainer.id = `${this.tooltipId}-data-tables`;
+    this.dataTableContainer.style.marginTop = '10px';
+    this.dataTableContainer.style.display = 'none';
+    this.container.appendChild(this.dataTableContainer);
+
+    // Destroy existing chart instances
+    if (this.chartInstance) {
+      this.chartInstance.destroy();
+    }
+    this.unmountSitePlots();
+    this.sitePlots = new Map();
+    this.crosshair = null;
+    this.hoveredSitePlotID = null;
+    this.hoveredGroupID = null;
+
+    // Render left panel chart
+    this.renderLeftPanel();
+
+    // Render right panel site plots if enabled
+    if (showRightPanel) {
+      this.renderSitePlots();
+      this.rightPanel.scrollTop = rightPanelScrollTop;
+    }
+
+    // Chips need the site plots to know whether a flagged site can be scrolled to
+    this.renderSelectionChips();
+    this.renderPatientPanel();
+
+    if (this.data.config.showDataTable) {
+      this.toggleDataTable(true);
+    }
+
+    this.events.emit('render', {});
+  }
+
+  /**
+   * Check whether the site or country selector is shown
+   */
+  hasSelectors() {
+    return this.config.showGroupSelector || this.config.showCountrySelector;
+  }
+
+  /**
+   * Check whether the selectors or toolbar buttons are shown
+   */
+  hasToolbar() {
+    return this.hasSelectors() || this.config.showExportButton || this.config.showDataTableToggle;
+  }
+
+  /**
+   * Height of the panels: the configured height minus the selector row, which toolbar buttons
+   * without selectors do not add
+   */
+  getPanelsHeight() {
+    const height = this.config.height;
+    const selectorHeight = this.hasSelectors() ? 40 : 0;
+    if (height === 'auto') return '100%';
+    return typeof height === 'number' ? `${height - selectorHeight}px` : `calc(${height} - ${selectorHeight}px)`;
+  }
+
+  /**
+   * Show or hide the data table view without re-rendering the charts
+   * @param {boolean} show - defaults to toggling the current state
+   */
+  toggleDataTable(show = !this.data.config.showDataTable) {
+    this.data.config.showDataTable = show;
+    if (!this.dataTableContainer) return;
+
+    this.dataTableContainer.style.display = show ? 'block' : 'none';
+    if (this.dataTableToggle) {
+      this.dataTableToggle.setAttribute('aria-pressed', String(show));
+      this.dataTableToggle.textContent = show ? 'Hide table' : 'Show table';
+    }
+
+    if (show) {
+      this.renderDataTables();
+    } else {
+      this.dataTableContainer.innerHTML = '';
+    }
+    this.emitStateChange();
+  }
+
+  /**
+   * Render the site summary table and the curve table of the selected site(s)
+   */
+  renderDataTables() {
+    if (!this.dataTableContainer) return;
+
+    // Keep keyboard focus on the active row when the tables are rebuilt after a selection
+    const activeRowKey = this.dataTableContainer.contains(document.activeElement)
+      ? document.activeElement.getAttribute('data-row-key')
+      : null;
+
+    this.dataTableContainer.innerHTML = '';
+
+    const sitesSection = document.createElement('div');
+    sitesSection.className = 'simaerep-data-table-sites';
+    sitesSection.style.marginBottom = '15px';
+    this.dataTableContainer.appendChild(sitesSection);
+
+    renderDataTable(sitesSection, {
+      caption: `${this.config.GroupLevel} summary`,
+      className: 'simaerep-data-table',
+      columns: this.getSiteTableColumns(),
+      rows: this.rawData.df_label_sites || [],
+      state: this.dataTableState.sites,
+      onStateChange: () => this.emitStateChange(),
+      rowKey: 'GroupID',
+      isSelected: row => this.isSiteSelected(row.GroupID),
+      onRowClick: row => this.asUser(() => this.selectSite(row.GroupID)),
+    });
+
+    const curvesSection = document.createElement('div');
+    curvesSection.className = 'simaerep-data-table-curves';
+    this.dataTableContainer.appendChild(curvesSection);
+
+    const curveRows = this.getCurveTableRows();
+    if (curveRows.length === 0) {
+      const hint = document.createElement('p');
+      hint.className = 'simaerep-data-table-hint';
+      hint.style.fontSize = '12px';
+      hint.textContent = `Select a ${this.config.GroupLevel.toLowerCase()} to see its ${this.config.Numerator} ` +
+        `by ${this.config.Denominator} compared with the study mean.`;
+      curvesSection.appendChild(hint);
+    } else {
+      const formatNumber = value => (Number.isFinite(value) ? value.toFixed(4) : 'NA');
+      renderDataTable(curvesSection, {
+        caption: `Average cumulative ${this.config.Numerator} count of the selected ` +
+          `${this.config.GroupLevel.toLowerCase()}s vs. study mean`,
+        className: 'simaerep-data-table',
+        columns: [
+          { key: 'GroupID', label: this.config.GroupLevel },
+          { key: 'Denominator', label: this.config.Denominator },
+          { key: 'site', label: `${this.config.GroupLevel} mean`, format: formatNumber },
+          { key: 'study', label: 'Study', format: formatNumber },
+          { key: 'difference', label: 'Difference', format: formatNumber },
+        ],
+        rows: curveRows,
+        state: this.dataTableState.curves,
+        onStateChange: () => this.emitStateChange(),
+      });
+    }
+
+    if (activeRowKey !== null) {
+      const row = Array.from(sitesSection.querySelectorAll('tr[data-row-key]'))
+        .find(element => element.getAttribute('data-row-key') === activeRowKey);
+      if (row) row.focus();
+    }
+  }
+
+  /**
+   * Columns of the site summary table: every df_label_sites column except Color
+   */
+  getSiteTableColumns() {
+    const keys = [];
+    (this.rawData.df_label_sites || []).forEach(site => {
+      Object.keys(site).forEach(key => {
+        if (key !== 'Color' && !keys.includes(key)) keys.push(key);
+      });
+    });
+
+    const labels = {
+      GroupID: this.config.GroupLevel,
+      Score: this.config.Score,
+      ExpectedNumerator: this.config.ExpectedNumerator,
+    };
+    return keys.map(key => ({ key, label: labels[key] || key }));
+  }
+
+  /**
+   * Rows of the curve table: cum_mean_dev_event of every selected site per Denominator,
+   * with the study mean at the same Denominator and the difference between both
+   */
+  getCurveTableRows() {
+    const selection = this.data.config.selectedGroupIDs;
+    const selectedIDs = Array.isArray(selection)
+      ? selection
+      : (selection && selection !== 'None' ? [selection] : []);
+    if (selectedIDs.length === 0) return [];
+
+    const studyMeans = new Map();
+    (this.rawData.df_mean_study || []).forEach(row => {
+      studyMeans.set(parseFloat(row.Denominator), parseFloat(row.cum_mean_dev_event));
+    });
+
+    const siteRows = [
+      ...(this.rawData.df_mean_group_flagged || []),
+      ...(this.rawData.df_mean_group_not_flagged || []),
+    ];
+
+    return siteRows
+      .filter(row => selectedIDs.includes(row.GroupID))
+      .map(row => {
+        const denominator = parseFloat(row.Denominator);
+        const site = parseFloat(row.cum_mean_dev_event);
+        const study = studyMeans.has(denominator) ? studyMeans.get(denominator) : NaN;
+        return {
+          GroupID: row.GroupID,
+          Denominator: denominator,
+          site,
+          study,
+          difference: site - study,
+        };
+      });
+  }
+
+  /**
+   * Render validation errors and warnings in place of the chart
+   */
+  renderDiagnostics() {
+    const panel = document.createElement('div');
+    panel.className = 'simaerep-diagnostics';
+    panel.setAttribute('role', 'alert');
+    panel.style.borderRadius = '4px';
+    panel.style.padding = '12px';
+    panel.style.fontSize = '13px';
+
+    const title = document.createElement('div');
+    title.className = 'simaerep-diagnostics-title';
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '8px';
+    title.textContent = `Simaerep chart could not be drawn: ${this.validation.errors.length} data error(s) found`;
+    panel.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.style.margin = '0';
+    list.style.paddingLeft = '20px';
+
+    [...this.validation.errors, ...this.validation.warnings].forEach(issue => {
+      const item = document.createElement('li');
+      item.className = `simaerep-diagnostics-${issue.level}`;
+      item.setAttribute('data-code', issue.code);
+      item.style.marginBottom = '4px';
+      item.textContent = `${issue.level === 'error' ? 'Error' : 'Warning'}: ${issue.message}`;
+      list.appendChild(item);
+    });
+
+    panel.appendChild(list);
+    this.container.appendChild(panel);
+  }
+
+  /**
+   * Label the overview canvas and add a visually hidden summary of the flagged sites
+   */
+  addChartSummary(parent) {
+    const siteLabels = this.rawData.df_label_sites || [];
+    const flaggedSites = this.getFlaggedSites();
+    const groupLevel = this.config.GroupLevel.toLowerCase();
+
+    this.canvas.setAttribute('aria-label',
+      `${this.config.Metric} simaerep chart: ${siteLabels.length} ${groupLevel}s, ${flaggedSites.length} flagged`);
+
+    const summary = hideVisually(document.createElement('div'));
+    summary.className = 'simaerep-chart-summary';
+    summary.id = `${this.tooltipId}-summary`;
+
+    const flaggedText = flaggedSites.length > 0
+      ? `Flagged ${groupLevel}s: ${flaggedSites.map(site => this.getSiteSummary(site.GroupID)).join('; ')}.`
+      : `No flagged ${groupLevel}s.`;
+    summary.textContent = `${flaggedText} Use the arrow keys to move through ${groupLevel}s, ` +
+      'Enter to select and Escape to clear the selection.';
+
+    parent.appendChild(summary);
+    this.canvas.setAttribute('aria-describedby', summary.id);
+  }
+
+  /**
+   * Short text description of a site: title, Score and Flag
+   */
+  getSiteSummary(groupID) {
+    const site = (this.rawData.df_label_sites || []).find(row => row.GroupID === groupID);
+    const title = this.getSitePlotTitle(groupID);
+    if (!site) return title;
+
+    const score = parseFloat(site.Score);
+    const details = [];
+    if (Number.isFinite(score)) {
+      details.push(`${this.config.Score} ${score.toFixed(2)}`);
+    }
+    if (site.Flag !== undefined) {
+      details.push(`Flag ${site.Flag}`);
+    }
+    return details.length > 0 ? `${title} (${details.join(', ')})` : title;
+  }
+
+  /**
+   * Sites reachable by keyboard in the overview: flagged sites in right-panel order,
+   * then all other sites
+   */
+  getNavigableSites() {
+    const flaggedIDs = this.getFlaggedSites().map(site => site.GroupID);
+    const otherIDs = (this.rawData.df_label_sites || [])
+      .map(site => site.GroupID)
+      .filter(groupID => !flaggedIDs.includes(groupID));
+    // Sites hidden in the legend are skipped
+    const hiddenIDs = new Set((this.chartInstance ? this.chartInstance.data.datasets : [])
+      .filter(dataset => dataset.hidden)
+      .map(dataset => dataset.groupID));
+    return [...flaggedIDs, ...otherIDs].filter(groupID => !hiddenIDs.has(groupID));
+  }
+
+  /**
+   * Keyboard navigation of the overview: arrow keys, Home and End move through the sites,
+   * Enter selects the current site and Escape clears the selection
+   */
+  handleOverviewKeydown(event) {
+    const groupIDs = this.getNavigableSites();
+
+    const nextIndex = getRovingIndex(event.key, this.activeSiteIndex, groupIDs.length);
+    if (nextIndex !== null) {
+      event.preventDefault();
+      this.activeSiteIndex = nextIndex;
+      const groupID = groupIDs[nextIndex];
+      this.highlightSitePlot(groupID);
+      this.showTooltipForSite(groupID);
+      this.announce(`${this.getSiteSummary(groupID)}, ${nextIndex + 1} of ${groupIDs.length}`);
+      return;
+    }
+
+    if (event.key === 'Enter' && groupIDs[this.activeSiteIndex] !== undefined) {
+      event.preventDefault();
+      // Ctrl/Cmd+Enter adds or removes the current site, like ctrl-click
+      if (event.ctrlKey || event.metaKey) {
+        this.toggleSite(groupIDs[this.activeSiteIndex]);
+      } else {
+        this.selectSite(groupIDs[this.activeSiteIndex]);
+      }
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.activeSiteIndex = -1;
+      this.clearSelection();
+    }
+  }
+
+  /**
+   * Keyboard navigation of the right panel (roving tabindex over the site plots)
+   */
+  handleSitePlotKeydown(event) {
+    const plots = Array.from(this.sitePlots.values());
+    const index = plots.findIndex(plot => plot.container === document.activeElement);
+
+    const nextIndex = getRovingIndex(event.key, index, plots.length);
+    if (nextIndex !== null) {
+      event.preventDefault();
+      this.focusSitePlot(plots[nextIndex].groupID);
+      return;
+    }
+
+    if ((event.key === 'Enter' || event.key === ' ') && index >= 0) {
+      event.preventDefault();
+      this.selectSite(plots[index].groupID);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.clearSelection();
+    }
+  }
+
+  /**
+   * Move the roving tabindex of the right panel to a site plot and focus it
+   */
+  focusSitePlot(groupID) {
+    const target = this.sitePlots.get(groupID);
+    if (!target) return;
+
+    this.sitePlots.forEach(plot => {
+      plot.container.tabIndex = plot === target ? 0 : -1;
+    });
+    this.focusedSitePlotID = groupID;
+    this.mountSitePlot(groupID);
+    target.container.focus();
+  }
+
+  /**
+   * Clear the site and country selection (Escape key)
+   */
+  clearSelection() {
+    const selection = this.data.config.selectedGroupIDs;
+    const hasSelection = Array.isArray(selection) ? selection.length > 0 : selection !== 'None';
+    if (!hasSelection && this.selectedCountry === 'None') return;
+
+    if (this.selectedCountry !== 'None') {
+      this.selectCountry('None');
+    } else {
+      this.selectSite('None');
+    }
+  }
+
+  /**
+   * Render the left panel (main overview chart)
    */
   renderLeftPanel() {
     // Create Chart.js instance
     const datasets = this.processData();
+    const zoomLimits = this.getZoomLimits('overview');
+    // The lasso plugin comes before the zoom plugin, so lasso drags do not pan
+    const plugins = [
+      this.getCrosshairPlugin('overview'),
+      createLassoPlugin({ onLasso: (chart, polygon, event) => this.asUser(() => this.handleLasso(polygon, event)) }),
+    ];
+    if (this.data.config.enableZoom) {
+      plugins.push(this.getZoomPlugin('overview'));
+    }
+    
+    this.chartInstance = new Chart(this.canvas, {
+      type: 'line',
+      data: { datasets },
+      plugins,
+      options: {
+        responsive: true,
+        maintainAspectRatio: this.config.height === 'auto',
+        aspectRatio: this.config.aspectRatio,
+        scales: {
+          x: {
+            type: 'linear',
+            ...zoomLimits.x,
+            title: {
+              display: true,
+              text: this.config.Denominator,
+              color: this.theme.textMuted
+            },
+            grid: {
+              display: true,
+              color: this.theme.grid
+            },
+            ticks: {
+              color: this.theme.textMuted
+            }
+          },
+          y: {
+            ...zoomLimits.y,
+            title: {
+              display: true,
+              text: `Average Cumulative ${this.config.Numerator} Count`,
+              color: this.theme.textMuted
+            },
+            grid: {
+              display: true,
+              color: this.theme.grid
+            },
+            ticks: {
+              color: this.theme.textMuted
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            display: false
+          },
+          tooltip: this.getTooltipConfig('left')
+        },
+        interaction: {
+          mode: 'nearest',
+          intersect: false
+        },
+        // Outline the right-panel plot of the hovered flagged site
+        onHover: (event, elements) => this.handleOverviewHover(elements),
+        // Ctrl/Cmd-click adds or removes the clicked site from the selection
+        onClick: (event, elements) => this.asUser(() => this.handleOverviewClick(event, elements))
+      }
+    });
+
+    if (this.data.config.showLegend) {
+      this.addLegend(datasets);
+    }
+  }
+
+  /**
+   * Add the interactive legend above the overview: one entry per siteType and Flag with
+   * the number of sites, click toggles an entry and double-click isolates it
+   */
+  addLegend(datasets) {
+    this.legendItems = getLegendItems(datasets);
+
+    const legend = document.createElement('div');
+    legend.className = 'simaerep-legend';
+    legend.setAttribute('role', 'group');
+    legend.setAttribute('aria-label', 'Legend: click to show or hide, double-click to show only this entry');
+    legend.style.display = 'flex';
+    legend.style.flexWrap = 'wrap';
+    legend.style.alignItems = 'center';
+    legend.style.gap = '6px';
+    legend.style.marginBottom = '6px';
+    legend.style.fontSize = '12px';
+
+    this.legendItems.forEach(item => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `simaerep-legend-item simaerep-legend-item--${item.group}`;
+      button.setAttribute('data-legend-key', item.key);
+      button.style.display = 'inline-flex';
+      button.style.alignItems = 'center';
+      button.style.gap = '4px';
+      button.style.padding = '2px 6px';
+      button.style.borderRadius = '4px';
+      button.style.cursor = 'pointer';
+      button.style.fontSize = '12px';
+
+      const swatch = document.createElement('span');
+      swatch.setAttribute('aria-hidden', 'true');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '14px';
+      swatch.style.height = '3px';
+      swatch.style.backgroundColor = sanitizeColor(item.color, this.theme.textMuted);
+      button.appendChild(swatch);
+
+      const label = document.createElement('span');
+      label.textContent = `${item.label} (${item.count})`;
+      button.appendChild(label);
+
+      button.addEventListener('click', () => this.toggleLegendItem(item.key));
+      button.addEventListener('dblclick', () => this.isolateLegendItem(item.key));
+      legend.appendChild(button);
+    });
+
+    // Filter of the flagged sites by reporting direction
+    const filter = document.createElement('select');
+    filter.className = 'simaerep-legend-filter';
+    filter.setAttribute('aria-label', `Flagged ${this.config.GroupLevel.toLowerCase()} filter`);
+    filter.style.padding = '2px 6px';
+    filter.style.borderRadius = '4px';
+    filter.style.fontSize = '12px';
+    [
+      ['all', `All ${this.config.GroupLevel.toLowerCase()}s`],
+      ['over', 'Over-reporting (Flag > 0)'],
+      ['under', 'Under-reporting (Flag < 0)'],
+      ['custom', 'Custom'],
+    ].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      // Shown for combinations picked in the legend, but not selectable
+      if (value === 'custom') {
+        option.disabled = true;
+        option.hidden = true;
+      }
+      filter.appendChild(option);
+    });
+    filter.addEventListener('change', (e) => this.setFlagFilter(e.target.value));
+    legend.appendChild(filter);
+
+    this.legend = legend;
+    this.leftPanel.insertBefore(legend, this.canvas);
+    this.updateLegend();
+  }
+
+  /**
+   * Mark the hidden legend entries and sync the flagged site filter
+   */
+  updateLegend() {
+    if (!this.legend) return;
+
+    this.legend.querySelectorAll('.simaerep-legend-item').forEach(button => {
+      const [group, value] = button.getAttribute('data-legend-key').split(':');
+      const isHidden = group === 'siteType'
+        ? this.isLegendHidden(value, null)
+        : this.isLegendHidden(null, Number(value));
+      button.setAttribute('aria-pressed', String(!isHidden));
+      button.style.opacity = isHidden ? '0.4' : '1';
+      button.style.textDecoration = isHidden ? 'line-through' : 'none';
+    });
+
+    this.legend.querySelector('.simaerep-legend-filter').value = this.getFlagFilter();
+  }
+
+  /**
+   * Get or create the external tooltip container
+   * @param {string} tooltipIdSuffix - Optional suffix to create unique tooltip IDs
+   */
+  getOrCreateTooltip(tooltipIdSuffix = '') {
+    const tooltipId = this.tooltipId + tooltipIdSuffix;
+    // Look for tooltip in this widget's container
+    let tooltipEl = this.container.querySelector(`#${tooltipId}`);
+    if (!tooltipEl) {
+      tooltipEl = document.createElement('div');
+      tooltipEl.id = tooltipId;
+      // Colors, border and font come from the theme stylesheet
+      tooltipEl.className = 'simaerep-tooltip';
+      tooltipEl.style.cssText = `
+        position: absolute;
+        border-radius: 4px;
+        padding: 10px;
+        pointer-events: none;
+        font-size: 12px;
+        z-index: 10000;
+        max-width: 400px;
+        transition: opacity 0.1s ease;
+      `;
+      // Append to widget container (which has position: relative and overflow: visible)
+      this.container.appendChild(tooltipEl);
+    }
+    return tooltipEl;
+  }
+
+  /**
+   * Get the tooltip title of a line: patient, study or site (with investigator and enrollment)
+   */
+  getTooltipTitle(dataset, groupID) {
+    // Handle patient lines
+    if (dataset.dataType === 'patient') {
+      return `Patient ${dataset.subjectID}`;
+    }
+    
+    // Handle study line
+    if (dataset.siteType === 'study') {
+      return 'Study Mean';
+    }
+    
+    // Site title
+    const metadata = this.groupMetadata?.get(groupID);
+    let title = `Site ${groupID}`;
+    if (metadata) {
+      const name = metadata.InvestigatorLastName || '';
+      const enrolled = metadata.ParticipantCount;
+      if (name) title += ` - ${name}`;
+      if (enrolled !== undefined) title += ` (${enrolled} enrolled)`;
+    }
+    return title;
+  }
+
+  /**
+   * Get the basic metric lines of a tooltip (Numerator, Denominator, Score, Delta, Flag)
+   */
+  getTooltipMetrics(context) {
+    const dataset = context.dataset;
+    const groupID = dataset.groupID;
+    const siteInfo = this.siteMetadata[groupID];
+    const value = context.parsed.y.toFixed(2);
+    const xValue = context.parsed.x.toFixed(0);
+    
+    const lines = [
+      `${this.config.Numerator}: ${value}`,
+      `${this.config.Denominator}: ${xValue}`,
+    ];
+    
+    // Add the totals of a patient compared with the study rate
+    if (dataset.dataType === 'patient' && dataset.patient) {
+      const patient = dataset.patient;
+      lines.push(`Total ${this.config.Numerator}: ${patient.Events}`);
+      lines.push(`Total ${this.config.Denominator}: ${patient.Visits}`);
+      lines.push(`Rate: ${patient.Rate.toFixed(3)} (study ${this.patientSummary.studyRate.toFixed(3)})`);
+      if (patient.Outlier) {
+        lines.push(`Outlier: ${patient.Outlier === 'over' ? 'above' : 'below'} the study rate`);
+      }
+    }
+
+    // Add KRI metrics from df_label_sites
+    if (siteInfo && dataset.siteType !== 'study' && dataset.dataType !== 'patient') {
+      if (siteInfo.Score !== undefined) {
+        lines.push(`${this.config.Score}: ${Number(siteInfo.Score).toFixed(2)}`);
+      }
+      if (siteInfo.ExpectedNumerator !== undefined) {
+        lines.push(`${this.config.ExpectedNumerator}: ${Number(siteInfo.ExpectedNumerator).toFixed(2)}`);
+      }
+      if (siteInfo.Flag !== undefined) {
+        lines.push(`Flag: ${siteInfo.Flag}`);
+      }
+    }
+    
+    return lines;
+  }
+
+  /**
+   * Get the df_groups metadata lines of a site tooltip, as configured by
+   * groupTooltipKeys and groupTooltipFormats
+   */
+  getTooltipExtraInfo(groupID) {
+    const metadata = this.groupMetadata?.get(groupID);
+    if (!metadata) return [];
+
+    // Investigator Name combines the first and last name fields
+    const name = [metadata.InvestigatorFirstName, metadata.InvestigatorLastName].filter(Boolean).join(' ');
+    const group = name ? { InvestigatorName: name, ...metadata } : metadata;
+
+    return formatGroupTooltipLabel(group, {
+      groupTooltipKeys: this.data.config.groupTooltipKeys || DEFAULT_GROUP_TOOLTIP_KEYS,
+      groupTooltipFormats: this.data.config.groupTooltipFormats,
+    });
+  }
+
+  /**
+   * Build title HTML with colored box indicator (the title is escaped)
+   */
+  buildTitleHtml(color, title) {
+    return `${this.buildColorBoxHtml(color)}${escapeHtml(title)}`;
+  }
+
+  /**
+   * Build the colored box shown before a tooltip title
+   */
+  buildColorBoxHtml(color) {
+    return `<span style="display:inline-block;width:10px;height:10px;background:${sanitizeColor(color)};margin-right:6px;vertical-align:middle;"></span>`;
+  }
+
+  /**
+   * Build basic metrics HTML (Numerator, Denominator, Score, Delta, Flag; lines are escaped)
+   */
+  buildBasicMetricsHtml(lines) {
+    return `<div>${lines.map(escapeHtml).join('<br>')}</div>`;
+  }
+
+  /**
+   * Build the separated block of extra information lines, e.g. df_groups metadata (lines are escaped)
+   */
+  buildExtraInfoHtml(lines) {
+    if (lines.length === 0) return '';
+    return `<div class="simaerep-tooltip-extra" style="margin-top:8px;padding-top:8px;font-size:11px;">${lines.map(escapeHtml).join('<br>')}</div>`;
+  }
+
+  /**
+   * Get the content of the tooltip section of one data point, passed through
+   * config.tooltipFormatter when provided
+   * @param {Object} item - Chart.js tooltip item
+   * @param {string} panel - 'overview' or 'site'
+   * @param {boolean} includeExtra - whether df_groups metadata is shown
+   * @param {string} panelGroupID - GroupID of the site plot (site panel only)
+   * @returns {Object} { title, metrics, extra } text, or { node } for custom DOM content
+   */
+  getTooltipContent(item, panel, includeExtra, panelGroupID = null) {
+    const dataset = item.dataset;
+    const groupID = dataset.groupID;
+    const isSite = dataset.siteType !== 'study' && dataset.dataType !== 'patient';
+
+    const defaults = {
+      title: this.getTooltipTitle(dataset, groupID),
+      metrics: this.getTooltipMetrics(item),
+      extra: includeExtra && isSite ? this.getTooltipExtraInfo(groupID) : [],
+    };
+
+    const formatter = this.data.config.tooltipFormatter;
+    if (typeof formatter !== 'function') return defaults;
+
+    const type = dataset.dataType === 'patient' ? 'patient' : (isSite ? 'site' : 'study');
+    const result = formatter({
+      panel,
+      type,
+      groupID: type === 'site' ? groupID : panelGroupID,
+      subjectID: dataset.subjectID || null,
+      x: item.parsed.x,
+      y: item.parsed.y,
+      dataset,
+      site: isSite ? this.siteMetadata[groupID] || null : null,
+      metadata: isSite ? this.groupMetadata?.get(groupID) || null : null,
+      chart: this,
+    }, defaults);
+
+    if (result === null || result === undefined) return defaults;
+    if (typeof Node !== 'undefined' && result instanceof Node) return { node: result };
+    if (typeof result === 'string') return { title: '', metrics: result.split('\n'), extra: [] };
+
+    // Lines can also be given as one string, like a plain string result
+    const toLines = (lines, fallback) => {
+      if (lines === undefined) return fallback;
+      if (lines === null) return [];
+      return Array.isArray(lines) ? lines : String(lines).split('\n');
+    };
+
+    return {
+      title: result.title !== undefined ? result.title : defaults.title,
+      metrics: toLines(result.metrics, defaults.metrics),
+      extra: toLines(result.extra, defaults.extra),
+    };
+  }
+
+  /**
+   * Check if points are overlapping (same x/y coordinates)
+   */
+  detectOverlappingPoints(tooltipItems) {
+    if (tooltipItems.length <= 1) return false;
     
-    this.chartInstance = new Chart(this.canvas, {
+    // Group by x/y position - consider overlapping if within small threshold
+    const threshold = 0.5;
+    const firstX = tooltipItems[0].parsed.x;
+    const firstY = tooltipItems[0].parsed.y;
+    
+    for (let i = 1; i < tooltipItems.length; i++) {
+      const dx = Math.abs(tooltipItems[i].parsed.x - firstX);
+      const dy = Math.abs(tooltipItems[i].parsed.y - firstY);
+      if (dx > threshold || dy > threshold) {
+        return false; // Points are not overlapping
+      }
+    }
+    return true; // All points are at same position
+  }
+
+  /**
+   * External tooltip handler
+   * @param {Object} context - Chart.js tooltip context
+   * @param {string} tooltipIdSuffix - Optional suffix for unique tooltip IDs
+   * @param {string} panelGroupID - GroupID of the site plot showing the tooltip
+   */
+  externalTooltipHandler(context, tooltipIdSuffix = '', panelGroupID = null) {
+    const { chart, tooltip } = context;
+    const tooltipEl = this.getOrCreateTooltip(tooltipIdSuffix);
+    
+    // Hide if no tooltip
+    if (tooltip.opacity === 0) {
+      tooltipEl.style.opacity = '0';
+      return;
+    }
+    
+    // Get tooltip items
+    const tooltipItems = tooltip.dataPoints || [];
+    if (tooltipItems.length === 0) {
+      tooltipEl.style.opacity = '0';
+      return;
+    }
+    
+    // Detect if points are overlapping
+    const isOverlapping = this.detectOverlappingPoints(tooltipItems);
+    
+    // Build tooltip content; site plot tooltips have an ID suffix
+    const panel = tooltipIdSuffix ? 'site' : 'overview';
+    const showAll = isOverlapping && tooltipItems.length > 1;
+    // Overlapping: show all titles + basic metrics for each (no extra info)
+    // Single point or non-overlapping: show full tooltip with extra info
+    const items = showAll ? tooltipItems : [tooltipItems[0]];
+
+    tooltipEl.innerHTML = '';
+    items.forEach((item, index) => {
+      const content = this.getTooltipContent(item, panel, !showAll, panelGroupID);
+      const section = document.createElement('div');
+      section.style.marginBottom = index < items.length - 1 ? '12px' : '0';
+
+      if (content.node) {
+        section.appendChild(content.node);
+      } else {
+        let html = '';
+        if (content.title) {
+          // Title with colored box
+          html += `<div style="font-weight:bold;font-size:14px;margin-bottom:${showAll ? 4 : 8}px;">`;
+          html += this.buildTitleHtml(item.dataset.borderColor, content.title);
+          html += `</div>`;
+        }
+        // Basic metrics
+        html += this.buildBasicMetricsHtml(content.metrics);
+        // Extra information (only for non-overlapping)
+        html += this.buildExtraInfoHtml(content.extra);
+        section.innerHTML = html;
+      }
+
+      tooltipEl.appendChild(section);
+    });
+
+    tooltipEl.style.opacity = '1';
+    
+    // Position tooltip using absolute positioning relative to this.container
+    // Get positions relative to document
+    const canvasRect = chart.canvas.getBoundingClientRect();
+    const containerRect = this.container.getBoundingClientRect();
+    
+    // Calculate offset from container to canvas
+    const offsetX = canvasRect.left - containerRect.left;
+    const offsetY = canvasRect.top - containerRect.top;
+    
+    // caretX/caretY are pixel positions within the canvas
+    // Convert to container-relative coordinates
+    let left = offsetX + tooltip.caretX + 10;
+    let top = offsetY + tooltip.caretY;
+    
+    // Get tooltip dimensions after content is set
+    const tooltipWidth = tooltipEl.offsetWidth;
+    const tooltipHeight = tooltipEl.offsetHeight;
+    
+    // Center tooltip vertically on caret
+    top = top - tooltipHeight / 2;
+    
+    // Prevent tooltip from going off the right edge of container - flip to left side
+    const containerWidth = this.container.offsetWidth;
+    if (left + tooltipWidth > containerWidth) {
+      left = offsetX + tooltip.caretX - tooltipWidth - 10;
+    }
+    
+    // Keep tooltip within reasonable vertical bounds (relative to container)
+    if (top < 0) {
+      top = 0;
+    }
+    
+    tooltipEl.style.left = `${left}px`;
+    tooltipEl.style.top = `${top}px`;
+  }
+
+  /**
+   * Get tooltip configuration for a panel
+   * @param {string} panelType - 'left' or 'right'
+   * @param {string} tooltipIdSuffix - Optional suffix to create unique tooltip IDs
+   * @param {string} panelGroupID - GroupID of the site plot (right panel only)
+   */
+  getTooltipConfig(panelType = 'left', tooltipIdSuffix = '', panelGroupID = null) {
+    return {
+      enabled: false, // Disable built-in tooltip
+      mode: 'nearest',
+      intersect: false,
+      external: (context) => this.externalTooltipHandler(context, tooltipIdSuffix, panelGroupID)
+    };
+  }
+
+  /**
+   * Process patient data for a specific site
+   * Lines are styled by the patient drill-down and carry the patient's totals for the tooltip
+   */
+  processPatientData(groupID) {
+    // Filter visit data for this GroupID
+    const siteVisits = this.visitData.filter(visit => visit.GroupID === groupID);
+    
+    // Group by SubjectID
+    const patientGroups = {};
+    siteVisits.forEach(visit => {
+      const subjectID = visit.SubjectID.toString();
+      if (!patientGroups[subjectID]) {
+        patientGroups[subjectID] = [];
+      }
+      patientGroups[subjectID].push({
+        x: parseFloat(visit.Denominator),
+        y: parseFloat(visit.Numerator)
+      });
+    });
+
+    // Convert to Chart.js datasets
+    const datasets = Object.entries(patientGroups).map(([subjectID, points]) => ({
+      label: `Patient ${subjectID}`,
+      data: points,
+      pointRadius: 0,
+      tension: 0,
+      fill: false,
+      subjectID: subjectID,
+      siteGroupID: groupID,
+      patient: this.getPatient(groupID, subjectID),
+      dataType: 'patient',
+      ...this.getPatientLineStyle(groupID, subjectID)
+    }));
+
+    return datasets;
+  }
+
+  /**
+   * Get the totals, rate and outlier marker of a patient (see summarizePatients)
+   * @returns {Object|null} patient summary, or null for patients without numeric visits
+   */
+  getPatient(groupID, subjectID) {
+    return this.getSitePatients(groupID).find(patient => patient.SubjectID === subjectID) || null;
+  }
+
+  /**
+   * Get the patient summaries of a site
+   */
+  getSitePatients(groupID) {
+    if (!this.patientSummary) {
+      this.patientSummary = summarizePatients(this.visitData);
+    }
+    return this.patientSummary.patients.filter(patient => patient.GroupID === groupID);
+  }
+
+  /**
+   * Colors, width and layer of a patient line: the highlighted patient is drawn on top in
+   * the accent color and the other patients of its site are dimmed
+   */
+  getPatientLineStyle(groupID, subjectID) {
+    const selected = this.selectedPatient;
+    const isDrilledSite = selected && selected.groupID === groupID && selected.subjectID !== null;
+
+    let color = this.theme.patient;
+    let borderWidth = 1;
+    let order = 3; // Bottom layer
+    if (isDrilledSite && selected.subjectID === subjectID) {
+      color = this.theme.accent;
+      borderWidth = 2.5;
+      order = 0; // Above the site and study lines
+    } else if (isDrilledSite) {
+      color = this.theme.patientDimmed;
+    }
+
+    return { borderColor: color, backgroundColor: color, borderWidth, order };
+  }
+
+  /**
+   * Click on a site plot: clicking a patient line highlights it and opens the patient table
+   * of the site, clicking the highlighted patient again removes the highlight
+   */
+  handleSitePlotClick(groupID, elements) {
+    const plot = this.sitePlots.get(groupID);
+    const chart = plot && plot.chart;
+    if (!chart || !elements || elements.length === 0) return;
+
+    const dataset = chart.data.datasets[elements[0].datasetIndex];
+    if (!dataset || dataset.dataType !== 'patient') return;
+
+    const selected = this.selectedPatient;
+    const isSelected = selected && selected.groupID === groupID && selected.subjectID === dataset.subjectID;
+    this.selectPatient(groupID, isSelected ? null : dataset.subjectID);
+  }
+
+  /**
+   * Highlight a patient in its site plot and show the patient table of the site
+   * Dispatches 'patient-selected' with { groupID, subjectID, patient }
+   * @param {string|null} groupID - site of the patient table (null closes the table)
+   * @param {string|null} subjectID - highlighted patient (null shows the table without a highlight)
+   */
+  selectPatient(groupID, subjectID = null) {
+    const previous = this.selectedPatient;
+    this.selectedPatient = groupID === null || groupID === undefined
+      ? null
+      : { groupID: String(groupID), subjectID: subjectID === null || subjectID === undefined ? null : String(subjectID) };
+
+    // Restyle the patient lines of the previous and new site in place
+    const changedSites = [previous && previous.groupID, this.selectedPatient && this.selectedPatient.groupID];
+    this.sitePlotCharts
+      .filter(item => changedSites.includes(item.groupID))
+      .forEach(item => {
+        item.chart.data.datasets
+          .filter(dataset => dataset.dataType === 'patient')
+          .forEach(dataset => Object.assign(dataset, this.getPatientLineStyle(item.groupID, dataset.subjectID)));
+        item.chart.update('none');
+      });
+
+    this.renderPatientPanel();
+
+    const selected = this.selectedPatient;
+    const patient = selected && selected.subjectID !== null ? this.getPatient(selected.groupID, selected.subjectID) : null;
+    if (patient) {
+      this.announce(`Patient ${patient.SubjectID} of ${this.config.GroupLevel} ${patient.GroupID} highlighted`);
+    }
+
+    // Trigger change event for integration with other widgets (e.g. a subject listing)
+    const event = new CustomEvent('patient-selected', {
+      detail: {
+        groupID: selected ? selected.groupID : null,
+        subjectID: selected ? selected.subjectID : null,
+        patient,
+      },
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Add the (initially hidden) patient table panel below the site plots
+   */
+  addPatientPanel(parent) {
+    const panel = document.createElement('div');
+    panel.className = 'simaerep-patient-panel';
+    panel.style.flex = '0 1 auto';
+    panel.style.maxHeight = '40%';
+    panel.style.overflowY = 'auto';
+    panel.style.padding = '0 10px';
+    panel.style.display = 'none';
+    panel.setAttribute('role', 'region');
+    parent.appendChild(panel);
+
+    this.patientPanel = panel;
+  }
+
+  /**
+   * Render the patients of the drilled-down site with their totals, event rate against the
+   * study rate and outlier marker; rows highlight their patient line
+   */
+  renderPatientPanel() {
+    if (!this.patientPanel) return;
+
+    const selected = this.selectedPatient;
+    const patients = selected ? this.getSitePatients(selected.groupID) : [];
+    this.patientPanel.innerHTML = '';
+    if (patients.length === 0) {
+      this.patientPanel.style.display = 'none';
+      return;
+    }
+
+    this.patientPanel.style.display = 'block';
+    const title = `Patients of ${this.config.GroupLevel} ${selected.groupID}`;
+    this.patientPanel.setAttribute('aria-label', title);
+
+    const header = document.createElement('div');
+    header.className = 'simaerep-patient-panel-header';
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    header.style.alignItems = 'center';
+    header.style.fontSize = '12px';
+
+    const studyRate = document.createElement('span');
+    studyRate.className = 'simaerep-patient-panel-study-rate';
+    studyRate.textContent = `Study ${this.config.Abbreviation} rate: ${this.patientSummary.studyRate.toFixed(3)}`;
+    header.appendChild(studyRate);
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'simaerep-patient-panel-close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close patient table');
+    close.style.padding = '0 6px';
+    close.style.borderRadius = '4px';
+    close.style.cursor = 'pointer';
+    close.addEventListener('click', () => this.selectPatient(null));
+    header.appendChild(close);
+    this.patientPanel.appendChild(header);
+
+    const table = document.createElement('div');
+    this.patientPanel.appendChild(table);
+
+    const formatRate = value => (Number.isFinite(value) ? value.toFixed(3) : 'NA');
+    const outlierLabels = { over: '▲ Over', under: '▼ Under' };
+    renderDataTable(table, {
+      caption: title,
+      className: 'simaerep-patient-table',
+      columns: [
+        { key: 'SubjectID', label: 'Patient' },
+        { key: 'Events', label: `Total ${this.config.Abbreviation}s` },
+        { key: 'Visits', label: `Total ${this.config.Denominator}` },
+        { key: 'Rate', label: `${this.config.Abbreviation} rate`, format: formatRate },
+        { key: 'RateRatio', label: 'vs. Study', format: value => (Number.isFinite(value) ? `×${value.toFixed(2)}` : 'NA') },
+        { key: 'Outlier', label: 'Outlier', format: value => outlierLabels[value] || '' },
+      ],
+      rows: patients,
+      state: this.dataTableState.patients,
+      onStateChange: () => this.emitStateChange(),
+      rowKey: 'SubjectID',
+      isSelected: row => selected.subjectID === row.SubjectID,
+      onRowClick: row => this.selectPatient(selected.groupID, row.SubjectID),
+    });
+  }
+
+  /**
+   * Render site plots in the right panel
+   * Every flagged site gets a lightweight placeholder; Chart.js instances are only created
+   * for plots in or near the visible part of the panel and their canvases are recycled
+   */
+  renderSitePlots() {
+    if (!this.rightPanel) return;
+
+    // Clear right panel
+    this.unmountSitePlots();
+    this.rightPanel.innerHTML = '';
+    this.sitePlots = new Map();
+
+    const { sitePlotInclude, sitePlotGroupBy } = this.data.config;
+    const level = this.config.GroupLevel.toLowerCase();
+    const includeLabels = { flagged: `Flagged ${level}s`, all: `All ${level}s`, custom: `Chosen ${level}s` };
+    this.rightPanel.setAttribute('aria-label', includeLabels[sitePlotInclude] || includeLabels.flagged);
+
+    const flaggedSites = this.getSitePlotSites();
+    if (flaggedSites.length === 0 && (sitePlotInclude !== 'flagged' || this.getFlaggedSites().length > 0)) {
+      const empty = document.createElement('div');
+      empty.className = 'simaerep-site-plots-empty';
+      empty.style.gridColumn = '1 / -1';
+      empty.style.padding = '10px';
+      empty.textContent = sitePlotInclude === 'custom' && this.data.config.sitePlotGroupIDs.length === 0
+        ? `No ${level}s chosen: select ${level}s and click "Use selection"`
+        : `No ${sitePlotInclude === 'flagged' ? 'flagged ' : ''}${level}s match the legend filter`;
+      this.rightPanel.appendChild(empty);
+    }
+
+    // Country groups are wrappers without a box, so their plots stay items of the grid
+    let groupContainer = this.rightPanel;
+    let groupCountry;
+    flaggedSites.forEach(site => {
+      if (sitePlotGroupBy === 'Country' && this.getSiteCountry(site) !== groupCountry) {
+        groupCountry = this.getSiteCountry(site);
+        groupContainer = this.createSitePlotGroup(groupCountry,
+          flaggedSites.filter(other => this.getSiteCountry(other) === groupCountry).length);
+        this.rightPanel.appendChild(groupContainer);
+      }
+
+      const plot = this.createSitePlotContainer(site);
+      this.sitePlots.set(site.GroupID, plot);
+
+      // Add to right panel
+      groupContainer.appendChild(plot.container);
+    });
+
+    // Roving tabindex: only one site plot is in the tab order
+    const tabbable = this.sitePlots.get(this.focusedSitePlotID) ||
+      Array.from(this.sitePlots.values()).find(plot => this.isSiteSelected(plot.groupID)) ||
+      this.sitePlots.values().next().value;
+    if (tabbable) {
+      tabbable.container.tabIndex = 0;
+    }
+
+    this.sizeRightPanel();
+
+    // Mount the plots visible before scrolling right away, the others once they scroll into view
+    flaggedSites.slice(0, this.config.maxVisibleSitePlots).forEach(site => {
+      this.mountSitePlot(site.GroupID);
+    });
+    this.observeSitePlots();
+  }
+
+  /**
+   * Sites shown in the right panel, in display order: flagged, all or the chosen sites
+   * (sitePlotInclude) of the categories visible in the legend, sorted by sitePlotSortKey
+   * and grouped by country when sitePlotGroupBy is 'Country'
+   */
+  getSitePlotSites() {
+    const { sitePlotInclude, sitePlotGroupIDs, sitePlotSortKey, sitePlotSortOrder, sitePlotGroupBy } = this.data.config;
+    const siteLabels = this.rawData.df_label_sites || [];
+
+    let sites;
+    if (sitePlotInclude === 'all') {
+      sites = siteLabels.slice();
+    } else if (sitePlotInclude === 'custom') {
+      sites = siteLabels.filter(site => sitePlotGroupIDs.includes(site.GroupID));
+    } else {
+      sites = siteLabels.filter(site => this.isFlaggedSite(site));
+    }
+
+    const getValue = site => (sitePlotSortKey === 'Country' ? this.getSiteCountry(site) : site[sitePlotSortKey]);
+    return sites
+      .filter(site => !this.isLegendHidden(this.isFlaggedSite(site) ? 'flagged' : 'unflagged', this.getSiteFlag(site.GroupID)))
+      .sort((a, b) => {
+        const byCountry = sitePlotGroupBy === 'Country'
+          ? compareValues(this.getSiteCountry(a), this.getSiteCountry(b))
+          : 0;
+        return byCountry || compareValues(getValue(a), getValue(b), sitePlotSortOrder);
+      });
+  }
+
+  /**
+   * Country of a site from groupMetadata or df_label_sites (null when unknown)
+   */
+  getSiteCountry(site) {
+    const metadata = this.groupMetadata?.get(site.GroupID);
+    return (metadata && metadata.Country) || site.Country || null;
+  }
+
+  /**
+   * Check whether a row of df_label_sites is flagged (non-zero Flag)
+   */
+  isFlaggedSite(site) {
+    const flag = parseFloat(site.Flag);
+    return Number.isFinite(flag) && flag !== 0;
+  }
+
+  /**
+   * Create the group of the site plots of a country, headed by the country name
+   */
+  createSitePlotGroup(country, count) {
+    const label = `${country || 'Unknown country'} (${count})`;
+
+    const group = document.createElement('div');
+    group.className = 'simaerep-site-plot-group';
+    group.style.display = 'contents';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', label);
+
+    const header = document.createElement('div');
+    header.className = 'simaerep-site-plot-group-header';
+    header.setAttribute('aria-hidden', 'true');
+    header.style.gridColumn = '1 / -1';
+    header.style.fontWeight = 'bold';
+    header.style.fontSize = '13px';
+    header.textContent = label;
+    group.appendChild(header);
+
+    return group;
+  }
+
+  /**
+   * Add the control bar of the right panel: sort key and order, country grouping and
+   * the sites shown (flagged, all or a chosen list)
+   */
+  addSitePlotControls(parent) {
+    const level = this.config.GroupLevel;
+    const controls = document.createElement('div');
+    controls.className = 'simaerep-site-plot-controls';
+    controls.setAttribute('role', 'toolbar');
+    controls.setAttribute('aria-label', `${level} plot options`);
+    controls.style.display = 'flex';
+    controls.style.flexWrap = 'wrap';
+    controls.style.alignItems = 'center';
+    controls.style.gap = '6px';
+    controls.style.fontSize = '12px';
+
+    const addSelect = (className, label, options, onChange) => {
+      const select = document.createElement('select');
+      select.className = className;
+      select.setAttribute('aria-label', label);
+      select.style.padding = '2px 6px';
+      select.style.borderRadius = '4px';
+      select.style.fontSize = '12px';
+      options.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', (e) => onChange(e.target.value));
+      controls.appendChild(select);
+      return select;
+    };
+
+    addSelect('simaerep-site-plot-sort', 'Sort by', [
+      ['Score', 'Sort: Score'],
+      ['ExpectedNumerator', `Sort: ${this.config.ExpectedNumerator}`],
+      ['nSubjects', 'Sort: Subjects'],
+      ['GroupID', `Sort: ${level} ID`],
+      ['Country', 'Sort: Country'],
+    ], value => this.setSitePlotOptions({ sitePlotSortKey: value }));
+
+    const order = document.createElement('button');
+    order.type = 'button';
+    order.className = 'simaerep-site-plot-order';
+    order.style.padding = '2px 8px';
+    order.style.borderRadius = '4px';
+    order.style.cursor = 'pointer';
+    order.addEventListener('click', () => this.setSitePlotOptions({
+      sitePlotSortOrder: this.data.config.sitePlotSortOrder === 'descending' ? 'ascending' : 'descending',
+    }));
+    controls.appendChild(order);
+
+    addSelect('simaerep-site-plot-group-by', 'Group by', [
+      ['none', 'No grouping'],
+      ['Country', 'Group by country'],
+    ], value => this.setSitePlotOptions({ sitePlotGroupBy: value }));
+
+    addSelect('simaerep-site-plot-include', `${level}s shown`, [
+      ['flagged', `Flagged ${level.toLowerCase()}s`],
+      ['all', `All ${level.toLowerCase()}s`],
+      ['custom', 'Chosen list'],
+    ], value => {
+      // A new list starts from the current selection
+      const options = { sitePlotInclude: value };
+      if (value === 'custom' && this.data.config.sitePlotGroupIDs.length === 0) {
+        options.sitePlotGroupIDs = getSelectedGroupIDs(this.data.config.selectedGroupIDs);
+      }
+      this.setSitePlotOptions(options);
+    });
+
+    const list = document.createElement('input');
+    list.type = 'text';
+    list.className = 'simaerep-site-plot-list';
+    list.setAttribute('aria-label', `Chosen ${level.toLowerCase()}s (comma-separated IDs)`);
+    list.placeholder = `${level} IDs, comma-separated`;
+    list.style.padding = '2px 6px';
+    list.style.borderRadius = '4px';
+    list.style.fontSize = '12px';
+    list.addEventListener('change', (e) => this.setSitePlotOptions({
+      sitePlotGroupIDs: e.target.value.split(',').map(groupID => groupID.trim()).filter(Boolean),
+    }));
+    controls.appendChild(list);
+
+    const useSelection = document.createElement('button');
+    useSelection.type = 'button';
+    useSelection.className = 'simaerep-site-plot-use-selection';
+    useSelection.textContent = 'Use selection';
+    useSelection.style.padding = '2px 8px';
+    useSelection.style.borderRadius = '4px';
+    useSelection.style.cursor = 'pointer';
+    useSelection.addEventListener('click', () => this.setSitePlotOptions({
+      sitePlotGroupIDs: getSelectedGroupIDs(this.data.config.selectedGroupIDs),
+    }));
+    controls.appendChild(useSelection);
+
+    this.sitePlotControls = controls;
+    parent.appendChild(controls);
+    this.syncSitePlotControls();
+  }
+
+  /**
+   * Set the control bar of the right panel to the current options
+   */
+  syncSitePlotControls() {
+    if (!this.sitePlotControls) return;
+
+    const config = this.data.config;
+    const isCustom = config.sitePlotInclude === 'custom';
+    const isDescending = config.sitePlotSortOrder === 'descending';
+    const order = this.sitePlotControls.querySelector('.simaerep-site-plot-order');
+    const list = this.sitePlotControls.querySelector('.simaerep-site-plot-list');
+
+    this.sitePlotControls.querySelector('.simaerep-site-plot-sort').value = config.sitePlotSortKey;
+    this.sitePlotControls.querySelector('.simaerep-site-plot-group-by').value = config.sitePlotGroupBy;
+    this.sitePlotControls.querySelector('.simaerep-site-plot-include').value = config.sitePlotInclude;
+    order.textContent = isDescending ? '↓' : '↑';
+    order.setAttribute('aria-label', isDescending ? 'Descending order' : 'Ascending order');
+    list.value = config.sitePlotGroupIDs.join(', ');
+    list.style.display = isCustom ? '' : 'none';
+    this.sitePlotControls.querySelector('.simaerep-site-plot-use-selection').style.display = isCustom ? '' : 'none';
+  }
+
+  /**
+   * Change the order, grouping or sites of the right panel without re-rendering the overview
+   * @param {Object} options - sitePlotSortKey, sitePlotSortOrder, sitePlotGroupBy,
+   *   sitePlotInclude and/or sitePlotGroupIDs
+   */
+  setSitePlotOptions(options) {
+    Object.assign(this.data.config, options);
+    this.syncSitePlotControls();
+
+    if (this.rightPanel) {
+      this.renderSitePlots();
+      this.renderSelectionChips();
+    }
+    this.emitStateChange();
+  }
+
+  /**
+   * Get flagged sites from df_label_sites, sorted by Score (ascending - most under-reporting first)
+   */
+  getFlaggedSites() {
+    const siteLabels = this.rawData.df_label_sites || [];
+    return siteLabels
+      .filter(site => this.isFlaggedSite(site))
+      .sort((a, b) => {
+        // Sort by Score (ascending order: lowest scores first)
+        const scoreA = parseFloat(a.Score) || 0;
+        const scoreB = parseFloat(b.Score) || 0;
+        return scoreA - scoreB;
+      });
+  }
+
+  /**
+   * Create the container of a site plot (title and an empty canvas wrapper)
+   * @returns {Object} { groupID, site, container, canvasWrapper, chart }
+   */
+  createSitePlotContainer(site) {
+    const groupID = site.GroupID;
+
+    // Create container for this site plot
+    const sitePlotContainer = document.createElement('div');
+    sitePlotContainer.className = 'simaerep-site-plot';
+    sitePlotContainer.setAttribute('data-group-id', groupID);
+    sitePlotContainer.style.borderRadius = '4px';
+    sitePlotContainer.style.padding = '10px';
+    sitePlotContainer.style.aspectRatio = String(this.config.sitePlotAspectRatio); // 1 makes the entire container square (including title)
+    sitePlotContainer.style.display = 'flex';
+    sitePlotContainer.style.flexDirection = 'column';
+    sitePlotContainer.setAttribute('role', 'option');
+    sitePlotContainer.setAttribute('aria-label', this.getSiteSummary(groupID));
+    sitePlotContainer.setAttribute('aria-selected', String(this.isSiteSelected(groupID)));
+    // The theme stylesheet draws the focus ring as a box shadow, since the outline
+    // marks the highlighted site plot
+    sitePlotContainer.tabIndex = -1;
+
+    // Add site title
+    const title = document.createElement('div');
+    title.className = 'site-plot-title';
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '5px';
+    title.style.fontSize = '12px';
+    title.style.flexShrink = '0'; // Title doesn't shrink
+
+    title.textContent = this.getSitePlotTitle(groupID);
+    sitePlotContainer.appendChild(title);
+
+    // Border color and Score gauge by the threshold band of the Score
+    const thresholds = this.getThresholds();
+    const band = getThresholdBand(site.Score, thresholds);
+    if (band) {
+      sitePlotContainer.setAttribute('data-threshold-band', band);
+    }
+    const gauge = this.data.config.showScoreGauge && thresholds.length > 0
+      ? createScoreGauge(site.Score, thresholds)
+      : null;
+    if (gauge) {
+      sitePlotContainer.appendChild(gauge);
+    }
+
+    // Create canvas wrapper to fill remaining space
+    const canvasWrapper = document.createElement('div');
+    canvasWrapper.className = 'simaerep-site-plot-canvas';
+    canvasWrapper.style.flex = '1';
+    canvasWrapper.style.minHeight = '0'; // Allow flex shrinking
+    canvasWrapper.style.position = 'relative';
+    this.addResetZoomButton(groupID, canvasWrapper);
+    sitePlotContainer.appendChild(canvasWrapper);
+
+    return { groupID, site, container: sitePlotContainer, canvasWrapper, chart: null };
+  }
+
+  /**
+   * Build the Chart.js configuration of a site plot
+   * @param {Object} site - row of df_label_sites
+   * @param {Object} optionOverrides - Chart.js options replacing the defaults (e.g. for export)
+   */
+  getSitePlotChartConfig(site, optionOverrides = {}) {
+    const groupID = site.GroupID;
+
+    // Prepare metrics data for chart plugin: Score and Delta are colored by the threshold
+    // band of the Score (read when drawing, so theme switches apply), or by the site color
+    const band = getThresholdBand(site.Score, this.getThresholds());
+    const getLabelColor = () => {
+      const bandColors = { warning: this.theme.thresholdWarning, flag: this.theme.thresholdFlag };
+      return bandColors[band] || site.Color || '#3182BD';
+    };
+    const score = site.Score !== undefined ? Number(site.Score).toFixed(2) : 'N/A';
+    const delta = site.ExpectedNumerator !== undefined ? Number(site.ExpectedNumerator).toFixed(2) : 'N/A';
+    const nPatients = site.nSubjects !== undefined && site.nSubjects !== 'NA' ? site.nSubjects : 'N/A';
+
+    // Get study data for reference line
+    const studyData = this.rawData.df_mean_study || [];
+    const studyPoints = studyData.map(row => ({
+      x: parseFloat(row.Denominator),
+      y: parseFloat(row.cum_mean_dev_event)
+    }));
+
+    // Get patient data for this site
+    const patientDatasets = this.processPatientData(groupID);
+
+    // Get site line data (unflagged sites are shown when the right panel includes them)
+    const siteLineData = [...(this.rawData.df_mean_group_flagged || []), ...(this.rawData.df_mean_group_not_flagged || [])]
+      .filter(row => row.GroupID === groupID)
+      .map(row => ({
+        x: parseFloat(row.Denominator),
+        y: parseFloat(row.cum_mean_dev_event)
+      }));
+
+    // Build datasets: patient lines, site line, study line
+    const datasets = [
+      ...patientDatasets,
+      // Site line (middle layer)
+      {
+        label: `Site ${groupID}`,
+        data: siteLineData,
+        borderColor: site.Color || '#3182BD',
+        backgroundColor: site.Color || '#3182BD',
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0,
+        fill: false,
+        groupID: groupID,
+        siteType: 'flagged',
+        order: 2
+      },
+      // Study reference line (top layer)
+      {
+        label: 'Study',
+        data: studyPoints,
+        borderColor: this.theme.study,
+        backgroundColor: this.theme.study,
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0,
+        fill: false,
+        groupID: 'study',
+        siteType: 'study',
+        order: 1
+      }
+    ];
+
+    // Custom plugin to draw metrics label inside chart area
+    const metricsLabelPlugin = {
+      id: 'metricsLabel',
+      afterDraw: (chart) => {
+        const ctx = chart.ctx;
+        const chartArea = chart.chartArea;
+
+        if (!chartArea) return;
+
+        const padding = 8;
+        const lineHeight = 16;
+        const fontSize = 13; // Slightly bigger than 12px title
+
+        ctx.save();
+        ctx.font = `500 ${fontSize}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        const x = chartArea.left + padding;
+        let y = chartArea.top + padding;
+
+        // Draw Score in band or site color
+        ctx.fillStyle = getLabelColor();
+        ctx.fillText(score, x, y);
+        y += lineHeight;
+
+        // Draw Delta with triangle in band or site color
+        ctx.fillText(`▲ ${delta}`, x, y);
+        y += lineHeight;
+
+        // Draw N in the text color
+        ctx.fillStyle = this.theme.text;
+        ctx.fillText(`N: ${nPatients}`, x, y);
+
+        ctx.restore();
+      }
+    };
+
+    const plugins = [metricsLabelPlugin, this.getCrosshairPlugin(groupID)];
+    if (this.data.config.enableZoom) {
+      plugins.push(this.getZoomPlugin(groupID));
+    }
+    const zoomLimits = this.getZoomLimits(groupID);
+
+    // Pass site plot container to tooltip config so tooltip appears within this container
+    return {
       type: 'line',
       data: { datasets },
+      plugins,
       options: {
         responsive: true,
-        maintainAspectRatio: this.config.height === 'auto',
-        aspectRatio: this.config.aspectRatio,
+        maintainAspectRatio: false, // Fill available space in wrapper
         scales: {
           x: {
             type: 'linear',
+            ...zoomLimits.x,
             title: {
-              display: true,
-              text: this.config.Denominator
+              display: false  // Removed for more space
             },
             grid: {
               display: true,
-              color: '#e0e0e0'
+              color: this.theme.grid
+            },
+            ticks: {
+              font: { size: 10 },
+              color: this.theme.textMuted
             }
           },
           y: {
+            ...zoomLimits.y,
             title: {
-              display: true,
-              text: `Average Cumulative ${this.config.Numerator} Count`
+              display: false  // Removed for more space
             },
             grid: {
               display: true,
-              color: '#e0e0e0'
+              color: this.theme.grid
+            },
+            ticks: {
+              font: { size: 10 },
+              color: this.theme.textMuted
             }
           }
         },
@@ -390,593 +2795,446 @@ class Simaerep {
           legend: {
             display: false
           },
-          tooltip: this.getTooltipConfig('left')
+          tooltip: this.getTooltipConfig('right', `-site-${groupID}`, groupID)
         },
         interaction: {
           mode: 'nearest',
           intersect: false
-        }
-        // Note: No onHover handler - right panel highlighting only happens via selectors
+        },
+        onClick: (event, elements) => this.handleSitePlotClick(groupID, elements),
+        ...optionOverrides
       }
-    });
+    };
   }
 
   /**
-   * Get or create the external tooltip container
-   * @param {string} tooltipIdSuffix - Optional suffix to create unique tooltip IDs
+   * Create the Chart.js instance of a site plot, reusing a recycled canvas if available
+   * @returns {Object|null} Chart.js instance, or null for sites without a site plot
    */
-  getOrCreateTooltip(tooltipIdSuffix = '') {
-    const tooltipId = this.tooltipId + tooltipIdSuffix;
-    // Look for tooltip in this widget's container
-    let tooltipEl = this.container.querySelector(`#${tooltipId}`);
-    if (!tooltipEl) {
-      tooltipEl = document.createElement('div');
-      tooltipEl.id = tooltipId;
-      tooltipEl.style.cssText = `
-        position: absolute;
-        background: rgba(255, 255, 255, 0.95);
-        border: 1px solid black;
-        border-radius: 4px;
-        padding: 10px;
-        pointer-events: none;
-        font-family: roboto, sans-serif;
-        font-size: 12px;
-        z-index: 10000;
-        max-width: 400px;
-        box-shadow: 0 2px 8px rgba(0,0,0,0.15);
-        transition: opacity 0.1s ease;
-      `;
-      // Append to widget container (which has position: relative and overflow: visible)
-      this.container.appendChild(tooltipEl);
+  mountSitePlot(groupID) {
+    const plot = this.sitePlots.get(groupID);
+    if (!plot) return null;
+    if (plot.chart) return plot.chart;
+
+    let canvas = this.canvasPool.pop();
+    if (!canvas) {
+      canvas = document.createElement('canvas');
+      canvas.style.width = '100%';
+      canvas.style.height = '100%';
     }
-    return tooltipEl;
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', `Patient trajectories of ${this.getSiteSummary(groupID)}`);
+    plot.canvasWrapper.insertBefore(canvas, plot.canvasWrapper.firstChild);
+
+    plot.chart = new Chart(canvas, this.getSitePlotChartConfig(plot.site));
+
+    // Store chart instance
+    this.sitePlotCharts.push({ groupID, chart: plot.chart, container: plot.container });
+
+    return plot.chart;
   }
 
   /**
-   * Build title HTML with colored box indicator
+   * Destroy the Chart.js instance of a site plot and keep its canvas for reuse
    */
-  buildTitleHtml(dataset, groupID) {
-    const color = dataset.borderColor || '#333';
-    const metadata = this.groupMetadata?.get(groupID);
-    
-    // Handle patient lines
-    if (dataset.dataType === 'patient') {
-      return `<span style="display:inline-block;width:10px;height:10px;background:${color};margin-right:6px;vertical-align:middle;"></span>Patient ${dataset.subjectID}`;
+  unmountSitePlot(groupID) {
+    const plot = this.sitePlots.get(groupID);
+    if (!plot || !plot.chart) return;
+
+    const canvas = plot.chart.canvas;
+    plot.chart.destroy();
+    plot.chart = null;
+    this.sitePlotCharts = this.sitePlotCharts.filter(item => item.groupID !== groupID);
+
+    // The tooltip of the destroyed chart would otherwise stay visible
+    const tooltip = Array.from(this.container.children)
+      .find(element => element.id === `${this.tooltipId}-site-${groupID}`);
+    if (tooltip) {
+      tooltip.style.opacity = '0';
     }
-    
-    // Handle study line
-    if (dataset.siteType === 'study') {
-      return `<span style="display:inline-block;width:10px;height:10px;background:${color};margin-right:6px;vertical-align:middle;"></span>Study Mean`;
-    }
-    
-    // Site title
-    let title = `Site ${groupID}`;
-    if (metadata) {
-      const name = metadata.InvestigatorLastName || '';
-      const enrolled = metadata.ParticipantCount;
-      if (name) title += ` - ${name}`;
-      if (enrolled !== undefined) title += ` (${enrolled} enrolled)`;
+
+    if (canvas) {
+      canvas.remove();
+      this.canvasPool.push(canvas);
     }
-    return `<span style="display:inline-block;width:10px;height:10px;background:${color};margin-right:6px;vertical-align:middle;"></span>${title}`;
   }
 
   /**
-   * Build basic metrics HTML (Numerator, Denominator, Score, Delta, Flag)
+   * Destroy all site plot chart instances and stop observing the right panel
    */
-  buildBasicMetricsHtml(context) {
-    const dataset = context.dataset;
-    const groupID = dataset.groupID;
-    const siteInfo = this.siteMetadata[groupID];
-    const value = context.parsed.y.toFixed(2);
-    const xValue = context.parsed.x.toFixed(0);
-    
-    const lines = [];
-    
-    // Handle patient lines
-    if (dataset.dataType === 'patient') {
-      lines.push(`${this.config.Numerator}: ${value}`);
-      lines.push(`${this.config.Denominator}: ${xValue}`);
-      return lines.join('<br>');
+  unmountSitePlots() {
+    if (this.sitePlotObserver) {
+      this.sitePlotObserver.disconnect();
+      this.sitePlotObserver = null;
     }
-    
-    lines.push(`${this.config.Numerator}: ${value}`);
-    lines.push(`${this.config.Denominator}: ${xValue}`);
-    
-    // Add KRI metrics from df_label_sites
-    if (siteInfo && dataset.siteType !== 'study') {
-      if (siteInfo.Score !== undefined) {
-        lines.push(`${this.config.Score}: ${Number(siteInfo.Score).toFixed(2)}`);
-      }
-      if (siteInfo.ExpectedNumerator !== undefined) {
-        lines.push(`${this.config.ExpectedNumerator}: ${Number(siteInfo.ExpectedNumerator).toFixed(2)}`);
-      }
-      if (siteInfo.Flag !== undefined) {
-        lines.push(`Flag: ${siteInfo.Flag}`);
+    if (this.rightPanelResizeObserver) {
+      this.rightPanelResizeObserver.disconnect();
+      this.rightPanelResizeObserver = null;
+    }
+
+    Array.from(this.sitePlots.keys()).forEach(groupID => this.unmountSitePlot(groupID));
+
+    // Charts not tracked in sitePlots (e.g. replaced by a re-render)
+    this.sitePlotCharts.forEach(item => {
+      if (item.chart) {
+        item.chart.destroy();
       }
+    });
+    this.sitePlotCharts = [];
+  }
+
+  /**
+   * Mount site plots as they scroll into (or near) the right panel viewport and
+   * unmount them once they leave it. Without IntersectionObserver all plots are mounted.
+   */
+  observeSitePlots() {
+    if (typeof IntersectionObserver === 'undefined') {
+      this.sitePlots.forEach((plot, groupID) => this.mountSitePlot(groupID));
+      return;
+    }
+
+    this.sitePlotObserver = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        const groupID = entry.target.getAttribute('data-group-id');
+        if (entry.isIntersecting) {
+          this.mountSitePlot(groupID);
+        } else {
+          this.unmountSitePlot(groupID);
+        }
+      });
+    }, {
+      root: this.rightPanel,
+      rootMargin: SITE_PLOT_OVERSCAN
+    });
+
+    this.sitePlots.forEach(plot => this.sitePlotObserver.observe(plot.container));
+
+    // Keep the panel height in line with the plot size when the panel is resized
+    if (typeof ResizeObserver !== 'undefined') {
+      this.rightPanelResizeObserver = new ResizeObserver(() => this.sizeRightPanel());
+      this.rightPanelResizeObserver.observe(this.rightPanel);
     }
-    
-    return lines.join('<br>');
   }
 
   /**
-   * Build extra information HTML from df_groups metadata
+   * Limit the right panel height to maxVisibleSitePlots plots; further plots are scrolled to
    */
-  buildExtraInfoHtml(groupID) {
-    const metadata = this.groupMetadata?.get(groupID);
-    if (!metadata) return '';
-    
-    const lines = [];
-    
-    // Specific fields requested in requirements
-    if (metadata.studyid) lines.push(`Study ID: ${metadata.studyid}`);
-    if (metadata.invid) lines.push(`Investigator ID: ${metadata.invid}`);
-    if (metadata.InvestigatorFirstName || metadata.InvestigatorLastName) {
-      const name = [metadata.InvestigatorFirstName, metadata.InvestigatorLastName].filter(Boolean).join(' ');
-      lines.push(`Investigator Name: ${name}`);
-    }
-    if (metadata.Status) lines.push(`Site Status: ${metadata.Status}`);
-    if (metadata.City) lines.push(`City: ${metadata.City}`);
-    if (metadata.State) lines.push(`State: ${metadata.State}`);
-    if (metadata.Country) lines.push(`Country: ${metadata.Country}`);
-    if (metadata.ActiveParticipantCount !== undefined) lines.push(`Active Participant Count: ${metadata.ActiveParticipantCount}`);
-    if (metadata.SiteCount !== undefined) lines.push(`Site Count: ${metadata.SiteCount}`);
-    if (metadata.PercentParticipantsActive !== undefined) lines.push(`Percent Active Participants: ${metadata.PercentParticipantsActive}%`);
-    if (metadata.ActiveParticipants) lines.push(`Active Participants: ${metadata.ActiveParticipants}`);
-    
-    if (lines.length === 0) return '';
-    return `<div style="margin-top:8px;padding-top:8px;border-top:1px solid #ddd;color:#666;font-size:11px;">${lines.join('<br>')}</div>`;
+  sizeRightPanel() {
+    if (!this.rightPanel) return;
+
+    const columns = 2;
+    const gap = 15;
+    const panelPadding = 20;
+    const plotChrome = 22; // Padding and border of a site plot
+    const width = this.rightPanel.clientWidth - panelPadding;
+    if (width <= 0) return;
+
+    const plotWidth = (width - (columns - 1) * gap) / columns;
+    const plotHeight = (plotWidth - plotChrome) / this.config.sitePlotAspectRatio + plotChrome;
+    const rows = Math.ceil(this.config.maxVisibleSitePlots / columns);
+    this.rightPanel.style.maxHeight = `${Math.ceil(rows * plotHeight + (rows - 1) * gap)}px`;
   }
 
   /**
-   * Check if points are overlapping (same x/y coordinates)
+   * Get the title of a site plot
    */
-  detectOverlappingPoints(tooltipItems) {
-    if (tooltipItems.length <= 1) return false;
-    
-    // Group by x/y position - consider overlapping if within small threshold
-    const threshold = 0.5;
-    const firstX = tooltipItems[0].parsed.x;
-    const firstY = tooltipItems[0].parsed.y;
-    
-    for (let i = 1; i < tooltipItems.length; i++) {
-      const dx = Math.abs(tooltipItems[i].parsed.x - firstX);
-      const dy = Math.abs(tooltipItems[i].parsed.y - firstY);
-      if (dx > threshold || dy > threshold) {
-        return false; // Points are not overlapping
-      }
+  getSitePlotTitle(groupID) {
+    const metadata = this.groupMetadata?.get(groupID);
+    if (metadata && metadata.InvestigatorLastName) {
+      return `Site ${groupID} - ${metadata.InvestigatorLastName}`;
     }
-    return true; // All points are at same position
+    return `Site ${groupID}`;
   }
 
   /**
-   * External tooltip handler
-   * @param {Object} context - Chart.js tooltip context
-   * @param {string} tooltipIdSuffix - Optional suffix for unique tooltip IDs
+   * Create the zoom plugin for a panel ('overview' or a site GroupID)
    */
-  externalTooltipHandler(context, tooltipIdSuffix = '') {
-    const { chart, tooltip } = context;
-    const tooltipEl = this.getOrCreateTooltip(tooltipIdSuffix);
-    
-    // Hide if no tooltip
-    if (tooltip.opacity === 0) {
-      tooltipEl.style.opacity = '0';
-      return;
-    }
-    
-    // Get tooltip items
-    const tooltipItems = tooltip.dataPoints || [];
-    if (tooltipItems.length === 0) {
-      tooltipEl.style.opacity = '0';
-      return;
-    }
-    
-    // Detect if points are overlapping
-    const isOverlapping = this.detectOverlappingPoints(tooltipItems);
-    
-    // Build tooltip content
-    let html = '';
-    
-    if (isOverlapping && tooltipItems.length > 1) {
-      // Overlapping: show all titles + basic metrics for each (no extra info)
-      tooltipItems.forEach((item, index) => {
-        const dataset = item.dataset;
-        const groupID = dataset.groupID;
-        
-        // Title with colored box
-        html += `<div style="font-weight:bold;font-size:14px;margin-bottom:4px;">`;
-        html += this.buildTitleHtml(dataset, groupID);
-        html += `</div>`;
-        
-        // Basic metrics
-        html += `<div style="margin-bottom:${index < tooltipItems.length - 1 ? '12px' : '0'};">`;
-        html += this.buildBasicMetricsHtml(item);
-        html += `</div>`;
+  getZoomPlugin(panel) {
+    return createZoomPlugin({
+      mode: this.data.config.zoomMode,
+      wheelModifier: this.data.config.zoomWheelModifier,
+      onZoom: (chart, limits) => this.asUser(() => this.handleZoom(panel, limits)),
+    });
+  }
+
+  /**
+   * Create the crosshair plugin for a panel ('overview' or a site GroupID)
+   * Hovering a site plot moves the crosshair of all panels
+   */
+  getCrosshairPlugin(panel) {
+    return createCrosshairPlugin({
+      getCrosshair: chart => this.getCrosshair(panel, chart),
+      onHover: panel === 'overview'
+        ? null
+        : (chart, x) => this.setCrosshair(x === null ? null : { x, groupID: panel }),
+    });
+  }
+
+  /**
+   * Crosshair of a panel: the hovered Denominator value with the site and study values at it
+   * The overview shows the site of the hovered site plot, site plots show their own site
+   */
+  getCrosshair(panel, chart) {
+    if (!this.crosshair) return null;
+
+    const { x } = this.crosshair;
+    const groupID = panel === 'overview' ? this.crosshair.groupID : panel;
+    const siteDataset = chart.data.datasets.find(dataset =>
+      dataset.groupID === groupID && dataset.siteType !== 'study');
+    const studyDataset = chart.data.datasets.find(dataset => dataset.siteType === 'study');
+
+    const lines = [];
+    if (siteDataset) {
+      lines.push({
+        label: `${this.config.GroupLevel} ${groupID}`,
+        y: interpolateY(siteDataset.data, x),
+        color: siteDataset.baseColor || siteDataset.borderColor,
       });
-    } else {
-      // Single point or non-overlapping: show full tooltip with extra info
-      const item = tooltipItems[0];
-      const dataset = item.dataset;
-      const groupID = dataset.groupID;
-      
-      // Title with colored box
-      html += `<div style="font-weight:bold;font-size:14px;margin-bottom:8px;">`;
-      html += this.buildTitleHtml(dataset, groupID);
-      html += `</div>`;
-      
-      // Basic metrics
-      html += `<div>`;
-      html += this.buildBasicMetricsHtml(item);
-      html += `</div>`;
-      
-      // Extra information (only for non-overlapping)
-      if (dataset.siteType !== 'study' && dataset.dataType !== 'patient') {
-        html += this.buildExtraInfoHtml(groupID);
-      }
-    }
-    
-    tooltipEl.innerHTML = html;
-    tooltipEl.style.opacity = '1';
-    
-    // Position tooltip using absolute positioning relative to this.container
-    // Get positions relative to document
-    const canvasRect = chart.canvas.getBoundingClientRect();
-    const containerRect = this.container.getBoundingClientRect();
-    
-    // Calculate offset from container to canvas
-    const offsetX = canvasRect.left - containerRect.left;
-    const offsetY = canvasRect.top - containerRect.top;
-    
-    // caretX/caretY are pixel positions within the canvas
-    // Convert to container-relative coordinates
-    let left = offsetX + tooltip.caretX + 10;
-    let top = offsetY + tooltip.caretY;
-    
-    // Get tooltip dimensions after content is set
-    const tooltipWidth = tooltipEl.offsetWidth;
-    const tooltipHeight = tooltipEl.offsetHeight;
-    
-    // Center tooltip vertically on caret
-    top = top - tooltipHeight / 2;
-    
-    // Prevent tooltip from going off the right edge of container - flip to left side
-    const containerWidth = this.container.offsetWidth;
-    if (left + tooltipWidth > containerWidth) {
-      left = offsetX + tooltip.caretX - tooltipWidth - 10;
     }
-    
-    // Keep tooltip within reasonable vertical bounds (relative to container)
-    if (top < 0) {
-      top = 0;
+    if (studyDataset) {
+      lines.push({ label: 'Study', y: interpolateY(studyDataset.data, x), color: this.theme.study });
     }
-    
-    tooltipEl.style.left = `${left}px`;
-    tooltipEl.style.top = `${top}px`;
-  }
 
-  /**
-   * Get tooltip configuration for a panel
-   * @param {string} panelType - 'left' or 'right'
-   * @param {string} tooltipIdSuffix - Optional suffix to create unique tooltip IDs
-   */
-  getTooltipConfig(panelType = 'left', tooltipIdSuffix = '') {
     return {
-      enabled: false, // Disable built-in tooltip
-      mode: 'nearest',
-      intersect: false,
-      external: (context) => this.externalTooltipHandler(context, tooltipIdSuffix)
+      x,
+      label: `${this.config.Denominator}: ${x.toFixed(0)}`,
+      lines,
+      color: this.theme.textMuted,
+      textColor: this.theme.text,
+      background: this.theme.tooltipBackground,
     };
   }
 
   /**
-   * Process patient data for a specific site
+   * Move the crosshair of all panels (null hides it) and redraw the mounted charts
    */
-  processPatientData(groupID) {
-    // Filter visit data for this GroupID
-    const siteVisits = this.visitData.filter(visit => visit.GroupID === groupID);
-    
-    // Group by SubjectID
-    const patientGroups = {};
-    siteVisits.forEach(visit => {
-      const subjectID = visit.SubjectID.toString();
-      if (!patientGroups[subjectID]) {
-        patientGroups[subjectID] = [];
+  setCrosshair(crosshair) {
+    const previous = this.crosshair;
+    if (previous === crosshair ||
+      (previous && crosshair && previous.x === crosshair.x && previous.groupID === crosshair.groupID)) {
+      return;
+    }
+    this.crosshair = crosshair;
+
+    [this.chartInstance, ...this.sitePlotCharts.map(item => item.chart)].forEach(chart => {
+      if (chart && typeof chart.draw === 'function') {
+        chart.draw();
       }
-      patientGroups[subjectID].push({
-        x: parseFloat(visit.Denominator),
-        y: parseFloat(visit.Numerator)
-      });
     });
+  }
 
-    // Convert to Chart.js datasets
-    const datasets = Object.entries(patientGroups).map(([subjectID, points]) => ({
-      label: `Patient ${subjectID}`,
-      data: points,
-      borderColor: 'rgba(140, 140, 140, 1.0)',
-      backgroundColor: 'rgba(140, 140, 140, 1.0)',
-      borderWidth: 1,
-      pointRadius: 0,
-      tension: 0,
-      fill: false,
-      subjectID: subjectID,
-      dataType: 'patient',
-      order: 3 // Bottom layer
-    }));
+  /**
+   * Outline the right-panel plot of the site hovered in the overview,
+   * and restore the outline of the selected site when no site with a plot is hovered
+   */
+  handleOverviewHover(elements) {
+    const dataset = elements && elements.length > 0
+      ? this.chartInstance.data.datasets[elements[0].datasetIndex]
+      : null;
+    // Unflagged curves only link to a plot when the right panel includes unflagged sites
+    const hasPlot = dataset && this.sitePlots.has(dataset.groupID) &&
+      (dataset.siteType === 'flagged' || (dataset.siteType === 'unflagged' && this.data.config.sitePlotInclude !== 'flagged'));
+    const groupID = hasPlot ? dataset.groupID : null;
 
-    return datasets;
+    // Trigger change event for integration with other widgets
+    const isSite = dataset && (dataset.siteType === 'flagged' || dataset.siteType === 'unflagged');
+    const hoveredGroupID = isSite ? dataset.groupID : null;
+    if (hoveredGroupID !== this.hoveredGroupID) {
+      this.hoveredGroupID = hoveredGroupID;
+      const event = new CustomEvent('site-hovered', {
+        detail: { groupID: hoveredGroupID },
+      });
+      this.container.dispatchEvent(event);
+      this.events.emit('hover', { groupID: hoveredGroupID, source: 'user' });
+    }
+
+    if (groupID === this.hoveredSitePlotID) return;
+
+    this.hoveredSitePlotID = groupID;
+    this.highlightSitePlot(groupID !== null ? groupID : this.getSelectedSitePlotID());
   }
 
   /**
-   * Render site plots in the right panel
+   * GroupID of the site plot of the current selection (first flagged site of a multi-selection)
    */
-  renderSitePlots() {
-    if (!this.rightPanel) return;
+  getSelectedSitePlotID() {
+    const selection = this.data.config.selectedGroupIDs;
+    if (Array.isArray(selection)) return this.findFirstFlaggedSite(selection);
+    return this.sitePlots.has(selection) ? selection : null;
+  }
 
-    // Clear right panel
-    this.rightPanel.innerHTML = '';
+  /**
+   * Get the zoomed x and y ranges of a panel ({ min, max } or null for the full range)
+   */
+  getZoomLimits(panel) {
+    const limits = this.zoomLimits.get(panel) || {};
+    return {
+      x: this.data.config.linkZoomX ? this.linkedZoomX : (limits.x || null),
+      y: limits.y || null,
+    };
+  }
 
-    // Get flagged sites from df_label_sites, sorted by Score (ascending - most under-reporting first)
-    const siteLabels = this.rawData.df_label_sites || [];
-    const flaggedSites = siteLabels
-      .filter(site => site.Flag !== 0 && site.Flag !== undefined)
-      .sort((a, b) => {
-        // Sort by Score (ascending order: lowest scores first)
-        const scoreA = parseFloat(a.Score) || 0;
-        const scoreB = parseFloat(b.Score) || 0;
-        return scoreA - scoreB;
+  /**
+   * Check whether a panel is zoomed in on either axis
+   */
+  isZoomed(panel) {
+    const limits = this.getZoomLimits(panel);
+    return [limits.x, limits.y].some(range =>
+      range && (range.min !== undefined || range.max !== undefined)
+    );
+  }
+
+  /**
+   * Get all rendered charts keyed by panel ('overview' or site GroupID)
+   */
+  getZoomableCharts() {
+    const charts = [{ panel: 'overview', chart: this.chartInstance }];
+    this.sitePlotCharts.forEach(item => {
+      charts.push({ panel: item.groupID, chart: item.chart });
+    });
+    return charts.filter(item => item.chart);
+  }
+
+  /**
+   * Store the zoomed range of a panel after a zoom, pan or reset and
+   * apply the x range to all other panels when linkZoomX is enabled
+   */
+  handleZoom(panel, limits) {
+    this.zoomLimits.set(panel, { ...this.zoomLimits.get(panel), ...limits });
+
+    if (this.data.config.linkZoomX && 'x' in limits) {
+      this.linkedZoomX = limits.x;
+      this.getZoomableCharts().forEach(item => {
+        if (item.panel !== panel) {
+          setScaleLimits(item.chart, { x: limits.x });
+        }
       });
+    }
 
-    // Get study data for reference line
-    const studyData = this.rawData.df_mean_study || [];
-    const studyPoints = studyData.map(row => ({
-      x: parseFloat(row.Denominator),
-      y: parseFloat(row.cum_mean_dev_event)
-    }));
+    this.updateResetZoomButtons();
 
-    // Get flagged site data
-    const flaggedSiteData = this.rawData.df_mean_group_flagged || [];
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('zoom-changed', {
+      detail: { panel, ...this.getZoomLimits(panel) },
+    });
+    this.container.dispatchEvent(event);
+    this.events.emit('zoom', { panel, ...this.getZoomLimits(panel), source: this.events.getSource() });
+    this.emitStateChange();
+  }
 
-    // Render each flagged site
-    flaggedSites.forEach((site, index) => {
-      const groupID = site.GroupID;
-      
-      // Create container for this site plot
-      const sitePlotContainer = document.createElement('div');
-      sitePlotContainer.className = 'simaerep-site-plot';
-      sitePlotContainer.setAttribute('data-group-id', groupID);
-      sitePlotContainer.style.border = '1px solid #e0e0e0';
-      sitePlotContainer.style.borderRadius = '4px';
-      sitePlotContainer.style.padding = '10px';
-      sitePlotContainer.style.backgroundColor = '#ffffff';
-      sitePlotContainer.style.aspectRatio = '1'; // Make entire container square (including title)
-      sitePlotContainer.style.display = 'flex';
-      sitePlotContainer.style.flexDirection = 'column';
-
-      // Add site title
-      const title = document.createElement('div');
-      title.className = 'site-plot-title';
-      title.style.fontWeight = 'bold';
-      title.style.marginBottom = '5px';
-      title.style.fontSize = '12px';
-      title.style.flexShrink = '0'; // Title doesn't shrink
-      
-      const metadata = this.groupMetadata?.get(groupID);
-      if (metadata && metadata.InvestigatorLastName) {
-        title.textContent = `Site ${groupID} - ${metadata.InvestigatorLastName}`;
-      } else {
-        title.textContent = `Site ${groupID}`;
-      }
-      sitePlotContainer.appendChild(title);
-
-      // Prepare metrics data for chart plugin
-      const siteColor = site.Color || '#3182BD';
-      const score = site.Score !== undefined ? Number(site.Score).toFixed(2) : 'N/A';
-      const delta = site.ExpectedNumerator !== undefined ? Number(site.ExpectedNumerator).toFixed(2) : 'N/A';
-      const nPatients = site.nSubjects !== undefined && site.nSubjects !== 'NA' ? site.nSubjects : 'N/A';
-
-      // Create canvas wrapper to fill remaining space
-      const canvasWrapper = document.createElement('div');
-      canvasWrapper.style.flex = '1';
-      canvasWrapper.style.minHeight = '0'; // Allow flex shrinking
-      canvasWrapper.style.position = 'relative';
-      
-      // Create canvas for this site
-      const canvas = document.createElement('canvas');
-      canvas.style.width = '100%';
-      canvas.style.height = '100%';
-      canvasWrapper.appendChild(canvas);
-      sitePlotContainer.appendChild(canvasWrapper);
+  /**
+   * Reset zoom of a panel ('overview' or site GroupID), or of all panels when omitted
+   */
+  resetZoom(panel) {
+    const charts = this.getZoomableCharts().filter(item => panel === undefined || item.panel === panel);
+    if (panel === undefined) {
+      this.zoomLimits.clear();
+      this.linkedZoomX = null;
+    }
 
-      // Get patient data for this site
-      const patientDatasets = this.processPatientData(groupID);
+    charts.forEach(item => {
+      setScaleLimits(item.chart, { x: null, y: null });
+      this.handleZoom(item.panel, { x: null, y: null });
+    });
 
-      // Get site line data
-      const siteLineData = flaggedSiteData
-        .filter(row => row.GroupID === groupID)
-        .map(row => ({
-          x: parseFloat(row.Denominator),
-          y: parseFloat(row.cum_mean_dev_event)
-        }));
-
-      // Build datasets: patient lines, site line, study line
-      const datasets = [
-        ...patientDatasets,
-        // Site line (middle layer)
-        {
-          label: `Site ${groupID}`,
-          data: siteLineData,
-          borderColor: site.Color || '#3182BD',
-          backgroundColor: site.Color || '#3182BD',
-          borderWidth: 2,
-          pointRadius: 0,
-          tension: 0,
-          fill: false,
-          groupID: groupID,
-          siteType: 'flagged',
-          order: 2
-        },
-        // Study reference line (top layer)
-        {
-          label: 'Study',
-          data: studyPoints,
-          borderColor: '#000000',
-          backgroundColor: '#000000',
-          borderWidth: 2,
-          pointRadius: 0,
-          tension: 0,
-          fill: false,
-          groupID: 'study',
-          siteType: 'study',
-          order: 1
-        }
-      ];
-
-      // Custom plugin to draw metrics label inside chart area
-      const metricsLabelPlugin = {
-        id: 'metricsLabel',
-        afterDraw: (chart) => {
-          const ctx = chart.ctx;
-          const chartArea = chart.chartArea;
-          
-          if (!chartArea) return;
-          
-          const padding = 8;
-          const lineHeight = 16;
-          const fontSize = 13; // Slightly bigger than 12px title
-          
-          ctx.save();
-          ctx.font = `500 ${fontSize}px sans-serif`;
-          ctx.textAlign = 'left';
-          ctx.textBaseline = 'top';
-          
-          const x = chartArea.left + padding;
-          let y = chartArea.top + padding;
-          
-          // Draw Score in site color
-          ctx.fillStyle = siteColor;
-          ctx.fillText(score, x, y);
-          y += lineHeight;
-          
-          // Draw Delta with triangle in site color
-          ctx.fillText(`▲ ${delta}`, x, y);
-          y += lineHeight;
-          
-          // Draw N in black
-          ctx.fillStyle = '#000000';
-          ctx.fillText(`N: ${nPatients}`, x, y);
-          
-          ctx.restore();
-        }
-      };
+    // Unmounted site plots only need their stored range cleared
+    if (panel !== undefined && charts.length === 0) {
+      this.handleZoom(panel, { x: null, y: null });
+    }
+  }
 
-      // Create Chart.js instance
-      // Pass site plot container to tooltip config so tooltip appears within this container
-      const chart = new Chart(canvas, {
-        type: 'line',
-        data: { datasets },
-        plugins: [metricsLabelPlugin],
-        options: {
-          responsive: true,
-          maintainAspectRatio: false, // Fill available space in wrapper
-          scales: {
-            x: {
-              type: 'linear',
-              title: {
-                display: false  // Removed for more space
-              },
-              grid: {
-                display: true,
-                color: '#e0e0e0'
-              },
-              ticks: {
-                font: { size: 10 }
-              }
-            },
-            y: {
-              title: {
-                display: false  // Removed for more space
-              },
-              grid: {
-                display: true,
-                color: '#e0e0e0'
-              },
-              ticks: {
-                font: { size: 10 }
-              }
-            }
-          },
-          plugins: {
-            legend: {
-              display: false
-            },
-            tooltip: this.getTooltipConfig('right', `-site-${groupID}`)
-          },
-          interaction: {
-            mode: 'nearest',
-            intersect: false
-          }
-        }
-      });
+  /**
+   * Add a reset zoom button to a panel, visible only while the panel is zoomed
+   */
+  addResetZoomButton(panel, parent) {
+    if (!this.data.config.enableZoom) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'simaerep-reset-zoom';
+    button.textContent = 'Reset zoom';
+    button.title = 'Reset zoom (or double-click the chart)';
+    button.style.position = 'absolute';
+    button.style.top = '4px';
+    button.style.right = '4px';
+    button.style.zIndex = '1';
+    button.style.padding = '2px 6px';
+    button.style.fontSize = '11px';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    button.style.display = this.isZoomed(panel) ? 'block' : 'none';
+
+    button.addEventListener('click', () => {
+      this.asUser(() => this.resetZoom(panel));
+    });
 
-      // Store chart instance
-      this.sitePlotCharts.push({ groupID, chart, container: sitePlotContainer });
+    parent.appendChild(button);
+    this.resetZoomButtons.set(panel, button);
+  }
 
-      // Add to right panel
-      this.rightPanel.appendChild(sitePlotContainer);
+  /**
+   * Show reset zoom buttons of zoomed panels only
+   */
+  updateResetZoomButtons() {
+    this.resetZoomButtons.forEach((button, panel) => {
+      button.style.display = this.isZoomed(panel) ? 'block' : 'none';
     });
   }
 
   /**
    * Highlight a site plot in the right panel (no scrolling - only visual highlight)
+   * Pass null to only remove the current highlight
    */
   highlightSitePlot(groupID) {
     if (!this.rightPanel) return;
 
     // Remove highlight from all site plots (use outline to avoid layout shifts)
-    const allPlots = this.rightPanel.querySelectorAll('.simaerep-site-plot');
-    allPlots.forEach(plot => {
-      plot.style.outline = 'none';
-      plot.style.outlineOffset = '0';
+    // Plot containers exist for mounted and unmounted plots, so the highlight survives recycling
+    this.sitePlots.forEach(plot => {
+      plot.container.style.outline = 'none';
+      plot.container.style.outlineOffset = '0';
     });
 
     // Highlight the specified site plot (use outline to avoid layout shifts)
-    const targetPlot = this.rightPanel.querySelector(`[data-group-id="${groupID}"]`);
+    const targetPlot = this.sitePlots.get(groupID);
     if (targetPlot) {
-      targetPlot.style.outline = '2px solid #3182BD';
-      targetPlot.style.outlineOffset = '-2px';
+      targetPlot.container.style.outline = '2px solid var(--gsm-accent)';
+      targetPlot.container.style.outlineOffset = '-2px';
     }
   }
 
   /**
    * Scroll to a specific site plot in the right panel (only if it's a flagged site)
+   * Arrays of GroupIDs (country or multi-site selections) scroll to their first flagged site,
+   * and to the next one on every further call with the same sites
+   * @returns {string|null} GroupID of the site plot scrolled to
    */
   scrollToSitePlot(groupID) {
-    if (!this.rightPanel || !groupID || groupID === 'None') return;
+    if (!this.rightPanel || !groupID || groupID === 'None') return null;
 
-    // Handle array of groupIDs (from country selection) - find first flagged site
-    let targetGroupID = null;
-    
+    let targetGroupID = groupID;
     if (Array.isArray(groupID)) {
-      // Find first site in the array that exists in the right panel
-      for (const id of groupID) {
-        const plot = this.rightPanel.querySelector(`[data-group-id="${id}"]`);
-        if (plot) {
-          targetGroupID = id;
-          break;
-        }
-      }
-    } else {
-      targetGroupID = groupID;
+      const flaggedIDs = groupID.filter(id => this.sitePlots.has(id));
+      if (flaggedIDs.length === 0) return null;
+
+      const key = flaggedIDs.join('\u0000');
+      const index = this.sitePlotCycle && this.sitePlotCycle.key === key
+        ? (this.sitePlotCycle.index + 1) % flaggedIDs.length
+        : 0;
+      this.sitePlotCycle = { key, index };
+      targetGroupID = flaggedIDs[index];
     }
     
-    if (!targetGroupID) return;
-    
-    const targetPlot = this.rightPanel.querySelector(`[data-group-id="${targetGroupID}"]`);
-    if (targetPlot) {
-      targetPlot.scrollIntoView({ 
-        behavior: 'smooth', 
-        block: 'nearest' 
-      });
-    }
+    const targetPlot = this.sitePlots.get(targetGroupID);
+    if (!targetPlot) return null;
+
+    // Mount the plot before scrolling so it is drawn when it comes into view
+    this.mountSitePlot(targetGroupID);
+    targetPlot.container.scrollIntoView({ 
+      behavior: 'smooth', 
+      block: 'nearest' 
+    });
+    return targetGroupID;
   }
 
   /**
@@ -986,8 +3244,7 @@ class Simaerep {
     if (!this.rightPanel || !Array.isArray(groupIDs)) return null;
     
     for (const id of groupIDs) {
-      const plot = this.rightPanel.querySelector(`[data-group-id="${id}"]`);
-      if (plot) {
+      if (this.sitePlots.has(id)) {
         return id;
       }
     }
@@ -1075,7 +3332,8 @@ class Simaerep {
   }
 
   /**
-   * Add site and country selector dropdowns
+   * Build the site and country selector dropdowns and the toolbar buttons
+   * @returns {HTMLElement} row of selectors and toolbar buttons
    */
   addSelectors() {
     const selectorContainer = document.createElement('div');
@@ -1102,7 +3360,6 @@ class Simaerep {
       siteSelect.className = 'gsm-widget-control--group';
       siteSelect.style.padding = '4px 8px';
       siteSelect.style.borderRadius = '4px';
-      siteSelect.style.border = '1px solid #ccc';
       siteSelect.style.minWidth = '150px';
 
       // Add "None" option
@@ -1139,21 +3396,28 @@ class Simaerep {
       });
 
       // Set current value
-      const currentSelection = this.data.config.selectedGroupIDs;
-      siteSelect.value = (Array.isArray(currentSelection) || currentSelection === 'None') 
-        ? 'None' 
-        : currentSelection;
+      siteSelect.value = this.getSiteSelectorValue();
 
       // Add change handler (will be updated with mutual reset logic)
       siteSelect.addEventListener('change', (e) => {
-        this.selectSite(e.target.value);
+        this.asUser(() => this.selectSite(e.target.value));
       });
 
+      // Chips of a multi-site selection (ctrl-click or lasso)
+      const selectionChips = document.createElement('div');
+      selectionChips.className = 'simaerep-selection-chips';
+      selectionChips.setAttribute('aria-label', 'Selected sites');
+      selectionChips.style.flexWrap = 'wrap';
+      selectionChips.style.alignItems = 'center';
+      selectionChips.style.gap = '4px';
+
       siteGroup.appendChild(siteLabel);
       siteGroup.appendChild(siteSelect);
+      siteGroup.appendChild(selectionChips);
       selectorContainer.appendChild(siteGroup);
       
       this.siteSelector = siteSelect;
+      this.selectionChips = selectionChips;
     }
 
     // Add country selector if enabled
@@ -1172,7 +3436,6 @@ class Simaerep {
       countrySelect.className = 'gsm-widget-control--country';
       countrySelect.style.padding = '4px 8px';
       countrySelect.style.borderRadius = '4px';
-      countrySelect.style.border = '1px solid #ccc';
       countrySelect.style.minWidth = '150px';
 
       // Add "None" option
@@ -1181,27 +3444,8 @@ class Simaerep {
       noneOption.textContent = 'None';
       countrySelect.appendChild(noneOption);
 
-      // Extract unique countries from groupMetadata
-      const countries = new Set();
-      const countryToSites = {};
-      
-      if (this.groupMetadata && this.groupMetadata.size > 0) {
-        this.groupMetadata.forEach((metadata, groupID) => {
-          if (metadata.Country) {
-            countries.add(metadata.Country);
-            if (!countryToSites[metadata.Country]) {
-              countryToSites[metadata.Country] = [];
-            }
-            countryToSites[metadata.Country].push(groupID);
-          }
-        });
-      }
-
-      // Store the mapping for later use
-      this.countryToSites = countryToSites;
-
       // Sort and add country options
-      const sortedCountries = Array.from(countries).sort();
+      const sortedCountries = Object.keys(this.countryToSites).sort();
       sortedCountries.forEach((country) => {
         const option = document.createElement('option');
         option.value = country;
@@ -1214,7 +3458,7 @@ class Simaerep {
 
       // Add change handler (will be updated with mutual reset logic)
       countrySelect.addEventListener('change', (e) => {
-        this.selectCountry(e.target.value);
+        this.asUser(() => this.selectCountry(e.target.value));
       });
 
       countryGroup.appendChild(countryLabel);
@@ -1229,7 +3473,328 @@ class Simaerep {
       }
     }
 
-    this.container.appendChild(selectorContainer);
+    // Add export toolbar button if enabled
+    if (this.config.showExportButton) {
+      this.addExportControl(selectorContainer);
+    }
+
+    // Add data table toggle if enabled
+    this.dataTableToggle = null;
+    if (this.config.showDataTableToggle) {
+      this.addDataTableToggle(selectorContainer);
+    }
+
+    return selectorContainer;
+  }
+
+  /**
+   * Add the button showing and hiding the data table view to the toolbar
+   */
+  addDataTableToggle(selectorContainer) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'simaerep-data-table-toggle';
+    button.textContent = 'Show table';
+    button.setAttribute('aria-pressed', 'false');
+    button.setAttribute('aria-controls', `${this.tooltipId}-data-tables`);
+    button.style.padding = '4px 12px';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    // Right-align like the export button, next to it when both are shown
+    if (!this.config.showExportButton) {
+      button.style.marginLeft = 'auto';
+    }
+
+    button.addEventListener('click', () => this.toggleDataTable());
+
+    selectorContainer.appendChild(button);
+    this.dataTableToggle = button;
+  }
+
+  /**
+   * Add the export button and its options menu to the toolbar
+   */
+  addExportControl(selectorContainer) {
+    const exportGroup = document.createElement('div');
+    exportGroup.className = 'simaerep-export';
+    exportGroup.style.position = 'relative';
+    exportGroup.style.marginLeft = 'auto';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'simaerep-export-button';
+    button.textContent = 'Export';
+    button.setAttribute('aria-haspopup', 'true');
+    button.setAttribute('aria-expanded', 'false');
+    button.style.padding = '4px 12px';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+
+    const menu = document.createElement('div');
+    menu.className = 'simaerep-export-menu';
+    menu.style.display = 'none';
+    menu.style.position = 'absolute';
+    menu.style.right = '0';
+    menu.style.top = '100%';
+    menu.style.marginTop = '4px';
+    menu.style.zIndex = '10001';
+    menu.style.flexDirection = 'column';
+    menu.style.gap = '8px';
+    menu.style.minWidth = '200px';
+    menu.style.padding = '10px';
+    menu.style.borderRadius = '4px';
+    menu.style.fontSize = '13px';
+
+    const addOption = (labelText, className, options) => {
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      label.style.display = 'flex';
+      label.style.justifyContent = 'space-between';
+      label.style.alignItems = 'center';
+      label.style.gap = '8px';
+
+      const select = document.createElement('select');
+      select.className = className;
+      select.style.padding = '2px 4px';
+      options.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+
+      label.appendChild(select);
+      menu.appendChild(label);
+      return select;
+    };
+
+    const viewSelect = addOption('View', 'simaerep-export-view', [
+      ['composite', 'All plots'],
+      ['overview', 'Overview'],
+      ['site', 'Selected site'],
+    ]);
+    const formatSelect = addOption('Format', 'simaerep-export-format', [
+      ['png', 'PNG'],
+      ['svg', 'SVG'],
+      ['pdf', 'PDF'],
+    ]);
+    const dpiSelect = addOption('Resolution', 'simaerep-export-dpi', [
+      ['96', '96 DPI'],
+      ['150', '150 DPI'],
+      ['300', '300 DPI'],
+    ]);
+    dpiSelect.value = String(this.config.exportDpi);
+
+    // Vector SVG has no resolution
+    formatSelect.addEventListener('change', () => {
+      dpiSelect.disabled = formatSelect.value === 'svg';
+    });
+
+    const download = document.createElement('button');
+    download.type = 'button';
+    download.className = 'simaerep-export-download';
+    download.textContent = 'Download';
+    download.style.padding = '4px 12px';
+    download.style.cursor = 'pointer';
+    menu.appendChild(download);
+
+    const setOpen = (open) => {
+      menu.style.display = open ? 'flex' : 'none';
+      button.setAttribute('aria-expanded', String(open));
+    };
+
+    button.addEventListener('click', () => {
+      const open = menu.style.display === 'none';
+      if (open) {
+        // A single site plot can only be exported when a flagged site is selected
+        const siteOption = viewSelect.querySelector('option[value="site"]');
+        siteOption.disabled = !this.getSelectedSitePlot();
+        if (siteOption.disabled && viewSelect.value === 'site') {
+          viewSelect.value = 'composite';
+        }
+      }
+      setOpen(open);
+    });
+
+    download.addEventListener('click', () => {
+      try {
+        this.exportChart({
+          view: viewSelect.value,
+          format: formatSelect.value,
+          dpi: Number(dpiSelect.value),
+        });
+        setOpen(false);
+      } catch (error) {
+        console.error(`Simaerep: export failed: ${error.message}`);
+        this.events.emit('error', { message: `Export failed: ${error.message}`, error });
+      }
+    });
+
+    exportGroup.appendChild(button);
+    exportGroup.appendChild(menu);
+    selectorContainer.appendChild(exportGroup);
+  }
+
+  /**
+   * Get the site plot of the selected site, if a single flagged site is selected
+   */
+  getSelectedSitePlot() {
+    const groupID = this.data.config.selectedGroupIDs;
+    if (!groupID || groupID === 'None' || Array.isArray(groupID)) return null;
+    return this.sitePlots.get(groupID) || null;
+  }
+
+  /**
+   * Export a view of the chart as PNG, SVG or PDF
+   * @param {Object} options - { view, groupID, format, dpi, filename, download }
+   *   view: 'overview', 'site' (options.groupID or the selected site) or 'composite'
+   *   (overview and all site plots; one site per page in PDF)
+   * @returns {Blob} exported file
+   */
+  exportChart(options = {}) {
+    const view = options.view || 'composite';
+    const format = options.format || 'png';
+    const groupID = view === 'site'
+      ? (options.groupID || this.getSelectedSitePlot()?.groupID)
+      : null;
+
+    // Site plots outside the viewport are drawn with temporary charts
+    const temporaryCharts = [];
+    let blob;
+    try {
+      blob = exportPages(this.getExportPages(view, format, groupID, temporaryCharts), {
+        format,
+        dpi: options.dpi || this.config.exportDpi,
+        background: this.theme.background,
+        title: this.config.Metric,
+      });
+    } finally {
+      temporaryCharts.forEach(chart => chart.destroy());
+    }
+
+    if (options.download !== false) {
+      const name = view === 'site' ? `simaerep-site-${groupID}` : `simaerep-${view}`;
+      downloadBlob(blob, options.filename || `${name}.${format}`);
+    }
+
+    return blob;
+  }
+
+  /**
+   * Build the pages of an export: [{ title, width, height, draw(ctx) }]
+   * Charts created for unmounted site plots are added to temporaryCharts for the caller to destroy
+   */
+  getExportPages(view, format, groupID, temporaryCharts = []) {
+    if (!this.chartInstance) {
+      throw new Error('Nothing to export: the chart has not been drawn.');
+    }
+
+    const overview = {
+      title: this.config.Metric,
+      width: this.chartInstance.width,
+      height: this.chartInstance.height,
+      draw: ctx => drawChart(this.chartInstance, ctx),
+    };
+
+    const titleHeight = 20;
+    const plotSize = this.getSitePlotSize();
+    const sitePages = Array.from(this.sitePlots.values()).map(plot => ({
+      groupID: plot.groupID,
+      title: this.getSitePlotTitle(plot.groupID),
+      width: plot.chart ? plot.chart.width : plotSize.width,
+      height: (plot.chart ? plot.chart.height : plotSize.height) + titleHeight,
+      draw: ctx => {
+        const chart = plot.chart || this.createExportSitePlot(plot.site, plotSize, temporaryCharts);
+        ctx.save();
+        ctx.fillStyle = this.theme.text;
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.getSitePlotTitle(plot.groupID), 0, 2);
+        ctx.translate(0, titleHeight);
+        drawChart(chart, ctx);
+        ctx.restore();
+      },
+    }));
+
+    if (view === 'overview') {
+      return [overview];
+    }
+
+    if (view === 'site') {
+      const page = sitePages.find(sitePage => sitePage.groupID === groupID);
+      if (!page) {
+        throw new Error(`No site plot to export for GroupID "${groupID}".`);
+      }
+      return [page];
+    }
+
+    if (view !== 'composite') {
+      throw new Error(`Unknown export view "${view}". Use "overview", "site" or "composite".`);
+    }
+
+    // PDF: overview first, then one flagged site per page
+    if (format === 'pdf' || sitePages.length === 0) {
+      return [overview, ...sitePages];
+    }
+
+    // PNG/SVG: overview on the left, site plots in the two-column grid on the right
+    const gap = 15;
+    const padding = 10;
+    const columns = 2;
+    const cellWidth = Math.max(...sitePages.map(page => page.width)) + 2 * padding;
+    const cellHeight = Math.max(...sitePages.map(page => page.height)) + 2 * padding;
+    const rows = Math.ceil(sitePages.length / columns);
+    const gridLeft = overview.width + gap;
+
+    return [{
+      title: this.config.Metric,
+      width: gridLeft + columns * cellWidth + (columns - 1) * gap,
+      height: Math.max(overview.height, rows * cellHeight + (rows - 1) * gap),
+      draw: ctx => {
+        overview.draw(ctx);
+        sitePages.forEach((page, index) => {
+          const x = gridLeft + (index % columns) * (cellWidth + gap);
+          const y = Math.floor(index / columns) * (cellHeight + gap);
+
+          ctx.save();
+          ctx.strokeStyle = this.theme.border;
+          ctx.lineWidth = 1;
+          ctx.strokeRect(x + 0.5, y + 0.5, cellWidth - 1, cellHeight - 1);
+          ctx.translate(x + padding, y + padding);
+          page.draw(ctx);
+          ctx.restore();
+        });
+      },
+    }];
+  }
+
+  /**
+   * Size of a mounted site plot chart, used for exporting unmounted site plots
+   */
+  getSitePlotSize() {
+    const mounted = this.sitePlotCharts.find(item => item.chart && item.chart.width > 0);
+    if (mounted) {
+      return { width: mounted.chart.width, height: mounted.chart.height };
+    }
+    return { width: 300, height: 300 / this.config.sitePlotAspectRatio };
+  }
+
+  /**
+   * Create a detached, non-responsive site plot chart of the given size for export
+   */
+  createExportSitePlot(site, size, temporaryCharts) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+
+    const chart = new Chart(canvas, this.getSitePlotChartConfig(site, {
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 1,
+    }));
+    temporaryCharts.push(chart);
+    return chart;
   }
 
   /**
@@ -1288,6 +3853,83 @@ class Simaerep {
     this.container.dispatchEvent(event);
   }
 
+  /**
+   * Ctrl/Cmd-click on the overview: add the clicked site to or remove it from the selection
+   */
+  handleOverviewClick(event, elements) {
+    const native = event && event.native;
+    if (!native || !(native.ctrlKey || native.metaKey) || !elements || elements.length === 0) return;
+
+    const dataset = this.chartInstance.data.datasets[elements[0].datasetIndex];
+    if (dataset && (dataset.siteType === 'flagged' || dataset.siteType === 'unflagged')) {
+      this.toggleSite(dataset.groupID);
+    }
+  }
+
+  /**
+   * Select the sites whose lines pass through a lasso drawn on the overview.
+   * Holding ctrl/Cmd when releasing the lasso adds them to the current selection.
+   * @param {Array<{x: number, y: number}>} polygon - lasso corners in canvas pixels
+   * @param {MouseEvent} event - mouseup event ending the lasso
+   */
+  handleLasso(polygon, event) {
+    const chart = this.chartInstance;
+    if (!chart || !chart.scales || !chart.scales.x || !chart.scales.y) return;
+
+    const { x: xScale, y: yScale } = chart.scales;
+    const lassoed = chart.data.datasets
+      .filter(dataset => (dataset.siteType === 'flagged' || dataset.siteType === 'unflagged') && !dataset.hidden)
+      .filter(dataset => lineCrossesPolygon(
+        dataset.data.map(point => ({ x: xScale.getPixelForValue(point.x), y: yScale.getPixelForValue(point.y) })),
+        polygon
+      ))
+      .map(dataset => dataset.groupID);
+
+    const additive = event && (event.ctrlKey || event.metaKey);
+    const current = additive && (this.selectedCountry || 'None') === 'None'
+      ? getSelectedGroupIDs(this.data.config.selectedGroupIDs)
+      : [];
+    this.selectSites([...current, ...lassoed]);
+  }
+
+  /**
+   * Add a site to or remove it from the current selection
+   */
+  toggleSite(groupID) {
+    // A country selection is replaced rather than extended
+    const current = (this.selectedCountry || 'None') === 'None'
+      ? getSelectedGroupIDs(this.data.config.selectedGroupIDs)
+      : [];
+    this.selectSites(current.includes(groupID)
+      ? current.filter(id => id !== groupID)
+      : [...current, groupID]);
+  }
+
+  /**
+   * Handle multi-site selection (ctrl-click, lasso, selection chips)
+   * @param {Array<string>} groupIDs - selected GroupIDs (empty to clear the selection)
+   */
+  selectSites(groupIDs) {
+    // Reset country selector if present
+    if (this.countrySelector) {
+      this.countrySelector.value = 'None';
+    }
+    this.selectedCountry = 'None';
+
+    const selection = normalizeSelection(groupIDs);
+    this.updateSelectedGroupIDs(selection, true);
+
+    if (selection !== 'None') {
+      requestAnimationFrame(() => this.revealSelection(selection));
+    }
+
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('sites-selected', {
+      detail: { groupIDs: getSelectedGroupIDs(selection) },
+    });
+    this.container.dispatchEvent(event);
+  }
+
   /**
    * Destroy the chart
    */
@@ -1296,19 +3938,22 @@ class Simaerep {
       this.chartInstance.destroy();
     }
     // Destroy all site plot chart instances
-    if (this.sitePlotCharts) {
-      this.sitePlotCharts.forEach(item => {
-        if (item.chart) {
-          item.chart.destroy();
-        }
-      });
-      this.sitePlotCharts = [];
-    }
+    this.unmountSitePlots();
+    this.canvasPool = [];
     // Remove all tooltips for this instance from the container
     const allTooltips = this.container.querySelectorAll(`[id^="${this.tooltipId}"]`);
     allTooltips.forEach(tooltip => tooltip.remove());
     
     this.container.innerHTML = '';
+    if (this.unregisterSelection) {
+      this.unregisterSelection();
+      this.unregisterSelection = null;
+    }
+    this.events.emit('destroy', {});
+    if (this.stopPersistState) {
+      this.stopPersistState();
+      this.stopPersistState = null;
+    }
   }
 }
 
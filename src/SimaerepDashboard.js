@@ -0,0 +1,640 @@
+/**
+ * SimaerepDashboard - Several simaerep KRIs side by side with one shared site selection
+ * Lays out one Simaerep chart per metric as tabs or a grid and shows the Flag of each KRI
+ * for the selected site(s) in a badge strip
+ * Supports gsm.viz site selection functionality
+ *
+ * Copyright (c) 2025 IMPALA Consortium
+ * Licensed under the MIT License - see LICENSE.md
+ */
+
+import Simaerep from './Simaerep.js';
+import applyTheme from './util/applyTheme.js';
+import flagColors from './util/flagColors.js';
+import getChangedKeys from './util/getChangedKeys.js';
+import getContrastColor from './util/getContrastColor.js';
+import getCountryToSites from './util/getCountryToSites.js';
+import getSelectedGroupIDs from './util/getSelectedGroupIDs.js';
+import normalizeSelection from './util/normalizeSelection.js';
+import selectionStore from './util/selectionStore.js';
+import structureGroupMetadata from './util/structureGroupMetadata.js';
+
+// Options of the dashboard layout, not passed on to the charts
+const LAYOUT_KEYS = ['layout', 'gridColumns', 'showBadges', 'activeMetricID'];
+
+// Options applied without re-rendering the charts
+const INCREMENTAL_KEYS = ['selectedGroupIDs', 'activeMetricID', 'theme'];
+
+class SimaerepDashboard {
+  /**
+   * @param {HTMLElement} container - element the dashboard is rendered into
+   * @param {Array<Object>} entries - one { metric, data, config } entry per KRI, where metric is
+   *   a df_metric row (with MetricID), data the simaerep data bundle and config optional
+   *   Simaerep options for this KRI only
+   * @param {Object} config - dashboard options, other options are passed on to every chart
+   */
+  constructor(container, entries, config = {}) {
+    this.container = container;
+    this.entries = (entries || []).map((entry, index) => ({
+      ...entry,
+      metric: entry.metric || {},
+      metricID: (entry.metric && entry.metric.MetricID) || `metric-${index + 1}`,
+    }));
+
+    this.config = {
+      selectedGroupIDs: config.selectedGroupIDs || 'None',
+      layout: config.layout || 'tabs',
+      gridColumns: config.gridColumns || 1,
+      showGroupSelector: config.showGroupSelector !== false,
+      showCountrySelector: config.showCountrySelector !== false,
+      showBadges: config.showBadges !== false,
+      GroupLevel: config.GroupLevel || 'Site',
+      activeMetricID: config.activeMetricID || (this.entries[0] && this.entries[0].metricID) || null,
+      theme: config.theme || 'light',
+      ...config,
+    };
+
+    // Structure group metadata shared by all KRIs (for the country selector)
+    this.groupMetadata = structureGroupMetadata(config.groupMetadata, this.config);
+
+    // Track selected country for maintaining selector state
+    this.selectedCountry = 'None';
+
+    // Hidden canvas for compatibility
+    this.canvas = document.createElement('canvas');
+    this.canvas.style.display = 'none';
+
+    // CRITICAL: Attach chart instance to canvas for gsm.kri integration
+    this.canvas.chart = this;
+
+    // Create data structure expected by gsm.kri
+    this.data = {
+      config: this.config,
+      _thresholds_: config.thresholds || {},
+    };
+
+    // Helper methods required by gsm.kri
+    this.helpers = {
+      updateConfig: this.updateConfig.bind(this),
+      updateSelectedGroupIDs: this.updateSelectedGroupIDs.bind(this),
+    };
+
+    // Simaerep instances keyed by MetricID
+    this.charts = new Map();
+    // Set while the selection is applied to the KRIs
+    this.updatingCharts = false;
+    // KRI the selection being applied was made in, which already shows it
+    this.sourceChart = null;
+
+    this.render();
+
+    // Share the selection with the other widgets of the selection scope (syncSelection: false opts out)
+    this.unregisterSelection = this.config.syncSelection === false
+      ? null
+      : selectionStore.register(this, {
+        scope: this.config.selectionScope,
+        apply: (selection, country) => {
+          this.selectedCountry = country || 'None';
+          this.updateSelectedGroupIDs(selection, Boolean(country));
+        },
+      });
+  }
+
+  /**
+   * Update chart configuration - required by gsm.kri
+   */
+  updateConfig(chart, config, thresholds) {
+    const previousConfig = this.data.config;
+    this.data.config = { ...this.data.config, ...config };
+    this.data._thresholds_ = thresholds || this.data._thresholds_;
+
+    const changedKeys = getChangedKeys(previousConfig, this.data.config);
+    if (changedKeys.some(key => !INCREMENTAL_KEYS.includes(key))) {
+      this.render();
+      return;
+    }
+
+    if (changedKeys.includes('theme')) {
+      this.setTheme(this.data.config.theme);
+    }
+    if (changedKeys.includes('activeMetricID')) {
+      this.setActiveMetric(this.data.config.activeMetricID);
+    }
+    if (changedKeys.includes('selectedGroupIDs')) {
+      this.updateSelectedGroupIDs(this.data.config.selectedGroupIDs);
+    }
+  }
+
+  /**
+   * Switch the theme of the dashboard and all KRIs without re-rendering
+   * @param {string|Object} theme - 'light', 'dark', 'highContrast' or an object of theme tokens
+   */
+  setTheme(theme) {
+    this.data.config.theme = theme;
+    this.theme = applyTheme(this.container, theme);
+
+    this.charts.forEach(chart => {
+      chart.setTheme(theme);
+    });
+    this.renderBadges();
+  }
+
+  /**
+   * Update selected group IDs of all KRIs - required by gsm.kri
+   */
+  updateSelectedGroupIDs(groupID, skipInteraction = false) {
+    this.data.config.selectedGroupIDs = groupID;
+
+    // The KRIs report the selection back with 'selectionchange'; those echoes are ignored
+    this.updatingCharts = true;
+    try {
+      this.charts.forEach(chart => {
+        if (chart === this.sourceChart) return;
+        chart.updateSelectedGroupIDs(groupID, skipInteraction);
+      });
+    } finally {
+      this.updatingCharts = false;
+    }
+
+    this.syncSelectors();
+    this.renderBadges();
+
+    if (this.unregisterSelection) {
+      const country = this.selectedCountry !== 'None' ? this.selectedCountry : null;
+      selectionStore.select(groupID, { scope: this.data.config.selectionScope, country, source: this });
+    }
+  }
+
+  /**
+   * Apply a selection made in the Simaerep chart of one KRI to the dashboard and all other KRIs
+   * @param {Object} selection - 'selectionchange' payload { groupIDs, country }
+   * @param {Object} sourceChart - Simaerep instance of the KRI, skipped when applying the selection
+   */
+  receiveChartSelection({ groupIDs, country }, sourceChart) {
+    if (this.updatingCharts) return;
+
+    this.sourceChart = sourceChart;
+    try {
+      if (country) {
+        // The KRI already resolved the sites of the country
+        this.selectCountry(country, groupIDs);
+      } else if (groupIDs.length === 1) {
+        this.selectSite(groupIDs[0]);
+      } else {
+        this.selectSites(groupIDs);
+      }
+    } finally {
+      this.sourceChart = null;
+    }
+  }
+
+  /**
+   * Get the Simaerep configuration of a KRI
+   */
+  getChartConfig(entry) {
+    const sharedConfig = { ...this.data.config };
+    LAYOUT_KEYS.forEach(key => delete sharedConfig[key]);
+
+    return {
+      ...sharedConfig,
+      ...entry.config,
+      metric: entry.metric,
+      selectedGroupIDs: this.data.config.selectedGroupIDs,
+      // The dashboard provides the shared selectors and shares the selection with other widgets
+      showGroupSelector: false,
+      showCountrySelector: false,
+      syncSelection: false,
+    };
+  }
+
+  /**
+   * Render the dashboard
+   */
+  render() {
+    this.destroyCharts();
+    this.tabs = null;
+
+    // Clear container
+    this.container.innerHTML = '';
+    this.container.classList.add('gsm-widget', 'simaerep-dashboard');
+    this.theme = applyTheme(this.container, this.data.config.theme);
+
+    // Add canvas for compatibility
+    this.container.appendChild(this.canvas);
+
+    if (this.data.config.showGroupSelector || this.data.config.showCountrySelector) {
+      this.addSelectors();
+    }
+
+    // Badge strip with the Flag of each KRI for the selected site(s)
+    this.badgeStrip = document.createElement('div');
+    this.badgeStrip.className = 'simaerep-dashboard-badges';
+    this.badgeStrip.style.marginBottom = '10px';
+    this.badgeStrip.style.maxHeight = '120px';
+    this.badgeStrip.style.overflowY = 'auto';
+    this.badgeStrip.style.fontSize = '13px';
+    if (!this.data.config.showBadges) {
+      this.badgeStrip.style.display = 'none';
+    }
+    this.container.appendChild(this.badgeStrip);
+
+    const isTabs = this.data.config.layout !== 'grid';
+    if (isTabs) {
+      this.addTabs();
+    }
+
+    const panels = document.createElement('div');
+    panels.className = 'simaerep-dashboard-panels';
+    if (!isTabs) {
+      panels.style.display = 'grid';
+      panels.style.gridTemplateColumns = `repeat(${this.data.config.gridColumns}, minmax(0, 1fr))`;
+      panels.style.gap = '20px';
+    }
+    this.container.appendChild(panels);
+
+    this.panels = new Map();
+    this.entries.forEach(entry => {
+      const panel = document.createElement('div');
+      panel.className = 'simaerep-dashboard-panel';
+      panel.setAttribute('data-metric-id', entry.metricID);
+      panel.id = this.getPanelID(entry.metricID);
+
+      if (isTabs) {
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', this.getTabID(entry.metricID));
+      } else {
+        const title = document.createElement('div');
+        title.className = 'simaerep-dashboard-panel-title';
+        title.style.fontWeight = 'bold';
+        title.style.fontSize = '14px';
+        title.style.marginBottom = '5px';
+        title.textContent = entry.metric.Metric || entry.metricID;
+        panel.appendChild(title);
+      }
+
+      const chartContainer = document.createElement('div');
+      chartContainer.className = 'simaerep-dashboard-chart';
+      panel.appendChild(chartContainer);
+      panels.appendChild(panel);
+      this.panels.set(entry.metricID, panel);
+
+      const chart = new Simaerep(chartContainer, entry.data, this.getChartConfig(entry));
+      // Selections made in one KRI (click, Enter, data table, ctrl-click, lasso) apply to all KRIs
+      chart.on('selectionchange', (selection) => this.receiveChartSelection(selection, chart));
+      this.charts.set(entry.metricID, chart);
+    });
+
+    if (isTabs) {
+      this.setActiveMetric(this.data.config.activeMetricID);
+    }
+
+    this.renderBadges();
+  }
+
+  /**
+   * Add one tab per KRI
+   */
+  addTabs() {
+    const tabList = document.createElement('div');
+    tabList.className = 'simaerep-dashboard-tabs';
+    tabList.setAttribute('role', 'tablist');
+    tabList.style.display = 'flex';
+    tabList.style.gap = '4px';
+    tabList.style.marginBottom = '10px';
+
+    this.tabs = new Map();
+    this.entries.forEach(entry => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'simaerep-dashboard-tab';
+      tab.id = this.getTabID(entry.metricID);
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('data-metric-id', entry.metricID);
+      tab.setAttribute('aria-controls', this.getPanelID(entry.metricID));
+      tab.title = entry.metric.Metric || entry.metricID;
+      tab.textContent = this.getMetricLabel(entry);
+      tab.style.padding = '6px 12px';
+      tab.style.borderRadius = '4px 4px 0 0';
+      tab.style.cursor = 'pointer';
+
+      tab.addEventListener('click', () => {
+        this.setActiveMetric(entry.metricID);
+      });
+
+      tabList.appendChild(tab);
+      this.tabs.set(entry.metricID, tab);
+    });
+
+    this.container.appendChild(tabList);
+  }
+
+  /**
+   * Show the tab of a KRI (tabs layout)
+   */
+  setActiveMetric(metricID) {
+    const entry = this.entries.find(item => item.metricID === metricID) || this.entries[0];
+    if (!entry) return;
+
+    const changed = this.data.config.activeMetricID !== entry.metricID;
+    this.data.config.activeMetricID = entry.metricID;
+
+    if (this.tabs) {
+      this.tabs.forEach((tab, id) => {
+        const isActive = id === entry.metricID;
+        tab.setAttribute('aria-selected', String(isActive));
+        tab.tabIndex = isActive ? 0 : -1;
+        tab.style.fontWeight = isActive ? 'bold' : 'normal';
+      });
+      this.panels.forEach((panel, id) => {
+        panel.style.display = id === entry.metricID ? 'block' : 'none';
+      });
+    }
+
+    if (changed) {
+      const event = new CustomEvent('metric-changed', {
+        detail: { metricID: entry.metricID, metric: entry.metric },
+      });
+      this.container.dispatchEvent(event);
+    }
+  }
+
+  /**
+   * Render the Flag of every KRI for each selected site
+   */
+  renderBadges() {
+    if (!this.badgeStrip) return;
+    this.badgeStrip.innerHTML = '';
+
+    const selection = this.data.config.selectedGroupIDs;
+    const groupIDs = Array.isArray(selection)
+      ? selection
+      : (selection && selection !== 'None' ? [selection] : []);
+
+    groupIDs.forEach(groupID => {
+      const row = document.createElement('div');
+      row.className = 'simaerep-dashboard-badge-row';
+      row.setAttribute('data-group-id', groupID);
+      row.style.display = 'flex';
+      row.style.flexWrap = 'wrap';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.marginBottom = '4px';
+
+      const label = document.createElement('span');
+      label.style.fontWeight = 'bold';
+      label.style.marginRight = '4px';
+      label.textContent = `${this.data.config.GroupLevel} ${groupID}`;
+      row.appendChild(label);
+
+      this.entries.forEach(entry => {
+        row.appendChild(this.createBadge(entry, groupID));
+      });
+
+      this.badgeStrip.appendChild(row);
+    });
+  }
+
+  /**
+   * Create the Flag badge of a site for one KRI; clicking it opens the KRI's tab
+   */
+  createBadge(entry, groupID) {
+    const site = this.getSiteResult(entry.metricID, groupID);
+    const flag = site && site.Flag !== undefined && site.Flag !== null && site.Flag !== 'NA'
+      ? Number(site.Flag)
+      : null;
+
+    const badge = document.createElement('span');
+    badge.className = 'simaerep-dashboard-badge';
+    badge.setAttribute('data-metric-id', entry.metricID);
+    badge.setAttribute('data-flag', flag === null ? '' : String(flag));
+    badge.style.padding = '2px 8px';
+    badge.style.borderRadius = '10px';
+    badge.style.cursor = 'pointer';
+
+    const flagText = flag === null ? 'n/a' : `${flag > 0 ? '+' : ''}${flag}`;
+    badge.textContent = `${this.getMetricLabel(entry)}: ${flagText}`;
+    badge.title = `${entry.metric.Metric || entry.metricID} - Flag: ${flagText}`;
+
+    // Badges without a Flag are styled by the theme stylesheet; the text takes the theme's text or
+    // background color, whichever is more readable on the site color
+    if (flag !== null) {
+      const color = (site && site.Color) || flagColors[flag] || this.theme.surface;
+      badge.style.backgroundColor = color;
+      badge.style.color = getContrastColor(color, [this.theme.text, this.theme.background]);
+    }
+
+    badge.addEventListener('click', () => {
+      this.setActiveMetric(entry.metricID);
+    });
+
+    return badge;
+  }
+
+  /**
+   * Get the df_label_sites row of a site for one KRI (after client-side computation, if any)
+   */
+  getSiteResult(metricID, groupID) {
+    const chart = this.charts.get(metricID);
+    const siteLabels = (chart && chart.rawData.df_label_sites) || [];
+    return siteLabels.find(site => String(site.GroupID) === String(groupID)) || null;
+  }
+
+  /**
+   * Short label of a KRI (Abbreviation, Metric or MetricID)
+   */
+  getMetricLabel(entry) {
+    return entry.metric.Abbreviation || entry.metric.Metric || entry.metricID;
+  }
+
+  getTabID(metricID) {
+    return `${this.getIDPrefix()}-tab-${metricID}`;
+  }
+
+  getPanelID(metricID) {
+    return `${this.getIDPrefix()}-panel-${metricID}`;
+  }
+
+  getIDPrefix() {
+    if (!this.idPrefix) {
+      this.idPrefix = 'simaerep-dashboard-' + Math.random().toString(36).substr(2, 9);
+    }
+    return this.idPrefix;
+  }
+
+  /**
+   * Add the shared site and country selector dropdowns
+   */
+  addSelectors() {
+    const selectorContainer = document.createElement('div');
+    selectorContainer.className = 'gsm-widget-control-container';
+    selectorContainer.style.marginBottom = '10px';
+    selectorContainer.style.display = 'flex';
+    selectorContainer.style.gap = '20px';
+    selectorContainer.style.alignItems = 'center';
+    selectorContainer.style.flexWrap = 'wrap';
+
+    this.siteSelector = null;
+    this.countrySelector = null;
+
+    if (this.data.config.showGroupSelector) {
+      // All sites of all KRIs
+      const allSiteIDs = new Set();
+      this.entries.forEach(entry => {
+        const data = entry.data || {};
+        ['df_label_sites', 'df_mean_group_flagged', 'df_mean_group_not_flagged', 'df_visit'].forEach(key => {
+          (data[key] || []).forEach(row => allSiteIDs.add(row.GroupID));
+        });
+      });
+
+      this.siteSelector = this.createSelector(
+        'Site: ',
+        'gsm-widget-control--group',
+        Array.from(allSiteIDs).filter(id => id !== undefined).sort(),
+        value => this.selectSite(value),
+        selectorContainer
+      );
+    }
+
+    if (this.data.config.showCountrySelector) {
+      this.countryToSites = getCountryToSites(this.groupMetadata);
+
+      this.countrySelector = this.createSelector(
+        'Country: ',
+        'gsm-widget-control--country',
+        Object.keys(this.countryToSites).sort(),
+        value => this.selectCountry(value),
+        selectorContainer
+      );
+    }
+
+    this.container.appendChild(selectorContainer);
+    this.syncSelectors();
+  }
+
+  /**
+   * Create a labelled dropdown with a "None" option
+   */
+  createSelector(labelText, className, values, onChange, parent) {
+    const group = document.createElement('div');
+    group.style.display = 'flex';
+    group.style.alignItems = 'center';
+    group.style.gap = '8px';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.style.fontSize = '14px';
+    label.style.fontWeight = '500';
+
+    const select = document.createElement('select');
+    select.className = className;
+    select.style.padding = '4px 8px';
+    select.style.borderRadius = '4px';
+    select.style.minWidth = '150px';
+
+    ['None', ...values].forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', (e) => {
+      onChange(e.target.value);
+    });
+
+    group.appendChild(label);
+    group.appendChild(select);
+    parent.appendChild(group);
+    return select;
+  }
+
+  /**
+   * Set the site and country selectors to the current selection
+   */
+  syncSelectors() {
+    const selection = this.data.config.selectedGroupIDs;
+    if (this.siteSelector) {
+      this.siteSelector.value = (Array.isArray(selection) || selection === 'None') ? 'None' : selection;
+    }
+    if (this.countrySelector) {
+      this.countrySelector.value = this.selectedCountry || 'None';
+    }
+  }
+
+  /**
+   * Handle site selection
+   */
+  selectSite(groupID) {
+    this.selectedCountry = 'None';
+    this.updateSelectedGroupIDs(groupID);
+
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('site-selected', {
+      detail: { groupID },
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Handle multi-site selection
+   * @param {Array<string>} groupIDs - selected GroupIDs (empty to clear the selection)
+   */
+  selectSites(groupIDs) {
+    this.selectedCountry = 'None';
+    const selection = normalizeSelection(groupIDs);
+
+    // The KRI the sites were selected in already revealed them
+    this.updateSelectedGroupIDs(selection, true);
+
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('sites-selected', {
+      detail: { groupIDs: getSelectedGroupIDs(selection) },
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Handle country selection
+   * @param {string} country - country, or 'None' to clear the selection
+   * @param {Array<string>} [groupIDs] - sites of the country (default: looked up in the site metadata)
+   */
+  selectCountry(country, groupIDs) {
+    this.selectedCountry = country;
+
+    // Get all sites for this country
+    const sitesInCountry = country === 'None'
+      ? 'None'
+      : (groupIDs || (this.countryToSites || {})[country] || []);
+
+    // Country only highlights on the overview charts, no right panel interactions
+    this.updateSelectedGroupIDs(sitesInCountry, true);
+
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('country-selected', {
+      detail: { country, groupIDs: sitesInCountry },
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Destroy the Simaerep charts of all KRIs
+   */
+  destroyCharts() {
+    this.charts.forEach(chart => chart.destroy());
+    this.charts.clear();
+  }
+
+  /**
+   * Destroy the dashboard
+   */
+  destroy() {
+    this.destroyCharts();
+    this.container.innerHTML = '';
+    if (this.unregisterSelection) {
+      this.unregisterSelection();
+      this.unregisterSelection = null;
+    }
+  }
+}
+
+export default SimaerepDashboard;
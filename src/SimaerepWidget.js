@@ -0,0 +1,85 @@
+/**
+ * SimaerepWidget - htmlwidgets adapter of the Simaerep chart
+ * Implements the renderValue/resize interface of an htmlwidgets factory, so the R binding is
+ * HTMLWidgets.widget({ name: 'Widget_Simaerep', type: 'output',
+ *   factory: (el, width, height) => new gsmSimaerepViz.SimaerepWidget(el, width, height) })
+ *
+ * Copyright (c) 2025 IMPALA Consortium
+ * Licensed under the MIT License - see LICENSE.md
+ */
+
+import Simaerep from './Simaerep.js';
+import parseWidgetInput from './util/parseWidgetInput.js';
+import bindShiny from './util/bindShiny.js';
+
+class SimaerepWidget {
+  /**
+   * @param {HTMLElement} el - widget element created by htmlwidgets
+   * @param {number} width - initial widget width in pixels
+   * @param {number} height - initial widget height in pixels
+   */
+  constructor(el, width, height) {
+    this.el = el;
+    this.width = width;
+    this.height = height;
+    this.chart = null;
+    // Shiny identifies the output by the ID of its element
+    this.outputId = el.id;
+    this.unbindShiny = null;
+  }
+
+  /**
+   * Render the widget input sent by R (see parseWidgetInput); rendering again replaces the chart
+   * @param {Object} input - data frames, dfGroups, dfMetric, vThreshold, lChartConfig, bAddGroupSelect, ...
+   */
+  renderValue(input) {
+    if (input.bDebug) {
+      console.log(input);
+    }
+
+    const { data, config } = parseWidgetInput(input, this.width, this.height);
+
+    // Assign a unique ID to the element (Shiny outputs keep their output ID)
+    const shinyMode = isShinyMode();
+    if (!shinyMode) {
+      this.el.id = `simaerep--${input.strStudyId}_${input.strScoreCol}`;
+    }
+
+    if (this.unbindShiny) {
+      this.unbindShiny();
+      this.unbindShiny = null;
+    }
+    if (this.chart) {
+      this.chart.destroy();
+    }
+    this.chart = new Simaerep(this.el, data, config);
+
+    // Store instance for later access
+    this.el.chartInstance = this.chart;
+
+    // Report selections to input$<outputId>_* and receive server messages
+    if (shinyMode) {
+      this.unbindShiny = bindShiny(this.chart, this.outputId);
+    }
+  }
+
+  /**
+   * Resize the chart in place when htmlwidgets resizes the widget
+   * @param {number} width - new widget width in pixels
+   * @param {number} height - new widget height in pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+
+    if (this.chart) {
+      this.chart.resize(width, height);
+    }
+  }
+}
+
+function isShinyMode() {
+  return typeof window !== 'undefined' && Boolean(window.HTMLWidgets && window.HTMLWidgets.shinyMode);
+}
+
+export default SimaerepWidget;
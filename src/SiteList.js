@@ -6,6 +6,17 @@
  * Licensed under the MIT License - see LICENSE.md
  */
 
+import applyTheme from './util/applyTheme.js';
+import createEventEmitter from './util/createEventEmitter.js';
+import createLiveRegion from './util/createLiveRegion.js';
+import downloadBlob from './util/downloadBlob.js';
+import exportPages from './util/exportPages.js';
+import getRovingIndex from './util/getRovingIndex.js';
+import getSelectedGroupIDs from './util/getSelectedGroupIDs.js';
+import normalizeSelection from './util/normalizeSelection.js';
+import persistState from './util/persistState.js';
+import selectionStore from './util/selectionStore.js';
+
 class SiteList {
   constructor(container, data, config = {}) {
     this.container = container;
@@ -17,12 +28,14 @@ class SiteList {
       maxHeight: config.maxHeight || '600px',
       showGroupSelector: config.showGroupSelector !== false,
       groupLabelKey: config.groupLabelKey || 'GroupID',
+      theme: config.theme || 'light',
       ...config,
     };
 
     // Initialize chart structure
     this.canvas = document.createElement('canvas');
     this.canvas.style.display = 'none'; // Hidden canvas for compatibility
+    this.canvas.setAttribute('aria-hidden', 'true');
     
     // CRITICAL: Attach chart instance to canvas for gsm.kri integration
     this.canvas.chart = this;
@@ -34,22 +47,153 @@ class SiteList {
       sites: data || [],
     };
 
+    // Instance events (on/off/once) and the source of the change being handled
+    this.events = createEventEmitter();
+    // Listeners of config.on also receive the events of the first render, which happens in the constructor
+    Object.entries(config.on || {}).forEach(([type, listener]) => this.events.on(type, listener));
+    // Last selection reported by 'selectionchange'
+    this.selectionKey = this.getSelectionKey();
+
     // Helper methods required by gsm.kri
     this.helpers = {
-      updateConfig: this.updateConfig.bind(this),
-      updateSelectedGroupIDs: this.updateSelectedGroupIDs.bind(this),
+      updateConfig: (...args) => this.events.withSource('gsm.kri', () => this.updateConfig(...args)),
+      updateSelectedGroupIDs: (...args) => this.events.withSource('gsm.kri', () => this.updateSelectedGroupIDs(...args)),
     };
 
+    // Screen-reader announcements of selection changes
+    this.liveRegion = createLiveRegion('site-list-live-region');
+
+    // Site that holds the roving tabindex of the list
+    this.focusedGroupID = null;
+
+    // Site that shift-click ranges start from (last plainly clicked or toggled site)
+    this.selectionAnchor = null;
+
+    // Site under the pointer, reported by 'site-hovered'
+    this.hoveredGroupID = null;
+
+    // Scrolling element of the list, replaced on every render
+    this.listContainer = null;
+
     this.render();
+
+    // Share the selection with the other widgets of the selection scope (syncSelection: false opts out)
+    this.unregisterSelection = this.config.syncSelection === false
+      ? null
+      : selectionStore.register(this, {
+        scope: this.config.selectionScope,
+        apply: selection => this.updateSelectedGroupIDs(selection),
+      });
+
+    // Restore and save the state in the URL hash and/or localStorage
+    this.stopPersistState = this.config.syncStateToHash || this.config.syncStateToStorage
+      ? persistState(this, {
+        key: this.config.stateKey || this.container.id,
+        hash: this.config.syncStateToHash === true,
+        storage: this.config.syncStateToStorage === true,
+      })
+      : null;
+  }
+
+  /**
+   * Listen to an instance event: selectionchange, statechange, hover, render, datachange or destroy
+   * @returns {Function} function removing the listener
+   */
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  /**
+   * Listen to the next instance event of a type only
+   * @returns {Function} function removing the listener
+   */
+  once(type, listener) {
+    return this.events.once(type, listener);
+  }
+
+  /**
+   * Remove a listener added with on() or once()
+   */
+  off(type, listener) {
+    this.events.off(type, listener);
+  }
+
+  /**
+   * Run the handler of a user interaction: the events it causes have source 'user'
+   */
+  asUser(callback) {
+    return this.events.withSource('user', callback);
+  }
+
+  /**
+   * Selected GroupIDs, compared to report only actual selection changes
+   */
+  getSelectionKey() {
+    return JSON.stringify(getSelectedGroupIDs(this.data.config.selectedGroupIDs));
+  }
+
+  /**
+   * Emit 'selectionchange' when the selected sites changed
+   */
+  emitSelectionChange() {
+    const key = this.getSelectionKey();
+    if (key === this.selectionKey) return;
+    this.selectionKey = key;
+
+    this.events.emit('selectionchange', { groupIDs: JSON.parse(key), country: null, source: this.events.getSource() });
+    this.emitStateChange();
+
+    if (this.unregisterSelection) {
+      selectionStore.select(this.data.config.selectedGroupIDs, { scope: this.data.config.selectionScope, source: this });
+    }
+  }
+
+  /**
+   * Emit 'statechange' with the state returned by getState()
+   */
+  emitStateChange() {
+    this.events.emit('statechange', { state: this.getState(), source: this.events.getSource() });
+  }
+
+  /**
+   * Get the selection and scroll position of the list, to restore them with setState()
+   * @returns {Object} { selectedGroupIDs, scrollTop }
+   */
+  getState() {
+    return {
+      selectedGroupIDs: this.data.config.selectedGroupIDs,
+      scrollTop: this.listContainer ? this.listContainer.scrollTop : 0,
+    };
+  }
+
+  /**
+   * Restore a state returned by getState(); keys left out are not changed
+   * @param {Object} state - state or part of a state
+   */
+  setState(state = {}) {
+    if ('selectedGroupIDs' in state) {
+      this.updateSelectedGroupIDs(state.selectedGroupIDs || 'None');
+    }
+    if (this.listContainer && Number.isFinite(state.scrollTop)) {
+      this.listContainer.scrollTop = state.scrollTop;
+    }
   }
 
   /**
    * Update chart configuration - required by gsm.kri
    */
   updateConfig(chart, config, thresholds) {
+    const previousSelection = this.data.config.selectedGroupIDs;
     this.data.config = { ...this.data.config, ...config };
+    // render() reads the options from this.config
+    this.config = this.data.config;
     this.data._thresholds_ = thresholds || this.data._thresholds_;
     this.render();
+
+    if (this.data.config.selectedGroupIDs !== previousSelection) {
+      this.announceSelection();
+      this.emitSelectionChange();
+    }
   }
 
   /**
@@ -58,15 +202,69 @@ class SiteList {
   updateSelectedGroupIDs(groupID) {
     this.data.config.selectedGroupIDs = groupID;
     this.render();
+    this.announceSelection();
+    this.emitSelectionChange();
+  }
+
+  /**
+   * Replace the sites of the list, keeping selection and options
+   * @param {Array<Object>} sites - site rows (e.g. df_label_sites)
+   */
+  setData(sites) {
+    this.data.sites = sites || [];
+    this.hoveredGroupID = null;
+    this.render();
+    this.events.emit('datachange', { source: this.events.getSource() });
+  }
+
+  /**
+   * Switch the theme without re-rendering the list
+   * @param {string|Object} theme - 'light', 'dark', 'highContrast' or an object of theme tokens
+   */
+  setTheme(theme) {
+    this.data.config.theme = theme;
+    this.theme = applyTheme(this.container, theme);
+  }
+
+  /**
+   * Check whether a site is selected (single GroupID or array of GroupIDs)
+   */
+  isSelected(groupID) {
+    const selection = this.data.config.selectedGroupIDs;
+    return Array.isArray(selection) ? selection.includes(groupID) : selection === groupID;
+  }
+
+  /**
+   * Announce the current selection in the live region
+   */
+  announceSelection() {
+    const selection = this.data.config.selectedGroupIDs;
+
+    if (Array.isArray(selection) && selection.length > 0) {
+      this.liveRegion.textContent = `${selection.length} sites selected`;
+    } else if (selection && selection !== 'None' && !Array.isArray(selection)) {
+      this.liveRegion.textContent = `Site ${selection} selected`;
+    } else {
+      this.liveRegion.textContent = 'Selection cleared';
+    }
   }
 
   /**
    * Render the site list
    */
   render() {
+    // Keep keyboard focus on the list across re-renders
+    const listHadFocus = Boolean(document.activeElement) &&
+      document.activeElement.classList.contains('site-list-item') &&
+      this.container.contains(document.activeElement);
+
+    // Keep the scroll position of the list across re-renders
+    const scrollTop = this.listContainer ? this.listContainer.scrollTop : 0;
+
     // Clear container
     this.container.innerHTML = '';
     this.container.classList.add('gsm-widget', 'site-list');
+    this.theme = applyTheme(this.container, this.data.config.theme);
 
     // Add canvas for compatibility
     this.container.appendChild(this.canvas);
@@ -76,9 +274,10 @@ class SiteList {
     listContainer.className = 'site-list-container';
     listContainer.style.maxHeight = this.config.maxHeight;
     listContainer.style.overflowY = 'auto';
-    listContainer.style.border = '1px solid #ddd';
     listContainer.style.borderRadius = '4px';
     listContainer.style.padding = '10px';
+    listContainer.addEventListener('scroll', () => this.emitStateChange());
+    this.listContainer = listContainer;
 
     // Create header
     const header = document.createElement('div');
@@ -86,7 +285,7 @@ class SiteList {
     header.style.marginBottom = '10px';
     header.style.fontWeight = 'bold';
     header.style.fontSize = '14px';
-    header.innerHTML = `Sites (${this.data.sites.length})`;
+    header.textContent = `Sites (${this.data.sites.length})`;
     listContainer.appendChild(header);
 
     // Create list
@@ -95,20 +294,85 @@ class SiteList {
     list.style.listStyle = 'none';
     list.style.margin = '0';
     list.style.padding = '0';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', `Sites (${this.data.sites.length})`);
+    list.addEventListener('keydown', (e) => this.asUser(() => this.handleKeydown(e)));
+    list.addEventListener('mouseleave', () => this.hoverSite(null));
 
     // Add site items
-    this.data.sites.forEach((site) => {
+    const items = this.data.sites.map((site) => {
       const item = this.createSiteItem(site);
       list.appendChild(item);
+      return item;
     });
 
+    // Roving tabindex: only one item is in the tab order
+    const groupIDs = this.data.sites.map(site => this.getGroupID(site));
+    let tabIndex = groupIDs.indexOf(this.focusedGroupID);
+    if (tabIndex < 0) tabIndex = groupIDs.findIndex(groupID => this.isSelected(groupID));
+    if (tabIndex < 0) tabIndex = 0;
+    if (items[tabIndex]) {
+      items[tabIndex].tabIndex = 0;
+    }
+
     listContainer.appendChild(list);
     this.container.appendChild(listContainer);
+    listContainer.scrollTop = scrollTop;
 
     // Add group selector if enabled
     if (this.config.showGroupSelector) {
       this.addGroupSelector();
     }
+
+    this.container.appendChild(this.liveRegion);
+
+    if (listHadFocus && items[tabIndex]) {
+      items[tabIndex].focus();
+    }
+
+    this.events.emit('render', {});
+  }
+
+  /**
+   * Get the GroupID of a site
+   */
+  getGroupID(site) {
+    return site[this.config.groupLabelKey] || site.GroupID;
+  }
+
+  /**
+   * Keyboard navigation of the list: arrow keys, Home and End move the focus,
+   * Enter or Space select the focused site (with ctrl/shift like a click) and Escape clears the selection
+   */
+  handleKeydown(event) {
+    const items = Array.from(this.container.querySelectorAll('.site-list-item'));
+    const index = items.indexOf(document.activeElement);
+
+    const nextIndex = getRovingIndex(event.key, index, items.length);
+    if (nextIndex !== null) {
+      event.preventDefault();
+      this.focusItem(items, nextIndex);
+      return;
+    }
+
+    if ((event.key === 'Enter' || event.key === ' ') && index >= 0) {
+      event.preventDefault();
+      this.handleItemClick(this.getGroupID(this.data.sites[index]), event);
+    } else if (event.key === 'Escape' && this.data.config.selectedGroupIDs !== 'None') {
+      event.preventDefault();
+      this.selectSite('None');
+    }
+  }
+
+  /**
+   * Move the roving tabindex to an item and focus it
+   */
+  focusItem(items, index) {
+    items.forEach((item, i) => {
+      item.tabIndex = i === index ? 0 : -1;
+    });
+    this.focusedGroupID = this.getGroupID(this.data.sites[index]);
+    items[index].focus();
   }
 
   /**
@@ -122,18 +386,18 @@ class SiteList {
     item.style.cursor = 'pointer';
     item.style.borderRadius = '4px';
     item.style.transition = 'background-color 0.2s';
-    item.style.border = '1px solid transparent';
 
-    const groupID = site[this.config.groupLabelKey] || site.GroupID;
-    const isSelected = this.data.config.selectedGroupIDs === groupID;
+    const groupID = this.getGroupID(site);
+    const isSelected = this.isSelected(groupID);
 
-    // Style based on selection
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', String(isSelected));
+    item.tabIndex = -1;
+
+    // Colors of selected and hovered items come from the theme stylesheet
     if (isSelected) {
-      item.style.backgroundColor = '#e3f2fd';
-      item.style.border = '1px solid #2196f3';
+      item.classList.add('site-list-item--selected');
       item.style.fontWeight = 'bold';
-    } else {
-      item.style.backgroundColor = '#f9f9f9';
     }
 
     // Site information
@@ -150,7 +414,8 @@ class SiteList {
 
     // Add location/site icon
     const icon = document.createElement('span');
-    icon.innerHTML = '📍'; // Location pin emoji
+    icon.textContent = '📍'; // Location pin emoji
+    icon.setAttribute('aria-hidden', 'true');
     icon.style.fontSize = '16px';
     icon.style.opacity = isSelected ? '1' : '0.7';
 
@@ -165,14 +430,9 @@ class SiteList {
     const siteDetails = document.createElement('span');
     siteDetails.className = 'site-details';
     siteDetails.style.fontSize = '12px';
-    siteDetails.style.color = '#666';
     
     // Add additional info if available
-    if (site.InvestigatorLastName) {
-      siteDetails.textContent = site.InvestigatorLastName;
-    } else if (site.Country) {
-      siteDetails.textContent = site.Country;
-    }
+    siteDetails.textContent = this.getSiteDetails(site);
 
     siteInfo.appendChild(leftContent);
     if (siteDetails.textContent) {
@@ -180,31 +440,73 @@ class SiteList {
     }
     item.appendChild(siteInfo);
 
-    // Add click handler
-    item.addEventListener('click', () => {
-      this.selectSite(groupID);
+    // Add click and hover handlers
+    item.addEventListener('click', (e) => {
+      this.asUser(() => this.handleItemClick(groupID, e));
     });
+    item.addEventListener('mouseenter', () => this.hoverSite(groupID));
 
-    // Hover effects
-    item.addEventListener('mouseenter', () => {
-      if (!isSelected) {
-        item.style.backgroundColor = '#f0f0f0';
-      }
-    });
+    return item;
+  }
+
+  /**
+   * Get the secondary text shown next to a site (investigator or country)
+   */
+  getSiteDetails(site) {
+    return site.InvestigatorLastName || site.Country || '';
+  }
 
-    item.addEventListener('mouseleave', () => {
-      if (!isSelected) {
-        item.style.backgroundColor = '#f9f9f9';
+  /**
+   * Select a site on click: ctrl/Cmd-click adds or removes the site, shift-click selects
+   * the range of sites from the last clicked site (ctrl+shift adds the range)
+   */
+  handleItemClick(groupID, event) {
+    const additive = event.ctrlKey || event.metaKey;
+
+    if (event.shiftKey && this.selectionAnchor !== null) {
+      const groupIDs = this.data.sites.map(site => this.getGroupID(site));
+      const from = groupIDs.indexOf(this.selectionAnchor);
+      const to = groupIDs.indexOf(groupID);
+      if (from >= 0 && to >= 0) {
+        const range = groupIDs.slice(Math.min(from, to), Math.max(from, to) + 1);
+        const current = additive ? getSelectedGroupIDs(this.data.config.selectedGroupIDs) : [];
+        this.selectSites([...current, ...range], this.selectionAnchor);
+        return;
       }
-    });
+    }
 
-    return item;
+    if (additive) {
+      const current = getSelectedGroupIDs(this.data.config.selectedGroupIDs);
+      this.selectSites(current.includes(groupID)
+        ? current.filter(id => id !== groupID)
+        : [...current, groupID], groupID);
+    } else {
+      this.selectSite(groupID);
+    }
+  }
+
+  /**
+   * Handle multi-site selection
+   * @param {Array<string>} groupIDs - selected GroupIDs (empty to clear the selection)
+   * @param {string} [anchor] - site that the next shift-click range starts from
+   */
+  selectSites(groupIDs, anchor = null) {
+    const selection = normalizeSelection(groupIDs);
+    this.selectionAnchor = anchor;
+    this.updateSelectedGroupIDs(selection);
+
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('sites-selected', {
+      detail: { groupIDs: getSelectedGroupIDs(selection) },
+    });
+    this.container.dispatchEvent(event);
   }
 
   /**
    * Handle site selection
    */
   selectSite(groupID) {
+    this.selectionAnchor = groupID !== 'None' ? groupID : null;
     this.updateSelectedGroupIDs(groupID);
 
     // Trigger change event for integration with other widgets
@@ -220,6 +522,21 @@ class SiteList {
     }
   }
 
+  /**
+   * Report the site under the pointer (null when the pointer leaves the list)
+   */
+  hoverSite(groupID) {
+    if (groupID === this.hoveredGroupID) return;
+    this.hoveredGroupID = groupID;
+
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('site-hovered', {
+      detail: { groupID },
+    });
+    this.container.dispatchEvent(event);
+    this.events.emit('hover', { groupID, source: 'user' });
+  }
+
   /**
    * Add group selector dropdown
    */
@@ -237,7 +554,6 @@ class SiteList {
     select.className = 'gsm-widget-control--group';
     select.style.padding = '4px 8px';
     select.style.borderRadius = '4px';
-    select.style.border = '1px solid #ccc';
 
     // Add "None" option
     const noneOption = document.createElement('option');
@@ -254,12 +570,13 @@ class SiteList {
       select.appendChild(option);
     });
 
-    // Set current value
-    select.value = this.data.config.selectedGroupIDs;
+    // Set current value ('None' for multiple selected sites)
+    const selection = this.data.config.selectedGroupIDs;
+    select.value = Array.isArray(selection) ? 'None' : selection;
 
     // Add change handler
     select.addEventListener('change', (e) => {
-      this.selectSite(e.target.value);
+      this.asUser(() => this.selectSite(e.target.value));
     });
 
     selectorContainer.appendChild(label);
@@ -267,11 +584,98 @@ class SiteList {
     this.container.appendChild(selectorContainer);
   }
 
+  /**
+   * Export the site list as PNG, SVG or PDF
+   * @param {Object} options - { format, dpi, filename, download }
+   * @returns {Blob} exported file
+   */
+  exportChart(options = {}) {
+    const format = options.format || 'png';
+    const blob = exportPages(this.getExportPages(format), {
+      format,
+      dpi: options.dpi,
+      background: this.theme.background,
+      title: `Sites (${this.data.sites.length})`,
+    });
+
+    if (options.download !== false) {
+      downloadBlob(blob, options.filename || `site-list.${format}`);
+    }
+
+    return blob;
+  }
+
+  /**
+   * Build the pages of an export: [{ width, height, draw(ctx) }]
+   * PDF exports are split into pages of 25 sites
+   */
+  getExportPages(format) {
+    const width = 400;
+    const headerHeight = 30;
+    const rowHeight = 32;
+    const sites = this.data.sites;
+    const pageSize = format === 'pdf' ? 25 : Math.max(sites.length, 1);
+
+    const pages = [];
+    for (let start = 0; start < Math.max(sites.length, 1); start += pageSize) {
+      const pageSites = sites.slice(start, start + pageSize);
+
+      pages.push({
+        width,
+        height: headerHeight + pageSites.length * rowHeight + 10,
+        draw: ctx => {
+          ctx.save();
+          ctx.textBaseline = 'middle';
+          ctx.fillStyle = this.theme.text;
+          ctx.font = 'bold 14px sans-serif';
+          ctx.fillText(`Sites (${sites.length})`, 10, headerHeight / 2);
+
+          pageSites.forEach((site, index) => {
+            const groupID = site[this.config.groupLabelKey] || site.GroupID;
+            const isSelected = this.isSelected(groupID);
+            const y = headerHeight + index * rowHeight;
+
+            ctx.fillStyle = isSelected ? this.theme.selection : this.theme.surface;
+            ctx.fillRect(10, y + 2, width - 20, rowHeight - 4);
+            if (isSelected) {
+              ctx.strokeStyle = this.theme.selectionBorder;
+              ctx.lineWidth = 1;
+              ctx.strokeRect(10.5, y + 2.5, width - 21, rowHeight - 5);
+            }
+
+            ctx.textAlign = 'left';
+            ctx.fillStyle = this.theme.text;
+            ctx.font = `${isSelected ? 'bold ' : ''}14px sans-serif`;
+            ctx.fillText(String(groupID), 22, y + rowHeight / 2);
+
+            ctx.textAlign = 'right';
+            ctx.fillStyle = this.theme.textMuted;
+            ctx.font = '12px sans-serif';
+            ctx.fillText(this.getSiteDetails(site), width - 22, y + rowHeight / 2);
+          });
+
+          ctx.restore();
+        },
+      });
+    }
+
+    return pages;
+  }
+
   /**
    * Destroy the chart
    */
   destroy() {
     this.container.innerHTML = '';
+    if (this.unregisterSelection) {
+      this.unregisterSelection();
+      this.unregisterSelection = null;
+    }
+    this.events.emit('destroy', {});
+    if (this.stopPersistState) {
+      this.stopPersistState();
+      this.stopPersistState = null;
+    }
   }
 }
 
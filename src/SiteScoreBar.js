@@ -0,0 +1,563 @@
+/**
+ * SiteScoreBar - Horizontal bar chart ranking all sites by Score or ExpectedNumerator
+ * One bar per row of df_label_sites, coloured by site Color, with KRI threshold lines
+ * Supports gsm.viz site selection functionality
+ *
+ * Copyright (c) 2025 IMPALA Consortium
+ * Licensed under the MIT License - see LICENSE.md
+ */
+
+import Chart from 'chart.js/auto';
+import applyTheme from './util/applyTheme.js';
+import compareValues from './util/compareValues.js';
+import flagColors from './util/flagColors.js';
+import getChangedKeys from './util/getChangedKeys.js';
+import hexToRgba from './util/hexToRgba.js';
+import parseThresholds from './util/parseThresholds.js';
+import reclassifySites from './util/reclassifySites.js';
+import selectionStore from './util/selectionStore.js';
+
+// Values that can be plotted as bar length
+const MEASURES = ['Score', 'ExpectedNumerator'];
+
+class SiteScoreBar {
+  constructor(container, data, config = {}) {
+    this.container = container;
+
+    // Extract metric fields from metric object if provided
+    const metric = config.metric || {};
+
+    this.config = {
+      selectedGroupIDs: config.selectedGroupIDs || 'None',
+      width: config.width || '100%',
+      maxHeight: config.maxHeight || '600px',
+      barHeight: config.barHeight || 20,
+      measure: MEASURES.includes(config.measure) ? config.measure : 'Score',
+      sortBy: config.sortBy || 'Score',
+      sortOrder: config.sortOrder === 'descending' ? 'descending' : 'ascending',
+      showGroupSelector: config.showGroupSelector !== false,
+      showMeasureToggle: config.showMeasureToggle !== false,
+      showSortControl: config.showSortControl !== false,
+      groupLabelKey: config.groupLabelKey || 'GroupID',
+      GroupLevel: config.GroupLevel || metric.GroupLevel || 'Site',
+      // KRI metadata fields extracted from metric object with fallbacks
+      Metric: metric.Metric || config.Metric || 'Adverse Event Rate',
+      Score: metric.Score || config.Score || 'Over/Under-Reporting Probability',
+      ExpectedNumerator: metric.ExpectedNumerator || config.ExpectedNumerator || 'Delta Expected AEs',
+      Threshold: metric.Threshold || config.Threshold || null,
+      // Theme: 'light', 'dark', 'highContrast' or an object of theme tokens
+      theme: config.theme || 'light',
+      ...config,
+    };
+
+    // Store original metric object for reference
+    this.metric = metric;
+
+    // Accept df_label_sites directly or a simaerep data bundle
+    const sites = Array.isArray(data) ? data : ((data && data.df_label_sites) || []);
+
+    // Initialize canvas for Chart.js
+    this.canvas = document.createElement('canvas');
+
+    // CRITICAL: Attach chart instance to canvas for gsm.kri integration
+    this.canvas.chart = this;
+
+    // Create data structure expected by gsm.kri
+    this.data = {
+      config: this.config,
+      _thresholds_: config.thresholds || {},
+      sites,
+    };
+
+    // Helper methods required by gsm.kri
+    this.helpers = {
+      updateConfig: this.updateConfig.bind(this),
+      updateSelectedGroupIDs: this.updateSelectedGroupIDs.bind(this),
+    };
+
+    // Chart.js instance (will be created in render)
+    this.chartInstance = null;
+
+    this.render();
+
+    // Share the selection with the other widgets of the selection scope (syncSelection: false opts out)
+    this.unregisterSelection = this.config.syncSelection === false
+      ? null
+      : selectionStore.register(this, {
+        scope: this.config.selectionScope,
+        apply: selection => this.updateSelectedGroupIDs(selection),
+      });
+  }
+
+  /**
+   * Update chart configuration - required by gsm.kri
+   */
+  updateConfig(chart, config, thresholds) {
+    const previousConfig = this.data.config;
+    const previousThresholds = this.getThresholds();
+    this.data.config = { ...this.data.config, ...config };
+    this.data._thresholds_ = thresholds || config.thresholds || this.data._thresholds_;
+
+    // New thresholds reclassify the Flag and Color of every site
+    const thresholdsChanged = getChangedKeys({ thresholds: previousThresholds }, { thresholds: this.getThresholds() }).length > 0;
+    if (thresholdsChanged) {
+      this.data.sites = reclassifySites({ df_label_sites: this.data.sites }, this.getThresholds()).df_label_sites;
+    }
+
+    // Rebuild the chart only when options other than the selection and theme changed
+    const changedKeys = getChangedKeys(previousConfig, this.data.config);
+    if (thresholdsChanged || changedKeys.some(key => key !== 'selectedGroupIDs' && key !== 'theme')) {
+      this.render();
+    } else {
+      if (changedKeys.includes('theme')) {
+        this.setTheme(this.data.config.theme);
+      }
+      if (changedKeys.includes('selectedGroupIDs')) {
+        this.applySelection();
+      }
+    }
+    if (changedKeys.includes('selectedGroupIDs')) {
+      this.publishSelection();
+    }
+  }
+
+  /**
+   * Switch the theme without rebuilding the chart
+   * @param {string|Object} theme - 'light', 'dark', 'highContrast' or an object of theme tokens
+   */
+  setTheme(theme) {
+    this.data.config.theme = theme;
+    this.theme = applyTheme(this.container, theme);
+
+    if (this.chartInstance) {
+      Object.values(this.chartInstance.options.scales).forEach(scale => {
+        scale.grid.color = this.theme.grid;
+        scale.ticks.color = this.theme.textMuted;
+        scale.title.color = this.theme.textMuted;
+      });
+      this.applySelection();
+    }
+  }
+
+  /**
+   * Update selected group IDs - required by gsm.kri
+   */
+  updateSelectedGroupIDs(groupID) {
+    this.data.config.selectedGroupIDs = groupID;
+    this.applySelection();
+    this.publishSelection();
+  }
+
+  /**
+   * Apply the selection to the other widgets of the selection scope
+   */
+  publishSelection() {
+    if (this.unregisterSelection) {
+      selectionStore.select(this.data.config.selectedGroupIDs, { scope: this.data.config.selectionScope, source: this });
+    }
+  }
+
+  /**
+   * Get the GroupID of a site
+   */
+  getGroupID(site) {
+    return site[this.data.config.groupLabelKey] || site.GroupID;
+  }
+
+  /**
+   * Check whether a site is selected (single GroupID or array of GroupIDs)
+   */
+  isSelected(groupID) {
+    const selection = this.data.config.selectedGroupIDs;
+    return Array.isArray(selection) ? selection.includes(groupID) : selection === groupID;
+  }
+
+  /**
+   * Check whether any site is selected
+   */
+  hasSelection() {
+    const selection = this.data.config.selectedGroupIDs;
+    return Boolean(selection) && selection !== 'None' &&
+      (Array.isArray(selection) ? selection.length > 0 : true);
+  }
+
+  /**
+   * Get the KRI thresholds: gsm.kri thresholds take precedence over df_metric.Threshold
+   * @returns {Array<number>} ascending thresholds (empty if none are defined)
+   */
+  getThresholds() {
+    return parseThresholds(this.data._thresholds_) ||
+      parseThresholds(this.data.config.Threshold) ||
+      [];
+  }
+
+  /**
+   * Sort sites by a df_label_sites column; numeric columns sort numerically and
+   * missing values always come last
+   */
+  getSortedSites() {
+    const { sortBy, sortOrder } = this.data.config;
+    return [...this.data.sites].sort((a, b) => compareValues(a[sortBy], b[sortBy], sortOrder));
+  }
+
+  /**
+   * Bar colour of a site: its Color, or the default colour of its Flag
+   */
+  getSiteColor(site) {
+    return site.Color || flagColors[Number(site.Flag)] || '#999999';
+  }
+
+  /**
+   * Get the selection-dependent bar styles of all sites, in bar order
+   */
+  getBarStyles(sites) {
+    const hasSelection = this.hasSelection();
+
+    return sites.map(site => {
+      const isSelected = this.isSelected(this.getGroupID(site));
+      const color = this.getSiteColor(site);
+
+      return {
+        backgroundColor: hexToRgba(color, hasSelection && !isSelected ? 0.2 : 1.0),
+        borderColor: isSelected ? this.theme.text : hexToRgba(color, hasSelection ? 0.2 : 1.0),
+        borderWidth: isSelected ? 2 : 0,
+      };
+    });
+  }
+
+  /**
+   * Process sites into the Chart.js bar dataset
+   */
+  processData() {
+    const measure = this.data.config.measure;
+    const sites = this.getSortedSites();
+    const styles = this.getBarStyles(sites);
+
+    this.sortedSites = sites;
+
+    return {
+      labels: sites.map(site => this.getGroupID(site)),
+      datasets: [{
+        label: this.data.config[measure],
+        data: sites.map(site => {
+          const value = parseFloat(site[measure]);
+          return Number.isFinite(value) ? value : null;
+        }),
+        backgroundColor: styles.map(style => style.backgroundColor),
+        borderColor: styles.map(style => style.borderColor),
+        borderWidth: styles.map(style => style.borderWidth),
+        groupIDs: sites.map(site => this.getGroupID(site)),
+      }],
+    };
+  }
+
+  /**
+   * Render the chart
+   */
+  render() {
+    // Clear container
+    this.container.innerHTML = '';
+    this.container.classList.add('gsm-widget', 'site-score-bar');
+    this.theme = applyTheme(this.container, this.data.config.theme);
+
+    if (this.data.config.showMeasureToggle || this.data.config.showSortControl ||
+      this.data.config.showGroupSelector) {
+      this.addControls();
+    }
+
+    // Bars keep their height, so the chart grows with the number of sites and scrolls
+    const scrollContainer = document.createElement('div');
+    scrollContainer.className = 'site-score-bar-container';
+    scrollContainer.style.width = this.data.config.width;
+    scrollContainer.style.maxHeight = this.data.config.maxHeight;
+    scrollContainer.style.overflowY = 'auto';
+
+    const canvasWrapper = document.createElement('div');
+    canvasWrapper.style.position = 'relative';
+    canvasWrapper.style.height = `${this.data.sites.length * this.data.config.barHeight + 60}px`;
+    canvasWrapper.appendChild(this.canvas);
+    scrollContainer.appendChild(canvasWrapper);
+    this.container.appendChild(scrollContainer);
+
+    // Destroy existing chart instance
+    if (this.chartInstance) {
+      this.chartInstance.destroy();
+    }
+
+    const measure = this.data.config.measure;
+    const thresholds = measure === 'Score' ? this.getThresholds() : [];
+
+    this.chartInstance = new Chart(this.canvas, {
+      type: 'bar',
+      data: this.processData(),
+      plugins: [this.getThresholdPlugin(thresholds)],
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            // Keep every threshold line inside the plotted range
+            suggestedMin: thresholds.length > 0 ? Math.min(...thresholds) : undefined,
+            suggestedMax: thresholds.length > 0 ? Math.max(...thresholds) : undefined,
+            title: {
+              display: true,
+              text: this.data.config[measure],
+              color: this.theme.textMuted
+            },
+            grid: {
+              display: true,
+              color: this.theme.grid
+            },
+            ticks: {
+              color: this.theme.textMuted
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: this.data.config.GroupLevel,
+              color: this.theme.textMuted
+            },
+            grid: {
+              display: false,
+              color: this.theme.grid
+            },
+            ticks: {
+              autoSkip: false,
+              font: { size: 10 },
+              color: this.theme.textMuted
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            display: false
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => this.getTooltipLabel(context.dataIndex)
+            }
+          }
+        },
+        onClick: (event, elements) => {
+          if (elements && elements.length > 0) {
+            const site = this.sortedSites[elements[0].index];
+            if (site) {
+              this.selectSite(this.getGroupID(site));
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Tooltip lines of a bar: Score, ExpectedNumerator and Flag
+   */
+  getTooltipLabel(index) {
+    const site = this.sortedSites[index];
+    if (!site) return '';
+
+    const lines = [];
+    MEASURES.forEach(measure => {
+      if (site[measure] !== undefined && site[measure] !== null) {
+        const value = Number(site[measure]);
+        lines.push(`${this.data.config[measure]}: ${Number.isFinite(value) ? value.toFixed(2) : site[measure]}`);
+      }
+    });
+    if (site.Flag !== undefined) {
+      lines.push(`Flag: ${site.Flag}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Chart.js plugin drawing a dashed vertical line at each threshold
+   * Outer thresholds (strong flags) are drawn darker than inner thresholds
+   */
+  getThresholdPlugin(thresholds) {
+    const half = Math.floor(thresholds.length / 2);
+
+    return {
+      id: 'siteScoreBarThresholds',
+      afterDatasetsDraw: (chart) => {
+        const { ctx, chartArea, scales } = chart;
+        if (!chartArea || !scales || !scales.x || thresholds.length === 0) return;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+
+        thresholds.forEach((threshold, index) => {
+          const x = scales.x.getPixelForValue(threshold);
+          if (x < chartArea.left || x > chartArea.right) return;
+
+          // Distance from the middle of the thresholds: 1 for the innermost pair
+          const level = index < half ? half - index : index - half + 1;
+          const color = level > 1 ? this.theme.thresholdFlag : this.theme.thresholdWarning;
+
+          ctx.strokeStyle = color;
+          ctx.beginPath();
+          ctx.moveTo(x, chartArea.top);
+          ctx.lineTo(x, chartArea.bottom);
+          ctx.stroke();
+
+          ctx.fillStyle = color;
+          ctx.fillText(String(threshold), x, chartArea.top - 2);
+        });
+
+        ctx.restore();
+      }
+    };
+  }
+
+  /**
+   * Apply the current selection without rebuilding the chart
+   */
+  applySelection() {
+    if (this.chartInstance && this.sortedSites) {
+      const dataset = this.chartInstance.data.datasets[0];
+      const styles = this.getBarStyles(this.sortedSites);
+      dataset.backgroundColor = styles.map(style => style.backgroundColor);
+      dataset.borderColor = styles.map(style => style.borderColor);
+      dataset.borderWidth = styles.map(style => style.borderWidth);
+      this.chartInstance.update('none');
+    }
+
+    if (this.groupSelector) {
+      const selection = this.data.config.selectedGroupIDs;
+      this.groupSelector.value = (Array.isArray(selection) || selection === 'None') ? 'None' : selection;
+    }
+  }
+
+  /**
+   * Handle site selection
+   */
+  selectSite(groupID) {
+    this.updateSelectedGroupIDs(groupID);
+
+    // Trigger change event for integration with other widgets
+    const event = new CustomEvent('site-selected', {
+      detail: { groupID },
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Add measure toggle, sort controls and group selector
+   */
+  addControls() {
+    const controlContainer = document.createElement('div');
+    controlContainer.className = 'gsm-widget-control-container';
+    controlContainer.style.marginBottom = '10px';
+    controlContainer.style.display = 'flex';
+    controlContainer.style.gap = '20px';
+    controlContainer.style.alignItems = 'center';
+    controlContainer.style.flexWrap = 'wrap';
+
+    if (this.data.config.showMeasureToggle) {
+      const measureSelect = this.addSelect(controlContainer, 'Bar: ', 'site-score-bar-measure',
+        MEASURES.map(measure => [measure, this.data.config[measure]]));
+      measureSelect.value = this.data.config.measure;
+      measureSelect.addEventListener('change', (e) => {
+        this.updateConfig(this, { measure: e.target.value });
+      });
+    }
+
+    if (this.data.config.showSortControl) {
+      // Any column of df_label_sites
+      const columns = new Set();
+      this.data.sites.forEach(site => Object.keys(site).forEach(column => columns.add(column)));
+      columns.add(this.data.config.sortBy);
+
+      const sortSelect = this.addSelect(controlContainer, 'Sort by: ', 'site-score-bar-sort',
+        Array.from(columns).map(column => [column, column]));
+      sortSelect.value = this.data.config.sortBy;
+      sortSelect.addEventListener('change', (e) => {
+        this.updateConfig(this, { sortBy: e.target.value });
+      });
+
+      const ascending = this.data.config.sortOrder !== 'descending';
+      const orderButton = document.createElement('button');
+      orderButton.type = 'button';
+      orderButton.className = 'site-score-bar-order';
+      orderButton.textContent = ascending ? '▲ Ascending' : '▼ Descending';
+      orderButton.style.padding = '4px 8px';
+      orderButton.style.borderRadius = '4px';
+      orderButton.style.cursor = 'pointer';
+      orderButton.addEventListener('click', () => {
+        this.updateConfig(this, { sortOrder: ascending ? 'descending' : 'ascending' });
+      });
+      sortSelect.parentNode.appendChild(orderButton);
+    }
+
+    this.groupSelector = null;
+    if (this.data.config.showGroupSelector) {
+      const groupSelect = this.addSelect(controlContainer, `${this.data.config.GroupLevel}: `, 'gsm-widget-control--group',
+        [['None', 'None'], ...this.data.sites
+          .map(site => this.getGroupID(site))
+          .sort()
+          .map(groupID => [groupID, groupID])]);
+      groupSelect.addEventListener('change', (e) => {
+        this.selectSite(e.target.value);
+      });
+      this.groupSelector = groupSelect;
+      this.applySelection();
+    }
+
+    this.container.appendChild(controlContainer);
+  }
+
+  /**
+   * Add a labelled dropdown to the controls
+   * @param {Array} options - [value, text] pairs
+   */
+  addSelect(parent, labelText, className, options) {
+    const group = document.createElement('div');
+    group.style.display = 'flex';
+    group.style.alignItems = 'center';
+    group.style.gap = '8px';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.style.fontSize = '14px';
+    label.style.fontWeight = '500';
+
+    const select = document.createElement('select');
+    select.className = className;
+    select.style.padding = '4px 8px';
+    select.style.borderRadius = '4px';
+
+    options.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+
+    group.appendChild(label);
+    group.appendChild(select);
+    parent.appendChild(group);
+    return select;
+  }
+
+  /**
+   * Destroy the chart
+   */
+  destroy() {
+    if (this.chartInstance) {
+      this.chartInstance.destroy();
+    }
+    this.container.innerHTML = '';
+    if (this.unregisterSelection) {
+      this.unregisterSelection();
+      this.unregisterSelection = null;
+    }
+  }
+}
+
+export default SiteScoreBar;
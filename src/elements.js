@@ -0,0 +1,60 @@
+/**
+ * Custom elements wrapping the charts: <gsm-simaerep> and <gsm-site-list>
+ *
+ * Copyright (c) 2025 IMPALA Consortium
+ * Licensed under the MIT License - see LICENSE.md
+ */
+
+import SiteList from './SiteList.js';
+import Simaerep from './Simaerep.js';
+import createChartElement from './util/createChartElement.js';
+
+// Option attributes shared by both elements
+const COMMON_ATTRIBUTES = {
+  theme: ['theme', 'string'],
+  'selected-group-ids': ['selectedGroupIDs', 'list'],
+  width: ['width', 'number'],
+  height: ['height', 'number'],
+  'show-group-selector': ['showGroupSelector', 'boolean'],
+  'group-label-key': ['groupLabelKey', 'string'],
+};
+
+const ELEMENTS = {
+  'gsm-simaerep': {
+    ChartClass: Simaerep,
+    attributes: {
+      ...COMMON_ATTRIBUTES,
+      thresholds: ['thresholds', 'string'],
+      'group-level': ['GroupLevel', 'string'],
+      'show-country-selector': ['showCountrySelector', 'boolean'],
+      'show-right-panel': ['showRightPanel', 'boolean'],
+      'show-legend': ['showLegend', 'boolean'],
+      'enable-zoom': ['enableZoom', 'boolean'],
+    },
+    events: ['site-selected', 'sites-selected', 'country-selected', 'site-hovered', 'patient-selected', 'zoom-changed', 'legend-changed'],
+  },
+  'gsm-site-list': {
+    ChartClass: SiteList,
+    attributes: {
+      ...COMMON_ATTRIBUTES,
+      'max-height': ['maxHeight', 'string'],
+    },
+    events: ['site-selected', 'sites-selected', 'site-hovered'],
+    // A JSON file may hold the site rows or a Simaerep bundle
+    toData: data => (Array.isArray(data) ? data : (data && data.df_label_sites) || []),
+  },
+};
+
+/**
+ * Register <gsm-simaerep> and <gsm-site-list> (once; no-op without custom element support)
+ * @param {CustomElementRegistry} [registry] - registry to define the elements in
+ */
+export default function defineElements(registry = typeof customElements !== 'undefined' ? customElements : null) {
+  if (!registry) return;
+
+  Object.entries(ELEMENTS).forEach(([name, { ChartClass, ...options }]) => {
+    if (!registry.get(name)) {
+      registry.define(name, createChartElement(ChartClass, { name, ...options }));
+    }
+  });
+}
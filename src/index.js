@@ -8,10 +8,29 @@
 
 import SiteList from './SiteList.js';
 import Simaerep from './Simaerep.js';
+import SimaerepDashboard from './SimaerepDashboard.js';
+import SiteScoreBar from './SiteScoreBar.js';
+import SimaerepWidget from './SimaerepWidget.js';
+import defineElements from './elements.js';
+import computeSimaerep from './util/computeSimaerep.js';
+import bindShiny from './util/bindShiny.js';
+import selectionStore from './util/selectionStore.js';
+import themes from './util/themes.js';
+
+// Register <gsm-simaerep> and <gsm-site-list> when the bundle is loaded
+defineElements();
 
 export default {
   SiteList,
   Simaerep,
+  SimaerepDashboard,
+  SiteScoreBar,
+  SimaerepWidget,
+  defineElements,
+  computeSimaerep,
+  bindShiny,
+  selectionStore,
+  themes,
 };
 
-export { SiteList, Simaerep };
+export { SiteList, Simaerep, SimaerepDashboard, SiteScoreBar, SimaerepWidget, defineElements, computeSimaerep, bindShiny, selectionStore, themes };
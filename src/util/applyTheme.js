@@ -0,0 +1,39 @@
+import injectThemeStyles from './injectThemeStyles.js';
+import resolveTheme from './resolveTheme.js';
+
+/**
+ * Apply a theme to a widget container
+ *
+ * Purpose: Drive the DOM styling of a widget from theme tokens.
+ *
+ * - Adds the shared theme stylesheet to the document (or shadow root) of the container
+ * - Sets each token as a --gsm-* custom property on the container (accent → --gsm-accent)
+ * - Sets data-gsm-theme to the theme name, e.g. for page CSS scoped to a theme
+ *
+ * Custom properties can also be overridden by page CSS, e.g. `.gsm-widget { --gsm-accent: purple; }`
+ * applies to the DOM, while Chart.js colors come from the returned tokens.
+ *
+ * @param {HTMLElement} container - widget container
+ * @param {string|Object} theme - theme name or object of tokens (see resolveTheme)
+ *
+ * @returns {Object} resolved theme tokens
+ */
+export default function applyTheme(container, theme) {
+    const tokens = resolveTheme(theme);
+
+    injectThemeStyles(container);
+    Object.entries(tokens).forEach(([key, value]) => {
+        if (key === 'name') return;
+        container.style.setProperty(getCustomPropertyName(key), value);
+    });
+    container.setAttribute('data-gsm-theme', tokens.name);
+
+    return tokens;
+}
+
+/**
+ * Name of the custom property of a theme token: surfaceHover → --gsm-surface-hover
+ */
+function getCustomPropertyName(key) {
+    return `--gsm-${key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+}
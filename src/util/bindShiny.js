@@ -0,0 +1,140 @@
+import convertRDataFrame from './convertRDataFrame.js';
+
+// Type of the server messages sent with session$sendCustomMessage()
+const MESSAGE_TYPE = 'gsm-simaerep-viz';
+
+// Charts receiving server messages, by Shiny output ID
+const boundCharts = new Map();
+
+// Shiny objects with the message handler registered (one handler per message type)
+const registeredShiny = new WeakSet();
+
+/**
+ * Purpose: Connect a Simaerep or SiteList chart to a Shiny app.
+ *
+ * Inputs, updated when the user interacts with the chart (NULL when cleared):
+ * - input$<id>_selected_group: selected GroupID, or GroupIDs of a multi-site or country selection
+ * - input$<id>_selected_country: selected country (Simaerep only)
+ * - input$<id>_hovered_group: GroupID under the pointer
+ * - input$<id>_selected_patient: list(groupID, subjectID) of the highlighted patient (Simaerep only)
+ *
+ * Server messages: session$sendCustomMessage('gsm-simaerep-viz', list(id = '<id>', action = ..., ...))
+ * - action 'select': groupIDs (one GroupID, several, or NULL to clear)
+ * - action 'selectCountry': country (NULL to clear)
+ * - action 'zoom': panel ('overview' or GroupID, default 'overview'), x and/or y as list(min, max)
+ * - action 'resetZoom': panel (all panels when NULL)
+ * - action 'replaceData': data, a Simaerep bundle of data frames or the sites of a SiteList
+ * - action 'updateConfig': config and optional thresholds, as gsm.kri's updateConfig
+ *
+ * @param {Object} chart - Simaerep or SiteList instance
+ * @param {string} id - Shiny output ID of the widget
+ * @param {Object} [shiny] - Shiny object (default: window.Shiny)
+ *
+ * @returns {Function|null} function removing the binding, or null outside of Shiny
+ */
+export default function bindShiny(chart, id, shiny = getShiny()) {
+    if (!shiny || typeof shiny.setInputValue !== 'function' || !id) return null;
+
+    if (!registeredShiny.has(shiny)) {
+        shiny.addCustomMessageHandler(MESSAGE_TYPE, handleMessage);
+        registeredShiny.add(shiny);
+    }
+    boundCharts.set(id, chart);
+
+    const hasCountry = typeof chart.selectCountry === 'function';
+    const hasPatients = typeof chart.selectPatient === 'function';
+    const setInput = (name, value) => shiny.setInputValue(`${id}_${name}`, value);
+    const setSelection = (selection, country = null) => {
+        setInput('selected_group', toInputValue(selection));
+        if (hasCountry) setInput('selected_country', toInputValue(country));
+    };
+
+    const listeners = {
+        'site-selected': (event) => setSelection(event.detail.groupID),
+        'sites-selected': (event) => setSelection(event.detail.groupIDs),
+        'country-selected': (event) => setSelection(event.detail.groupIDs, event.detail.country),
+        'site-hovered': (event) => setInput('hovered_group', toInputValue(event.detail.groupID)),
+        'patient-selected': (event) => setInput('selected_patient', event.detail.subjectID === null
+            ? null
+            : { groupID: event.detail.groupID, subjectID: event.detail.subjectID }),
+    };
+    Object.entries(listeners).forEach(([type, listener]) => chart.container.addEventListener(type, listener));
+
+    // Initial values
+    setSelection(chart.data.config.selectedGroupIDs, chart.selectedCountry);
+    setInput('hovered_group', null);
+    if (hasPatients) setInput('selected_patient', null);
+
+    return () => {
+        Object.entries(listeners).forEach(([type, listener]) => chart.container.removeEventListener(type, listener));
+        if (boundCharts.get(id) === chart) {
+            boundCharts.delete(id);
+        }
+    };
+}
+
+function getShiny() {
+    return typeof window !== 'undefined' ? window.Shiny : undefined;
+}
+
+// 'None', empty selections and R NULL become null
+function toInputValue(value) {
+    if (value === undefined || value === null || value === 'None') return null;
+    if (Array.isArray(value)) return value.length > 0 ? value : null;
+    return value;
+}
+
+function handleMessage(message) {
+    const chart = message && boundCharts.get(message.id);
+    if (!chart) return;
+
+    switch (message.action) {
+        case 'select': {
+            const groupIDs = toInputValue(message.groupIDs);
+            if (Array.isArray(groupIDs) && groupIDs.length > 1) {
+                chart.selectSites(groupIDs);
+            } else {
+                chart.selectSite(Array.isArray(groupIDs) ? groupIDs[0] : (groupIDs || 'None'));
+            }
+            break;
+        }
+        case 'selectCountry':
+            if (typeof chart.selectCountry === 'function') {
+                chart.selectCountry(toInputValue(message.country) || 'None');
+            }
+            break;
+        case 'zoom': {
+            const limits = {};
+            ['x', 'y'].forEach((axis) => {
+                if (axis in message) limits[axis] = message[axis];
+            });
+            if (typeof chart.setZoom === 'function') {
+                chart.setZoom(message.panel || 'overview', limits);
+            }
+            break;
+        }
+        case 'resetZoom':
+            if (typeof chart.resetZoom === 'function') {
+                chart.resetZoom(message.panel || undefined);
+            }
+            break;
+        case 'replaceData':
+            chart.setData(convertData(message.data));
+            break;
+        case 'updateConfig':
+            chart.helpers.updateConfig(chart, message.config || {}, message.thresholds);
+            break;
+        default:
+            console.warn(`Unknown gsm-simaerep-viz message action "${message.action}"`);
+    }
+}
+
+// Data frames sent by R are in column format: a bundle of df_* tables or a single data frame
+function convertData(data) {
+    const keys = data && typeof data === 'object' && !Array.isArray(data) ? Object.keys(data) : [];
+    if (keys.length > 0 && keys.every((key) => key.startsWith('df_'))) {
+        return Object.fromEntries(keys.map((key) => [key, convertRDataFrame(data[key])]));
+    }
+
+    return convertRDataFrame(data);
+}
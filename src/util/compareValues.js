@@ -0,0 +1,33 @@
+/**
+ * Compare two table values for sorting
+ *
+ * Values that are both numeric (including numeric strings from R) are compared as numbers,
+ * other values alphabetically. Missing values (undefined, null, '' and 'NA') always sort
+ * last, whatever the direction.
+ *
+ * @param {*} a - first value
+ * @param {*} b - second value
+ * @param {string} sortOrder - 'ascending' or 'descending'
+ *
+ * @returns {number} negative if a comes first, positive if b comes first, 0 if equal
+ */
+export default function compareValues(a, b, sortOrder = 'ascending') {
+    const direction = sortOrder === 'descending' ? -1 : 1;
+    const missingA = isMissing(a);
+    const missingB = isMissing(b);
+
+    if (missingA || missingB) {
+        return missingA - missingB;
+    }
+
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (Number.isFinite(numberA) && Number.isFinite(numberB)) {
+        return (numberA - numberB) * direction;
+    }
+    return String(a).localeCompare(String(b)) * direction;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '' || value === 'NA';
+}
@@ -0,0 +1,314 @@
+import createRandom from './createRandom.js';
+import flagColors from './flagColors.js';
+import getFlag from './getFlag.js';
+import parseThresholds from './parseThresholds.js';
+
+const DEFAULT_THRESHOLDS = [-0.99, -0.95, 0.95, 0.99];
+
+/**
+ * Purpose: Derive all Simaerep chart inputs from visit-level data.
+ *
+ * Client-side port of the simaerep workflow used by gsm.simaerep:
+ * - Site and study curves: cumulative sum of the mean event increment per
+ *   Denominator value, averaged over the patients observed at that value
+ * - Scores: over-/under-reporting probability from patient resampling
+ *   - 'inframe' (default): every site patient is replaced by a random study patient
+ *     with at least as many visits, evaluated at the site patient's last visit
+ *   - 'bootstrap': site patients are evaluated at visit_med75 and compared with
+ *     bootstrap samples of study patients that reached visit_med75
+ * - Flag and Color from the Score and the KRI thresholds
+ *
+ * Input:  [{ SubjectID: "0022", GroupID: "0X003", Numerator: 0, Denominator: 1 }, ...]
+ * Output: { df_mean_study, df_mean_group_flagged, df_mean_group_not_flagged, df_label_sites }
+ *
+ * @param {Array} dfVisit - visit-level rows with columns SubjectID, GroupID, Numerator
+ *   (cumulative event count) and Denominator (visit)
+ * @param {Object} config - simulation options
+ *   Optional: config.method - 'inframe' or 'bootstrap' (default: 'inframe')
+ *   Optional: config.r - number of simulations per site (default: 1000)
+ *   Optional: config.seed - seed for the random number generator (default: 1)
+ *   Optional: config.thresholds - array or df_metric.Threshold string (default: -0.99, -0.95, 0.95, 0.99)
+ *   Optional: config.GroupLevel - value for the GroupLevel column (default: 'Site')
+ *   Optional: config.colors - Color per Flag value (default: gsm.simaerep blues)
+ *
+ * @returns {Object} data bundle accepted by Simaerep
+ */
+export default function computeSimaerep(dfVisit, config = {}) {
+    const method = config.method || 'inframe';
+    const r = config.r || 1000;
+    const thresholds = parseThresholds(config.thresholds) || DEFAULT_THRESHOLDS;
+    const colors = { ...flagColors, ...(config.colors || {}) };
+    const groupLevel = config.GroupLevel || 'Site';
+    const random = createRandom(config.seed === undefined ? 1 : config.seed);
+
+    if (!['inframe', 'bootstrap'].includes(method)) {
+        throw new Error(`Unknown simaerep method "${method}". Use "inframe" or "bootstrap".`);
+    }
+
+    const patients = structurePatients(dfVisit || []);
+    const sites = new Map();
+    patients.forEach((patient) => {
+        if (!sites.has(patient.groupID)) sites.set(patient.groupID, []);
+        sites.get(patient.groupID).push(patient);
+    });
+    const groupIDs = Array.from(sites.keys()).sort();
+
+    // Observed curves
+    const siteCurves = new Map();
+    groupIDs.forEach((groupID) => {
+        siteCurves.set(groupID, computeCurve(sites.get(groupID)));
+    });
+    const studyCurve = computeCurve(patients);
+
+    // Simulated scores
+    const simulate = method === 'bootstrap' ? simulateBootstrap : simulateInframe;
+    const results = groupIDs.map((groupID) =>
+        simulate(sites.get(groupID), patients, r, random)
+    );
+    const scoreMults = adjustScores(results.map((result) => result.score));
+
+    // Site labels
+    const labels = groupIDs.map((groupID, i) => {
+        const sitePatients = sites.get(groupID);
+        const numerator = sum(sitePatients.map((patient) => patient.events));
+        const denominator = sum(sitePatients.map((patient) => patient.maxVisit));
+        const flag = getFlag(results[i].score, thresholds);
+
+        return {
+            GroupID: groupID,
+            GroupLevel: groupLevel,
+            Numerator: numerator,
+            Denominator: denominator,
+            Metric: denominator > 0 ? numerator / denominator : 0,
+            Score: results[i].score,
+            ScoreMult: scoreMults[i],
+            ExpectedNumerator: results[i].delta,
+            Flag: flag,
+            Color: colors[flag],
+            nSubjects: sitePatients.length,
+        };
+    });
+
+    // Most extreme scores first, ties broken by absolute delta
+    labels.sort(
+        (a, b) =>
+            Math.abs(b.Score) - Math.abs(a.Score) ||
+            Math.abs(b.ExpectedNumerator) - Math.abs(a.ExpectedNumerator)
+    );
+
+    const labelByGroupID = new Map(labels.map((label) => [label.GroupID, label]));
+    const curveRows = (groupID) =>
+        siteCurves.get(groupID).map((point) => ({
+            GroupID: groupID,
+            Denominator: point.x,
+            cum_mean_dev_event: point.y,
+            Color: labelByGroupID.get(groupID).Color,
+        }));
+
+    return {
+        df_mean_study: studyCurve.map((point) => ({
+            Denominator: point.x,
+            cum_mean_dev_event: point.y,
+        })),
+        df_mean_group_flagged: groupIDs
+            .filter((groupID) => labelByGroupID.get(groupID).Flag !== 0)
+            .flatMap(curveRows),
+        df_mean_group_not_flagged: groupIDs
+            .filter((groupID) => labelByGroupID.get(groupID).Flag === 0)
+            .flatMap(curveRows),
+        df_label_sites: labels,
+    };
+}
+
+/**
+ * Group visit rows by patient and sort each patient's visits by Denominator.
+ */
+function structurePatients(dfVisit) {
+    const byPatient = new Map();
+
+    dfVisit.forEach((row) => {
+        const x = parseFloat(row.Denominator);
+        const y = parseFloat(row.Numerator);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+
+        const groupID = String(row.GroupID);
+        const subjectID = String(row.SubjectID);
+        const key = `${groupID}\u0000${subjectID}`;
+
+        if (!byPatient.has(key)) {
+            byPatient.set(key, { groupID, subjectID, visits: [] });
+        }
+        byPatient.get(key).visits.push({ x, y });
+    });
+
+    return Array.from(byPatient.values()).map((patient) => {
+        patient.visits.sort((a, b) => a.x - b.x);
+        const last = patient.visits[patient.visits.length - 1];
+        patient.maxVisit = last.x;
+        patient.events = last.y;
+        return patient;
+    });
+}
+
+/**
+ * Cumulative event count of a patient at visit x (last observation carried forward).
+ */
+function eventsAt(patient, x) {
+    const visits = patient.visits;
+    let lo = 0;
+    let hi = visits.length - 1;
+    let value = 0;
+
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (visits[mid].x <= x) {
+            value = visits[mid].y;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Cumulative sum of the mean per-visit event increments of the patients observed
+ * at each Denominator value (matches cum_mean_dev_event in gsm.simaerep).
+ */
+function computeCurve(patients) {
+    const increments = new Map();
+
+    patients.forEach((patient) => {
+        let previous = 0;
+        patient.visits.forEach((visit) => {
+            if (!increments.has(visit.x)) increments.set(visit.x, []);
+            increments.get(visit.x).push(visit.y - previous);
+            previous = visit.y;
+        });
+    });
+
+    let cumulative = 0;
+    return Array.from(increments.keys())
+        .sort((a, b) => a - b)
+        .map((x) => {
+            cumulative += mean(increments.get(x));
+            return { x, y: cumulative };
+        });
+}
+
+/**
+ * Cumulative event counts at visit x of all study patients that reached it.
+ */
+function buildPool(patients, x, cache) {
+    if (!cache.has(x)) {
+        cache.set(
+            x,
+            patients
+                .filter((patient) => patient.maxVisit >= x)
+                .map((patient) => eventsAt(patient, x))
+        );
+    }
+    return cache.get(x);
+}
+
+/**
+ * Inframe simulation: observed site events vs. events of resampled study patients
+ * with the same visit counts.
+ */
+function simulateInframe(sitePatients, studyPatients, r, random) {
+    const cache = new Map();
+    const pools = sitePatients.map((patient) =>
+        buildPool(studyPatients, patient.maxVisit, cache)
+    );
+    const observed = sum(sitePatients.map((patient) => patient.events));
+
+    const simulated = [];
+    for (let i = 0; i < r; i++) {
+        let total = 0;
+        pools.forEach((pool) => {
+            total += pool[Math.floor(random() * pool.length)];
+        });
+        simulated.push(total);
+    }
+
+    return {
+        score: scoreSimulation(observed, simulated),
+        delta: observed - mean(simulated),
+    };
+}
+
+/**
+ * Bootstrap simulation: mean site events at visit_med75 vs. means of bootstrap
+ * samples drawn from all study patients that reached visit_med75.
+ */
+function simulateBootstrap(sitePatients, studyPatients, r, random) {
+    const visitMed75 = Math.ceil(median(sitePatients.map((patient) => patient.maxVisit)) * 0.75);
+    const eligible = sitePatients.filter((patient) => patient.maxVisit >= visitMed75);
+
+    if (eligible.length === 0) {
+        return { score: 0, delta: 0 };
+    }
+
+    const pool = buildPool(studyPatients, visitMed75, new Map());
+    const observed = mean(eligible.map((patient) => eventsAt(patient, visitMed75)));
+
+    const simulated = [];
+    for (let i = 0; i < r; i++) {
+        let total = 0;
+        for (let j = 0; j < eligible.length; j++) {
+            total += pool[Math.floor(random() * pool.length)];
+        }
+        simulated.push(total / eligible.length);
+    }
+
+    return {
+        score: scoreSimulation(observed, simulated),
+        delta: (observed - mean(simulated)) * eligible.length,
+    };
+}
+
+/**
+ * Signed reporting probability: positive for over-reporting (share of simulations
+ * below the observed value), negative for under-reporting (share above it).
+ */
+function scoreSimulation(observed, simulated) {
+    const below = simulated.filter((value) => value < observed).length / simulated.length;
+    const above = simulated.filter((value) => value > observed).length / simulated.length;
+
+    return below >= above ? below : -above;
+}
+
+/**
+ * Benjamini-Hochberg adjustment of the scores, keeping their sign.
+ */
+function adjustScores(scores) {
+    const n = scores.length;
+    const order = scores
+        .map((score, index) => ({ p: 1 - Math.abs(score), index }))
+        .sort((a, b) => a.p - b.p);
+
+    const adjusted = new Array(n);
+    let running = 1;
+    for (let rank = n; rank >= 1; rank--) {
+        const { p, index } = order[rank - 1];
+        running = Math.min(running, (p * n) / rank);
+        adjusted[index] = running;
+    }
+
+    return scores.map((score, index) => Math.sign(score) * (1 - adjusted[index]));
+}
+
+function sum(values) {
+    return values.reduce((acc, value) => acc + value, 0);
+}
+
+function mean(values) {
+    return values.length > 0 ? sum(values) / values.length : 0;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
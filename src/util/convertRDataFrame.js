@@ -0,0 +1,33 @@
+/**
+ * Convert a data frame serialized by R (htmlwidgets/jsonlite) to an array of row objects
+ *
+ * - Column format { GroupID: ['S1', 'S2'], Flag: [0, 1] } becomes one object per row
+ * - Columns unboxed to a scalar (one-row data frames) are repeated on every row
+ * - Arrays of row objects are returned as is, and a single row object is wrapped in an array
+ *
+ * @param {Object|Array} df - data frame in column or row format
+ *
+ * @returns {Array<Object>} rows (empty for missing or empty data frames)
+ */
+export default function convertRDataFrame(df) {
+    if (!df || typeof df !== 'object') return [];
+    if (Array.isArray(df)) return df;
+
+    const keys = Object.keys(df);
+    if (keys.length === 0) return [];
+
+    const columns = keys.filter((key) => Array.isArray(df[key]));
+    if (columns.length === 0) return [df];
+
+    const numRows = Math.max(...columns.map((key) => df[key].length));
+    const rows = [];
+    for (let i = 0; i < numRows; i++) {
+        const row = {};
+        keys.forEach((key) => {
+            row[key] = Array.isArray(df[key]) ? df[key][i] : df[key];
+        });
+        rows.push(row);
+    }
+
+    return rows;
+}
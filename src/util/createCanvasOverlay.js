@@ -0,0 +1,17 @@
+/**
+ * Add an element drawn over a chart canvas, e.g. a zoom box or lasso. It is positioned in the
+ * canvas parent and lets mouse events through; its colors come from the theme stylesheet.
+ *
+ * @param {HTMLCanvasElement} canvas - canvas of the chart
+ * @param {Element} element - overlay element (HTML or SVG)
+ * @param {string} className - class of the overlay, styled by the theme
+ *
+ * @returns {Element} the overlay element
+ */
+export default function createCanvasOverlay(canvas, element, className) {
+    element.setAttribute('class', className);
+    element.style.position = 'absolute';
+    element.style.pointerEvents = 'none';
+    canvas.parentNode.appendChild(element);
+    return element;
+}
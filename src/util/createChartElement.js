@@ -0,0 +1,181 @@
+// Attribute values converted to chart options
+const PARSERS = {
+    string: (value) => value,
+    number: (value) => (value !== '' && Number.isFinite(Number(value)) ? Number(value) : value),
+    boolean: (value) => value !== 'false',
+    // "120" stays a single GroupID, "120, 130" becomes a list
+    list: (value) => {
+        const items = value.split(',').map((item) => item.trim()).filter((item) => item !== '');
+        return items.length > 1 ? items : (items[0] || 'None');
+    },
+};
+
+/**
+ * Purpose: Build a custom element class wrapping a chart class, for declarative embedding.
+ *
+ * - Data: `data` property, or a `src` attribute with the URL of a JSON file
+ * - Config: `config` property or JSON attribute, overridden by the option attributes
+ * - The chart is created in a shadow root when the element is connected and there is data,
+ *   updated in place when data or config change, and destroyed when the element is disconnected
+ * - Chart events are re-dispatched from the element as bubbling, composed events
+ *
+ * @param {Function} ChartClass - chart class, constructed as new ChartClass(container, data, config)
+ * @param {Object} options
+ * @param {string} options.name - element name used in error messages
+ * @param {Object} options.attributes - option attributes: { 'attribute-name': ['optionKey', 'string'|'number'|'boolean'|'list'] }
+ * @param {Array<string>} options.events - chart events re-dispatched from the element
+ * @param {Function} [options.toData] - converts the data (property or JSON file) to chart data
+ *
+ * @returns {Function} custom element class
+ */
+export default function createChartElement(ChartClass, { name, attributes, events, toData = (data) => data }) {
+    return class extends HTMLElement {
+        static get observedAttributes() {
+            return ['src', 'config', ...Object.keys(attributes)];
+        }
+
+        constructor() {
+            super();
+            this.chartInstance = null;
+            this.dataValue = undefined;
+            this.configValue = {};
+            this.loadID = 0;
+
+            const shadow = this.attachShadow({ mode: 'open' });
+            const style = document.createElement('style');
+            style.textContent = ':host { display: block; }';
+            this.container = document.createElement('div');
+            shadow.append(style, this.container);
+
+            // Chart events do not leave the shadow root: dispatch them from the element
+            events.forEach((type) => {
+                this.container.addEventListener(type, (event) => {
+                    this.dispatchEvent(new CustomEvent(type, {
+                        detail: event.detail,
+                        bubbles: true,
+                        composed: true,
+                    }));
+                });
+            });
+        }
+
+        /** Chart instance (null while disconnected or without data) */
+        get chart() {
+            return this.chartInstance;
+        }
+
+        get data() {
+            return this.dataValue;
+        }
+
+        set data(data) {
+            this.dataValue = data;
+            if (!this.isConnected) return;
+
+            if (this.chartInstance) {
+                this.chartInstance.setData(toData(data));
+            } else {
+                this.createChart();
+            }
+        }
+
+        get config() {
+            return this.configValue;
+        }
+
+        set config(config) {
+            this.configValue = config || {};
+            this.updateChartConfig();
+        }
+
+        connectedCallback() {
+            if (this.dataValue === undefined && this.hasAttribute('src')) {
+                this.load();
+            } else {
+                this.createChart();
+            }
+        }
+
+        disconnectedCallback() {
+            // Release the Chart.js instances
+            if (this.chartInstance) {
+                this.chartInstance.destroy();
+                this.chartInstance = null;
+            }
+        }
+
+        attributeChangedCallback(attribute, oldValue, newValue) {
+            if (oldValue === newValue || !this.isConnected) return;
+
+            if (attribute === 'src') {
+                if (newValue !== null) this.load();
+            } else {
+                this.updateChartConfig();
+            }
+        }
+
+        /**
+         * Chart options: config property, then the config attribute, then the option attributes
+         */
+        getChartConfig() {
+            const config = { ...this.configValue };
+
+            const json = this.getAttribute('config');
+            if (json) {
+                try {
+                    Object.assign(config, JSON.parse(json));
+                } catch (error) {
+                    console.warn(`${name}: config attribute is not valid JSON`);
+                }
+            }
+
+            Object.entries(attributes).forEach(([attribute, [key, type]]) => {
+                if (this.hasAttribute(attribute)) {
+                    config[key] = PARSERS[type](this.getAttribute(attribute));
+                }
+            });
+
+            return config;
+        }
+
+        createChart() {
+            if (this.chartInstance || this.dataValue === undefined || this.dataValue === null) return;
+            this.chartInstance = new ChartClass(this.container, toData(this.dataValue), this.getChartConfig());
+        }
+
+        updateChartConfig() {
+            if (this.chartInstance) {
+                this.chartInstance.helpers.updateConfig(this.chartInstance, this.getChartConfig());
+            }
+        }
+
+        /**
+         * Load the data from the JSON file of the src attribute (the latest request wins)
+         */
+        load() {
+            const src = this.getAttribute('src');
+            const loadID = ++this.loadID;
+
+            return fetch(src)
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then((data) => {
+                    if (loadID === this.loadID) {
+                        this.data = data;
+                    }
+                })
+                .catch((error) => {
+                    console.error(`${name}: could not load ${src}: ${error.message}`);
+                    this.dispatchEvent(new CustomEvent('load-error', {
+                        detail: { src, error },
+                        bubbles: true,
+                        composed: true,
+                    }));
+                });
+        }
+    };
+}
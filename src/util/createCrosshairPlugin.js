@@ -0,0 +1,98 @@
+import isInChartArea from './isInChartArea.js';
+
+const LABEL_PADDING = 4;
+const LABEL_LINE_HEIGHT = 14;
+const POINT_RADIUS = 3;
+
+/**
+ * Purpose: Create a Chart.js inline plugin drawing a vertical crosshair
+ *
+ * - Reports the x value under the pointer (in data units) while it moves inside the chart area
+ * - Draws a dashed vertical line at the x value returned by getCrosshair, with a point
+ *   and the value of each line at that x in a label next to it
+ *
+ * The crosshair position is owned by the caller, so several charts can show the same x.
+ *
+ * @param {Object} config - crosshair configuration
+ *   Required: config.getCrosshair - callback(chart) returning null (no crosshair) or
+ *     { x, label, lines: [{ label, y, color }], color, textColor, background }
+ *   Optional: config.onHover - callback(chart, x) with the x value under the pointer,
+ *     or null when the pointer leaves the chart area
+ *
+ * @returns {Object} Chart.js plugin, to be passed in the chart's `plugins` array
+ */
+export default function createCrosshairPlugin(config) {
+    return {
+        id: 'simaerepCrosshair',
+        afterEvent(chart, args) {
+            if (!config.onHover) return;
+
+            const event = args.event;
+            if (event.type === 'mouseout') {
+                config.onHover(chart, null);
+            } else if (event.type === 'mousemove') {
+                config.onHover(chart, isInChartArea(chart, event)
+                    ? chart.scales.x.getValueForPixel(event.x)
+                    : null);
+            }
+        },
+        afterDatasetsDraw(chart) {
+            const crosshair = config.getCrosshair(chart);
+            if (!crosshair || !chart.chartArea || !chart.scales.x || !chart.scales.y) return;
+
+            const { ctx, chartArea } = chart;
+            const x = chart.scales.x.getPixelForValue(crosshair.x);
+            if (!Number.isFinite(x) || x < chartArea.left || x > chartArea.right) return;
+
+            ctx.save();
+            ctx.strokeStyle = crosshair.color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const lines = crosshair.lines.filter((line) => Number.isFinite(line.y));
+            lines.forEach((line) => {
+                const y = chart.scales.y.getPixelForValue(line.y);
+                if (y < chartArea.top || y > chartArea.bottom) return;
+                ctx.fillStyle = line.color;
+                ctx.beginPath();
+                ctx.arc(x, y, POINT_RADIUS, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+
+            drawLabel(chart, x, [
+                { text: crosshair.label, color: crosshair.textColor },
+                ...lines.map((line) => ({ text: `${line.label}: ${line.y.toFixed(2)}`, color: line.color })),
+            ], crosshair);
+
+            ctx.restore();
+        },
+    };
+}
+
+/**
+ * Draw the crosshair label box next to the line, flipped to the left near the right edge.
+ */
+function drawLabel(chart, x, rows, crosshair) {
+    const { ctx, chartArea } = chart;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
+    const width = Math.max(...rows.map((row) => ctx.measureText(row.text).width)) + 2 * LABEL_PADDING;
+    const height = rows.length * LABEL_LINE_HEIGHT + 2 * LABEL_PADDING;
+    const left = x + 6 + width > chartArea.right ? x - 6 - width : x + 6;
+    const top = chartArea.bottom - height - 4;
+
+    ctx.fillStyle = crosshair.background;
+    ctx.fillRect(left, top, width, height);
+
+    rows.forEach((row, index) => {
+        ctx.fillStyle = row.color;
+        ctx.fillText(row.text, left + LABEL_PADDING, top + LABEL_PADDING + index * LABEL_LINE_HEIGHT);
+    });
+}
@@ -0,0 +1,67 @@
+/**
+ * Purpose: Instance-level events of the charts (chart.on/off/once), alongside their DOM events.
+ *
+ * The emitter also tracks the source of the change being handled: user interactions run
+ * their handler through withSource('user', ...), gsm.kri calls through withSource('gsm.kri', ...),
+ * and anything else, i.e. a direct method call, is 'programmatic'.
+ *
+ * @returns {Object} { on, off, once, emit, withSource, getSource }
+ */
+export default function createEventEmitter() {
+    const listeners = new Map();
+    let source = null;
+
+    const off = (type, listener) => {
+        const typeListeners = listeners.get(type);
+        if (!typeListeners) return;
+
+        const index = typeListeners.findIndex((item) => item === listener || item.listener === listener);
+        if (index >= 0) {
+            typeListeners.splice(index, 1);
+        }
+    };
+
+    const on = (type, listener) => {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Listener of "${type}" must be a function`);
+        }
+        if (!listeners.has(type)) {
+            listeners.set(type, []);
+        }
+        listeners.get(type).push(listener);
+
+        return () => off(type, listener);
+    };
+
+    const once = (type, listener) => {
+        const wrapper = (payload) => {
+            off(type, wrapper);
+            listener(payload);
+        };
+        // Lets off(type, listener) remove the listener before it fires
+        wrapper.listener = listener;
+
+        return on(type, wrapper);
+    };
+
+    const emit = (type, payload) => {
+        // Copy, so listeners removing themselves do not skip the next one
+        [...(listeners.get(type) || [])].forEach((listener) => listener(payload));
+    };
+
+    // The outermost source wins: a click handler calling selectSite() stays a 'user' change
+    const withSource = (changeSource, callback) => {
+        if (source) return callback();
+
+        source = changeSource;
+        try {
+            return callback();
+        } finally {
+            source = null;
+        }
+    };
+
+    const getSource = () => source || 'programmatic';
+
+    return { on, off, once, emit, withSource, getSource };
+}
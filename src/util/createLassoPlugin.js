@@ -0,0 +1,132 @@
+import createCanvasOverlay from './createCanvasOverlay.js';
+import getCanvasPoint from './getCanvasPoint.js';
+import isInChartArea from './isInChartArea.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Minimum distance in pixels between recorded lasso points
+const MIN_POINT_DISTANCE = 3;
+
+/**
+ * Purpose: Create a Chart.js inline plugin for freehand lasso selection
+ *
+ * - Modifier key + drag: draw a lasso around or across lines
+ * - Releasing the mouse reports the lasso polygon, e.g. to select the lines passing through it
+ *
+ * Lasso drags take precedence over the pan and box zoom of createZoomPlugin, so both
+ * plugins can be used on the same chart.
+ *
+ * @param {Object} config - lasso configuration
+ *   Required: config.onLasso - callback(chart, polygon, event) with the lasso corners
+ *     [{ x, y }] in canvas pixels and the mouseup event
+ *   Optional: config.modifier - 'alt', 'ctrl', 'shift' or 'meta' key starting a lasso (default: 'alt')
+ *
+ * @returns {Object} Chart.js plugin, to be passed in the chart's `plugins` array
+ */
+export default function createLassoPlugin(config) {
+    const detachers = new Map();
+
+    return {
+        id: 'simaerepLasso',
+        afterInit(chart) {
+            detachers.set(chart, attachListeners(chart, config));
+        },
+        beforeDestroy(chart) {
+            const detach = detachers.get(chart);
+            if (detach) detach();
+            detachers.delete(chart);
+        },
+    };
+}
+
+/**
+ * Attach the lasso listeners to the chart canvas.
+ * Returns a function removing them again.
+ */
+function attachListeners(chart, config) {
+    const canvas = chart.canvas;
+    const modifier = config.modifier || 'alt';
+    let lasso = null;
+    let suppressClick = false;
+
+    const onMouseMove = (event) => {
+        const point = getCanvasPoint(canvas, event);
+        const last = lasso.points[lasso.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) < MIN_POINT_DISTANCE) return;
+
+        lasso.points.push(point);
+        drawLasso(lasso);
+    };
+
+    const onMouseUp = (event) => {
+        const points = lasso.points;
+        stopLasso();
+
+        // The click following the drag must not be handled as a click on the chart
+        suppressClick = true;
+        setTimeout(() => {
+            suppressClick = false;
+        }, 0);
+
+        if (points.length >= 3) {
+            config.onLasso(chart, points, event);
+        }
+    };
+
+    // Registered in the capture phase, so a lasso drag stops the pan listener of the zoom plugin
+    const onMouseDown = (event) => {
+        if (event.button !== 0 || !event[`${modifier}Key`]) return;
+
+        const point = getCanvasPoint(canvas, event);
+        if (!isInChartArea(chart, point)) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        lasso = { points: [point], overlay: createOverlay(canvas) };
+        drawLasso(lasso);
+
+        window.addEventListener('mousemove', onMouseMove);
+        window.addEventListener('mouseup', onMouseUp);
+    };
+
+    const onClick = (event) => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        event.stopImmediatePropagation();
+    };
+
+    const stopLasso = () => {
+        window.removeEventListener('mousemove', onMouseMove);
+        window.removeEventListener('mouseup', onMouseUp);
+        if (lasso) lasso.overlay.remove();
+        lasso = null;
+    };
+
+    canvas.addEventListener('mousedown', onMouseDown, true);
+    canvas.addEventListener('click', onClick, true);
+
+    return () => {
+        if (lasso) stopLasso();
+        canvas.removeEventListener('mousedown', onMouseDown, true);
+        canvas.removeEventListener('click', onClick, true);
+    };
+}
+
+/**
+ * SVG overlay covering the canvas; stroke and fill come from the theme stylesheet.
+ */
+function createOverlay(canvas) {
+    const svg = createCanvasOverlay(canvas, document.createElementNS(SVG_NS, 'svg'), 'simaerep-lasso');
+    svg.style.left = `${canvas.offsetLeft}px`;
+    svg.style.top = `${canvas.offsetTop}px`;
+    svg.style.width = `${canvas.clientWidth}px`;
+    svg.style.height = `${canvas.clientHeight}px`;
+    svg.style.overflow = 'visible';
+
+    svg.appendChild(document.createElementNS(SVG_NS, 'polygon'));
+    return svg;
+}
+
+function drawLasso(lasso) {
+    lasso.overlay.firstChild.setAttribute('points', lasso.points.map((point) => `${point.x},${point.y}`).join(' '));
+}
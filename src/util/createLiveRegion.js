@@ -0,0 +1,19 @@
+import hideVisually from './hideVisually.js';
+
+/**
+ * Create a visually hidden ARIA live region for screen-reader announcements
+ *
+ * Set the textContent of the region to announce a message; the region has to stay
+ * in the DOM between announcements, so widgets re-append the same element on render.
+ *
+ * @param {string} className - class of the region element
+ * @returns {HTMLElement} live region
+ */
+export default function createLiveRegion(className = 'gsm-live-region') {
+    const region = document.createElement('div');
+    region.className = className;
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    return hideVisually(region);
+}
@@ -0,0 +1,125 @@
+// A4 landscape in points
+const DEFAULT_PAGE_WIDTH = 842;
+const DEFAULT_PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const TITLE_SIZE = 14;
+const TITLE_SPACING = 12;
+
+/**
+ * Purpose: Write a PDF document with one JPEG image per page
+ *
+ * Minimal PDF 1.4 writer so exports work offline without a PDF library. Each page
+ * shows an optional title (Helvetica) above its image, scaled to fit the page.
+ *
+ * @param {Array} pages - [{ title, image: { data, width, height } }] where data is
+ *   the JPEG file content (Uint8Array) and width/height its size in pixels
+ * @param {Object} options - document options
+ *   Optional: options.title - document title stored in the PDF metadata
+ *   Optional: options.pageWidth - page width in points (default: 842, A4 landscape)
+ *   Optional: options.pageHeight - page height in points (default: 595, A4 landscape)
+ *
+ * @returns {Uint8Array} PDF file content
+ */
+export default function createPdf(pages, options = {}) {
+    const pageWidth = options.pageWidth || DEFAULT_PAGE_WIDTH;
+    const pageHeight = options.pageHeight || DEFAULT_PAGE_HEIGHT;
+
+    // Object numbers: 1 catalog, 2 page tree, 3 font, 4 info, then 3 objects per page
+    const pageObject = (i) => 5 + i * 3;
+    const objects = [];
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] =
+        `<< /Type /Pages /Count ${pages.length} ` +
+        `/Kids [${pages.map((page, i) => `${pageObject(i)} 0 R`).join(' ')}] >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] =
+        `<< /Producer ${pdfString('gsm.simaerep.viz')}` +
+        (options.title ? ` /Title ${pdfString(options.title)}` : '') +
+        ' >>';
+
+    pages.forEach((page, i) => {
+        const number = pageObject(i);
+        const { image } = page;
+
+        const titleHeight = page.title ? TITLE_SIZE + TITLE_SPACING : 0;
+        const availableWidth = pageWidth - 2 * MARGIN;
+        const availableHeight = pageHeight - 2 * MARGIN - titleHeight;
+        const scale = Math.min(availableWidth / image.width, availableHeight / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        const x = MARGIN + (availableWidth - width) / 2;
+        const y = pageHeight - MARGIN - titleHeight - height;
+
+        const content = [`q ${fixed(width)} 0 0 ${fixed(height)} ${fixed(x)} ${fixed(y)} cm /Im0 Do Q`];
+        if (page.title) {
+            content.push(
+                `BT /F1 ${TITLE_SIZE} Tf ${MARGIN} ${fixed(pageHeight - MARGIN - TITLE_SIZE)} Td ` +
+                `${pdfString(page.title)} Tj ET`
+            );
+        }
+        const stream = content.join('\n');
+
+        objects[number] =
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+            `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${number + 2} 0 R >> >> ` +
+            `/Contents ${number + 1} 0 R >>`;
+        objects[number + 1] = [`<< /Length ${stream.length} >>\nstream\n`, stream, '\nendstream'];
+        objects[number + 2] = [
+            `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+            image.data,
+            '\nendstream',
+        ];
+    });
+
+    // Serialize objects and record their byte offsets for the cross-reference table
+    const parts = ['%PDF-1.4\n%âãÏÓ\n'];
+    const offsets = [];
+    let length = parts[0].length;
+    const append = (part) => {
+        parts.push(part);
+        length += part.length;
+    };
+
+    for (let number = 1; number < objects.length; number++) {
+        offsets[number] = length;
+        append(`${number} 0 obj\n`);
+        [].concat(objects[number]).forEach(append);
+        append('\nendobj\n');
+    }
+
+    const xref = length;
+    append(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+    for (let number = 1; number < objects.length; number++) {
+        append(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    append(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const output = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach((part) => {
+        if (typeof part === 'string') {
+            for (let i = 0; i < part.length; i++) output[offset + i] = part.charCodeAt(i) & 0xff;
+        } else {
+            output.set(part, offset);
+        }
+        offset += part.length;
+    });
+
+    return output;
+}
+
+/**
+ * PDF literal string; characters outside Latin-1 are replaced with '?'.
+ */
+function pdfString(text) {
+    const escaped = String(text)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/[\\()]/g, (char) => `\\${char}`);
+    return `(${escaped})`;
+}
+
+function fixed(value) {
+    return Number(value.toFixed(2));
+}
@@ -0,0 +1,22 @@
+/**
+ * Create a seedable pseudo-random number generator.
+ *
+ * Uses the mulberry32 algorithm so that simulations are reproducible across
+ * browsers and test runs. Seeds are coerced to 32-bit unsigned integers.
+ *
+ * @param {number} seed - Integer seed (default: 1)
+ *
+ * @returns {Function} Function returning a float in [0, 1) on each call
+ */
+export default function createRandom(seed = 1) {
+    let state = (Number(seed) || 0) >>> 0;
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
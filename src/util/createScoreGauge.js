@@ -0,0 +1,87 @@
+import getThresholdBand from './getThresholdBand.js';
+
+// Screen-reader descriptions of the threshold band of a Score
+const BAND_LABELS = {
+    none: 'within thresholds',
+    warning: 'beyond a warning threshold',
+    flag: 'beyond a flag threshold',
+};
+
+/**
+ * Purpose: Create a horizontal gauge showing a site Score against the KRI thresholds
+ *
+ * - Track from -1 to 1, widened to include the Score and all thresholds
+ * - Shaded warning and flag bands beyond the thresholds, with a tick at each threshold
+ * - Marker at the Score
+ *
+ * Colors come from the theme stylesheet (.simaerep-score-gauge-* classes).
+ *
+ * @param {number|string} score - site Score
+ * @param {Array<number>} thresholds - ascending thresholds
+ *
+ * @returns {HTMLElement|null} gauge element with role="meter", or null without a numeric Score
+ */
+export default function createScoreGauge(score, thresholds) {
+    const value = parseFloat(score);
+    if (!Number.isFinite(value)) return null;
+
+    const min = Math.min(-1, value, ...thresholds);
+    const max = Math.max(1, value, ...thresholds);
+    const toPercent = (x) => `${((x - min) / (max - min)) * 100}%`;
+    const band = getThresholdBand(value, thresholds);
+
+    const gauge = document.createElement('div');
+    gauge.className = 'simaerep-score-gauge';
+    gauge.setAttribute('role', 'meter');
+    gauge.setAttribute('aria-label', 'Score');
+    gauge.setAttribute('aria-valuemin', String(min));
+    gauge.setAttribute('aria-valuemax', String(max));
+    gauge.setAttribute('aria-valuenow', String(value));
+    gauge.setAttribute('aria-valuetext', `${value.toFixed(2)}${band ? `, ${BAND_LABELS[band]}` : ''}`);
+    gauge.style.position = 'relative';
+    gauge.style.height = '8px';
+    gauge.style.margin = '2px 0 6px';
+    gauge.style.borderRadius = '4px';
+    gauge.style.overflow = 'hidden';
+    gauge.style.flexShrink = '0';
+
+    // Bands between consecutive boundaries, classified by their midpoint
+    const boundaries = [min, ...thresholds, max];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        const segmentBand = getThresholdBand((boundaries[i] + boundaries[i + 1]) / 2, thresholds);
+        if (segmentBand !== 'warning' && segmentBand !== 'flag') continue;
+
+        const segment = document.createElement('div');
+        segment.className = `simaerep-score-gauge-band simaerep-score-gauge-band--${segmentBand}`;
+        segment.style.position = 'absolute';
+        segment.style.top = '0';
+        segment.style.bottom = '0';
+        segment.style.left = toPercent(boundaries[i]);
+        segment.style.width = `${((boundaries[i + 1] - boundaries[i]) / (max - min)) * 100}%`;
+        gauge.appendChild(segment);
+    }
+
+    thresholds.forEach((threshold) => {
+        const tick = document.createElement('div');
+        tick.className = 'simaerep-score-gauge-threshold';
+        tick.style.position = 'absolute';
+        tick.style.top = '0';
+        tick.style.bottom = '0';
+        tick.style.width = '1px';
+        tick.style.left = toPercent(threshold);
+        gauge.appendChild(tick);
+    });
+
+    const marker = document.createElement('div');
+    marker.className = 'simaerep-score-gauge-marker';
+    marker.style.position = 'absolute';
+    marker.style.top = '0';
+    marker.style.bottom = '0';
+    marker.style.width = '4px';
+    marker.style.marginLeft = '-2px';
+    marker.style.borderRadius = '2px';
+    marker.style.left = toPercent(value);
+    gauge.appendChild(marker);
+
+    return gauge;
+}
@@ -0,0 +1,463 @@
+// Counter giving each context unique clip path IDs, so several drawings can be combined
+let contextCount = 0;
+
+const TEXT_ANCHOR = {
+    start: 'start',
+    left: 'start',
+    center: 'middle',
+    end: 'end',
+    right: 'end',
+};
+
+const DOMINANT_BASELINE = {
+    top: 'text-before-edge',
+    hanging: 'hanging',
+    middle: 'central',
+    alphabetic: 'alphabetic',
+    ideographic: 'ideographic',
+    bottom: 'text-after-edge',
+};
+
+/**
+ * Purpose: Create a canvas 2D context that records drawing calls as SVG
+ *
+ * Implements the subset of CanvasRenderingContext2D used by Chart.js and the
+ * chart plugins (paths, rectangles, arcs, text, clipping, transforms, line dashes
+ * and alpha), so a chart can be redrawn into it to get vector output.
+ *
+ * Path coordinates are transformed when they are added, so output paths are in
+ * SVG user units (CSS pixels) and clip paths stay valid across transforms.
+ *
+ * @param {number} width - drawing width in CSS pixels
+ * @param {number} height - drawing height in CSS pixels
+ *
+ * @returns {Object} canvas-like context with extra members:
+ *   getSvg() - complete SVG document string
+ *   getSvgBody() - recorded SVG elements, for embedding in another SVG
+ *   Path2D - Path2D replacement whose paths this context can draw (native
+ *     Path2D objects cannot be read back)
+ */
+export default function createSvgContext(width, height) {
+    const prefix = `simaerep-svg-${++contextCount}`;
+    const elements = [];
+    const defs = [];
+    const stack = [];
+    let clipCount = 0;
+    let path = [];
+    let current = null;
+
+    let state = {
+        matrix: [1, 0, 0, 1, 0, 0],
+        clip: null,
+        lineDash: [],
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        miterLimit: 10,
+        lineDashOffset: 0,
+        globalAlpha: 1,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+    };
+
+    const point = (x, y) => {
+        const [a, b, c, d, e, f] = state.matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    };
+
+    const scaleFactor = () => {
+        const [a, b, c, d] = state.matrix;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    };
+
+    const multiply = (a2, b2, c2, d2, e2, f2) => {
+        const [a, b, c, d, e, f] = state.matrix;
+        state.matrix = [
+            a * a2 + c * b2,
+            b * a2 + d * b2,
+            a * c2 + c * d2,
+            b * c2 + d * d2,
+            a * e2 + c * f2 + e,
+            b * e2 + d * f2 + f,
+        ];
+    };
+
+    const moveTo = (x, y) => {
+        const [px, py] = point(x, y);
+        path.push(`M${round(px)} ${round(py)}`);
+        current = [x, y];
+    };
+
+    const lineTo = (x, y) => {
+        if (!current) {
+            moveTo(x, y);
+            return;
+        }
+        const [px, py] = point(x, y);
+        path.push(`L${round(px)} ${round(py)}`);
+        current = [x, y];
+    };
+
+    const commonAttributes = () => {
+        const attributes = [];
+        if (state.globalAlpha < 1) attributes.push(`opacity="${round(state.globalAlpha)}"`);
+        if (state.clip) attributes.push(`clip-path="url(#${state.clip})"`);
+        return attributes;
+    };
+
+    const strokeAttributes = () => {
+        const attributes = [
+            `stroke="${escapeXml(colorOf(state.strokeStyle))}"`,
+            `stroke-width="${round(state.lineWidth * scaleFactor())}"`,
+        ];
+        if (state.lineCap !== 'butt') attributes.push(`stroke-linecap="${state.lineCap}"`);
+        if (state.lineJoin !== 'miter') attributes.push(`stroke-linejoin="${state.lineJoin}"`);
+        if (state.lineDash.length > 0) {
+            attributes.push(`stroke-dasharray="${state.lineDash.map((value) => round(value * scaleFactor())).join(' ')}"`);
+            if (state.lineDashOffset) attributes.push(`stroke-dashoffset="${round(state.lineDashOffset)}"`);
+        }
+        return attributes;
+    };
+
+    const pushPath = (d, mode, fillRule) => {
+        if (!d) return;
+        const attributes = [`d="${d}"`];
+        if (mode === 'fill') {
+            attributes.push(`fill="${escapeXml(colorOf(state.fillStyle))}"`, 'stroke="none"');
+            if (fillRule === 'evenodd') attributes.push('fill-rule="evenodd"');
+        } else {
+            attributes.push('fill="none"', ...strokeAttributes());
+        }
+        elements.push(`<path ${[...attributes, ...commonAttributes()].join(' ')}/>`);
+    };
+
+    const rectPath = (x, y, w, h) => {
+        const corners = [point(x, y), point(x + w, y), point(x + w, y + h), point(x, y + h)];
+        return `M${corners.map(([px, py]) => `${round(px)} ${round(py)}`).join('L')}Z`;
+    };
+
+    const pushText = (text, x, y, mode) => {
+        const [a, b, c, d, e, f] = state.matrix;
+        const attributes = [
+            `x="${round(x)}"`,
+            `y="${round(y)}"`,
+            `style="font: ${escapeXml(state.font)}; white-space: pre"`,
+            `text-anchor="${TEXT_ANCHOR[state.textAlign] || 'start'}"`,
+            `dominant-baseline="${DOMINANT_BASELINE[state.textBaseline] || 'alphabetic'}"`,
+        ];
+        if (a !== 1 || b !== 0 || c !== 0 || d !== 1 || e !== 0 || f !== 0) {
+            attributes.push(`transform="matrix(${[a, b, c, d, e, f].map(round).join(' ')})"`);
+        }
+        if (mode === 'fill') {
+            attributes.push(`fill="${escapeXml(colorOf(state.fillStyle))}"`);
+        } else {
+            attributes.push('fill="none"', ...strokeAttributes());
+        }
+        pushTransformed(`<text ${attributes.join(' ')}>${escapeXml(String(text))}</text>`);
+    };
+
+    // Elements with their own transform are wrapped, so the clip path stays in untransformed units
+    const pushTransformed = (element) => {
+        const attributes = commonAttributes();
+        elements.push(attributes.length > 0 ? `<g ${attributes.join(' ')}>${element}</g>` : element);
+    };
+
+    // Draw a recorded Path2D without touching the current path
+    const withPath = (recorded, draw) => {
+        if (!recorded || !Array.isArray(recorded.commands)) {
+            draw();
+            return;
+        }
+        const saved = { path, current };
+        path = [];
+        current = null;
+        recorded.commands.forEach(([method, args]) => context[method](...args));
+        draw();
+        ({ path, current } = saved);
+    };
+
+    const context = {
+        canvas: { width, height },
+        Path2D: RecordingPath,
+
+        save() {
+            stack.push({ ...state, lineDash: [...state.lineDash] });
+        },
+        restore() {
+            if (stack.length > 0) state = stack.pop();
+        },
+
+        // Transforms
+        translate(x, y) {
+            multiply(1, 0, 0, 1, x, y);
+        },
+        scale(x, y) {
+            multiply(x, 0, 0, y, 0, 0);
+        },
+        rotate(angle) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            multiply(cos, sin, -sin, cos, 0, 0);
+        },
+        transform(a, b, c, d, e, f) {
+            multiply(a, b, c, d, e, f);
+        },
+        setTransform(a, b, c, d, e, f) {
+            state.matrix = typeof a === 'object'
+                ? [a.a, a.b, a.c, a.d, a.e, a.f]
+                : [a, b, c, d, e, f];
+        },
+        resetTransform() {
+            state.matrix = [1, 0, 0, 1, 0, 0];
+        },
+        getTransform() {
+            const [a, b, c, d, e, f] = state.matrix;
+            return { a, b, c, d, e, f };
+        },
+
+        // Paths
+        beginPath() {
+            path = [];
+            current = null;
+        },
+        closePath() {
+            if (path.length > 0) path.push('Z');
+        },
+        moveTo,
+        lineTo,
+        bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+            if (!current) moveTo(cp1x, cp1y);
+            const points = [point(cp1x, cp1y), point(cp2x, cp2y), point(x, y)];
+            path.push(`C${points.map(([px, py]) => `${round(px)} ${round(py)}`).join(' ')}`);
+            current = [x, y];
+        },
+        quadraticCurveTo(cpx, cpy, x, y) {
+            if (!current) moveTo(cpx, cpy);
+            const points = [point(cpx, cpy), point(x, y)];
+            path.push(`Q${points.map(([px, py]) => `${round(px)} ${round(py)}`).join(' ')}`);
+            current = [x, y];
+        },
+        rect(x, y, w, h) {
+            path.push(rectPath(x, y, w, h));
+            current = [x, y];
+        },
+        roundRect(x, y, w, h) {
+            path.push(rectPath(x, y, w, h));
+            current = [x, y];
+        },
+        arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+            const direction = counterclockwise ? -1 : 1;
+            const delta = (endAngle - startAngle) * direction;
+            const sweep = delta >= Math.PI * 2
+                ? Math.PI * 2
+                : ((delta % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+            const at = (angle) => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+
+            if (current) {
+                lineTo(...at(startAngle));
+            } else {
+                moveTo(...at(startAngle));
+            }
+            if (sweep === 0) return;
+
+            // SVG arcs cannot draw a full circle, so the sweep is split into two halves
+            const r = round(radius * scaleFactor());
+            const flag = counterclockwise ? 0 : 1;
+            [startAngle + (direction * sweep) / 2, startAngle + direction * sweep].forEach((angle) => {
+                const [px, py] = point(...at(angle));
+                path.push(`A${r} ${r} 0 0 ${flag} ${round(px)} ${round(py)}`);
+            });
+            current = at(startAngle + direction * sweep);
+        },
+        ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise) {
+            context.arc(x, y, Math.max(radiusX, radiusY), startAngle, endAngle, counterclockwise);
+        },
+
+        // Drawing
+        stroke(recorded) {
+            withPath(recorded, () => pushPath(path.join(''), 'stroke'));
+        },
+        fill(recorded, fillRule) {
+            if (typeof recorded === 'string') {
+                fillRule = recorded;
+                recorded = null;
+            }
+            withPath(recorded, () => pushPath(path.join(''), 'fill', fillRule));
+        },
+        clip(recorded) {
+            if (recorded && Array.isArray(recorded.commands)) {
+                withPath(recorded, () => context.clip());
+                return;
+            }
+            const id = `${prefix}-clip-${++clipCount}`;
+            const parent = state.clip ? ` clip-path="url(#${state.clip})"` : '';
+            defs.push(`<clipPath id="${id}"${parent}><path d="${path.join('')}"/></clipPath>`);
+            state.clip = id;
+        },
+        fillRect(x, y, w, h) {
+            pushPath(rectPath(x, y, w, h), 'fill');
+        },
+        strokeRect(x, y, w, h) {
+            pushPath(rectPath(x, y, w, h), 'stroke');
+        },
+        clearRect() {
+            // The export starts from an empty drawing, so clearing is a no-op
+        },
+        fillText(text, x, y) {
+            pushText(text, x, y, 'fill');
+        },
+        strokeText(text, x, y) {
+            pushText(text, x, y, 'stroke');
+        },
+        measureText(text) {
+            return measureText(String(text), state.font);
+        },
+        drawImage(image, ...args) {
+            const href = image && typeof image.toDataURL === 'function' ? image.toDataURL() : image && image.src;
+            if (!href) return;
+            const [x, y, w, h] = args.length >= 8 ? args.slice(4) : args;
+            const [a, b, c, d, e, f] = state.matrix;
+            pushTransformed(
+                `<image href="${escapeXml(href)}" x="${round(x)}" y="${round(y)}" ` +
+                `width="${round(w ?? image.width)}" height="${round(h ?? image.height)}" ` +
+                `transform="matrix(${[a, b, c, d, e, f].map(round).join(' ')})"/>`
+            );
+        },
+
+        // Line dashes
+        setLineDash(segments) {
+            state.lineDash = Array.isArray(segments) ? [...segments] : [];
+        },
+        getLineDash() {
+            return [...state.lineDash];
+        },
+
+        // Gradients and patterns are drawn with a flat color
+        createLinearGradient() {
+            return createGradient();
+        },
+        createRadialGradient() {
+            return createGradient();
+        },
+        createPattern() {
+            return null;
+        },
+
+        getSvgBody() {
+            return (defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '') + elements.join('');
+        },
+        getSvg() {
+            return (
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" ` +
+                `viewBox="0 0 ${round(width)} ${round(height)}">${context.getSvgBody()}</svg>`
+            );
+        },
+    };
+
+    // Style properties read and written by Chart.js
+    [
+        'fillStyle',
+        'strokeStyle',
+        'lineWidth',
+        'lineCap',
+        'lineJoin',
+        'miterLimit',
+        'lineDashOffset',
+        'globalAlpha',
+        'font',
+        'textAlign',
+        'textBaseline',
+    ].forEach((property) => {
+        Object.defineProperty(context, property, {
+            get: () => state[property],
+            set: (value) => {
+                state[property] = value;
+            },
+            enumerable: true,
+        });
+    });
+
+    return context;
+}
+
+/**
+ * Path2D stand-in that records its commands for replay.
+ */
+class RecordingPath {
+    constructor() {
+        this.commands = [];
+    }
+}
+['moveTo', 'lineTo', 'bezierCurveTo', 'quadraticCurveTo', 'arc', 'ellipse', 'rect', 'roundRect', 'closePath'].forEach(
+    (method) => {
+        RecordingPath.prototype[method] = function (...args) {
+            this.commands.push([method, args]);
+        };
+    }
+);
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Gradients are drawn with their first color stop.
+ */
+function createGradient() {
+    const gradient = {
+        color: '#000000',
+        stops: 0,
+        addColorStop(offset, color) {
+            if (gradient.stops++ === 0) gradient.color = color;
+        },
+        toString() {
+            return gradient.color;
+        },
+    };
+    return gradient;
+}
+
+function colorOf(style) {
+    return style === null || style === undefined ? 'none' : String(style);
+}
+
+let measureCanvas = null;
+
+/**
+ * Text metrics from a real canvas when available, otherwise an estimate from the font size.
+ */
+function measureText(text, font) {
+    if (measureCanvas === null) {
+        try {
+            const ctx = document.createElement('canvas').getContext('2d');
+            // Skip recording contexts (e.g. when getContext is replaced by an SVG context)
+            measureCanvas = ctx && typeof ctx.getSvg !== 'function' ? ctx : false;
+        } catch (error) {
+            measureCanvas = false;
+        }
+    }
+
+    if (measureCanvas) {
+        measureCanvas.font = font;
+        return measureCanvas.measureText(text);
+    }
+
+    const size = parseFloat((/(\d+(\.\d+)?)px/.exec(font) || [])[1]) || 10;
+    return {
+        width: text.length * size * 0.6,
+        actualBoundingBoxAscent: size * 0.8,
+        actualBoundingBoxDescent: size * 0.2,
+    };
+}
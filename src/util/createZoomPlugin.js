@@ -0,0 +1,212 @@
+import createCanvasOverlay from './createCanvasOverlay.js';
+import getCanvasPoint from './getCanvasPoint.js';
+import isInChartArea from './isInChartArea.js';
+import setScaleLimits from './setScaleLimits.js';
+
+// Share of the visible range added or removed per wheel step
+const WHEEL_SPEED = 0.1;
+
+// Minimum size in pixels of a box zoom selection
+const MIN_BOX_SIZE = 5;
+
+/**
+ * Purpose: Create a Chart.js inline plugin with interactive zooming
+ *
+ * - Mouse wheel: zoom in/out around the cursor
+ * - Drag: pan
+ * - Shift + drag: zoom into the selected box
+ * - Double-click: reset to the full data range
+ *
+ * Zooming writes min/max to the chart's scale options, so the visible range can be
+ * stored and passed back in when the chart is re-created.
+ *
+ * @param {Object} config - zoom configuration
+ *   Optional: config.mode - zoomable axes: 'xy', 'x' or 'y' (default: 'xy')
+ *   Optional: config.wheelModifier - 'ctrl', 'alt', 'shift' or 'meta' key required for
+ *     wheel zoom, so the wheel still scrolls the page without it (default: none)
+ *   Optional: config.onZoom - callback(chart, limits) after every zoom, pan or reset;
+ *     limits is { x: { min, max }, y: { min, max } } with null for a reset axis
+ *
+ * @returns {Object} Chart.js plugin, to be passed in the chart's `plugins` array
+ */
+export default function createZoomPlugin(config = {}) {
+    const axes = (config.mode || 'xy').split('').filter((axis) => axis === 'x' || axis === 'y');
+    const detachers = new Map();
+
+    return {
+        id: 'simaerepZoom',
+        afterInit(chart) {
+            detachers.set(chart, attachListeners(chart, axes, config));
+        },
+        beforeDestroy(chart) {
+            const detach = detachers.get(chart);
+            if (detach) detach();
+            detachers.delete(chart);
+        },
+    };
+}
+
+/**
+ * Attach wheel, drag and double-click listeners to the chart canvas.
+ * Returns a function removing them again.
+ */
+function attachListeners(chart, axes, config) {
+    const canvas = chart.canvas;
+    const onZoom = config.onZoom || (() => {});
+    let drag = null;
+
+    const zoom = (limits) => {
+        setScaleLimits(chart, limits);
+        onZoom(chart, limits);
+    };
+
+    const onWheel = (event) => {
+        if (config.wheelModifier && !event[`${config.wheelModifier}Key`]) return;
+
+        const point = getCanvasPoint(canvas, event);
+        if (!isInChartArea(chart, point)) return;
+        event.preventDefault();
+
+        const factor = event.deltaY < 0 ? 1 - WHEEL_SPEED : 1 / (1 - WHEEL_SPEED);
+        const limits = {};
+        axes.forEach((axis) => {
+            const scale = chart.scales[axis];
+            const center = scale.getValueForPixel(point[axis]);
+            limits[axis] = {
+                min: center - (center - scale.min) * factor,
+                max: center + (scale.max - center) * factor,
+            };
+        });
+        zoom(limits);
+    };
+
+    const onMouseMove = (event) => {
+        const point = getCanvasPoint(canvas, event);
+
+        if (drag.overlay) {
+            drawBox(chart, drag, point, axes);
+            return;
+        }
+
+        const limits = {};
+        axes.forEach((axis) => {
+            const { min, max, valuePerPixel } = drag.ranges[axis];
+            const shift = (drag.start[axis] - point[axis]) * valuePerPixel;
+            limits[axis] = { min: min + shift, max: max + shift };
+        });
+        zoom(limits);
+    };
+
+    const onMouseUp = (event) => {
+        const point = getCanvasPoint(canvas, event);
+        const current = drag;
+        stopDrag();
+
+        if (current.overlay) {
+            const limits = getBoxLimits(chart, current.start, point, axes);
+            if (limits) zoom(limits);
+        }
+    };
+
+    const onMouseDown = (event) => {
+        if (event.button !== 0) return;
+
+        const point = getCanvasPoint(canvas, event);
+        if (!isInChartArea(chart, point)) return;
+        event.preventDefault();
+
+        drag = { start: point, ranges: {}, overlay: null };
+        axes.forEach((axis) => {
+            const scale = chart.scales[axis];
+            drag.ranges[axis] = {
+                min: scale.min,
+                max: scale.max,
+                valuePerPixel: scale.getValueForPixel(point[axis] + 1) - scale.getValueForPixel(point[axis]),
+            };
+        });
+
+        if (event.shiftKey) {
+            // Border and fill come from the theme stylesheet (--gsm-accent, --gsm-accent-fill)
+            drag.overlay = createCanvasOverlay(canvas, document.createElement('div'), 'simaerep-zoom-box');
+            drawBox(chart, drag, point, axes);
+        } else {
+            canvas.style.cursor = 'grabbing';
+        }
+
+        window.addEventListener('mousemove', onMouseMove);
+        window.addEventListener('mouseup', onMouseUp);
+    };
+
+    const onDoubleClick = () => {
+        zoom(Object.fromEntries(axes.map((axis) => [axis, null])));
+    };
+
+    const stopDrag = () => {
+        window.removeEventListener('mousemove', onMouseMove);
+        window.removeEventListener('mouseup', onMouseUp);
+        if (drag && drag.overlay) drag.overlay.remove();
+        canvas.style.cursor = '';
+        drag = null;
+    };
+
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    canvas.addEventListener('mousedown', onMouseDown);
+    canvas.addEventListener('dblclick', onDoubleClick);
+
+    return () => {
+        if (drag) stopDrag();
+        canvas.removeEventListener('wheel', onWheel);
+        canvas.removeEventListener('mousedown', onMouseDown);
+        canvas.removeEventListener('dblclick', onDoubleClick);
+    };
+}
+
+/**
+ * Pixel rectangle spanned by two points, clipped to the chart area. Axes that are
+ * not zoomed span the full chart area.
+ */
+function getBox(chart, start, end, axes) {
+    const area = chart.chartArea;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const x = axes.includes('x')
+        ? [start.x, end.x].map((value) => clamp(value, area.left, area.right))
+        : [area.left, area.right];
+    const y = axes.includes('y')
+        ? [start.y, end.y].map((value) => clamp(value, area.top, area.bottom))
+        : [area.top, area.bottom];
+
+    return {
+        left: Math.min(...x),
+        right: Math.max(...x),
+        top: Math.min(...y),
+        bottom: Math.max(...y),
+    };
+}
+
+/**
+ * Scale limits for a box selection, or null when the box is too small.
+ */
+function getBoxLimits(chart, start, end, axes) {
+    const box = getBox(chart, start, end, axes);
+    const pixels = { x: [box.left, box.right], y: [box.bottom, box.top] };
+
+    if (axes.some((axis) => Math.abs(pixels[axis][1] - pixels[axis][0]) < MIN_BOX_SIZE)) {
+        return null;
+    }
+
+    const limits = {};
+    axes.forEach((axis) => {
+        const values = pixels[axis].map((pixel) => chart.scales[axis].getValueForPixel(pixel));
+        limits[axis] = { min: Math.min(...values), max: Math.max(...values) };
+    });
+    return limits;
+}
+
+function drawBox(chart, drag, point, axes) {
+    const box = getBox(chart, drag.start, point, axes);
+    const canvas = chart.canvas;
+    drag.overlay.style.left = `${canvas.offsetLeft + box.left}px`;
+    drag.overlay.style.top = `${canvas.offsetTop + box.top}px`;
+    drag.overlay.style.width = `${box.right - box.left}px`;
+    drag.overlay.style.height = `${box.bottom - box.top}px`;
+}
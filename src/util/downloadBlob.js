@@ -0,0 +1,20 @@
+/**
+ * Save a Blob as a file through a temporary download link
+ *
+ * @param {Blob} blob - file content
+ * @param {string} filename - suggested file name
+ */
+export default function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,83 @@
+/**
+ * Redraw a Chart.js chart onto another canvas 2D context
+ *
+ * The chart's own canvas is left untouched. The target context is not cleared, so
+ * several charts can be drawn next to each other (translate the context first).
+ *
+ * @param {Object} chart - Chart.js instance
+ * @param {Object} ctx - CanvasRenderingContext2D or compatible context (see createSvgContext)
+ * @returns {Object} the target context
+ */
+export default function drawChart(chart, ctx) {
+    if (!chart || typeof chart.draw !== 'function') return ctx;
+
+    // Scales and other layout boxes keep their own reference to the chart context
+    const targets = Array.from(
+        new Set([chart, ...(chart.boxes || []), ...Object.values(chart.scales || {})])
+    ).filter((target) => target && 'ctx' in target);
+    const originals = targets.map((target) => target.ctx);
+
+    // So do the dataset controllers, which draw the lines and points
+    const controllers = getControllers(chart);
+    const controllerOriginals = controllers.map((controller) => controller._ctx);
+
+    // Chart.js clears the whole canvas before drawing, which would erase earlier drawings
+    const ownClearRect = Object.prototype.hasOwnProperty.call(ctx, 'clearRect');
+    const clearRect = ctx.clearRect;
+    ctx.clearRect = () => {};
+
+    targets.forEach((target) => {
+        target.ctx = ctx;
+    });
+    controllers.forEach((controller) => {
+        controller._ctx = ctx;
+    });
+
+    // Chart.js caches line paths as native Path2D objects, which a context without
+    // native Path2D support cannot draw; rebuild them with the context's own Path2D
+    const nativePath2D = globalThis.Path2D;
+    const swapPaths = Boolean(ctx.Path2D) && typeof nativePath2D === 'function';
+    if (swapPaths) {
+        clearLinePaths(chart);
+        globalThis.Path2D = ctx.Path2D;
+    }
+
+    try {
+        chart.draw();
+    } finally {
+        if (swapPaths) {
+            globalThis.Path2D = nativePath2D;
+            clearLinePaths(chart);
+        }
+        targets.forEach((target, i) => {
+            target.ctx = originals[i];
+        });
+        controllers.forEach((controller, i) => {
+            controller._ctx = controllerOriginals[i];
+        });
+        if (ownClearRect) {
+            ctx.clearRect = clearRect;
+        } else {
+            delete ctx.clearRect;
+        }
+    }
+
+    return ctx;
+}
+
+function getMetas(chart) {
+    if (typeof chart.getDatasetMeta !== 'function') return [];
+    return (chart.data?.datasets || []).map((dataset, index) => chart.getDatasetMeta(index));
+}
+
+function getControllers(chart) {
+    return getMetas(chart)
+        .map((meta) => meta.controller)
+        .filter((controller) => controller && '_ctx' in controller);
+}
+
+function clearLinePaths(chart) {
+    getMetas(chart).forEach((meta) => {
+        if (meta.dataset && '_path' in meta.dataset) meta.dataset._path = undefined;
+    });
+}
@@ -0,0 +1,19 @@
+/**
+ * Escape a value for use in HTML text or a quoted attribute value
+ *
+ * Every user-derived string (metadata, GroupIDs, SubjectIDs, KRI labels) has to pass
+ * through this function before it is concatenated into markup assigned to innerHTML.
+ *
+ * @param {*} value - value to escape (null and undefined become an empty string)
+ * @returns {string} escaped string
+ */
+export default function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,106 @@
+import createPdf from './createPdf.js';
+import createSvgContext from './createSvgContext.js';
+import setPngDpi from './setPngDpi.js';
+
+const FORMATS = ['png', 'svg', 'pdf'];
+
+// Canvas pixels per inch at a scale of 1
+const SCREEN_DPI = 96;
+
+/**
+ * Purpose: Export drawable pages as a PNG, SVG or PDF file
+ *
+ * Each page draws itself with the canvas 2D API in CSS pixels, so the same drawing
+ * code produces raster output (an offscreen canvas) and vector output (createSvgContext).
+ *
+ * - png: first page at the requested DPI, with the DPI stored in the file
+ * - svg: first page as vector graphics
+ * - pdf: one page per input page, each rendered as a JPEG at the requested DPI
+ *
+ * @param {Array} pages - [{ title, width, height, draw(ctx) }]
+ * @param {Object} options - export options
+ *   Optional: options.format - 'png', 'svg' or 'pdf' (default: 'png')
+ *   Optional: options.dpi - raster resolution (default: 96 for PNG, 150 for PDF)
+ *   Optional: options.background - background color, null for transparent PNG/SVG (default: '#ffffff')
+ *   Optional: options.title - PDF document title
+ *
+ * @returns {Blob} exported file
+ */
+export default function exportPages(pages, options = {}) {
+    const format = options.format || 'png';
+    const background = options.background === undefined ? '#ffffff' : options.background;
+
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown export format "${format}". Use "png", "svg" or "pdf".`);
+    }
+    if (!pages || pages.length === 0) {
+        throw new Error('Nothing to export.');
+    }
+
+    if (format === 'svg') {
+        const page = pages[0];
+        const ctx = createSvgContext(page.width, page.height);
+        fillBackground(ctx, page, background);
+        page.draw(ctx);
+        return new Blob([ctx.getSvg()], { type: 'image/svg+xml' });
+    }
+
+    if (format === 'png') {
+        const dpi = options.dpi || SCREEN_DPI;
+        const canvas = rasterize(pages[0], dpi, background);
+        const bytes = setPngDpi(decodeDataUrl(canvas.toDataURL('image/png')), dpi);
+        return new Blob([bytes], { type: 'image/png' });
+    }
+
+    const dpi = options.dpi || 150;
+    const pdfPages = pages.map((page) => {
+        // JPEG has no transparency, so PDF pages always get a background
+        const canvas = rasterize(page, dpi, background || '#ffffff');
+        return {
+            title: page.title,
+            image: {
+                data: decodeDataUrl(canvas.toDataURL('image/jpeg', 0.92)),
+                width: canvas.width,
+                height: canvas.height,
+            },
+        };
+    });
+
+    return new Blob([createPdf(pdfPages, { title: options.title })], { type: 'application/pdf' });
+}
+
+/**
+ * Draw a page onto an offscreen canvas scaled to the requested DPI.
+ */
+function rasterize(page, dpi, background) {
+    const scale = dpi / SCREEN_DPI;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(page.width * scale));
+    canvas.height = Math.max(1, Math.round(page.height * scale));
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        throw new Error('Canvas rendering is not available in this environment.');
+    }
+
+    ctx.scale(scale, scale);
+    fillBackground(ctx, page, background);
+    page.draw(ctx);
+
+    return canvas;
+}
+
+function fillBackground(ctx, page, background) {
+    if (!background) return;
+    ctx.save();
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, page.width, page.height);
+    ctx.restore();
+}
+
+function decodeDataUrl(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
@@ -0,0 +1,13 @@
+/**
+ * Default simaerep colors keyed by Flag value.
+ *
+ * Matches the palette used by gsm.simaerep: strongly flagged sites are dark blue,
+ * weakly flagged sites light blue and unflagged sites near-white blue.
+ */
+export default {
+    '-2': '#3182BD',
+    '-1': '#9ECAE1',
+    0: '#DEEBF7',
+    1: '#9ECAE1',
+    2: '#3182BD',
+};
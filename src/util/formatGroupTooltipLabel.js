@@ -1,14 +1,19 @@
 /**
  * Format group attributes for tooltip display.
- * 
+ *
  * Automatically formats metadata keys and values for tooltip content.
  * - Converts camelCase to Title Case
  * - Replaces underscores with spaces
  * - Filters out internal fields
- * 
+ *
  * @param {Object} group - Group metadata object (e.g., { Country: "USA", Status: "Active" })
  * @param {Object} config - Configuration object
- *   Optional: config.groupTooltipKeys - Object mapping field names to labels
+ *   Optional: config.groupTooltipKeys - fields to show, in display order:
+ *     - Object mapping field names to labels (e.g., { Country: "Country", invid: "Investigator" })
+ *     - Array of field names and/or { key, label, format } objects (labels default to the title-cased key)
+ *   Optional: config.groupTooltipFormats - Object mapping field names to value formats:
+ *     - number: decimal places of numeric values
+ *     - function(value, group): returns the displayed value
  *
  * @returns {Array<string>} Array of formatted tooltip lines (e.g., ["Country: USA", "Status: Active"])
  */
@@ -19,33 +24,18 @@ export default function formatGroupTooltipLabel(group, config) {
 
     // Format group attribute keys if unspecified.
     const tooltipKeys = ![null, undefined].includes(config.groupTooltipKeys)
-        ? config.groupTooltipKeys
+        ? normalizeTooltipKeys(config.groupTooltipKeys)
         : Object.keys(group)
             // remove internal fields from the tooltip
             .filter((key) => ['groupLabel', 'GroupLabel', 'nRedFlags', 'nAmberFlags', 'nGreenFlags', 'ParticipantCount'].includes(key) === false)
-            .reduce((acc, key) => {
-                // title-case key:
-                // - replace underscores with spaces
-                // - insert spaces between camelCase words
-                // - capitalize first letter of each word
-                // - replace 'Id' with 'ID', 'invid' with 'ID'
-                const label = key
-                    .replace(/_/g, ' ')
-                    .replace(/([a-z])([A-Z])/g, '$1 $2')
-                    .replace(/\b\w/g, (char) => char.toUpperCase())
-                    .replace(/\bId\b/g, 'ID')
-                    .replace(/\bInvid\b/i, 'Investigator ID');
-
-                acc[key] = label;
-
-                return acc;
-            }, {});
+            .map((key) => ({ key, label: formatKey(key) }));
+    const formats = config.groupTooltipFormats || {};
 
     // Map group attributes to tooltip content.
     const tooltipContent = [];
-    for (const [key, label] of Object.entries(tooltipKeys)) {
+    for (const { key, label, format } of tooltipKeys) {
         if (group[key] !== undefined && group[key] !== null && group[key] !== '') {
-            let value = group[key];
+            const value = formatValue(group[key], format !== undefined ? format : formats[key], group);
 
             tooltipContent.push(`${label}: ${value}`);
         }
@@ -54,3 +44,47 @@ export default function formatGroupTooltipLabel(group, config) {
     return tooltipContent;
 }
 
+/**
+ * Convert the supported groupTooltipKeys forms to an ordered list of { key, label, format }
+ */
+function normalizeTooltipKeys(groupTooltipKeys) {
+    if (Array.isArray(groupTooltipKeys)) {
+        return groupTooltipKeys.map((entry) => (typeof entry === 'string'
+            ? { key: entry, label: formatKey(entry) }
+            : { ...entry, label: entry.label || formatKey(entry.key) }));
+    }
+
+    return Object.entries(groupTooltipKeys).map(([key, label]) => ({ key, label }));
+}
+
+/**
+ * Title-case a metadata key:
+ * - replace underscores with spaces
+ * - insert spaces between camelCase words
+ * - capitalize first letter of each word
+ * - replace 'Id' with 'ID', 'invid' with 'Investigator ID'
+ */
+function formatKey(key) {
+    return key
+        .replace(/_/g, ' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/\b\w/g, (char) => char.toUpperCase())
+        .replace(/\bId\b/g, 'ID')
+        .replace(/\bInvid\b/i, 'Investigator ID');
+}
+
+/**
+ * Apply a value format: decimal places for numeric values or a formatting function
+ */
+function formatValue(value, format, group) {
+    if (typeof format === 'function') {
+        return format(value, group);
+    }
+
+    if (typeof format === 'number') {
+        const number = Number(value);
+        return Number.isFinite(number) ? number.toFixed(format) : value;
+    }
+
+    return value;
+}
@@ -0,0 +1,12 @@
+/**
+ * Mouse position in canvas (CSS pixel) coordinates
+ *
+ * @param {HTMLCanvasElement} canvas - canvas of the chart
+ * @param {MouseEvent} event - mouse event
+ *
+ * @returns {Object} { x, y } relative to the top-left corner of the canvas
+ */
+export default function getCanvasPoint(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
@@ -0,0 +1,26 @@
+/**
+ * List the keys whose values differ between two configuration objects
+ *
+ * Arrays and plain objects are compared by value, functions and other values by identity.
+ *
+ * @param {Object} previous - configuration before the update
+ * @param {Object} next - configuration after the update
+ * @returns {Array<string>} changed keys, including keys present in only one object
+ */
+export default function getChangedKeys(previous = {}, next = {}) {
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    return Array.from(keys).filter((key) => !isEqualValue(previous[key], next[key]));
+}
+
+function isEqualValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+    try {
+        return JSON.stringify(a) === JSON.stringify(b);
+    } catch (error) {
+        // Circular structures (e.g. DOM nodes) are only equal by identity
+        return false;
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * Pick the most readable text color for a background, by WCAG contrast ratio
+ *
+ * @param {string} background - background color (#RGB or #RRGGBB)
+ * @param {Array<string>} colors - candidate text colors, e.g. the text and background theme tokens
+ *
+ * @returns {string} candidate with the highest contrast, or the first one for colors other than hex
+ */
+export default function getContrastColor(background, colors) {
+    const backgroundLuminance = getLuminance(background);
+    const luminances = colors.map(getLuminance);
+    if (backgroundLuminance === null || luminances.includes(null)) return colors[0];
+
+    const contrasts = luminances.map((luminance) =>
+        (Math.max(luminance, backgroundLuminance) + 0.05) / (Math.min(luminance, backgroundLuminance) + 0.05));
+    return colors[contrasts.indexOf(Math.max(...contrasts))];
+}
+
+// Relative luminance of a hex color, null for other colors
+function getLuminance(color) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+    if (!match) return null;
+
+    const hex = match[1].length === 3 ? match[1].split('').map((char) => char + char).join('') : match[1];
+    const [r, g, b] = [0, 2, 4].map((index) => {
+        const channel = parseInt(hex.substring(index, index + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
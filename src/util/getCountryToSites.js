@@ -0,0 +1,20 @@
+/**
+ * List the sites of each country in the group metadata
+ *
+ * @param {Map|null} groupMetadata - metadata objects keyed by GroupID (see structureGroupMetadata)
+ *
+ * @returns {Object} GroupIDs keyed by Country (empty without metadata)
+ */
+export default function getCountryToSites(groupMetadata) {
+    const countryToSites = {};
+    if (!groupMetadata) return countryToSites;
+
+    groupMetadata.forEach((metadata, groupID) => {
+        if (!metadata.Country) return;
+        if (!countryToSites[metadata.Country]) {
+            countryToSites[metadata.Country] = [];
+        }
+        countryToSites[metadata.Country].push(groupID);
+    });
+    return countryToSites;
+}
@@ -0,0 +1,24 @@
+/**
+ * Derive a KRI Flag from a Score and a set of thresholds.
+ *
+ * The lower half of the thresholds flags under-reporting (negative flags) and the
+ * upper half flags over-reporting (positive flags). With the simaerep defaults
+ * [-0.99, -0.95, 0.95, 0.99] a Score of -0.995 yields -2 and 0.96 yields 1.
+ *
+ * @param {number} score - Site score
+ * @param {Array<number>} thresholds - Ascending array of thresholds
+ *
+ * @returns {number} Flag value (e.g. -2, -1, 0, 1, 2)
+ */
+export default function getFlag(score, thresholds) {
+    if (!Number.isFinite(score) || !Array.isArray(thresholds)) return 0;
+
+    const half = Math.floor(thresholds.length / 2);
+    const lower = thresholds.slice(0, half);
+    const upper = thresholds.slice(half);
+
+    const under = lower.filter((threshold) => score <= threshold).length;
+    if (under > 0) return -under;
+
+    return upper.filter((threshold) => score >= threshold).length;
+}
@@ -0,0 +1,47 @@
+import flagColors from './flagColors.js';
+
+const SITE_TYPE_LABELS = {
+    flagged: 'Flagged',
+    unflagged: 'Unflagged',
+    study: 'Study',
+};
+
+const FLAG_VALUES = [-2, -1, 0, 1, 2];
+
+/**
+ * Purpose: Group the datasets of the overview chart into legend entries with counts
+ *
+ * - One entry per siteType ('flagged', 'unflagged', 'study') present in the datasets
+ * - One entry per Flag value (-2, -1, 0, 1, 2) present in the datasets
+ *
+ * Entry keys ('siteType:flagged', 'flag:-2', ...) are the values of the `hiddenLegendItems`
+ * configuration of Simaerep.
+ *
+ * @param {Array<Object>} datasets - overview datasets with `siteType` and `flag` (number or null)
+ *
+ * @returns {Array<Object>} legend entries { key, group, label, count, color }
+ */
+export default function getLegendItems(datasets) {
+    const siteTypeItems = Object.keys(SITE_TYPE_LABELS)
+        .map((siteType) => {
+            const matches = datasets.filter((dataset) => dataset.siteType === siteType);
+            return {
+                key: `siteType:${siteType}`,
+                group: 'siteType',
+                label: SITE_TYPE_LABELS[siteType],
+                count: matches.length,
+                color: matches.length > 0 ? (matches[0].baseColor || matches[0].borderColor) : null,
+            };
+        });
+
+    const flagItems = FLAG_VALUES
+        .map((flag) => ({
+            key: `flag:${flag}`,
+            group: 'flag',
+            label: `Flag ${flag}`,
+            count: datasets.filter((dataset) => dataset.flag === flag).length,
+            color: flagColors[flag],
+        }));
+
+    return [...siteTypeItems, ...flagItems].filter((item) => item.count > 0);
+}
@@ -0,0 +1,30 @@
+/**
+ * Get the item to focus after a navigation key in a roving-tabindex widget
+ *
+ * Arrow Down/Right move to the next item and Arrow Up/Left to the previous item,
+ * wrapping around; Home and End move to the first and last item.
+ *
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} index - index of the focused item (-1 if none)
+ * @param {number} count - number of items
+ *
+ * @returns {number|null} index of the item to focus, or null if the key does not navigate
+ */
+export default function getRovingIndex(key, index, count) {
+    if (count === 0) return null;
+
+    switch (key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+            return index < 0 ? 0 : (index + 1) % count;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+            return index < 0 ? count - 1 : (index - 1 + count) % count;
+        case 'Home':
+            return 0;
+        case 'End':
+            return count - 1;
+        default:
+            return null;
+    }
+}
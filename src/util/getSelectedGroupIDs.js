@@ -0,0 +1,11 @@
+/**
+ * List the GroupIDs of a selection
+ *
+ * @param {string|Array} selection - selectedGroupIDs: 'None', a GroupID or an array of GroupIDs
+ *
+ * @returns {Array<string>} selected GroupIDs (empty for 'None')
+ */
+export default function getSelectedGroupIDs(selection) {
+    if (Array.isArray(selection)) return selection;
+    return selection && selection !== 'None' ? [selection] : [];
+}
@@ -0,0 +1,22 @@
+import getFlag from './getFlag.js';
+
+/**
+ * Classify a Score by the KRI threshold band it falls in
+ *
+ * - 'none': between the innermost thresholds (Flag 0)
+ * - 'warning': beyond an inner threshold only (Flag -1 or 1)
+ * - 'flag': beyond an outer threshold (Flag -2 or 2)
+ *
+ * @param {number|string} score - site Score
+ * @param {Array<number>} thresholds - ascending thresholds
+ *
+ * @returns {string|null} band, or null without thresholds or a numeric Score
+ */
+export default function getThresholdBand(score, thresholds) {
+    const value = parseFloat(score);
+    if (!Number.isFinite(value) || !Array.isArray(thresholds) || thresholds.length === 0) return null;
+
+    const flag = Math.abs(getFlag(value, thresholds));
+    if (flag === 0) return 'none';
+    return flag === 1 ? 'warning' : 'flag';
+}
@@ -0,0 +1,20 @@
+/**
+ * Hide an element visually while keeping it available to screen readers
+ *
+ * @param {HTMLElement} element - element to hide
+ * @returns {HTMLElement} the same element
+ */
+export default function hideVisually(element) {
+    Object.assign(element.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        padding: '0',
+        margin: '-1px',
+        overflow: 'hidden',
+        clip: 'rect(0, 0, 0, 0)',
+        whiteSpace: 'nowrap',
+        border: '0',
+    });
+    return element;
+}
@@ -0,0 +1,166 @@
+const STYLE_ID = 'gsm-theme-styles';
+
+// Colors, borders and fonts of the widgets, driven by the --gsm-* custom properties
+// set on each widget container by applyTheme(). Layout stays in inline styles.
+const THEME_CSS = `
+.gsm-widget {
+  font-family: var(--gsm-font);
+  color: var(--gsm-text);
+  background-color: var(--gsm-background);
+}
+.gsm-widget select,
+.gsm-widget button,
+.gsm-widget input {
+  font-family: inherit;
+  color: var(--gsm-text);
+  background-color: var(--gsm-background);
+  border: 1px solid var(--gsm-control-border);
+}
+.gsm-widget .site-list-container {
+  border: 1px solid var(--gsm-border);
+}
+.gsm-widget .site-list-item {
+  background-color: var(--gsm-surface);
+  border: 1px solid transparent;
+}
+.gsm-widget .site-list-item:hover {
+  background-color: var(--gsm-surface-hover);
+}
+.gsm-widget .site-list-item--selected,
+.gsm-widget .site-list-item--selected:hover {
+  background-color: var(--gsm-selection);
+  border-color: var(--gsm-selection-border);
+}
+.gsm-widget .site-details,
+.gsm-widget .simaerep-data-table-hint,
+.gsm-widget .simaerep-site-plots-empty {
+  color: var(--gsm-text-muted);
+}
+.gsm-widget .simaerep-site-plot {
+  border: 1px solid var(--gsm-border);
+  background-color: var(--gsm-background);
+}
+.gsm-widget .simaerep-site-plot:focus {
+  box-shadow: 0 0 0 3px var(--gsm-focus-ring);
+}
+.gsm-widget .simaerep-site-plot[data-threshold-band="warning"] {
+  border-color: var(--gsm-threshold-warning);
+}
+.gsm-widget .simaerep-site-plot[data-threshold-band="flag"] {
+  border-color: var(--gsm-threshold-flag);
+}
+.gsm-widget .simaerep-score-gauge {
+  background-color: var(--gsm-surface-hover);
+}
+.gsm-widget .simaerep-score-gauge-band--warning {
+  background-color: var(--gsm-threshold-warning);
+}
+.gsm-widget .simaerep-score-gauge-band--flag {
+  background-color: var(--gsm-threshold-flag);
+}
+.gsm-widget .simaerep-score-gauge-threshold {
+  background-color: var(--gsm-text-muted);
+}
+.gsm-widget .simaerep-score-gauge-marker {
+  background-color: var(--gsm-text);
+  box-shadow: 0 0 0 1px var(--gsm-background);
+}
+.gsm-widget .simaerep-patient-panel {
+  border-top: 1px solid var(--gsm-border);
+}
+.gsm-widget .simaerep-tooltip {
+  color: var(--gsm-text);
+  background: var(--gsm-tooltip-background);
+  border: 1px solid var(--gsm-tooltip-border);
+  box-shadow: 0 2px 8px var(--gsm-shadow);
+  font-family: var(--gsm-font);
+}
+.gsm-widget .simaerep-tooltip-extra {
+  border-top: 1px solid var(--gsm-border);
+  color: var(--gsm-text-muted);
+}
+.gsm-widget .simaerep-export-menu {
+  border: 1px solid var(--gsm-control-border);
+  background-color: var(--gsm-background);
+  box-shadow: 0 2px 8px var(--gsm-shadow);
+}
+.gsm-widget .simaerep-zoom-box {
+  border: 1px solid var(--gsm-accent);
+  background-color: var(--gsm-accent-fill);
+}
+.gsm-widget .simaerep-selection-chip {
+  background-color: var(--gsm-selection);
+  border: 1px solid var(--gsm-selection-border);
+}
+.gsm-widget .simaerep-selection-chip button {
+  border: none;
+  background-color: transparent;
+}
+.gsm-widget .simaerep-lasso polygon {
+  stroke: var(--gsm-accent);
+  stroke-width: 1.5;
+  stroke-dasharray: 4 3;
+  fill: var(--gsm-accent-fill);
+}
+.gsm-widget .simaerep-diagnostics {
+  border: 1px solid var(--gsm-error-border);
+  background-color: var(--gsm-error-background);
+}
+.gsm-widget .simaerep-diagnostics-error {
+  color: var(--gsm-error-text);
+}
+.gsm-widget .simaerep-diagnostics-warning {
+  color: var(--gsm-warning-text);
+}
+.gsm-widget .simaerep-dashboard-tabs {
+  border-bottom: 1px solid var(--gsm-control-border);
+}
+.gsm-widget .simaerep-dashboard-tab {
+  background-color: var(--gsm-surface-hover);
+  border-bottom: none;
+}
+.gsm-widget .simaerep-dashboard-tab[aria-selected="true"] {
+  background-color: var(--gsm-background);
+}
+.gsm-widget .simaerep-dashboard-badge {
+  border: 1px solid var(--gsm-control-border);
+}
+.gsm-widget .simaerep-dashboard-badge[data-flag=""] {
+  color: var(--gsm-text-muted);
+  background-color: var(--gsm-background);
+}
+.gsm-widget .gsm-data-table th {
+  border-bottom: 2px solid var(--gsm-control-border);
+}
+.gsm-widget .gsm-data-table td {
+  border-bottom: 1px solid var(--gsm-border);
+}
+.gsm-widget .gsm-data-table-row--selected {
+  background-color: var(--gsm-selection);
+}
+`;
+
+/**
+ * Add the widget theme stylesheet to the document or shadow root of a container (once)
+ *
+ * @param {HTMLElement} container - widget container
+ *
+ * @returns {HTMLStyleElement} theme stylesheet
+ */
+export default function injectThemeStyles(container) {
+    const root = typeof container.getRootNode === 'function' ? container.getRootNode() : document;
+    const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+    // Detached containers get the stylesheet of the document they will be attached to
+    const isShadowRoot = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host;
+    const target = isShadowRoot ? root : (isDocument ? root : document).head;
+
+    let style = target.querySelector(`#${STYLE_ID}`);
+    if (!style) {
+        style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = THEME_CSS;
+        target.appendChild(style);
+    }
+
+    return style;
+}
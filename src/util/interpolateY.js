@@ -0,0 +1,30 @@
+/**
+ * Linearly interpolate the y value of a line at an x value
+ *
+ * @param {Array} points - [{ x, y }] line points (any order)
+ * @param {number} x - x value
+ *
+ * @returns {number|null} y value, or null when x is outside the line's x range
+ */
+export default function interpolateY(points, x) {
+    const sorted = (points || [])
+        .filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y))
+        .sort((a, b) => a.x - b.x);
+
+    if (!Number.isFinite(x) || sorted.length === 0 ||
+        x < sorted[0].x || x > sorted[sorted.length - 1].x) {
+        return null;
+    }
+
+    for (let i = 0; i < sorted.length; i++) {
+        const point = sorted[i];
+        if (point.x === x) return point.y;
+        if (point.x > x) {
+            const previous = sorted[i - 1];
+            const share = (x - previous.x) / (point.x - previous.x);
+            return previous.y + share * (point.y - previous.y);
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,14 @@
+/**
+ * Check whether a point lies in the plotting area of a Chart.js chart
+ *
+ * @param {Object} chart - Chart.js instance
+ * @param {Object} point - { x, y } in canvas (CSS pixel) coordinates
+ *
+ * @returns {boolean} false before the chart area is laid out
+ */
+export default function isInChartArea(chart, point) {
+    const area = chart.chartArea;
+    return Boolean(area) &&
+        point.x >= area.left && point.x <= area.right &&
+        point.y >= area.top && point.y <= area.bottom;
+}
@@ -0,0 +1,54 @@
+/**
+ * Check whether a polyline passes through a polygon
+ *
+ * A line passes through the polygon when one of its points lies inside it or one of its
+ * segments crosses an edge of it, so lines crossing a thin lasso are found as well.
+ *
+ * @param {Array} points - [{ x, y }] line points in drawing order
+ * @param {Array} polygon - [{ x, y }] polygon corners, implicitly closed
+ *
+ * @returns {boolean} whether the line passes through the polygon
+ */
+export default function lineCrossesPolygon(points, polygon) {
+    if (!polygon || polygon.length < 3) return false;
+
+    const valid = (points || []).filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y));
+    if (valid.some((point) => isPointInPolygon(point, polygon))) return true;
+
+    for (let i = 1; i < valid.length; i++) {
+        for (let j = 0; j < polygon.length; j++) {
+            const next = polygon[(j + 1) % polygon.length];
+            if (segmentsIntersect(valid[i - 1], valid[i], polygon[j], next)) return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Ray casting point-in-polygon test.
+ */
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+    const d1 = cross(q1, q2, p1);
+    const d2 = cross(q1, q2, p2);
+    const d3 = cross(p1, p2, q1);
+    const d4 = cross(p1, p2, q2);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function cross(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
@@ -0,0 +1,18 @@
+/**
+ * Convert a list of GroupIDs to a selectedGroupIDs value
+ *
+ * - no GroupIDs: 'None'
+ * - one GroupID: the GroupID, like a selection from the site dropdown
+ * - several GroupIDs: array without duplicates, in the given order
+ *
+ * @param {Array<string>} groupIDs - selected GroupIDs
+ *
+ * @returns {string|Array<string>} selectedGroupIDs value
+ */
+export default function normalizeSelection(groupIDs) {
+    const unique = Array.from(new Set((groupIDs || []).filter((groupID) => groupID && groupID !== 'None')));
+
+    if (unique.length === 0) return 'None';
+    if (unique.length === 1) return unique[0];
+    return unique;
+}
@@ -0,0 +1,30 @@
+/**
+ * Parse KRI flagging thresholds.
+ *
+ * Accepts the comma-separated string stored in df_metric.Threshold
+ * (e.g. "-0.99, -0.95, 0.95, 0.99"), an array of numbers/strings or an object of
+ * thresholds (e.g. { lower: -0.95, upper: 0.95 }).
+ *
+ * @param {string|Array|Object} threshold - Threshold definition
+ *
+ * @returns {Array<number>|null} Ascending array of numeric thresholds, or null if none could be parsed
+ */
+export default function parseThresholds(threshold) {
+    if (threshold === null || threshold === undefined) return null;
+
+    let values;
+    if (Array.isArray(threshold)) {
+        values = threshold;
+    } else if (typeof threshold === 'object') {
+        values = Object.values(threshold);
+    } else {
+        values = String(threshold).replace(/["']/g, '').split(',');
+    }
+
+    const parsed = values
+        .map((value) => parseFloat(value))
+        .filter((value) => Number.isFinite(value))
+        .sort((a, b) => a - b);
+
+    return parsed.length > 0 ? parsed : null;
+}
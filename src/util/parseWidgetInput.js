@@ -0,0 +1,90 @@
+import convertRDataFrame from './convertRDataFrame.js';
+
+// Data frames of the Simaerep data bundle
+const DATA_TABLES = [
+    'df_mean_study',
+    'df_mean_group_flagged',
+    'df_mean_group_not_flagged',
+    'df_label_sites',
+    'df_visit',
+];
+
+// Options taking an array, which R unboxes to a scalar for vectors of length one
+const ARRAY_OPTIONS = ['hiddenLegendItems', 'sitePlotGroupIDs'];
+
+/**
+ * Purpose: Translate the input of the Widget_Simaerep htmlwidget into Simaerep arguments.
+ *
+ * - Data frames (column or row format) become arrays of rows; frames that are not passed
+ *   stay undefined, so a bundle with only df_visit is still computed client-side
+ * - Every Simaerep option in lChartConfig is passed through
+ * - metric (df_metric row), group metadata (dfGroups) and thresholds (vThreshold) are taken
+ *   from the widget arguments or from lChartConfig
+ * - bAddGroupSelect maps to showGroupSelector, the widget size to width and height
+ *
+ * Input:  { df_label_sites: { GroupID: [...], ... }, df_visit, dfGroups, dfMetric, vThreshold,
+ *           lChartConfig: { selectedGroupIDs, theme, ... }, bAddGroupSelect }
+ * Output: { data: { df_label_sites: [{ GroupID, ... }], ... }, config: { metric, groupMetadata, thresholds, ... } }
+ *
+ * @param {Object} input - widget input serialized by R
+ * @param {number|string} width - widget width from htmlwidgets
+ * @param {number|string} height - widget height from htmlwidgets
+ *
+ * @returns {Object} { data, config } for new Simaerep(el, data, config)
+ */
+export default function parseWidgetInput(input, width, height) {
+    const chartConfig = isPlainObject(input.lChartConfig) ? input.lChartConfig : {};
+
+    const data = {};
+    DATA_TABLES.forEach((key) => {
+        if (!isMissing(input[key])) {
+            data[key] = convertRDataFrame(input[key]);
+        }
+    });
+
+    const config = { ...chartConfig };
+    ARRAY_OPTIONS.forEach((key) => {
+        if (!isMissing(config[key]) && !Array.isArray(config[key])) {
+            config[key] = [config[key]];
+        }
+    });
+
+    const metric = firstPresent(input.dfMetric, input.df_metric, input.metric, chartConfig.metric);
+    if (metric !== null) {
+        config.metric = convertRDataFrame(metric)[0] || {};
+    }
+
+    const groupMetadata = firstPresent(input.dfGroups, input.df_groups, chartConfig.groupMetadata);
+    if (groupMetadata !== null) {
+        config.groupMetadata = convertRDataFrame(groupMetadata);
+    }
+
+    const thresholds = firstPresent(input.vThreshold, input.thresholds, chartConfig.thresholds);
+    if (thresholds !== null) {
+        config.thresholds = thresholds;
+    }
+
+    if (isMissing(chartConfig.showGroupSelector) && !isMissing(input.bAddGroupSelect)) {
+        config.showGroupSelector = input.bAddGroupSelect !== false;
+    }
+
+    config.width = isMissing(chartConfig.width) ? width : chartConfig.width;
+    config.height = isMissing(chartConfig.height) ? height : chartConfig.height;
+
+    return { data, config };
+}
+
+// R NULL is serialized as an empty object or null
+function isMissing(value) {
+    return value === undefined || value === null ||
+        (isPlainObject(value) && Object.keys(value).length === 0);
+}
+
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function firstPresent(...values) {
+    const value = values.find((candidate) => !isMissing(candidate));
+    return value === undefined ? null : value;
+}
@@ -0,0 +1,125 @@
+// Prefix of the localStorage keys, followed by the widget ID
+const STORAGE_PREFIX = 'gsm-simaerep-viz:';
+
+/**
+ * Purpose: Keep the state of a Simaerep or SiteList chart (selection, zoom, filters, scroll
+ * position) across reloads, and in links to the page.
+ *
+ * The state is saved under the widget ID, in the URL hash as #<key>=<JSON state> (several
+ * widgets share the hash like URL parameters) and/or in localStorage. When the sync starts,
+ * the saved state is applied to the chart; a state in the hash wins over a stored one, so a
+ * shared link shows what its author saw. Later hash changes (back button, pasted link) are
+ * applied too. Saving follows the chart's 'statechange' events, a short delay after the last one.
+ *
+ * @param {Object} chart - Simaerep or SiteList instance
+ * @param {Object} options
+ *   Required: options.key - widget ID, e.g. the container id
+ *   Optional: options.hash - sync the state to the URL hash (default false)
+ *   Optional: options.storage - sync the state to localStorage (default false)
+ *   Optional: options.delay - milliseconds between the last change and saving (default 200)
+ *
+ * @returns {Function|null} function stopping the sync, or null without a key
+ */
+export default function persistState(chart, { key, hash = false, storage = false, delay = 200 } = {}) {
+    if (!key) {
+        console.warn('State persistence needs a stateKey option or a container id');
+        return null;
+    }
+
+    const saved = {
+        ...(storage ? readStorage(key) : null),
+        ...(hash ? readHash(key) : null),
+    };
+    if (Object.keys(saved).length > 0) {
+        chart.setState(saved);
+    }
+
+    let pendingState = null;
+    let timeout = null;
+    // Last state written to the hash, so our own writes are not applied again
+    let hashValue = hash ? getHashParams().get(key) : null;
+
+    const save = () => {
+        clearTimeout(timeout);
+        timeout = null;
+        if (!pendingState) return;
+
+        const value = JSON.stringify(pendingState);
+        pendingState = null;
+        if (storage) writeStorage(key, value);
+        if (hash) {
+            hashValue = value;
+            writeHash(key, value);
+        }
+    };
+
+    const stopChanges = chart.on('statechange', ({ state }) => {
+        pendingState = state;
+        clearTimeout(timeout);
+        timeout = setTimeout(save, delay);
+    });
+    // Save pending changes before the chart is gone
+    const stopDestroy = chart.on('destroy', save);
+
+    const handleHashChange = () => {
+        const value = getHashParams().get(key);
+        if (value === null || value === hashValue) return;
+
+        hashValue = value;
+        const state = parseState(value);
+        if (state) chart.setState(state);
+    };
+    if (hash) {
+        window.addEventListener('hashchange', handleHashChange);
+    }
+
+    return () => {
+        save();
+        stopChanges();
+        stopDestroy();
+        window.removeEventListener('hashchange', handleHashChange);
+    };
+}
+
+function parseState(value) {
+    try {
+        const state = JSON.parse(value);
+        return state && typeof state === 'object' && !Array.isArray(state) ? state : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getHashParams() {
+    return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+}
+
+function readHash(key) {
+    const value = getHashParams().get(key);
+    return value === null ? null : parseState(value);
+}
+
+// replaceState neither adds a history entry per change nor fires 'hashchange'
+function writeHash(key, value) {
+    const params = getHashParams();
+    params.set(key, value);
+    window.history.replaceState(window.history.state, '', `#${params.toString()}`);
+}
+
+// localStorage throws when it is disabled, e.g. in private browsing or sandboxed frames
+function readStorage(key) {
+    try {
+        const value = window.localStorage.getItem(STORAGE_PREFIX + key);
+        return value === null ? null : parseState(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + key, value);
+    } catch (error) {
+        // Quota exceeded or storage disabled: the state is not kept
+    }
+}
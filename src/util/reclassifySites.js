@@ -0,0 +1,42 @@
+import flagColors from './flagColors.js';
+import getFlag from './getFlag.js';
+
+/**
+ * Purpose: Re-derive the Flag and Color of every site from its Score and new KRI thresholds
+ *
+ * - df_label_sites: Flag from the Score and thresholds, Color from the default Flag colors
+ * - df_mean_group_flagged / df_mean_group_not_flagged: curves moved to the table matching the new Flag
+ *
+ * Sites without a numeric Score keep their Flag, Color and curves.
+ *
+ * @param {Object} data - simaerep data bundle
+ * @param {Array<number>} thresholds - ascending thresholds
+ *
+ * @returns {Object} data bundle with reclassified sites (the input is not modified)
+ */
+export default function reclassifySites(data, thresholds) {
+    if (!Array.isArray(thresholds) || thresholds.length === 0) return data;
+
+    // New Flags of the sites with a numeric Score
+    const flags = new Map();
+    const labels = (data.df_label_sites || []).map((site) => {
+        const score = parseFloat(site.Score);
+        if (!Number.isFinite(score)) return site;
+
+        const flag = getFlag(score, thresholds);
+        flags.set(site.GroupID, flag);
+        // Flags beyond ±2 (more than four thresholds) get the strongest flag color
+        return { ...site, Flag: flag, Color: flagColors[flag] || flagColors[Math.sign(flag) * 2] };
+    });
+
+    const flaggedGroupIDs = new Set((data.df_mean_group_flagged || []).map((row) => row.GroupID));
+    const isFlagged = (row) => (flags.has(row.GroupID) ? flags.get(row.GroupID) !== 0 : flaggedGroupIDs.has(row.GroupID));
+    const curves = [...(data.df_mean_group_flagged || []), ...(data.df_mean_group_not_flagged || [])];
+
+    const result = { ...data, df_label_sites: labels };
+    if (data.df_mean_group_flagged || data.df_mean_group_not_flagged) {
+        result.df_mean_group_flagged = curves.filter(isFlagged);
+        result.df_mean_group_not_flagged = curves.filter((row) => !isFlagged(row));
+    }
+    return result;
+}
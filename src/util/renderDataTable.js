@@ -0,0 +1,173 @@
+import compareValues from './compareValues.js';
+
+/**
+ * Render a sortable, filterable HTML table
+ *
+ * Purpose: Accessible fallback view of the numbers behind a chart.
+ *
+ * - Clicking a column header sorts by that column, clicking it again reverses the order
+ * - The filter input keeps rows containing the filter text in any column
+ * - Rows can be activated by click or Enter (e.g. to select a site)
+ *
+ * Borders and the selected row color come from the theme stylesheet of the widget
+ * (see injectThemeStyles), which styles every table through the 'gsm-data-table' classes.
+ *
+ * Sorting and filtering are kept in options.state, so the table can be rendered again
+ * (e.g. after a selection change) without losing them.
+ *
+ * @param {HTMLElement} container - element to render the table in (cleared first)
+ * @param {Object} options - table definition
+ *   Required: options.columns - [{ key, label, format(value, row) }]
+ *   Required: options.rows - array of row objects
+ *   Optional: options.caption - table caption
+ *   Optional: options.className - class of the table element (default: 'gsm-data-table')
+ *   Optional: options.state - { sortKey, sortOrder, filter }, updated as the user sorts and filters
+ *   Optional: options.onStateChange - (state) => called after the user sorted or filtered the table
+ *   Optional: options.isSelected - (row) => whether the row is part of the selection
+ *   Optional: options.onRowClick - (row) => called when a row is clicked or activated with Enter
+ *   Optional: options.rowKey - column stored as data-row-key on each row, e.g. to restore focus
+ *
+ * @returns {HTMLTableElement} rendered table
+ */
+export default function renderDataTable(container, options) {
+    const { columns, rows } = options;
+    const className = options.className || 'gsm-data-table';
+    const state = options.state || {};
+    state.sortOrder = state.sortOrder || 'ascending';
+    state.filter = state.filter || '';
+
+    container.innerHTML = '';
+
+    // Filter input
+    const filter = document.createElement('input');
+    filter.type = 'search';
+    filter.className = `${className}-filter`;
+    filter.placeholder = 'Filter rows';
+    filter.value = state.filter;
+    filter.setAttribute('aria-label', `Filter ${options.caption || 'table'}`);
+    filter.style.marginBottom = '6px';
+    filter.style.padding = '4px 8px';
+    filter.style.borderRadius = '4px';
+    container.appendChild(filter);
+
+    const table = document.createElement('table');
+    table.classList.add('gsm-data-table', className);
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    table.style.fontSize = '12px';
+
+    const caption = document.createElement('caption');
+    caption.style.textAlign = 'left';
+    caption.style.fontWeight = 'bold';
+    caption.style.padding = '4px 0';
+    table.appendChild(caption);
+
+    // Header with sort buttons
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.style.textAlign = 'left';
+        th.style.padding = '4px 8px';
+        if (state.sortKey === column.key) {
+            th.setAttribute('aria-sort', state.sortOrder);
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `${className}-sort`;
+        button.setAttribute('data-key', column.key);
+        button.style.border = 'none';
+        button.style.background = 'none';
+        button.style.padding = '0';
+        button.style.font = 'inherit';
+        button.style.fontWeight = 'bold';
+        button.style.cursor = 'pointer';
+        const arrow = state.sortKey === column.key
+            ? (state.sortOrder === 'ascending' ? ' ▲' : ' ▼')
+            : '';
+        button.textContent = `${column.label}${arrow}`;
+        button.addEventListener('click', () => {
+            state.sortOrder = state.sortKey === column.key && state.sortOrder === 'ascending'
+                ? 'descending'
+                : 'ascending';
+            state.sortKey = column.key;
+            renderDataTable(container, options);
+            container.querySelector(`.${className}-sort[data-key="${column.key}"]`).focus();
+            if (options.onStateChange) options.onStateChange(state);
+        });
+
+        th.appendChild(button);
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+
+    const renderBody = () => {
+        const query = state.filter.trim().toLowerCase();
+        let visibleRows = rows.filter(row => !query || columns.some(column =>
+            formatCell(column, row).toLowerCase().includes(query)));
+        if (state.sortKey) {
+            visibleRows = [...visibleRows]
+                .sort((a, b) => compareValues(a[state.sortKey], b[state.sortKey], state.sortOrder));
+        }
+
+        caption.textContent = `${options.caption || ''} (${visibleRows.length} of ${rows.length} rows)`.trim();
+
+        tbody.innerHTML = '';
+        visibleRows.forEach(row => {
+            const tr = document.createElement('tr');
+            if (options.rowKey) {
+                tr.setAttribute('data-row-key', String(row[options.rowKey]));
+            }
+            const isSelected = options.isSelected ? options.isSelected(row) : false;
+            if (isSelected) {
+                tr.classList.add('gsm-data-table-row--selected', `${className}-row--selected`);
+                tr.setAttribute('aria-current', 'true');
+                tr.style.fontWeight = 'bold';
+            }
+
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.textContent = formatCell(column, row);
+                td.style.padding = '4px 8px';
+                tr.appendChild(td);
+            });
+
+            if (options.onRowClick) {
+                tr.tabIndex = 0;
+                tr.style.cursor = 'pointer';
+                tr.addEventListener('click', () => options.onRowClick(row));
+                tr.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        options.onRowClick(row);
+                    }
+                });
+            }
+
+            tbody.appendChild(tr);
+        });
+    };
+
+    filter.addEventListener('input', () => {
+        state.filter = filter.value;
+        renderBody();
+        if (options.onStateChange) options.onStateChange(state);
+    });
+
+    renderBody();
+    container.appendChild(table);
+
+    return table;
+}
+
+function formatCell(column, row) {
+    const value = row[column.key];
+    if (column.format) return String(column.format(value, row));
+    return value === undefined || value === null ? '' : String(value);
+}
@@ -0,0 +1,24 @@
+import themes from './themes.js';
+
+/**
+ * Resolve a theme option to a complete set of theme tokens
+ *
+ * @param {string|Object} theme - name of a built-in theme ('light', 'dark', 'highContrast'),
+ *   or an object of tokens overriding the built-in theme named by its `base` key (default: 'light')
+ *
+ * @returns {Object} theme tokens, with `name` set to the built-in theme name or 'custom'
+ */
+export default function resolveTheme(theme) {
+    if (theme && typeof theme === 'object') {
+        const { base, ...tokens } = theme;
+        return { ...resolveTheme(base), ...tokens, name: 'custom' };
+    }
+
+    const name = theme || 'light';
+    if (!themes[name]) {
+        console.warn(`Unknown theme "${name}", using "light". Available themes: ${Object.keys(themes).join(', ')}`);
+        return { ...themes.light, name: 'light' };
+    }
+
+    return { ...themes[name], name };
+}
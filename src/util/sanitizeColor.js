@@ -0,0 +1,21 @@
+/**
+ * Validate a CSS color before it is written into an inline style
+ *
+ * Accepts hex colors (#RGB, #RGBA, #RRGGBB, #RRGGBBAA), rgb()/rgba()/hsl()/hsla()
+ * functions with numeric arguments and named colors. Anything else, e.g. a Color
+ * column containing additional CSS declarations or markup, is replaced by the fallback.
+ *
+ * @param {string} color - color from the data (e.g. df_label_sites.Color)
+ * @param {string} fallback - color used for invalid input (default: '#333')
+ * @returns {string} color safe to use in a style attribute
+ */
+export default function sanitizeColor(color, fallback = '#333') {
+    if (typeof color !== 'string') return fallback;
+
+    const value = color.trim();
+    const isHex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value);
+    const isFunction = /^(rgb|rgba|hsl|hsla)\(\s*[-0-9.,%\s/a-z]*\)$/i.test(value) && !/[;:"'<>]/.test(value);
+    const isNamed = /^[a-z]+$/i.test(value);
+
+    return isHex || isFunction || isNamed ? value : fallback;
+}
@@ -0,0 +1,112 @@
+import getSelectedGroupIDs from './getSelectedGroupIDs.js';
+
+const DEFAULT_SCOPE = 'default';
+
+// Registered widgets, current selection and subscribers per selection scope. Widgets updated by
+// a selection publish their new selection too; propagating is set meanwhile to ignore those echoes
+const scopes = new Map();
+
+function getScope(scope = DEFAULT_SCOPE) {
+    if (!scopes.has(scope)) {
+        scopes.set(scope, { members: new Set(), listeners: new Set(), selection: 'None', country: null, propagating: false });
+    }
+    return scopes.get(scope);
+}
+
+// gsm.kri charts: updateSelectedGroupIDs where available, else updateConfig with the new selection
+function applyToChart(chart, selection) {
+    if (typeof chart.helpers.updateSelectedGroupIDs === 'function') {
+        chart.helpers.updateSelectedGroupIDs(selection);
+    } else {
+        chart.helpers.updateConfig(chart, { ...chart.data.config, selectedGroupIDs: selection }, chart.data._thresholds_);
+    }
+}
+
+/**
+ * Add a widget to a selection scope: selections published in the scope are applied to it
+ *
+ * @param {Object} chart - widget with the gsm.kri helpers, or any object when options.apply is given
+ * @param {Object} [options]
+ * @param {string} [options.scope] - selection scope, e.g. a study or KRI ID (default: 'default')
+ * @param {Function} [options.apply] - (selection, country) => void, applies a selection to the widget
+ *   (default: chart.helpers.updateSelectedGroupIDs)
+ *
+ * @returns {Function} function removing the widget from the scope
+ */
+function register(chart, { scope, apply } = {}) {
+    const members = getScope(scope).members;
+    const member = { chart, apply: apply || ((selection) => applyToChart(chart, selection)) };
+    members.add(member);
+
+    return () => members.delete(member);
+}
+
+/**
+ * Publish a selection to all widgets of a scope except its source
+ *
+ * @param {string|Array<string>} selection - GroupID, GroupIDs or 'None'
+ * @param {Object} [options]
+ * @param {string} [options.scope] - selection scope (default: 'default')
+ * @param {string|null} [options.country] - country the sites were selected by
+ * @param {Object} [options.source] - widget the selection was made in, which is not updated
+ */
+function select(selection, { scope, country = null, source = null } = {}) {
+    const state = getScope(scope);
+    if (state.propagating) return;
+
+    state.selection = selection;
+    state.country = country && country !== 'None' ? country : null;
+
+    state.propagating = true;
+    try {
+        state.members.forEach((member) => {
+            // Widgets removed from the page keep their registration until destroyed
+            const container = member.chart && member.chart.container;
+            if (member.chart === source || (container && !container.isConnected)) return;
+            member.apply(selection, state.country);
+        });
+    } finally {
+        state.propagating = false;
+    }
+
+    const payload = getSelection(scope);
+    state.listeners.forEach((listener) => listener({ ...payload, source }));
+}
+
+/**
+ * Get the current selection of a scope
+ *
+ * @param {string} [scope] - selection scope (default: 'default')
+ *
+ * @returns {Object} { groupIDs, country }, groupIDs being empty without a selection
+ */
+function getSelection(scope) {
+    const state = getScope(scope);
+    return { groupIDs: getSelectedGroupIDs(state.selection), country: state.country };
+}
+
+/**
+ * Listen to the selections published in a scope, e.g. to sync page controls
+ *
+ * @param {Function} listener - ({ groupIDs, country, source }) => void
+ * @param {Object} [options]
+ * @param {string} [options.scope] - selection scope (default: 'default')
+ *
+ * @returns {Function} function removing the listener
+ */
+function subscribe(listener, { scope } = {}) {
+    const listeners = getScope(scope).listeners;
+    listeners.add(listener);
+
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Purpose: Page-wide selection shared by widgets, replacing the scanning of `.gsm-widget` canvases.
+ *
+ * Simaerep, SiteList, SiteScoreBar and SimaerepDashboard register themselves (config.syncSelection: false
+ * opts out, config.selectionScope keeps several studies or KRIs apart); other charts register with register().
+ * A selection made in any registered widget, or published with select(), is applied to all other
+ * widgets of its scope.
+ */
+export default { register, select, getSelection, subscribe, DEFAULT_SCOPE };
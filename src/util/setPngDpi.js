@@ -0,0 +1,86 @@
+const SIGNATURE_LENGTH = 8;
+const METERS_PER_INCH = 0.0254;
+
+let crcTable = null;
+
+/**
+ * Store the print resolution in a PNG file (pHYs chunk)
+ *
+ * Without it, office applications assume 72 or 96 DPI and paste high-resolution
+ * exports at several times their intended size. An existing pHYs chunk is replaced.
+ *
+ * @param {Uint8Array} bytes - PNG file content
+ * @param {number} dpi - resolution in dots per inch
+ * @returns {Uint8Array} PNG file content with the pHYs chunk after IHDR
+ */
+export default function setPngDpi(bytes, dpi) {
+    const chunks = [];
+    let offset = SIGNATURE_LENGTH;
+
+    while (offset + 8 <= bytes.length) {
+        const length = readUint32(bytes, offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const end = offset + 12 + length;
+        if (type !== 'pHYs') chunks.push({ type, bytes: bytes.subarray(offset, end) });
+        offset = end;
+    }
+
+    if (chunks.length === 0 || chunks[0].type !== 'IHDR') return bytes;
+
+    const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+    const data = new Uint8Array(9);
+    writeUint32(data, 0, pixelsPerMeter);
+    writeUint32(data, 4, pixelsPerMeter);
+    data[8] = 1; // unit: meter
+
+    chunks.splice(1, 0, { type: 'pHYs', bytes: createChunk('pHYs', data) });
+
+    const output = new Uint8Array(SIGNATURE_LENGTH + chunks.reduce((sum, chunk) => sum + chunk.bytes.length, 0));
+    output.set(bytes.subarray(0, SIGNATURE_LENGTH), 0);
+    offset = SIGNATURE_LENGTH;
+    chunks.forEach((chunk) => {
+        output.set(chunk.bytes, offset);
+        offset += chunk.bytes.length;
+    });
+
+    return output;
+}
+
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    writeUint32(chunk, 0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    writeUint32(chunk, 8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function writeUint32(bytes, offset, value) {
+    bytes[offset] = (value >>> 24) & 0xff;
+    bytes[offset + 1] = (value >>> 16) & 0xff;
+    bytes[offset + 2] = (value >>> 8) & 0xff;
+    bytes[offset + 3] = value & 0xff;
+}
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
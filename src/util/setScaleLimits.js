@@ -0,0 +1,30 @@
+/**
+ * Set the visible range of a Chart.js chart's x and/or y scale and redraw it
+ *
+ * Axes missing from limits are left unchanged; an axis set to null (or with
+ * undefined min/max) returns to its automatic data range.
+ *
+ * @param {Object} chart - Chart.js instance
+ * @param {Object} limits - { x: { min, max } | null, y: { min, max } | null }
+ * @returns {Object} the chart
+ */
+export default function setScaleLimits(chart, limits = {}) {
+    if (!chart || !chart.options) return chart;
+
+    chart.options.scales = chart.options.scales || {};
+
+    ['x', 'y'].forEach((axis) => {
+        if (!(axis in limits)) return;
+
+        const scale = chart.options.scales[axis] || (chart.options.scales[axis] = {});
+        const range = limits[axis] || {};
+        scale.min = range.min;
+        scale.max = range.max;
+    });
+
+    if (typeof chart.update === 'function') {
+        chart.update('none');
+    }
+
+    return chart;
+}
@@ -0,0 +1,56 @@
+// Poisson z-score beyond which a patient's event count is marked as an outlier
+const OUTLIER_Z = 2;
+
+/**
+ * Purpose: Per-patient event totals and rates for the patient drill-down of Simaerep.
+ *
+ * - Events: cumulative Numerator at the patient's last visit
+ * - Visits: last Denominator of the patient
+ * - Rate: Events / Visits, RateRatio: Rate / study rate
+ * - Outlier: 'over' or 'under' when the Events differ from the count expected at the
+ *   study rate (Visits * study rate) by at least 2 Poisson standard deviations, else ''
+ *
+ * The study rate is the total number of events of all patients divided by their total visits.
+ *
+ * @param {Array<Object>} dfVisit - visit-level rows with GroupID, SubjectID, Numerator
+ *   (cumulative event count) and Denominator (visit)
+ *
+ * @returns {Object} { studyRate, patients: [{ GroupID, SubjectID, Events, Visits, Rate, RateRatio, Outlier }] }
+ */
+export default function summarizePatients(dfVisit) {
+    const byPatient = new Map();
+
+    (dfVisit || []).forEach((row) => {
+        const visit = parseFloat(row.Denominator);
+        const events = parseFloat(row.Numerator);
+        if (!Number.isFinite(visit) || !Number.isFinite(events)) return;
+
+        const groupID = String(row.GroupID);
+        const subjectID = String(row.SubjectID);
+        const key = `${groupID}\u0000${subjectID}`;
+
+        const patient = byPatient.get(key);
+        if (!patient) {
+            byPatient.set(key, { GroupID: groupID, SubjectID: subjectID, Events: events, Visits: visit });
+        } else if (visit >= patient.Visits) {
+            patient.Events = events;
+            patient.Visits = visit;
+        }
+    });
+
+    const patients = Array.from(byPatient.values());
+    const totalEvents = patients.reduce((sum, patient) => sum + patient.Events, 0);
+    const totalVisits = patients.reduce((sum, patient) => sum + patient.Visits, 0);
+    const studyRate = totalVisits > 0 ? totalEvents / totalVisits : 0;
+
+    patients.forEach((patient) => {
+        patient.Rate = patient.Visits > 0 ? patient.Events / patient.Visits : 0;
+        patient.RateRatio = studyRate > 0 ? patient.Rate / studyRate : null;
+
+        const expected = patient.Visits * studyRate;
+        const z = expected > 0 ? (patient.Events - expected) / Math.sqrt(expected) : 0;
+        patient.Outlier = z >= OUTLIER_Z ? 'over' : (z <= -OUTLIER_Z ? 'under' : '');
+    });
+
+    return { studyRate, patients };
+}
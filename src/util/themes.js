@@ -0,0 +1,107 @@
+/**
+ * Built-in themes
+ *
+ * Each token is exposed to CSS as a custom property on the widget container
+ * (e.g. accent → --gsm-accent, surfaceHover → --gsm-surface-hover) and read by
+ * the Chart.js options of the widgets.
+ *
+ * - font: font family of the widget
+ * - text, textMuted: text colors (muted is used for secondary text, ticks and axis titles)
+ * - background, surface, surfaceHover: widget, list item and hovered list item backgrounds
+ * - border, controlBorder: panel and form control borders
+ * - accent, accentFill, focusRing: highlighted site plot outline, zoom box and focus ring
+ * - selection, selectionBorder: background and border of selected items
+ * - grid, study, patient: chart grid lines, study line and patient lines
+ * - patientDimmed: patient lines of a site while another of its patients is highlighted
+ * - tooltipBackground, tooltipBorder, shadow: tooltip and menu styling
+ * - errorBackground, errorBorder, errorText, warningText: data diagnostics
+ * - thresholdWarning, thresholdFlag: Scores beyond a warning (inner) or flag (outer) KRI threshold
+ */
+const light = {
+    font: 'roboto, sans-serif',
+    text: '#000000',
+    textMuted: '#666666',
+    background: '#ffffff',
+    surface: '#f9f9f9',
+    surfaceHover: '#f0f0f0',
+    border: '#e0e0e0',
+    controlBorder: '#cccccc',
+    accent: '#3182BD',
+    accentFill: 'rgba(49, 130, 189, 0.15)',
+    focusRing: 'rgba(49, 130, 189, 0.5)',
+    selection: '#e3f2fd',
+    selectionBorder: '#2196f3',
+    grid: '#e0e0e0',
+    study: '#000000',
+    patient: 'rgba(140, 140, 140, 1)',
+    patientDimmed: 'rgba(140, 140, 140, 0.25)',
+    tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+    tooltipBorder: '#000000',
+    shadow: 'rgba(0, 0, 0, 0.15)',
+    errorBackground: '#f8d7da',
+    errorBorder: '#dc3545',
+    errorText: '#721c24',
+    warningText: '#856404',
+    thresholdWarning: '#e6a23c',
+    thresholdFlag: '#d9534f',
+};
+
+const dark = {
+    ...light,
+    text: '#e0e0e0',
+    textMuted: '#a0a0a0',
+    background: '#1e1e1e',
+    surface: '#2a2a2a',
+    surfaceHover: '#333333',
+    border: '#444444',
+    controlBorder: '#555555',
+    accent: '#6BAED6',
+    accentFill: 'rgba(107, 174, 214, 0.2)',
+    focusRing: 'rgba(107, 174, 214, 0.6)',
+    selection: '#1e3a5f',
+    selectionBorder: '#64b5f6',
+    grid: '#3a3a3a',
+    study: '#ffffff',
+    patient: 'rgba(170, 170, 170, 1)',
+    patientDimmed: 'rgba(170, 170, 170, 0.25)',
+    tooltipBackground: 'rgba(30, 30, 30, 0.95)',
+    tooltipBorder: '#888888',
+    shadow: 'rgba(0, 0, 0, 0.5)',
+    errorBackground: '#4a1c21',
+    errorBorder: '#e06c75',
+    errorText: '#f5c2c7',
+    warningText: '#ffe08a',
+    thresholdWarning: '#f6c26b',
+    thresholdFlag: '#ff7b72',
+};
+
+const highContrast = {
+    ...light,
+    text: '#ffffff',
+    textMuted: '#ffffff',
+    background: '#000000',
+    surface: '#000000',
+    surfaceHover: '#1a1a1a',
+    border: '#ffffff',
+    controlBorder: '#ffffff',
+    accent: '#ffff00',
+    accentFill: 'rgba(255, 255, 0, 0.25)',
+    focusRing: '#00ffff',
+    selection: '#333300',
+    selectionBorder: '#ffff00',
+    grid: '#808080',
+    study: '#ffffff',
+    patient: 'rgba(192, 192, 192, 1)',
+    patientDimmed: 'rgba(192, 192, 192, 0.35)',
+    tooltipBackground: '#000000',
+    tooltipBorder: '#ffffff',
+    shadow: 'transparent',
+    errorBackground: '#000000',
+    errorBorder: '#ff6666',
+    errorText: '#ff6666',
+    warningText: '#ffff00',
+    thresholdWarning: '#ffff00',
+    thresholdFlag: '#ff6666',
+};
+
+export default { light, dark, highContrast };
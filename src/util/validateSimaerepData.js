@@ -0,0 +1,356 @@
+/**
+ * Declared schema of the Simaerep data bundle.
+ *
+ * - required: table is expected by the chart (a warning is raised when it is absent)
+ * - columns: required columns and their types
+ * - optional: columns that are type-checked when present
+ *
+ * Types: 'any', 'string', 'number', 'count' (number or NA), 'flag' (integer in -2..2), 'color' (hex)
+ */
+const curveColumns = { GroupID: 'string', Denominator: 'number', cum_mean_dev_event: 'number' };
+
+const SCHEMA = {
+    df_mean_study: {
+        required: true,
+        columns: { Denominator: 'number', cum_mean_dev_event: 'number' },
+        unique: ['Denominator'],
+    },
+    df_mean_group_flagged: {
+        required: true,
+        columns: curveColumns,
+        optional: { Color: 'color' },
+        unique: ['GroupID', 'Denominator'],
+    },
+    df_mean_group_not_flagged: {
+        required: true,
+        columns: curveColumns,
+        optional: { Color: 'color' },
+        unique: ['GroupID', 'Denominator'],
+    },
+    df_label_sites: {
+        required: true,
+        columns: { GroupID: 'string', Flag: 'flag' },
+        optional: {
+            Color: 'color',
+            Score: 'number',
+            ExpectedNumerator: 'number',
+            nSubjects: 'count',
+        },
+        unique: ['GroupID'],
+    },
+    df_visit: {
+        required: false,
+        columns: { SubjectID: 'string', GroupID: 'string', Numerator: 'number', Denominator: 'number' },
+    },
+    groupMetadata: {
+        required: false,
+        columns: { GroupID: 'string', Param: 'string', Value: 'any', GroupLevel: 'string' },
+    },
+};
+
+// Maximum number of offending row indices reported per issue
+const MAX_ROWS = 5;
+
+/**
+ * Validate the Simaerep data bundle against the declared schema.
+ *
+ * Checks required columns, numeric coercibility, Flag range, hex Colors, flagged
+ * GroupIDs without a df_label_sites row and duplicate rows. Offending rows are
+ * reported as 0-based indices.
+ *
+ * @param {Object} data - Simaerep data bundle ({ df_mean_study, df_mean_group_flagged, ... })
+ * @param {Object} config - chart configuration
+ *   Optional: config.groupMetadata - Param/Value group metadata
+ *   Optional: config.GroupLevel - expected group level in groupMetadata (default: 'Site')
+ *
+ * @returns {Object} { valid, errors, warnings } where each issue is
+ *   { level, code, table, column, rows, count, message }
+ */
+export default function validateSimaerepData(data, config = {}) {
+    const tables = { ...(data || {}), groupMetadata: config.groupMetadata };
+    const issues = [];
+
+    Object.entries(SCHEMA).forEach(([table, schema]) => {
+        const rows = tables[table];
+
+        if (rows === undefined || rows === null) {
+            if (schema.required) {
+                issues.push({
+                    level: 'warning',
+                    code: 'missing_table',
+                    table,
+                    message: `Table "${table}" was not provided; the chart will treat it as empty.`,
+                });
+            }
+            return;
+        }
+
+        if (!Array.isArray(rows)) {
+            issues.push({
+                level: 'error',
+                code: 'invalid_table',
+                table,
+                message: `Table "${table}" must be an array of row objects.`,
+            });
+            return;
+        }
+
+        if (rows.length === 0) return;
+
+        issues.push(...validateColumns(table, rows, schema));
+        if (schema.unique) {
+            issues.push(...validateUnique(table, rows, schema.unique));
+        }
+    });
+
+    issues.push(...validateGroupReferences(tables));
+    issues.push(...validateGroupLevel(tables.groupMetadata, config.GroupLevel || 'Site'));
+
+    const errors = issues.filter((issue) => issue.level === 'error');
+    const warnings = issues.filter((issue) => issue.level === 'warning');
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Check presence and type of every declared column.
+ */
+function validateColumns(table, rows, schema) {
+    const issues = [];
+    const found = new Set(rows.flatMap((row) => Object.keys(row || {})));
+
+    Object.entries(schema.columns).forEach(([column, type]) => {
+        if (!found.has(column)) {
+            const suggestion = suggestColumn(column, Array.from(found));
+            issues.push({
+                level: 'error',
+                code: 'missing_column',
+                table,
+                column,
+                message:
+                    `Column "${column}" not found in "${table}". ` +
+                    `Available columns: ${Array.from(found).join(', ') || 'none'}.` +
+                    (suggestion ? ` Did you mean "${suggestion}"?` : ''),
+            });
+            return;
+        }
+        issues.push(...validateType(table, rows, column, type));
+    });
+
+    // Optional columns may be missing from individual rows
+    Object.entries(schema.optional || {}).forEach(([column, type]) => {
+        if (found.has(column)) {
+            const present = rows.map((row) => row[column] !== undefined && row[column] !== null);
+            issues.push(...validateType(table, rows, column, type, present));
+        }
+    });
+
+    return issues;
+}
+
+const TYPE_CHECKS = {
+    any: {
+        test: () => true,
+    },
+    string: {
+        test: (value) => value !== undefined && value !== null && value !== '',
+        code: 'missing_value',
+        describe: 'is empty',
+    },
+    number: {
+        test: (value) => isNumeric(value),
+        code: 'not_numeric',
+        describe: 'is not numeric',
+    },
+    count: {
+        test: (value) => value === 'NA' || value === null || isNumeric(value),
+        code: 'not_numeric',
+        describe: 'is not numeric',
+    },
+    flag: {
+        test: (value) =>
+            isNumeric(value) && Number.isInteger(Number(value)) && Math.abs(Number(value)) <= 2,
+        code: 'invalid_flag',
+        describe: 'is not an integer between -2 and 2',
+    },
+    color: {
+        test: (value) => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value),
+        code: 'invalid_color',
+        describe: 'is not a hex color (#RGB or #RRGGBB)',
+    },
+};
+
+/**
+ * Check every value of a column against its declared type.
+ */
+function validateType(table, rows, column, type, present = null) {
+    const check = TYPE_CHECKS[type];
+    const invalid = [];
+
+    rows.forEach((row, index) => {
+        if (present && !present[index]) return;
+        if (!check.test(row[column])) invalid.push(index);
+    });
+
+    if (invalid.length === 0) return [];
+
+    const example = rows[invalid[0]][column];
+    return [
+        {
+            level: 'error',
+            code: check.code,
+            table,
+            column,
+            rows: invalid.slice(0, MAX_ROWS),
+            count: invalid.length,
+            message:
+                `${invalid.length} value(s) in "${table}.${column}" ${check.describe} ` +
+                `(first at row ${invalid[0]}: ${JSON.stringify(example)}).`,
+        },
+    ];
+}
+
+/**
+ * Check that the key columns identify each row uniquely.
+ */
+function validateUnique(table, rows, keys) {
+    const seen = new Set();
+    const duplicates = [];
+
+    rows.forEach((row, index) => {
+        const key = keys.map((column) => String(row[column])).join('\u0000');
+        if (seen.has(key)) {
+            duplicates.push(index);
+        } else {
+            seen.add(key);
+        }
+    });
+
+    if (duplicates.length === 0) return [];
+
+    const first = rows[duplicates[0]];
+    return [
+        {
+            level: 'error',
+            code: 'duplicate_rows',
+            table,
+            column: keys.join(', '),
+            rows: duplicates.slice(0, MAX_ROWS),
+            count: duplicates.length,
+            message:
+                `${duplicates.length} duplicate (${keys.join(', ')}) row(s) in "${table}" ` +
+                `(first at row ${duplicates[0]}: ${keys.map((column) => first[column]).join(', ')}).`,
+        },
+    ];
+}
+
+// Curve tables whose GroupIDs need a df_label_sites row, with what is lost without one
+const CURVE_TABLES = {
+    df_mean_group_flagged: 'color or site plot',
+    df_mean_group_not_flagged: 'their site color',
+};
+
+/**
+ * Check that the flagged and not flagged curves have a matching df_label_sites row.
+ */
+function validateGroupReferences(tables) {
+    const labels = tables.df_label_sites;
+    if (!Array.isArray(labels)) return [];
+
+    const labelled = new Set(labels.map((row) => String(row.GroupID)));
+
+    return Object.entries(CURVE_TABLES).flatMap(([table, lost]) => {
+        const curves = tables[table];
+        if (!Array.isArray(curves) || curves.length === 0) return [];
+
+        const missing = Array.from(new Set(curves.map((row) => String(row.GroupID)))).filter(
+            (groupID) => !labelled.has(groupID)
+        );
+
+        if (missing.length === 0) return [];
+
+        return [
+            {
+                level: 'warning',
+                code: 'unknown_group',
+                table,
+                column: 'GroupID',
+                count: missing.length,
+                message:
+                    `${missing.length} GroupID(s) in "${table}" have no row in "df_label_sites" ` +
+                    `and will be drawn without ${lost}: ${missing.slice(0, MAX_ROWS).join(', ')}.`,
+            },
+        ];
+    });
+}
+
+/**
+ * Check that groupMetadata contains the configured group level.
+ */
+function validateGroupLevel(groupMetadata, groupLevel) {
+    if (!Array.isArray(groupMetadata) || groupMetadata.length === 0) return [];
+
+    const levels = new Set(groupMetadata.map((row) => row.GroupLevel));
+    if (levels.has(groupLevel)) return [];
+
+    return [
+        {
+            level: 'warning',
+            code: 'missing_group_level',
+            table: 'groupMetadata',
+            column: 'GroupLevel',
+            message:
+                `Group level "${groupLevel}" not found in "groupMetadata". ` +
+                `Available levels: ${Array.from(levels).join(', ')}.`,
+        },
+    ];
+}
+
+function isNumeric(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+        return false;
+    }
+    return Number.isFinite(Number(value));
+}
+
+/**
+ * Suggest the closest available column name for a missing column.
+ */
+function suggestColumn(column, available) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    available.forEach((candidate) => {
+        const related =
+            candidate.toLowerCase().includes(column.toLowerCase()) ||
+            column.toLowerCase().includes(candidate.toLowerCase());
+        const distance = related ? 0 : levenshtein(column.toLowerCase(), candidate.toLowerCase());
+
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+
+    return bestDistance <= Math.max(2, Math.floor(column.length / 3)) ? best : null;
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+
+    return previous[b.length];
+}
@@ -171,16 +171,22 @@ describe('Simaerep', () => {
     test('updates selector value', () => {
       const chart = new Simaerep(container, sampleData);
       chart.updateSelectedGroupIDs('120');
-      // Selector is recreated on render, so we need to query it again
+      // Selector is kept and synced with the selection
       const selector = container.querySelector('.gsm-widget-control--group');
       expect(selector.value).toBe('120');
     });
 
-    test('re-renders chart', () => {
+    test('restyles chart without re-rendering', () => {
       const chart = new Simaerep(container, sampleData);
+      const chartInstance = chart.chartInstance;
       const renderSpy = jest.spyOn(chart, 'render');
+
       chart.updateSelectedGroupIDs('120');
-      expect(renderSpy).toHaveBeenCalled();
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(chart.chartInstance).toBe(chartInstance);
+      expect(chartInstance.destroy).not.toHaveBeenCalled();
+      expect(chartInstance.update).toHaveBeenCalledWith('none');
     });
   });
 
@@ -200,9 +206,31 @@ describe('Simaerep', () => {
     test('re-renders chart after config update', () => {
       const chart = new Simaerep(container, sampleData);
       const renderSpy = jest.spyOn(chart, 'render');
-      chart.updateConfig(chart, { selectedGroupIDs: '10' }, {});
+      chart.updateConfig(chart, { enableZoom: false }, {});
       expect(renderSpy).toHaveBeenCalled();
     });
+
+    test('only restyles when the selection is the only change', () => {
+      const chart = new Simaerep(container, sampleData);
+      const renderSpy = jest.spyOn(chart, 'render');
+      const applySpy = jest.spyOn(chart, 'applySelection');
+
+      chart.updateConfig(chart, { selectedGroupIDs: '10', enableZoom: true }, {});
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(applySpy).toHaveBeenCalled();
+    });
+
+    test('does nothing when the config is unchanged', () => {
+      const chart = new Simaerep(container, sampleData);
+      const renderSpy = jest.spyOn(chart, 'render');
+      const applySpy = jest.spyOn(chart, 'applySelection');
+
+      chart.updateConfig(chart, { selectedGroupIDs: 'None' }, {});
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(applySpy).not.toHaveBeenCalled();
+    });
   });
 
   describe('Data Processing', () => {
@@ -335,6 +363,365 @@ describe('Simaerep', () => {
     });
   });
 
+  describe('Incremental Updates', () => {
+    let dataWithVisits;
+
+    beforeEach(() => {
+      dataWithVisits = {
+        ...sampleData,
+        df_visit: [
+          { SubjectID: '001', GroupID: '120', Numerator: 0, Denominator: 1 },
+          { SubjectID: '003', GroupID: '10', Numerator: 0, Denominator: 1 }
+        ]
+      };
+    });
+
+    test('restyles the affected datasets in place', () => {
+      const chart = new Simaerep(container, sampleData);
+      const datasets = chart.chartInstance.data.datasets;
+      const site120 = datasets.find(d => d.groupID === '120');
+      const site10 = datasets.find(d => d.groupID === '10');
+      const study = datasets.find(d => d.groupID === 'study');
+
+      chart.updateSelectedGroupIDs('120');
+
+      expect(chart.chartInstance.data.datasets).toBe(datasets);
+      expect(site120.borderWidth).toBe(3);
+      expect(site120.order).toBe(1);
+      expect(site10.borderColor).toBe('rgba(49, 130, 189, 0.2)');
+      expect(study.borderColor).toBe('#000000');
+
+      chart.updateSelectedGroupIDs('None');
+
+      expect(site120.borderWidth).toBe(1.5);
+      expect(site10.borderColor).toBe('rgba(49, 130, 189, 1)');
+    });
+
+    test('keeps selectors and right panel site plots', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      const selector = container.querySelector('.gsm-widget-control--group');
+      const rightPanel = container.querySelector('.simaerep-right-panel');
+      const sitePlotCharts = chart.sitePlotCharts;
+
+      chart.updateSelectedGroupIDs('120');
+
+      expect(container.querySelector('.gsm-widget-control--group')).toBe(selector);
+      expect(container.querySelector('.simaerep-right-panel')).toBe(rightPanel);
+      expect(chart.sitePlotCharts).toBe(sitePlotCharts);
+      sitePlotCharts.forEach(item => {
+        expect(item.chart.destroy).not.toHaveBeenCalled();
+      });
+    });
+
+    test('keeps the zoomed chart on selection', () => {
+      const chart = new Simaerep(container, sampleData);
+      const chartInstance = chart.chartInstance;
+      chart.handleZoom('overview', { x: { min: 2, max: 5 } });
+
+      chart.updateSelectedGroupIDs('120');
+
+      expect(chart.chartInstance).toBe(chartInstance);
+      expect(container.querySelector('.simaerep-reset-zoom').style.display).toBe('block');
+    });
+
+    test('removes the previous site plot highlight', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      chart.highlightSitePlot('120');
+
+      chart.updateSelectedGroupIDs('None');
+
+      const plot = container.querySelector('[data-group-id="120"]');
+      expect(plot.style.outline).toBe('none');
+    });
+
+    test('hides the tooltip of the previous selection', () => {
+      const chart = new Simaerep(container, sampleData);
+      const tooltip = chart.getOrCreateTooltip();
+      tooltip.style.opacity = '1';
+
+      chart.updateSelectedGroupIDs('None');
+
+      expect(tooltip.style.opacity).toBe('0');
+    });
+
+    test('syncs the country selector with the selected country', () => {
+      const chart = new Simaerep(container, sampleData);
+      const countrySelector = container.querySelector('.gsm-widget-control--country');
+      const option = document.createElement('option');
+      option.value = 'USA';
+      countrySelector.appendChild(option);
+      chart.countryToSites = { USA: ['120'] };
+
+      chart.selectCountry('USA');
+      expect(countrySelector.value).toBe('USA');
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('None');
+
+      chart.selectSite('120');
+      expect(countrySelector.value).toBe('None');
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('120');
+    });
+  });
+
+  describe('Data Validation', () => {
+    test('exposes validation result', () => {
+      const chart = new Simaerep(container, sampleData);
+      expect(chart.validation.valid).toBe(true);
+    });
+
+    test('renders diagnostic panel instead of chart for invalid data', () => {
+      const invalidData = {
+        ...sampleData,
+        df_mean_group_flagged: sampleData.df_mean_group_flagged.map(({ cum_mean_dev_event, ...row }) => ({
+          ...row,
+          cum_mean_dev: cum_mean_dev_event,
+        })),
+      };
+
+      const chart = new Simaerep(container, invalidData);
+      const panel = container.querySelector('.simaerep-diagnostics');
+
+      expect(panel).toBeTruthy();
+      expect(panel.textContent).toContain('cum_mean_dev_event');
+      expect(container.querySelector('.simaerep-panels-container')).toBeFalsy();
+      expect(chart.chartInstance).toBeNull();
+    });
+
+    test('skips validation when validateData is false', () => {
+      const chart = new Simaerep(container, { df_mean_study: [{ Denominator: 'x' }] }, { validateData: false });
+      expect(chart.validation).toBeNull();
+      expect(container.querySelector('.simaerep-diagnostics')).toBeFalsy();
+    });
+  });
+
+  describe('Zoom', () => {
+    let dataWithVisits;
+
+    beforeEach(() => {
+      dataWithVisits = {
+        ...sampleData,
+        df_visit: [
+          { SubjectID: '001', GroupID: '120', Numerator: 0, Denominator: 1 },
+          { SubjectID: '003', GroupID: '10', Numerator: 0, Denominator: 1 }
+        ]
+      };
+    });
+
+    test('adds zoom plugin to overview and site plots', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+
+      expect(chart.chartInstance.config.plugins.map(plugin => plugin.id)).toContain('simaerepZoom');
+      chart.sitePlotCharts.forEach(item => {
+        expect(item.chart.config.plugins.map(plugin => plugin.id)).toContain('simaerepZoom');
+      });
+    });
+
+    test('does not add zoom when enableZoom is false', () => {
+      const chart = new Simaerep(container, dataWithVisits, { enableZoom: false });
+
+      expect(chart.chartInstance.config.plugins.map(plugin => plugin.id)).not.toContain('simaerepZoom');
+      expect(container.querySelector('.simaerep-reset-zoom')).toBeFalsy();
+    });
+
+    test('shows reset button only while zoomed', () => {
+      const chart = new Simaerep(container, sampleData);
+      const button = container.querySelector('.simaerep-reset-zoom');
+
+      expect(button.style.display).toBe('none');
+      chart.handleZoom('overview', { x: { min: 2, max: 5 }, y: { min: 0, max: 1 } });
+      expect(button.style.display).toBe('block');
+    });
+
+    test('reset button restores the full range', () => {
+      const chart = new Simaerep(container, sampleData);
+      chart.handleZoom('overview', { x: { min: 2, max: 5 }, y: { min: 0, max: 1 } });
+
+      container.querySelector('.simaerep-reset-zoom').click();
+
+      expect(chart.chartInstance.options.scales.x.min).toBeUndefined();
+      expect(chart.chartInstance.options.scales.x.max).toBeUndefined();
+      expect(chart.isZoomed('overview')).toBe(false);
+    });
+
+    test('keeps zoomed range when re-rendering', () => {
+      const chart = new Simaerep(container, sampleData);
+      chart.handleZoom('overview', { x: { min: 2, max: 5 }, y: { min: 0, max: 1 } });
+
+      chart.render();
+
+      expect(chart.chartInstance.options.scales.x.min).toBe(2);
+      expect(chart.chartInstance.options.scales.x.max).toBe(5);
+    });
+
+    test('links x zoom across panels when linkZoomX is enabled', () => {
+      const chart = new Simaerep(container, dataWithVisits, { linkZoomX: true });
+      const sitePlot = chart.sitePlotCharts[0];
+
+      chart.handleZoom('overview', { x: { min: 2, max: 5 }, y: { min: 0, max: 1 } });
+
+      expect(sitePlot.chart.options.scales.x.min).toBe(2);
+      expect(sitePlot.chart.options.scales.x.max).toBe(5);
+      expect(sitePlot.chart.options.scales.y.min).toBeUndefined();
+    });
+
+    test('does not link x zoom by default', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      chart.handleZoom('overview', { x: { min: 2, max: 5 } });
+
+      expect(chart.sitePlotCharts[0].chart.options.scales.x.min).toBeUndefined();
+    });
+
+    test('dispatches zoom-changed event', () => {
+      const chart = new Simaerep(container, sampleData);
+      const listener = jest.fn();
+      container.addEventListener('zoom-changed', listener);
+
+      chart.handleZoom('overview', { x: { min: 2, max: 5 } });
+
+      expect(listener).toHaveBeenCalled();
+      expect(listener.mock.calls[0][0].detail).toEqual({ panel: 'overview', x: { min: 2, max: 5 }, y: null });
+    });
+
+    test('setZoom zooms a panel programmatically', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      const listener = jest.fn();
+      container.addEventListener('zoom-changed', listener);
+
+      chart.setZoom('120', { x: { min: 1, max: 2 } });
+
+      const sitePlot = chart.sitePlotCharts.find(item => item.groupID === '120');
+      expect(sitePlot.chart.options.scales.x.min).toBe(1);
+      expect(sitePlot.chart.options.scales.x.max).toBe(2);
+      expect(chart.isZoomed('120')).toBe(true);
+      expect(listener.mock.calls[0][0].detail).toEqual({ panel: '120', x: { min: 1, max: 2 }, y: null });
+    });
+  });
+
+  describe('Export', () => {
+    let dataWithVisits;
+
+    function readText(blob) {
+      return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+      });
+    }
+
+    // The Chart.js mock has no layout; give charts a size and a draw method
+    function mockDrawing(chartInstance, label) {
+      chartInstance.ctx = null;
+      chartInstance.width = 200;
+      chartInstance.height = 100;
+      chartInstance.draw = function() {
+        this.ctx.fillText(label, 0, 0);
+      };
+    }
+
+    beforeEach(() => {
+      dataWithVisits = {
+        ...sampleData,
+        df_visit: [
+          { SubjectID: '001', GroupID: '120', Numerator: 0, Denominator: 1 },
+          { SubjectID: '003', GroupID: '10', Numerator: 0, Denominator: 1 }
+        ]
+      };
+    });
+
+    test('adds export button to the toolbar', () => {
+      new Simaerep(container, sampleData);
+      const toolbar = container.querySelector('.gsm-widget-control-container');
+
+      expect(toolbar.querySelector('.simaerep-export-button')).toBeTruthy();
+      expect(toolbar.querySelector('.simaerep-export-menu').style.display).toBe('none');
+    });
+
+    test('does not add export button when showExportButton is false', () => {
+      new Simaerep(container, sampleData, { showExportButton: false });
+      expect(container.querySelector('.simaerep-export-button')).toBeFalsy();
+    });
+
+    test('charts without selectors show the toolbar buttons over the overview without a selector row', () => {
+      const chart = new Simaerep(container, sampleData, { showGroupSelector: false, showCountrySelector: false, height: 400 });
+
+      const toolbar = container.querySelector('.gsm-widget-control-container');
+      expect(toolbar.parentNode).toBe(container.querySelector('.simaerep-left-panel'));
+      expect(toolbar.style.position).toBe('absolute');
+      expect(toolbar.querySelector('.simaerep-export-button')).toBeTruthy();
+      expect(toolbar.querySelector('.simaerep-data-table-toggle')).toBeTruthy();
+      expect(chart.getPanelsHeight()).toBe('400px');
+
+      chart.destroy();
+      new Simaerep(container, sampleData, { showGroupSelector: false, showCountrySelector: false, showExportButton: false, showDataTableToggle: false });
+      expect(container.querySelector('.gsm-widget-control-container')).toBeNull();
+    });
+
+    test('export button toggles the options menu', () => {
+      new Simaerep(container, sampleData);
+      const button = container.querySelector('.simaerep-export-button');
+      const menu = container.querySelector('.simaerep-export-menu');
+
+      button.click();
+      expect(menu.style.display).toBe('flex');
+      expect(button.getAttribute('aria-expanded')).toBe('true');
+      // No site is selected, so a single site plot cannot be exported
+      expect(menu.querySelector('option[value="site"]').disabled).toBe(true);
+
+      button.click();
+      expect(menu.style.display).toBe('none');
+    });
+
+    test('exports the overview as SVG', async () => {
+      const chart = new Simaerep(container, sampleData);
+      mockDrawing(chart.chartInstance, 'overview');
+
+      const blob = chart.exportChart({ view: 'overview', format: 'svg', download: false });
+      const svg = await readText(blob);
+
+      expect(blob.type).toBe('image/svg+xml');
+      expect(svg).toContain('width="200" height="100"');
+      expect(svg).toContain('>overview</text>');
+    });
+
+    test('exports a single site plot with its title', async () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      chart.sitePlotCharts.forEach(item => mockDrawing(item.chart, `plot ${item.groupID}`));
+
+      const svg = await readText(chart.exportChart({ view: 'site', groupID: '120', format: 'svg', download: false }));
+
+      expect(svg).toContain('>Site 120</text>');
+      expect(svg).toContain('>plot 120</text>');
+      expect(svg).not.toContain('>plot 10</text>');
+    });
+
+    test('exports overview and all site plots in the composite view', async () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      mockDrawing(chart.chartInstance, 'overview');
+      chart.sitePlotCharts.forEach(item => mockDrawing(item.chart, `plot ${item.groupID}`));
+
+      const svg = await readText(chart.exportChart({ format: 'svg', download: false }));
+
+      expect(svg).toContain('>overview</text>');
+      expect(svg).toContain('>plot 120</text>');
+      expect(svg).toContain('>plot 10</text>');
+    });
+
+    test('composite PDF has one page per flagged site after the overview', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      mockDrawing(chart.chartInstance, 'overview');
+      chart.sitePlotCharts.forEach(item => mockDrawing(item.chart, `plot ${item.groupID}`));
+
+      const pages = chart.getExportPages('composite', 'pdf');
+
+      expect(pages.map(page => page.title)).toEqual(['Adverse Event Rate', 'Site 10', 'Site 120']);
+    });
+
+    test('throws for sites without a site plot', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      expect(() => chart.exportChart({ view: 'site', groupID: '999', format: 'svg', download: false }))
+        .toThrow('No site plot to export for GroupID "999"');
+    });
+  });
+
   describe('Right Panel Features', () => {
     let dataWithVisits;
 
@@ -392,9 +779,23 @@ describe('Simaerep', () => {
     test('left and right panels have 50% flex basis', () => {
       const chart = new Simaerep(container, dataWithVisits);
       const leftPanel = container.querySelector('.simaerep-left-panel');
-      const rightPanel = container.querySelector('.simaerep-right-panel');
+      // The right panel shares its column with the site plot control bar
+      const rightColumn = container.querySelector('.simaerep-right-column');
       expect(leftPanel.style.flex).toContain('50%');
-      expect(rightPanel.style.flex).toContain('50%');
+      expect(rightColumn.style.flex).toContain('50%');
+      expect(container.querySelector('.simaerep-right-panel').parentNode).toBe(rightColumn);
+    });
+
+    test('computes chart inputs when only df_visit is provided', () => {
+      const chart = new Simaerep(container, { df_visit: dataWithVisits.df_visit });
+      expect(chart.rawData.df_mean_study.length).toBeGreaterThan(0);
+      expect(chart.rawData.df_label_sites.map(d => d.GroupID).sort()).toEqual(['10', '120']);
+      expect(chart.processData().find(d => d.siteType === 'study')).toBeTruthy();
+    });
+
+    test('does not recompute when precomputed tables are provided', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      expect(chart.rawData.df_label_sites).toBe(dataWithVisits.df_label_sites);
     });
 
     test('processPatientData filters data by GroupID', () => {
@@ -580,7 +981,7 @@ describe('Simaerep', () => {
         borderColor: '#ccc'
       };
       
-      const titleHtml = chart.buildTitleHtml(mockDataset, null);
+      const titleHtml = chart.buildTitleHtml(mockDataset.borderColor, chart.getTooltipTitle(mockDataset, null));
       expect(titleHtml).toContain('001');
       expect(titleHtml).toContain('Patient');
     });
@@ -606,5 +1007,1567 @@ describe('Simaerep', () => {
       }
     });
   });
-});
 
+  describe('Virtualized Site Plots', () => {
+    let manySitesData;
+    let observers;
+
+    // IntersectionObserver stand-in; intersect() reports sites entering or leaving the viewport
+    class MockIntersectionObserver {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = [];
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.targets.push(target);
+      }
+
+      disconnect() {
+        this.targets = [];
+      }
+
+      intersect(groupIDs, isIntersecting) {
+        const entries = this.targets
+          .filter(target => groupIDs.includes(target.getAttribute('data-group-id')))
+          .map(target => ({ target, isIntersecting }));
+        this.callback(entries, this);
+      }
+    }
+
+    beforeEach(() => {
+      observers = [];
+      global.IntersectionObserver = MockIntersectionObserver;
+
+      const siteIDs = Array.from({ length: 10 }, (_, i) => `S${i + 1}`);
+      manySitesData = {
+        df_mean_study: sampleData.df_mean_study,
+        df_mean_group_flagged: siteIDs.map(GroupID => (
+          { GroupID, Denominator: '1', cum_mean_dev_event: '0.5' }
+        )),
+        df_mean_group_not_flagged: [],
+        df_label_sites: siteIDs.map((GroupID, i) => (
+          { GroupID, Flag: '2', Color: '#FF0000', Score: String(i) }
+        )),
+        df_visit: siteIDs.map(GroupID => (
+          { SubjectID: `${GroupID}-001`, GroupID, Numerator: 0, Denominator: 1 }
+        ))
+      };
+    });
+
+    afterEach(() => {
+      delete global.IntersectionObserver;
+    });
+
+    const mountedIDs = chart => chart.sitePlotCharts.map(item => item.groupID);
+
+    test('creates a placeholder for every flagged site', () => {
+      new Simaerep(container, manySitesData);
+      expect(container.querySelectorAll('.simaerep-site-plot').length).toBe(10);
+    });
+
+    test('only mounts maxVisibleSitePlots charts up front', () => {
+      const chart = new Simaerep(container, manySitesData, { maxVisibleSitePlots: 2 });
+
+      expect(mountedIDs(chart)).toEqual(['S1', 'S2']);
+      expect(container.querySelectorAll('.simaerep-site-plot canvas').length).toBe(2);
+    });
+
+    test('observes the right panel', () => {
+      const chart = new Simaerep(container, manySitesData);
+
+      expect(observers).toHaveLength(1);
+      expect(observers[0].options.root).toBe(chart.rightPanel);
+      expect(observers[0].targets).toHaveLength(10);
+    });
+
+    test('mounts plots scrolling into view and unmounts plots leaving it', () => {
+      const chart = new Simaerep(container, manySitesData);
+      const leaving = chart.sitePlotCharts.find(item => item.groupID === 'S1').chart;
+
+      observers[0].intersect(['S7'], true);
+      observers[0].intersect(['S1'], false);
+
+      expect(mountedIDs(chart)).toEqual(['S2', 'S3', 'S4', 'S7']);
+      expect(leaving.destroy).toHaveBeenCalled();
+    });
+
+    test('recycles canvases of unmounted plots', () => {
+      const chart = new Simaerep(container, manySitesData);
+      const canvas = container.querySelector('[data-group-id="S1"] canvas');
+
+      observers[0].intersect(['S1'], false);
+      expect(container.querySelector('[data-group-id="S1"] canvas')).toBeNull();
+
+      observers[0].intersect(['S8'], true);
+      expect(container.querySelector('[data-group-id="S8"] canvas')).toBe(canvas);
+      expect(chart.sitePlotCharts.find(item => item.groupID === 'S8').chart.canvas).toBe(canvas);
+    });
+
+    test('scrollToSitePlot mounts and scrolls to unmounted plots', () => {
+      const chart = new Simaerep(container, manySitesData);
+      const sitePlot = container.querySelector('[data-group-id="S9"]');
+      sitePlot.scrollIntoView = jest.fn();
+
+      chart.scrollToSitePlot('S9');
+
+      expect(sitePlot.scrollIntoView).toHaveBeenCalled();
+      expect(mountedIDs(chart)).toContain('S9');
+    });
+
+    test('highlight of unmounted plots survives mounting', () => {
+      const chart = new Simaerep(container, manySitesData);
+      chart.highlightSitePlot('S10');
+
+      observers[0].intersect(['S10'], true);
+
+      const sitePlot = container.querySelector('[data-group-id="S10"]');
+      expect(sitePlot.style.outline).toContain('2px');
+    });
+
+    test('keeps zoomed ranges of unmounted plots', () => {
+      const chart = new Simaerep(container, manySitesData);
+      chart.handleZoom('S1', { x: { min: 2, max: 5 } });
+
+      observers[0].intersect(['S1'], false);
+      observers[0].intersect(['S1'], true);
+
+      const sitePlot = chart.sitePlotCharts.find(item => item.groupID === 'S1');
+      expect(sitePlot.chart.options.scales.x.min).toBe(2);
+    });
+
+    test('exports unmounted plots with temporary charts', () => {
+      const chart = new Simaerep(container, manySitesData);
+      const pages = chart.getExportPages('composite', 'pdf');
+
+      expect(pages.map(page => page.title)).toContain('Site S10');
+      expect(pages).toHaveLength(11);
+    });
+
+    test('mounts all plots without IntersectionObserver', () => {
+      delete global.IntersectionObserver;
+      const chart = new Simaerep(container, manySitesData);
+
+      expect(chart.sitePlotCharts).toHaveLength(10);
+    });
+
+    test('destroy disconnects the observer', () => {
+      const chart = new Simaerep(container, manySitesData);
+      const disconnect = jest.spyOn(observers[0], 'disconnect');
+
+      chart.destroy();
+
+      expect(disconnect).toHaveBeenCalled();
+      expect(chart.sitePlotCharts).toEqual([]);
+    });
+  });
+
+  describe('Accessibility', () => {
+    let dataWithVisits;
+
+    beforeEach(() => {
+      sampleData.df_label_sites[0].Score = '-0.991';
+      sampleData.df_label_sites[1].Score = '0.995';
+      dataWithVisits = {
+        ...sampleData,
+        df_visit: [
+          { SubjectID: '001', GroupID: '120', Numerator: 0, Denominator: 1 },
+          { SubjectID: '002', GroupID: '10', Numerator: 1, Denominator: 1 }
+        ]
+      };
+    });
+
+    const keydown = (element, key) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+      element.dispatchEvent(event);
+      return event;
+    };
+
+    test('labels the overview canvas with a summary of flagged sites', () => {
+      const chart = new Simaerep(container, sampleData);
+      const summary = container.querySelector('.simaerep-chart-summary');
+
+      expect(chart.canvas.getAttribute('role')).toBe('img');
+      expect(chart.canvas.getAttribute('aria-label'))
+        .toBe('Adverse Event Rate simaerep chart: 2 sites, 2 flagged');
+      expect(chart.canvas.getAttribute('aria-describedby')).toBe(summary.id);
+      expect(summary.textContent).toContain('Site 10 (Over/Under-Reporting Probability -0.99, Flag -2)');
+      expect(summary.textContent).toContain('Site 120 (Over/Under-Reporting Probability 0.99, Flag 2)');
+    });
+
+    test('makes the overview canvas focusable', () => {
+      const chart = new Simaerep(container, sampleData);
+      expect(chart.canvas.tabIndex).toBe(0);
+    });
+
+    test('arrow keys move through sites and announce them', () => {
+      const chart = new Simaerep(container, sampleData);
+      const liveRegion = container.querySelector('.simaerep-live-region');
+
+      const event = keydown(chart.canvas, 'ArrowDown');
+      expect(event.defaultPrevented).toBe(true);
+      expect(liveRegion.getAttribute('aria-live')).toBe('polite');
+      expect(liveRegion.textContent).toBe('Site 10 (Over/Under-Reporting Probability -0.99, Flag -2), 1 of 2');
+
+      keydown(chart.canvas, 'ArrowDown');
+      expect(liveRegion.textContent).toContain('Site 120');
+
+      keydown(chart.canvas, 'ArrowDown');
+      expect(liveRegion.textContent).toContain('Site 10');
+    });
+
+    test('Enter selects the current site and Escape clears the selection', () => {
+      const chart = new Simaerep(container, sampleData);
+      const listener = jest.fn();
+      container.addEventListener('site-selected', listener);
+
+      keydown(chart.canvas, 'End');
+      keydown(chart.canvas, 'Enter');
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+      expect(container.querySelector('.simaerep-live-region').textContent)
+        .toBe('Site 120 (Over/Under-Reporting Probability 0.99, Flag 2) selected');
+
+      keydown(chart.canvas, 'Escape');
+      expect(chart.data.config.selectedGroupIDs).toBe('None');
+      expect(container.querySelector('.simaerep-live-region').textContent).toBe('Selection cleared');
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    test('announces country selections', () => {
+      const chart = new Simaerep(container, sampleData);
+      chart.countryToSites = { USA: ['10', '120'] };
+
+      chart.selectCountry('USA');
+
+      expect(container.querySelector('.simaerep-live-region').textContent).toBe('2 sites in USA selected');
+    });
+
+    test('right panel is a listbox with one tabbable site plot', () => {
+      new Simaerep(container, dataWithVisits);
+      const rightPanel = container.querySelector('.simaerep-right-panel');
+      const plots = Array.from(container.querySelectorAll('.simaerep-site-plot'));
+
+      expect(rightPanel.getAttribute('role')).toBe('listbox');
+      expect(plots.map(plot => plot.getAttribute('role'))).toEqual(['option', 'option']);
+      expect(plots.map(plot => plot.tabIndex)).toEqual([0, -1]);
+    });
+
+    test('site plot canvases describe their site', () => {
+      new Simaerep(container, dataWithVisits);
+      const canvas = container.querySelector('[data-group-id="120"] canvas');
+
+      expect(canvas.getAttribute('role')).toBe('img');
+      expect(canvas.getAttribute('aria-label')).toContain('Site 120');
+    });
+
+    test('arrow keys move the roving tabindex between site plots', () => {
+      new Simaerep(container, dataWithVisits);
+      const plots = Array.from(container.querySelectorAll('.simaerep-site-plot'));
+
+      plots[0].focus();
+      keydown(plots[0], 'ArrowRight');
+
+      expect(document.activeElement).toBe(plots[1]);
+      expect(plots.map(plot => plot.tabIndex)).toEqual([-1, 0]);
+    });
+
+    test('Enter on a site plot selects its site', () => {
+      const chart = new Simaerep(container, dataWithVisits);
+      const plot = container.querySelector('[data-group-id="120"]');
+
+      plot.focus();
+      keydown(plot, 'Enter');
+
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+      expect(plot.getAttribute('aria-selected')).toBe('true');
+    });
+  });
+
+  describe('Data Table', () => {
+    const toggle = () => container.querySelector('.simaerep-data-table-toggle');
+    const siteRows = () => Array.from(container.querySelectorAll('.simaerep-data-table-sites tbody tr'));
+    const curveRows = () => Array.from(container.querySelectorAll('.simaerep-data-table-curves tbody tr'));
+
+    test('adds a table toggle to the toolbar and hides the table by default', () => {
+      new Simaerep(container, sampleData);
+
+      expect(toggle().getAttribute('aria-pressed')).toBe('false');
+      expect(container.querySelector('.simaerep-data-tables').style.display).toBe('none');
+    });
+
+    test('toggle shows the df_label_sites summary without re-rendering', () => {
+      const chart = new Simaerep(container, sampleData);
+      const chartInstance = chart.chartInstance;
+
+      toggle().click();
+
+      expect(chart.chartInstance).toBe(chartInstance);
+      expect(toggle().getAttribute('aria-pressed')).toBe('true');
+      expect(toggle().textContent).toBe('Hide table');
+      expect(container.querySelector('.simaerep-data-tables').style.display).toBe('block');
+      expect(siteRows().map(row => row.children[0].textContent)).toEqual(['10', '120']);
+      const headers = Array.from(container.querySelectorAll('.simaerep-data-table-sites th'));
+      expect(headers.map(th => th.textContent)).toEqual(['Site', 'Flag', 'nSubjects']);
+
+      toggle().click();
+      expect(container.querySelector('.simaerep-data-tables').style.display).toBe('none');
+    });
+
+    test('shows a hint instead of the curve table without a selection', () => {
+      new Simaerep(container, sampleData, { showDataTable: true });
+
+      expect(container.querySelector('.simaerep-data-table-hint')).toBeTruthy();
+      expect(curveRows()).toHaveLength(0);
+    });
+
+    test('shows the selected site curve against the study mean', () => {
+      new Simaerep(container, sampleData, { showDataTable: true, selectedGroupIDs: '120' });
+
+      expect(curveRows().map(row => Array.from(row.children).map(cell => cell.textContent))).toEqual([
+        ['120', '1', '0.3333', '0.0046', '0.3287'],
+        ['120', '2', '0.6667', '0.1107', '0.5560'],
+        ['120', '3', '1.6667', '0.4088', '1.2579']
+      ]);
+    });
+
+    test('stays in sync with the selection', () => {
+      const chart = new Simaerep(container, sampleData, { showDataTable: true });
+
+      chart.helpers.updateSelectedGroupIDs('10');
+
+      expect(curveRows().map(row => row.children[0].textContent)).toEqual(['10', '10', '10']);
+      const selectedRow = container.querySelector('.simaerep-data-table-row--selected');
+      expect(selectedRow.getAttribute('data-row-key')).toBe('10');
+    });
+
+    test('clicking a summary row selects the site', () => {
+      const chart = new Simaerep(container, sampleData, { showDataTable: true });
+      const listener = jest.fn();
+      container.addEventListener('site-selected', listener);
+
+      siteRows()[1].click();
+
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+      expect(listener).toHaveBeenCalled();
+    });
+
+    test('keeps sorting across selection changes', () => {
+      const chart = new Simaerep(container, sampleData, { showDataTable: true });
+
+      container.querySelector('.simaerep-data-table-sites [data-key="GroupID"]').click();
+      container.querySelector('.simaerep-data-table-sites [data-key="GroupID"]').click();
+      chart.helpers.updateSelectedGroupIDs('10');
+
+      expect(siteRows().map(row => row.children[0].textContent)).toEqual(['120', '10']);
+    });
+
+    test('can hide the toggle', () => {
+      new Simaerep(container, sampleData, { showDataTableToggle: false });
+      expect(toggle()).toBeNull();
+    });
+  });
+
+  describe('Sanitization', () => {
+    const payload = '<img src=x onerror="window.__xss = true">';
+
+    afterEach(() => {
+      delete window.__xss;
+    });
+
+    const showTooltip = (chart, dataset) => {
+      chart.externalTooltipHandler({
+        chart: chart.chartInstance,
+        tooltip: {
+          opacity: 1,
+          caretX: 10,
+          caretY: 10,
+          dataPoints: [{ dataset, parsed: { x: 1, y: 0.5 } }]
+        }
+      });
+      return container.querySelector(`#${chart.tooltipId}`);
+    };
+
+    test('renders malicious group metadata in tooltips as text', () => {
+      const chart = new Simaerep(container, sampleData);
+      chart.groupMetadata = new Map([['120', {
+        InvestigatorLastName: payload,
+        City: '<script>window.__xss = true</script>',
+        Status: '<b>Active</b>'
+      }]]);
+
+      const tooltip = showTooltip(chart, { groupID: '120', siteType: 'flagged', borderColor: '#3182BD' });
+
+      expect(tooltip.querySelector('img, script, b')).toBeNull();
+      expect(tooltip.textContent).toContain(`Site 120 - ${payload}`);
+      expect(tooltip.textContent).toContain('City: <script>window.__xss = true</script>');
+      expect(window.__xss).toBeUndefined();
+    });
+
+    test('renders malicious SubjectIDs and KRI labels as text', () => {
+      const chart = new Simaerep(container, sampleData, { Numerator: payload });
+
+      const tooltip = showTooltip(chart, { dataType: 'patient', subjectID: payload, borderColor: '#ccc' });
+
+      expect(tooltip.querySelector('img')).toBeNull();
+      expect(tooltip.textContent).toContain(`Patient ${payload}`);
+      expect(tooltip.textContent).toContain(`${payload}: 0.50`);
+    });
+
+    test('ignores colors that would inject CSS into the tooltip', () => {
+      const chart = new Simaerep(container, sampleData);
+
+      const tooltip = showTooltip(chart, {
+        groupID: '120',
+        siteType: 'flagged',
+        borderColor: 'red;background-image:url(https://example.com/track)'
+      });
+
+      expect(tooltip.innerHTML).not.toContain('example.com');
+      expect(tooltip.querySelector('span').style.background).toBe('rgb(51, 51, 51)');
+    });
+
+    test('renders malicious metadata in site plot titles and selectors as text', () => {
+      const data = {
+        ...sampleData,
+        df_label_sites: [
+          ...sampleData.df_label_sites,
+          { GroupID: payload, Flag: '0', Color: '#CCCCCC' }
+        ],
+        df_visit: [{ SubjectID: '001', GroupID: '120', Numerator: 0, Denominator: 1 }]
+      };
+      const chart = new Simaerep(container, data);
+      chart.groupMetadata = new Map([['120', { InvestigatorLastName: payload }]]);
+      chart.renderSitePlots();
+
+      const title = container.querySelector('[data-group-id="120"] .site-plot-title');
+      const options = Array.from(container.querySelectorAll('.gsm-widget-control--group option'));
+
+      expect(title.textContent).toBe(`Site 120 - ${payload}`);
+      expect(options.map(option => option.textContent)).toContain(payload);
+      expect(container.querySelector('img')).toBeNull();
+    });
+  });
+
+  describe('Tooltip Content', () => {
+    let chart;
+
+    const showTooltip = (dataset, suffix = '', panelGroupID = null) => {
+      chart.externalTooltipHandler({
+        chart: chart.chartInstance,
+        tooltip: {
+          opacity: 1,
+          caretX: 10,
+          caretY: 10,
+          dataPoints: [{ dataset, parsed: { x: 2, y: 0.75 } }]
+        }
+      }, suffix, panelGroupID);
+      return container.querySelector(`#${chart.tooltipId}${suffix}`);
+    };
+
+    const siteDataset = { groupID: '120', siteType: 'flagged', borderColor: '#3182BD' };
+    const metadata = {
+      InvestigatorFirstName: 'Ann',
+      InvestigatorLastName: 'Lee',
+      City: 'Boston',
+      Country: 'USA',
+      PercentParticipantsActive: '87.456',
+      Region: 'East'
+    };
+
+    beforeEach(() => {
+      sampleData.df_label_sites[1].Score = '0.995';
+    });
+
+    test('shows the default df_groups fields', () => {
+      chart = new Simaerep(container, sampleData);
+      chart.groupMetadata = new Map([['120', metadata]]);
+
+      const text = showTooltip(siteDataset).textContent;
+
+      expect(text).toContain('Investigator Name: Ann Lee');
+      expect(text).toContain('City: Boston');
+      expect(text).toContain('Percent Active Participants: 87.456%');
+      expect(text).not.toContain('Region');
+    });
+
+    test('uses groupTooltipKeys and groupTooltipFormats', () => {
+      chart = new Simaerep(container, sampleData, {
+        groupTooltipKeys: ['Region', { key: 'PercentParticipantsActive', label: 'Active (%)' }],
+        groupTooltipFormats: { PercentParticipantsActive: 1 }
+      });
+      chart.groupMetadata = new Map([['120', metadata]]);
+
+      const tooltip = showTooltip(siteDataset);
+      const extra = tooltip.querySelector('.simaerep-tooltip-extra');
+
+      expect(extra.innerHTML).toBe('Region: East<br>Active (%): 87.5');
+    });
+
+    test('passes context and defaults to tooltipFormatter', () => {
+      const tooltipFormatter = jest.fn(() => undefined);
+      chart = new Simaerep(container, sampleData, { tooltipFormatter });
+      chart.groupMetadata = new Map([['120', metadata]]);
+
+      const text = showTooltip(siteDataset).textContent;
+      const [context, defaults] = tooltipFormatter.mock.calls[0];
+
+      expect(context).toMatchObject({ panel: 'overview', type: 'site', groupID: '120', x: 2, y: 0.75 });
+      expect(context.site.Score).toBe('0.995');
+      expect(context.metadata).toBe(metadata);
+      expect(context.chart).toBe(chart);
+      expect(defaults.title).toBe('Site 120 - Lee');
+      expect(defaults.metrics).toContain('Over/Under-Reporting Probability: 0.99');
+      expect(defaults.extra).toContain('City: Boston');
+      expect(text).toContain('Site 120 - Lee');
+    });
+
+    test('replaces parts of the content with a returned object', () => {
+      chart = new Simaerep(container, sampleData, {
+        tooltipFormatter: (context, defaults) => ({
+          metrics: [...defaults.metrics, `Rank: ${context.groupID}`],
+          extra: []
+        })
+      });
+      chart.groupMetadata = new Map([['120', metadata]]);
+
+      const tooltip = showTooltip(siteDataset);
+
+      expect(tooltip.textContent).toContain('Site 120 - Lee');
+      expect(tooltip.textContent).toContain('Rank: 120');
+      expect(tooltip.textContent).not.toContain('Boston');
+    });
+
+    test('accepts metrics and extra returned as strings', () => {
+      chart = new Simaerep(container, sampleData, {
+        tooltipFormatter: () => ({ metrics: 'Score: <high>\nRank: 1', extra: 'Note' })
+      });
+
+      const tooltip = showTooltip(siteDataset);
+
+      expect(tooltip.innerHTML).toContain('Score: &lt;high&gt;<br>Rank: 1');
+      expect(tooltip.querySelector('.simaerep-tooltip-extra').textContent).toBe('Note');
+    });
+
+    test('escapes returned text and accepts DOM nodes', () => {
+      chart = new Simaerep(container, sampleData, {
+        tooltipFormatter: (context) => {
+          if (context.type === 'study') {
+            const node = document.createElement('em');
+            node.textContent = 'Study reference';
+            return node;
+          }
+          return '<b>Custom</b>\nSecond line';
+        }
+      });
+
+      const siteTooltip = showTooltip(siteDataset);
+      expect(siteTooltip.querySelector('b')).toBeNull();
+      expect(siteTooltip.innerHTML).toContain('&lt;b&gt;Custom&lt;/b&gt;<br>Second line');
+
+      const studyTooltip = showTooltip({ groupID: 'study', siteType: 'study', borderColor: '#000' });
+      expect(studyTooltip.querySelector('em').textContent).toBe('Study reference');
+    });
+
+    test('applies the formatter to site plot and patient tooltips', () => {
+      const tooltipFormatter = jest.fn((context, defaults) => ({ title: `${defaults.title} @ ${context.groupID}` }));
+      chart = new Simaerep(container, sampleData, { tooltipFormatter });
+
+      const tooltip = showTooltip({ dataType: 'patient', subjectID: '001', borderColor: '#ccc' }, '-site-120', '120');
+
+      expect(tooltipFormatter.mock.calls[0][0]).toMatchObject({
+        panel: 'site',
+        type: 'patient',
+        groupID: '120',
+        subjectID: '001'
+      });
+      expect(tooltip.textContent).toContain('Patient 001 @ 120');
+    });
+  });
+
+  describe('Theming', () => {
+    const getStudyDataset = chart => chart.chartInstance.data.datasets.find(dataset => dataset.siteType === 'study');
+
+    test('uses the light theme by default', () => {
+      const chart = new Simaerep(container, sampleData);
+
+      expect(container.getAttribute('data-gsm-theme')).toBe('light');
+      expect(container.style.getPropertyValue('--gsm-accent')).toBe('#3182BD');
+      expect(chart.chartInstance.options.scales.x.grid.color).toBe('#e0e0e0');
+      expect(getStudyDataset(chart).borderColor).toBe('#000000');
+    });
+
+    test('drives chart colors from the configured theme', () => {
+      const chart = new Simaerep(container, sampleData, { theme: 'dark' });
+      const { x, y } = chart.chartInstance.options.scales;
+
+      expect(x.grid.color).toBe(chart.theme.grid);
+      expect(y.ticks.color).toBe(chart.theme.textMuted);
+      expect(y.title.color).toBe(chart.theme.textMuted);
+      expect(getStudyDataset(chart).borderColor).toBe('#ffffff');
+    });
+
+    test('site plot study and patient lines follow the theme', () => {
+      sampleData.df_visit = [
+        { GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '0' }
+      ];
+      const chart = new Simaerep(container, sampleData, { theme: { study: 'navy', patient: 'silver' } });
+      const config = chart.getSitePlotChartConfig(sampleData.df_label_sites[1]);
+      const patient = config.data.datasets.find(dataset => dataset.dataType === 'patient');
+      const study = config.data.datasets.find(dataset => dataset.siteType === 'study');
+
+      expect(patient.borderColor).toBe('silver');
+      expect(study.borderColor).toBe('navy');
+      expect(config.options.scales.x.grid.color).toBe('#e0e0e0');
+    });
+
+    test('setTheme recolors the chart without re-rendering', () => {
+      const chart = new Simaerep(container, sampleData);
+      const chartInstance = chart.chartInstance;
+      const leftPanel = container.querySelector('.simaerep-left-panel');
+
+      chart.setTheme('highContrast');
+
+      expect(chart.chartInstance).toBe(chartInstance);
+      expect(container.querySelector('.simaerep-left-panel')).toBe(leftPanel);
+      expect(chartInstance.update).toHaveBeenCalledWith('none');
+      expect(chartInstance.options.scales.x.grid.color).toBe('#808080');
+      expect(getStudyDataset(chart).borderColor).toBe('#ffffff');
+      expect(container.getAttribute('data-gsm-theme')).toBe('highContrast');
+      expect(container.style.getPropertyValue('--gsm-accent')).toBe('#ffff00');
+    });
+
+    test('updateConfig with a theme switches it in place', () => {
+      const chart = new Simaerep(container, sampleData);
+      const chartInstance = chart.chartInstance;
+
+      chart.helpers.updateConfig(chart, { theme: 'dark', selectedGroupIDs: '120' });
+
+      expect(chart.chartInstance).toBe(chartInstance);
+      expect(chart.data.config.theme).toBe('dark');
+      expect(chartInstance.options.scales.y.grid.color).toBe(chart.theme.grid);
+      expect(chartInstance.data.datasets.find(dataset => dataset.groupID === '120').borderWidth).toBe(3);
+    });
+
+    test('highlighted site plots use the accent custom property', () => {
+      sampleData.df_visit = [
+        { GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '0' }
+      ];
+      const chart = new Simaerep(container, sampleData);
+
+      chart.highlightSitePlot('120');
+
+      const sitePlot = container.querySelector('.simaerep-site-plot[data-group-id="120"]');
+      expect(sitePlot.style.outline).toBe('2px solid var(--gsm-accent)');
+    });
+  });
+
+  describe('Hover Linking', () => {
+    let chart;
+
+    beforeEach(() => {
+      sampleData.df_visit = [
+        { GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '0' },
+        { GroupID: '120', SubjectID: '001', Denominator: '3', Numerator: '2' }
+      ];
+      chart = new Simaerep(container, sampleData);
+    });
+
+    const sitePlot = groupID => container.querySelector(`.simaerep-site-plot[data-group-id="${groupID}"]`);
+    const hoverOverview = groupID => {
+      const datasetIndex = chart.chartInstance.data.datasets.findIndex(dataset => dataset.groupID === groupID);
+      chart.chartInstance.options.onHover({}, datasetIndex < 0 ? [] : [{ datasetIndex, index: 0 }]);
+    };
+    const getPlugin = (instance, id) => instance.config.plugins.find(plugin => plugin.id === id);
+    const getSitePlotChart = groupID => chart.sitePlotCharts.find(item => item.groupID === groupID).chart;
+
+    test('hovering a flagged site in the overview outlines its site plot', () => {
+      hoverOverview('120');
+      expect(sitePlot('120').style.outline).toContain('2px');
+
+      hoverOverview(null);
+      expect(sitePlot('120').style.outline).toBe('none');
+    });
+
+    test('hovering an unflagged site keeps the outline of the selected site', () => {
+      chart.helpers.updateSelectedGroupIDs('120', true);
+      hoverOverview('120');
+      hoverOverview('10');
+
+      expect(sitePlot('120').style.outline).toContain('2px');
+    });
+
+    test('hovering a site plot moves the crosshair of all panels', () => {
+      const sitePlotChart = getSitePlotChart('120');
+      const otherSitePlotChart = getSitePlotChart('10');
+      chart.chartInstance.draw = jest.fn();
+      sitePlotChart.draw = jest.fn();
+      otherSitePlotChart.draw = jest.fn();
+
+      getPlugin(sitePlotChart, 'simaerepCrosshair').afterEvent(
+        { chartArea: { left: 0, right: 100, top: 0, bottom: 100 }, scales: { x: { getValueForPixel: x => x / 50 } } },
+        { event: { type: 'mousemove', x: 100, y: 10 } }
+      );
+
+      expect(chart.crosshair).toEqual({ x: 2, groupID: '120' });
+      expect(chart.chartInstance.draw).toHaveBeenCalled();
+      expect(otherSitePlotChart.draw).toHaveBeenCalled();
+    });
+
+    test('crosshair shows the site and study values at the hovered Denominator', () => {
+      chart.setCrosshair({ x: 2.5, groupID: '120' });
+
+      const overview = chart.getCrosshair('overview', chart.chartInstance);
+      expect(overview.label).toBe('Visits: 3');
+      expect(overview.lines.map(line => line.label)).toEqual(['Site 120', 'Study']);
+      expect(overview.lines[0].y).toBeCloseTo(1.1667, 4);
+      expect(overview.lines[1].y).toBeCloseTo(0.25975, 4);
+
+      const otherSitePlot = chart.getCrosshair('10', getSitePlotChart('10'));
+      expect(otherSitePlot.lines[0].label).toBe('Site 10');
+    });
+
+    test('leaving the site plot hides the crosshair', () => {
+      chart.setCrosshair({ x: 2, groupID: '120' });
+      const plugin = getPlugin(getSitePlotChart('120'), 'simaerepCrosshair');
+
+      plugin.afterEvent({}, { event: { type: 'mouseout' } });
+
+      expect(chart.crosshair).toBeNull();
+      expect(chart.getCrosshair('overview', chart.chartInstance)).toBeNull();
+    });
+
+    test('hovering site curves in the overview dispatches site-hovered', () => {
+      const listener = jest.fn();
+      container.addEventListener('site-hovered', listener);
+
+      hoverOverview('10');
+      hoverOverview('10');
+      hoverOverview(null);
+
+      expect(listener.mock.calls.map(call => call[0].detail)).toEqual([{ groupID: '10' }, { groupID: null }]);
+    });
+  });
+
+  describe('Multi-select', () => {
+    let chart;
+
+    beforeEach(() => {
+      sampleData.df_visit = [
+        { GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '0' },
+        { GroupID: '120', SubjectID: '001', Denominator: '3', Numerator: '2' }
+      ];
+      chart = new Simaerep(container, sampleData);
+    });
+
+    const clickOverview = (groupID, native = { ctrlKey: true }) => {
+      const datasetIndex = chart.chartInstance.data.datasets.findIndex(dataset => dataset.groupID === groupID);
+      chart.chartInstance.options.onClick({ native }, [{ datasetIndex, index: 0 }]);
+    };
+    const chipIDs = () => Array.from(container.querySelectorAll('.simaerep-selection-chip'))
+      .map(chip => chip.dataset.groupId);
+
+    test('adds a lasso plugin before the zoom plugin of the overview', () => {
+      const ids = chart.chartInstance.config.plugins.map(plugin => plugin.id);
+      expect(ids).toContain('simaerepLasso');
+      expect(ids.indexOf('simaerepLasso')).toBeLessThan(ids.indexOf('simaerepZoom'));
+    });
+
+    test('ctrl-click adds and removes sites from the selection', () => {
+      clickOverview('120');
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+
+      clickOverview('10');
+      expect(chart.data.config.selectedGroupIDs).toEqual(['120', '10']);
+
+      clickOverview('120');
+      expect(chart.data.config.selectedGroupIDs).toBe('10');
+    });
+
+    test('plain clicks do not change the selection', () => {
+      clickOverview('120', {});
+      expect(chart.data.config.selectedGroupIDs).toBe('None');
+    });
+
+    test('dispatches sites-selected with the selected GroupIDs', () => {
+      const listener = jest.fn();
+      container.addEventListener('sites-selected', listener);
+
+      chart.selectSites(['120', '10']);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].detail).toEqual({ groupIDs: ['120', '10'] });
+    });
+
+    test('lasso selects the sites whose lines pass through it', () => {
+      chart.chartInstance.scales = {
+        x: { getPixelForValue: x => x * 10 },
+        y: { getPixelForValue: y => 100 - y * 100 }
+      };
+      const polygon = [{ x: 0, y: 95 }, { x: 40, y: 95 }, { x: 40, y: 105 }, { x: 0, y: 105 }];
+
+      chart.handleLasso(polygon, {});
+      expect(chart.data.config.selectedGroupIDs).toBe('10');
+
+      // ctrl keeps the current selection
+      chart.selectSite('120');
+      chart.handleLasso(polygon, { ctrlKey: true });
+      expect(chart.data.config.selectedGroupIDs).toEqual(['120', '10']);
+    });
+
+    test('shows removable chips for multi-site selections', () => {
+      chart.selectSites(['120', '10']);
+
+      expect(chipIDs()).toEqual(['120', '10']);
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('None');
+
+      container.querySelector('[aria-label="Remove site 120"]').click();
+      expect(chart.data.config.selectedGroupIDs).toBe('10');
+      expect(chipIDs()).toEqual([]);
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('10');
+    });
+
+    test('clear button of the chips clears the selection', () => {
+      chart.selectSites(['120', '10']);
+
+      container.querySelector('.simaerep-selection-clear').click();
+
+      expect(chart.data.config.selectedGroupIDs).toBe('None');
+      expect(container.querySelector('.simaerep-selection-chips').style.display).toBe('none');
+    });
+
+    test('scrollToSitePlot cycles through the selected flagged sites', () => {
+      expect(chart.scrollToSitePlot(['120', '10'])).toBe('120');
+      expect(chart.scrollToSitePlot(['120', '10'])).toBe('10');
+      expect(chart.scrollToSitePlot(['120', '10'])).toBe('120');
+
+      // A different selection starts from its first site again
+      expect(chart.scrollToSitePlot(['10'])).toBe('10');
+      expect(chart.scrollToSitePlot(['120', '10'])).toBe('120');
+    });
+
+    test('next button of the chips reveals the next selected site', () => {
+      chart.selectSites(['120', '10']);
+      chart.revealSelection(chart.data.config.selectedGroupIDs);
+
+      container.querySelector('.simaerep-selection-next').click();
+
+      expect(chart.sitePlots.get('10').container.style.outline).toContain('2px');
+    });
+
+    test('country selection does not show chips', () => {
+      chart.selectedCountry = 'US';
+      chart.helpers.updateSelectedGroupIDs(['120', '10'], true);
+
+      expect(chipIDs()).toEqual([]);
+    });
+  });
+
+  describe('Legend', () => {
+    let chart;
+
+    beforeEach(() => {
+      sampleData.df_visit = [
+        { GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '0' },
+        { GroupID: '120', SubjectID: '001', Denominator: '3', Numerator: '2' }
+      ];
+      chart = new Simaerep(container, sampleData);
+    });
+
+    const legendItem = key => container.querySelector(`.simaerep-legend-item[data-legend-key="${key}"]`);
+    const dataset = groupID => chart.chartInstance.data.datasets.find(item => item.groupID === groupID);
+    const sitePlotIDs = () => Array.from(container.querySelectorAll('.simaerep-site-plot'))
+      .map(plot => plot.getAttribute('data-group-id'));
+
+    test('shows siteType and Flag entries with counts above the overview', () => {
+      const labels = Array.from(container.querySelectorAll('.simaerep-legend-item')).map(item => item.textContent);
+
+      expect(labels).toEqual(['Flagged (1)', 'Unflagged (1)', 'Study (1)', 'Flag -2 (1)', 'Flag 2 (1)']);
+      expect(container.querySelector('.simaerep-legend').nextElementSibling).toBe(chart.canvas);
+    });
+
+    test('clicking an entry hides its curves and site plots', () => {
+      const renderSpy = jest.spyOn(chart, 'render');
+
+      legendItem('flag:2').click();
+
+      expect(dataset('120').hidden).toBe(true);
+      expect(dataset('10').hidden).toBe(false);
+      expect(legendItem('flag:2').getAttribute('aria-pressed')).toBe('false');
+      expect(sitePlotIDs()).not.toContain('120');
+      expect(renderSpy).not.toHaveBeenCalled();
+
+      legendItem('flag:2').click();
+      expect(dataset('120').hidden).toBe(false);
+      expect(sitePlotIDs()).toContain('120');
+    });
+
+    test('double-clicking an entry isolates it within its group', () => {
+      legendItem('siteType:study').dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+
+      expect(chart.data.config.hiddenLegendItems.sort()).toEqual(['siteType:flagged', 'siteType:unflagged']);
+      expect(dataset('study').hidden).toBe(false);
+      expect(dataset('120').hidden).toBe(true);
+
+      // Isolating the only visible entry shows the group again
+      legendItem('siteType:study').dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+      expect(chart.data.config.hiddenLegendItems).toEqual([]);
+    });
+
+    test('flag filter shows only over- or under-reporting sites', () => {
+      const filter = container.querySelector('.simaerep-legend-filter');
+
+      filter.value = 'over';
+      filter.dispatchEvent(new Event('change'));
+      expect(sitePlotIDs()).toEqual(['120']);
+      expect(dataset('10').hidden).toBe(true);
+
+      filter.value = 'under';
+      filter.dispatchEvent(new Event('change'));
+      expect(sitePlotIDs()).toEqual(['10']);
+
+      legendItem('siteType:study').click();
+      expect(filter.value).toBe('under');
+
+      legendItem('flag:-2').click();
+      expect(filter.value).toBe('custom');
+    });
+
+    test('shows a message when no flagged site matches the filter', () => {
+      chart.setHiddenLegendItems(['siteType:flagged']);
+
+      expect(sitePlotIDs()).toEqual([]);
+      expect(container.querySelector('.simaerep-site-plots-empty').textContent)
+        .toBe('No flagged sites match the legend filter');
+    });
+
+    test('dispatches legend-changed for legend interactions', () => {
+      const listener = jest.fn();
+      container.addEventListener('legend-changed', listener);
+
+      legendItem('flag:-2').click();
+
+      expect(listener.mock.calls[0][0].detail).toEqual({ hiddenLegendItems: ['flag:-2'] });
+    });
+
+    test('hiddenLegendItems option is applied on render and through updateConfig', () => {
+      chart.destroy();
+      chart = new Simaerep(container, sampleData, { hiddenLegendItems: ['siteType:unflagged'] });
+      expect(dataset('10').hidden).toBe(true);
+
+      const renderSpy = jest.spyOn(chart, 'render');
+      chart.helpers.updateConfig(chart, { hiddenLegendItems: [] });
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(dataset('10').hidden).toBe(false);
+      expect(legendItem('siteType:unflagged').getAttribute('aria-pressed')).toBe('true');
+    });
+
+    test('showLegend: false hides the legend', () => {
+      chart.destroy();
+      chart = new Simaerep(container, sampleData, { showLegend: false });
+
+      expect(container.querySelector('.simaerep-legend')).toBeNull();
+    });
+  });
+
+  describe('Site Plot Controls', () => {
+    let chart;
+
+    beforeEach(() => {
+      sampleData.df_label_sites = [
+        { GroupID: '10', Flag: '-2', Score: '-3', ExpectedNumerator: '-1.5', nSubjects: '20', Country: 'US' },
+        { GroupID: '120', Flag: '2', Score: '4', ExpectedNumerator: '2.5', nSubjects: '3', Country: 'DE' },
+        { GroupID: '30', Flag: '0', Score: '0.5', ExpectedNumerator: '0.1', nSubjects: '8', Country: 'US' },
+        { GroupID: '40', Flag: '1', Score: '2', ExpectedNumerator: '1', nSubjects: '5', Country: 'DE' }
+      ];
+      sampleData.df_visit = [
+        { GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '0' }
+      ];
+      chart = new Simaerep(container, sampleData);
+    });
+
+    const sitePlotIDs = () => Array.from(container.querySelectorAll('.simaerep-site-plot'))
+      .map(plot => plot.getAttribute('data-group-id'));
+    const change = (className, value) => {
+      const control = container.querySelector(className);
+      control.value = value;
+      control.dispatchEvent(new Event('change'));
+    };
+
+    test('shows a control bar above the right panel', () => {
+      const controls = container.querySelector('.simaerep-site-plot-controls');
+
+      expect(controls.nextElementSibling).toBe(container.querySelector('.simaerep-right-panel'));
+      expect(container.querySelector('.simaerep-site-plot-sort').value).toBe('Score');
+      expect(container.querySelector('.simaerep-site-plot-include').value).toBe('flagged');
+      expect(container.querySelector('.simaerep-site-plot-list').style.display).toBe('none');
+    });
+
+    test('shows flagged sites by ascending Score by default', () => {
+      expect(sitePlotIDs()).toEqual(['10', '40', '120']);
+    });
+
+    test('sorts by the chosen column and order', () => {
+      change('.simaerep-site-plot-sort', 'nSubjects');
+      expect(sitePlotIDs()).toEqual(['120', '40', '10']);
+      expect(chart.data.config.sitePlotSortKey).toBe('nSubjects');
+
+      container.querySelector('.simaerep-site-plot-order').click();
+      expect(sitePlotIDs()).toEqual(['10', '40', '120']);
+      expect(chart.data.config.sitePlotSortOrder).toBe('descending');
+      expect(container.querySelector('.simaerep-site-plot-order').getAttribute('aria-label')).toBe('Descending order');
+
+      change('.simaerep-site-plot-sort', 'GroupID');
+      expect(sitePlotIDs()).toEqual(['120', '40', '10']);
+    });
+
+    test('groups site plots under country headers', () => {
+      change('.simaerep-site-plot-group-by', 'Country');
+
+      const groups = Array.from(container.querySelectorAll('.simaerep-site-plot-group'));
+      expect(groups.map(group => group.getAttribute('aria-label'))).toEqual(['DE (2)', 'US (1)']);
+      expect(groups[0].querySelector('.simaerep-site-plot-group-header').textContent).toBe('DE (2)');
+      expect(sitePlotIDs()).toEqual(['40', '120', '10']);
+      expect(Array.from(chart.sitePlots.keys())).toEqual(['40', '120', '10']);
+    });
+
+    test('includes unflagged sites', () => {
+      change('.simaerep-site-plot-include', 'all');
+
+      expect(sitePlotIDs()).toEqual(['10', '30', '40', '120']);
+      expect(container.querySelector('.simaerep-right-panel').getAttribute('aria-label')).toBe('All sites');
+    });
+
+    test('shows a chosen list of sites, starting from the selection', () => {
+      chart.selectSites(['30', '120']);
+
+      change('.simaerep-site-plot-include', 'custom');
+      expect(chart.data.config.sitePlotGroupIDs).toEqual(['30', '120']);
+      expect(sitePlotIDs()).toEqual(['30', '120']);
+
+      const list = container.querySelector('.simaerep-site-plot-list');
+      expect(list.style.display).toBe('');
+      expect(list.value).toBe('30, 120');
+
+      change('.simaerep-site-plot-list', '10, 40 ,');
+      expect(sitePlotIDs()).toEqual(['10', '40']);
+
+      chart.selectSite('30');
+      container.querySelector('.simaerep-site-plot-use-selection').click();
+      expect(sitePlotIDs()).toEqual(['30']);
+    });
+
+    test('options are kept in config and applied by updateConfig without re-rendering', () => {
+      const renderSpy = jest.spyOn(chart, 'render');
+
+      chart.helpers.updateConfig(chart, { sitePlotInclude: 'all', sitePlotSortKey: 'Country' });
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(sitePlotIDs()).toEqual(['120', '40', '10', '30']);
+      expect(container.querySelector('.simaerep-site-plot-include').value).toBe('all');
+      expect(container.querySelector('.simaerep-site-plot-sort').value).toBe('Country');
+    });
+
+    test('keeps the selection when the site plots change', () => {
+      chart.helpers.updateSelectedGroupIDs('120', true);
+
+      change('.simaerep-site-plot-sort', 'nSubjects');
+
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+      expect(container.querySelector('.simaerep-site-plot[data-group-id="120"]').getAttribute('aria-selected')).toBe('true');
+      expect(chart.scrollToSitePlot('120')).toBe('120');
+    });
+
+    test('showSitePlotControls: false hides the control bar', () => {
+      chart.destroy();
+      chart = new Simaerep(container, sampleData, { showSitePlotControls: false });
+
+      expect(container.querySelector('.simaerep-site-plot-controls')).toBeNull();
+      expect(sitePlotIDs()).toEqual(['10', '40', '120']);
+    });
+  });
+
+  describe('Thresholds', () => {
+    let chart;
+    const metric = { Threshold: '-0.99, -0.95, 0.95, 0.99' };
+
+    beforeEach(() => {
+      sampleData.df_label_sites = [
+        { GroupID: '10', Flag: '0', Score: '0.5', Color: '#DEEBF7', nSubjects: '20' },
+        { GroupID: '120', Flag: '2', Score: '0.999', Color: '#3182BD', nSubjects: '3' }
+      ];
+      sampleData.df_visit = [
+        { GroupID: '10', SubjectID: '001', Denominator: '1', Numerator: '0' },
+        { GroupID: '120', SubjectID: '002', Denominator: '1', Numerator: '0' }
+      ];
+      chart = new Simaerep(container, sampleData, { sitePlotInclude: 'all', metric });
+    });
+
+    const sitePlot = groupID => container.querySelector(`.simaerep-site-plot[data-group-id="${groupID}"]`);
+    const dataset = groupID => chart.chartInstance.data.datasets.find(item => item.groupID === groupID);
+
+    test('reads thresholds from the metric Threshold', () => {
+      expect(chart.getThresholds()).toEqual([-0.99, -0.95, 0.95, 0.99]);
+    });
+
+    test('marks site plots with the threshold band of their Score', () => {
+      expect(sitePlot('120').getAttribute('data-threshold-band')).toBe('flag');
+      expect(sitePlot('10').getAttribute('data-threshold-band')).toBe('none');
+    });
+
+    test('shows a Score gauge in each site plot', () => {
+      const gauge = sitePlot('120').querySelector('.simaerep-score-gauge');
+
+      expect(gauge.getAttribute('aria-valuenow')).toBe('0.999');
+      expect(gauge.previousElementSibling.className).toBe('site-plot-title');
+    });
+
+    test('showScoreGauge: false hides the gauge', () => {
+      chart.destroy();
+      chart = new Simaerep(container, sampleData, { sitePlotInclude: 'all', metric, showScoreGauge: false });
+
+      expect(container.querySelector('.simaerep-score-gauge')).toBeNull();
+      expect(sitePlot('120').getAttribute('data-threshold-band')).toBe('flag');
+    });
+
+    test('omits bands and gauges without thresholds', () => {
+      chart.destroy();
+      chart = new Simaerep(container, sampleData, { sitePlotInclude: 'all' });
+
+      expect(chart.getThresholds()).toEqual([]);
+      expect(sitePlot('120').hasAttribute('data-threshold-band')).toBe(false);
+      expect(container.querySelector('.simaerep-score-gauge')).toBeNull();
+    });
+
+    test('new gsm.kri thresholds reclassify the sites', () => {
+      const renderSpy = jest.spyOn(chart, 'render');
+
+      chart.helpers.updateConfig(chart, {}, [-0.6, -0.4, 0.4, 0.6]);
+
+      expect(renderSpy).toHaveBeenCalled();
+      expect(chart.getThresholds()).toEqual([-0.6, -0.4, 0.4, 0.6]);
+      const site = chart.rawData.df_label_sites.find(row => row.GroupID === '10');
+      expect(site).toEqual(expect.objectContaining({ Flag: 1, Color: '#9ECAE1' }));
+      expect(dataset('10').siteType).toBe('flagged');
+      expect(sitePlot('10').getAttribute('data-threshold-band')).toBe('warning');
+    });
+
+    test('setThresholds moves sites out of the flagged curves', () => {
+      chart.setThresholds('-0.9999, 0.9999');
+
+      expect(dataset('120').siteType).toBe('unflagged');
+      expect(chart.rawData.df_label_sites.find(row => row.GroupID === '120').Flag).toBe(0);
+      expect(sitePlot('120').getAttribute('data-threshold-band')).toBe('none');
+    });
+
+    test('unchanged thresholds do not re-render', () => {
+      const renderSpy = jest.spyOn(chart, 'render');
+
+      chart.helpers.updateConfig(chart, { selectedGroupIDs: '10' }, [-0.99, -0.95, 0.95, 0.99]);
+
+      expect(renderSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Patient Drill-down', () => {
+    let chart;
+
+    beforeEach(() => {
+      sampleData.df_visit = [
+        { GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '1' },
+        { GroupID: '120', SubjectID: '001', Denominator: '10', Numerator: '9' },
+        { GroupID: '120', SubjectID: '002', Denominator: '10', Numerator: '1' },
+        { GroupID: '10', SubjectID: '003', Denominator: '30', Numerator: '2' }
+      ];
+      chart = new Simaerep(container, sampleData);
+    });
+
+    const sitePlotChart = groupID => chart.sitePlots.get(groupID).chart;
+    const patientLine = (groupID, subjectID) => sitePlotChart(groupID).data.datasets
+      .find(dataset => dataset.subjectID === subjectID);
+    const clickPatient = (groupID, subjectID) => {
+      const datasetIndex = sitePlotChart(groupID).data.datasets.indexOf(patientLine(groupID, subjectID));
+      sitePlotChart(groupID).options.onClick({}, [{ datasetIndex, index: 0 }]);
+    };
+    const patientRows = () => Array.from(container.querySelectorAll('.simaerep-patient-table tbody tr'));
+
+    test('clicking a patient line highlights it and dims the other patients', () => {
+      clickPatient('120', '001');
+
+      expect(patientLine('120', '001')).toEqual(expect.objectContaining({
+        borderColor: chart.theme.accent,
+        borderWidth: 2.5,
+        order: 0
+      }));
+      expect(patientLine('120', '002').borderColor).toBe(chart.theme.patientDimmed);
+      expect(patientLine('10', '003').borderColor).toBe(chart.theme.patient);
+      expect(sitePlotChart('120').update).toHaveBeenCalledWith('none');
+    });
+
+    test('clicking the highlighted patient again removes the highlight', () => {
+      clickPatient('120', '001');
+      clickPatient('120', '001');
+
+      expect(patientLine('120', '001').borderColor).toBe(chart.theme.patient);
+      expect(patientLine('120', '002').borderColor).toBe(chart.theme.patient);
+      expect(container.querySelector('.simaerep-patient-panel').style.display).toBe('block');
+    });
+
+    test('clicks on site or study lines are ignored', () => {
+      const spy = jest.spyOn(chart, 'selectPatient');
+      const siteIndex = sitePlotChart('120').data.datasets.findIndex(dataset => dataset.siteType === 'flagged');
+
+      sitePlotChart('120').options.onClick({}, [{ datasetIndex: siteIndex, index: 0 }]);
+      sitePlotChart('120').options.onClick({}, []);
+
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('shows the patients of the site with totals, rates and outlier markers', () => {
+      expect(container.querySelector('.simaerep-patient-panel').style.display).toBe('none');
+
+      clickPatient('120', '001');
+
+      const panel = container.querySelector('.simaerep-patient-panel');
+      expect(panel.style.display).toBe('block');
+      expect(panel.getAttribute('aria-label')).toBe('Patients of Site 120');
+      expect(panel.querySelector('.simaerep-patient-panel-study-rate').textContent)
+        .toBe('Study AE rate: 0.240');
+      expect(patientRows().map(row => Array.from(row.cells).map(cell => cell.textContent))).toEqual([
+        ['001', '9', '10', '0.900', '×3.75', '▲ Over'],
+        ['002', '1', '10', '0.100', '×0.42', '']
+      ]);
+      expect(patientRows()[0].getAttribute('aria-current')).toBe('true');
+    });
+
+    test('clicking a table row highlights its patient', () => {
+      clickPatient('120', '001');
+
+      patientRows()[1].click();
+
+      expect(chart.selectedPatient).toEqual({ groupID: '120', subjectID: '002' });
+      expect(patientLine('120', '002').borderColor).toBe(chart.theme.accent);
+      expect(patientRows()[1].getAttribute('aria-current')).toBe('true');
+    });
+
+    test('the close button hides the table and the highlight', () => {
+      clickPatient('120', '001');
+
+      container.querySelector('.simaerep-patient-panel-close').click();
+
+      expect(chart.selectedPatient).toBeNull();
+      expect(container.querySelector('.simaerep-patient-panel').style.display).toBe('none');
+      expect(patientLine('120', '002').borderColor).toBe(chart.theme.patient);
+    });
+
+    test('dispatches patient-selected with the patient summary', () => {
+      const listener = jest.fn();
+      container.addEventListener('patient-selected', listener);
+
+      clickPatient('120', '001');
+      chart.selectPatient(null);
+
+      expect(listener.mock.calls[0][0].detail).toEqual({
+        groupID: '120',
+        subjectID: '001',
+        patient: expect.objectContaining({ GroupID: '120', SubjectID: '001', Events: 9, Visits: 10, Outlier: 'over' })
+      });
+      expect(listener.mock.calls[1][0].detail).toEqual({ groupID: null, subjectID: null, patient: null });
+    });
+
+    test('patient tooltips show the totals and the study rate', () => {
+      const metrics = chart.getTooltipMetrics({
+        dataset: patientLine('120', '001'),
+        parsed: { x: 10, y: 9 }
+      });
+
+      expect(metrics).toEqual([
+        'Adverse Events: 9.00',
+        'Visits: 10',
+        'Total Adverse Events: 9',
+        'Total Visits: 10',
+        'Rate: 0.900 (study 0.240)',
+        'Outlier: above the study rate'
+      ]);
+    });
+
+    test('keeps the highlight across re-renders and theme changes', () => {
+      chart.selectPatient('120', '001');
+
+      chart.setTheme('dark');
+      expect(patientLine('120', '001').borderColor).toBe(chart.theme.accent);
+      expect(patientLine('120', '002').borderColor).toBe(chart.theme.patientDimmed);
+
+      chart.helpers.updateConfig(chart, { aspectRatio: 1.5 });
+      expect(patientLine('120', '001').borderColor).toBe(chart.theme.accent);
+      expect(patientRows().length).toBe(2);
+    });
+
+    test('showPatientTable: false keeps the highlight without a table', () => {
+      chart.destroy();
+      chart = new Simaerep(container, sampleData, { showPatientTable: false });
+
+      clickPatient('120', '001');
+
+      expect(container.querySelector('.simaerep-patient-panel')).toBeNull();
+      expect(patientLine('120', '001').borderColor).toBe(chart.theme.accent);
+    });
+  });
+
+  describe('Resize', () => {
+    test('resizes the panels and charts without re-rendering', () => {
+      sampleData.df_visit = [{ GroupID: '120', SubjectID: '001', Denominator: '1', Numerator: '0' }];
+      const chart = new Simaerep(container, sampleData, { height: 600 });
+      chart.chartInstance.resize = jest.fn();
+      chart.sitePlotCharts.forEach(item => { item.chart.resize = jest.fn(); });
+      const renderSpy = jest.spyOn(chart, 'render');
+
+      chart.resize('100%', 400);
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(container.querySelector('.simaerep-panels-container').style.height).toBe('360px');
+      expect(chart.chartInstance.resize).toHaveBeenCalled();
+      expect(chart.sitePlotCharts[0].chart.resize).toHaveBeenCalled();
+      expect(chart.data.config.height).toBe(400);
+    });
+
+    test('height auto keeps the overview aspect ratio', () => {
+      const chart = new Simaerep(container, sampleData, { height: 600 });
+      expect(chart.chartInstance.options.maintainAspectRatio).toBe(false);
+
+      chart.resize(null, 'auto');
+
+      expect(chart.chartInstance.options.maintainAspectRatio).toBe(true);
+      expect(container.querySelector('.simaerep-panels-container').style.height).toBe('100%');
+    });
+
+    test('updateConfig applies width and height in place', () => {
+      const chart = new Simaerep(container, sampleData, { height: 600 });
+      const renderSpy = jest.spyOn(chart, 'render');
+      const resizeSpy = jest.spyOn(chart, 'resize');
+
+      chart.helpers.updateConfig(chart, { height: '50vh' });
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(resizeSpy).toHaveBeenCalledWith('100%', '50vh');
+      expect(container.querySelector('.simaerep-panels-container').style.height).toBe('calc(50vh - 40px)');
+    });
+  });
+
+  describe('setData', () => {
+    test('replaces the data bundle without recreating the widget', () => {
+      const chart = new Simaerep(container, sampleData, { selectedGroupIDs: '120' });
+
+      chart.setData({
+        ...sampleData,
+        df_label_sites: [...sampleData.df_label_sites, { GroupID: '130', Flag: '0', Color: '#3182BD' }]
+      });
+
+      expect(chart.rawData.df_label_sites.map(site => site.GroupID)).toEqual(['10', '120', '130']);
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+      expect(container.querySelectorAll('.simaerep-panels-container').length).toBe(1);
+      expect(container.querySelector('canvas').chart).toBe(chart);
+    });
+
+    test('derives the curves again from a new df_visit', () => {
+      const chart = new Simaerep(container, sampleData);
+      const dfVisit = ['1', '2'].flatMap(groupID => [1, 2].map(visit => ({
+        GroupID: groupID, SubjectID: `${groupID}-1`, Denominator: visit, Numerator: visit
+      })));
+
+      chart.setData({ df_visit: dfVisit });
+
+      expect(chart.visitData).toBe(dfVisit);
+      expect(chart.rawData.df_label_sites.map(site => site.GroupID).sort()).toEqual(['1', '2']);
+    });
+  });
+
+  describe('Instance Events', () => {
+    test('selectionchange reports the GroupIDs, country and source', () => {
+      const chart = new Simaerep(container, sampleData);
+      chart.countryToSites = { US: ['10', '120'] };
+      const listener = jest.fn();
+      chart.on('selectionchange', listener);
+
+      chart.selectSite('120');
+      chart.helpers.updateSelectedGroupIDs('10', true);
+      chart.selectCountry('US');
+      container.querySelector('.gsm-widget-control--group').value = 'None';
+      container.querySelector('.gsm-widget-control--group').dispatchEvent(new Event('change'));
+
+      expect(listener.mock.calls.map(call => call[0])).toEqual([
+        { groupIDs: ['120'], country: null, source: 'programmatic' },
+        { groupIDs: ['10'], country: null, source: 'gsm.kri' },
+        { groupIDs: ['10', '120'], country: 'US', source: 'programmatic' },
+        { groupIDs: [], country: null, source: 'user' }
+      ]);
+    });
+
+    test('selectionchange is only emitted for actual changes', () => {
+      const chart = new Simaerep(container, sampleData);
+      const listener = jest.fn();
+      chart.on('selectionchange', listener);
+
+      chart.selectSite('120');
+      chart.selectSite('120');
+      chart.helpers.updateConfig(chart, { theme: 'dark' });
+      chart.helpers.updateConfig(chart, { selectedGroupIDs: '10' });
+
+      expect(listener.mock.calls.map(call => call[0].groupIDs)).toEqual([['120'], ['10']]);
+      expect(listener.mock.calls[1][0].source).toBe('gsm.kri');
+    });
+
+    test('ctrl-click on the overview is a user selection', () => {
+      const chart = new Simaerep(container, sampleData);
+      const listener = jest.fn();
+      chart.on('selectionchange', listener);
+      const datasetIndex = chart.chartInstance.data.datasets.findIndex(dataset => dataset.groupID === '120');
+
+      chart.chartInstance.options.onClick({ native: { ctrlKey: true } }, [{ datasetIndex, index: 0 }]);
+
+      expect(listener).toHaveBeenCalledWith({ groupIDs: ['120'], country: null, source: 'user' });
+    });
+
+    test('emits hover, zoom, render, datachange and destroy', () => {
+      const chart = new Simaerep(container, sampleData);
+      const events = [];
+      ['hover', 'zoom', 'render', 'datachange', 'destroy'].forEach(type => {
+        chart.on(type, payload => events.push([type, payload]));
+      });
+
+      const datasetIndex = chart.chartInstance.data.datasets.findIndex(dataset => dataset.groupID === '10');
+      chart.chartInstance.options.onHover({}, [{ datasetIndex, index: 0 }]);
+      chart.setZoom('overview', { x: { min: 1, max: 2 } });
+      chart.setData(sampleData);
+      chart.destroy();
+
+      expect(events).toEqual([
+        ['hover', { groupID: '10', source: 'user' }],
+        ['zoom', { panel: 'overview', x: { min: 1, max: 2 }, y: null, source: 'programmatic' }],
+        ['render', {}],
+        ['datachange', { source: 'programmatic' }],
+        ['destroy', {}]
+      ]);
+    });
+
+    test('emits error when the data cannot be drawn', () => {
+      const chart = new Simaerep(container, sampleData);
+      const listener = jest.fn();
+      chart.once('error', listener);
+
+      chart.setData({ df_label_sites: 'invalid' });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].message).toBe('1 data error(s) found');
+      expect(listener.mock.calls[0][0].errors[0].table).toBe('df_label_sites');
+    });
+
+    test('config.on listeners receive the error of an invalid initial bundle', () => {
+      const error = jest.fn();
+      const render = jest.fn();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const chart = new Simaerep(container, { df_label_sites: 'invalid' }, { on: { error, render } });
+
+      expect(error).toHaveBeenCalledTimes(1);
+      expect(error.mock.calls[0][0].errors[0].table).toBe('df_label_sites');
+      // The diagnostics panel is shown instead of a render
+      expect(render).not.toHaveBeenCalled();
+
+      chart.setData(sampleData);
+      expect(render).toHaveBeenCalledTimes(1);
+      console.warn.mockRestore();
+    });
+
+    test('keeps dispatching DOM events', () => {
+      const chart = new Simaerep(container, sampleData);
+      const listener = jest.fn();
+      container.addEventListener('site-selected', listener);
+      chart.on('selectionchange', () => {});
+
+      chart.selectSite('120');
+
+      expect(listener.mock.calls[0][0].detail).toEqual({ groupID: '120' });
+    });
+  });
+
+  describe('State', () => {
+    test('getState returns the selection, zoom, filters and right panel options', () => {
+      const chart = new Simaerep(container, sampleData);
+      chart.countryToSites = { USA: ['10', '120'] };
+
+      chart.selectCountry('USA');
+      chart.setZoom('overview', { x: { min: 1, max: 2 } });
+      chart.setFlagFilter('over');
+      chart.setSitePlotOptions({ sitePlotSortKey: 'GroupID', sitePlotSortOrder: 'descending' });
+      chart.dataTableState.sites.filter = 'US';
+
+      expect(chart.getState()).toEqual({
+        selectedGroupIDs: ['10', '120'],
+        selectedCountry: 'USA',
+        zoom: { overview: { x: { min: 1, max: 2 }, y: null } },
+        hiddenLegendItems: ['flag:-2', 'flag:-1', 'flag:0'],
+        sitePlotSortKey: 'GroupID',
+        sitePlotSortOrder: 'descending',
+        sitePlotGroupBy: 'none',
+        sitePlotInclude: 'flagged',
+        sitePlotGroupIDs: [],
+        showDataTable: false,
+        dataTables: {
+          sites: { sortKey: null, sortOrder: 'ascending', filter: 'US' },
+          curves: { sortKey: null, sortOrder: 'ascending', filter: '' },
+          patients: { sortKey: null, sortOrder: 'ascending', filter: '' }
+        },
+        scrollTop: 0
+      });
+    });
+
+    test('setState restores a state in another chart', () => {
+      const source = new Simaerep(container, sampleData, { syncSelection: false });
+      source.selectSite('120');
+      source.setZoom('overview', { y: { min: -1, max: 1 } });
+      source.setSitePlotOptions({ sitePlotGroupBy: 'Country' });
+      source.toggleDataTable(true);
+      const state = JSON.parse(JSON.stringify(source.getState()));
+      source.destroy();
+
+      const chart = new Simaerep(container, sampleData, { syncSelection: false });
+      chart.setState(state);
+
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+      expect(chart.getZoomLimits('overview')).toEqual({ x: null, y: { min: -1, max: 1 } });
+      expect(chart.data.config.sitePlotGroupBy).toBe('Country');
+      expect(chart.data.config.showDataTable).toBe(true);
+      expect(chart.getState()).toEqual(state);
+    });
+
+    test('setState only changes the keys it is given', () => {
+      const chart = new Simaerep(container, sampleData, { syncSelection: false, sitePlotSortKey: 'GroupID' });
+      chart.setZoom('overview', { x: { min: 1, max: 2 } });
+
+      chart.setState({ selectedGroupIDs: '10' });
+
+      expect(chart.data.config.selectedGroupIDs).toBe('10');
+      expect(chart.data.config.sitePlotSortKey).toBe('GroupID');
+      expect(chart.isZoomed('overview')).toBe(true);
+    });
+
+    test('statechange reports selection, zoom, legend and right panel changes', () => {
+      const chart = new Simaerep(container, sampleData, { syncSelection: false });
+      const listener = jest.fn();
+      chart.on('statechange', listener);
+
+      chart.selectSite('120');
+      chart.setZoom('overview', { x: { min: 1, max: 2 } });
+      chart.setHiddenLegendItems(['siteType:unflagged']);
+      chart.setSitePlotOptions({ sitePlotSortOrder: 'descending' });
+
+      expect(listener).toHaveBeenCalledTimes(4);
+      const { state, source } = listener.mock.calls[3][0];
+      expect(source).toBe('programmatic');
+      expect(state).toEqual(chart.getState());
+    });
+  });
+});
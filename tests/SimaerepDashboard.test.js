@@ -0,0 +1,390 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import SimaerepDashboard from '../src/SimaerepDashboard';
+import Simaerep from '../src/Simaerep';
+
+// Mock d3 to avoid ES module issues
+jest.mock('d3', () => ({
+  rollup: jest.fn(() => new Map())
+}));
+
+// Mock Chart.js
+jest.mock('chart.js/auto', () => {
+  return jest.fn().mockImplementation(function(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    this.destroy = jest.fn();
+    this.update = jest.fn();
+    return this;
+  });
+});
+
+describe('SimaerepDashboard', () => {
+  let container;
+  let entries;
+
+  function createBundle(flags) {
+    return {
+      df_mean_study: [
+        { Denominator: '1', cum_mean_dev_event: '0' },
+        { Denominator: '2', cum_mean_dev_event: '0.5' }
+      ],
+      df_mean_group_flagged: Object.keys(flags)
+        .filter(groupID => flags[groupID] !== 0)
+        .map(GroupID => ({ GroupID, Denominator: '1', cum_mean_dev_event: '1' })),
+      df_mean_group_not_flagged: Object.keys(flags)
+        .filter(groupID => flags[groupID] === 0)
+        .map(GroupID => ({ GroupID, Denominator: '1', cum_mean_dev_event: '0' })),
+      df_label_sites: Object.entries(flags).map(([GroupID, Flag]) => ({ GroupID, Flag }))
+    };
+  }
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    Element.prototype.scrollIntoView = jest.fn();
+
+    entries = [
+      {
+        metric: { MetricID: 'Analysis_kri0001', Metric: 'Adverse Event Rate', Abbreviation: 'AE' },
+        data: createBundle({ '10': 0, '120': 2 })
+      },
+      {
+        metric: { MetricID: 'Analysis_kri0003', Metric: 'Protocol Deviation Rate', Abbreviation: 'PD' },
+        data: createBundle({ '10': -1, '120': 0 })
+      }
+    ];
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  describe('Initialization', () => {
+    test('creates one Simaerep chart per KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+
+      expect(dashboard.charts.size).toBe(2);
+      dashboard.charts.forEach(chart => expect(chart).toBeInstanceOf(Simaerep));
+      expect(dashboard.charts.get('Analysis_kri0003').config.Metric).toBe('Protocol Deviation Rate');
+    });
+
+    test('attaches dashboard to canvas for gsm.kri', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+
+      expect(container.classList.contains('gsm-widget')).toBe(true);
+      expect(dashboard.canvas.chart).toBe(dashboard);
+      expect(typeof dashboard.helpers.updateSelectedGroupIDs).toBe('function');
+    });
+
+    test('charts do not add their own site and country selectors', () => {
+      new SimaerepDashboard(container, entries);
+
+      expect(container.querySelectorAll('.gsm-widget-control--group')).toHaveLength(1);
+      expect(container.querySelectorAll('.gsm-widget-control--country')).toHaveLength(1);
+    });
+
+    test('shared site selector lists the sites of all KRIs', () => {
+      entries[1].data.df_label_sites.push({ GroupID: '300', Flag: 0 });
+      new SimaerepDashboard(container, entries);
+
+      const options = Array.from(container.querySelectorAll('.gsm-widget-control--group option'));
+      expect(options.map(option => option.value)).toEqual(['None', '10', '120', '300']);
+    });
+
+    test('uses generated IDs for metrics without MetricID', () => {
+      delete entries[1].metric.MetricID;
+      const dashboard = new SimaerepDashboard(container, entries);
+
+      expect(dashboard.charts.has('metric-2')).toBe(true);
+    });
+  });
+
+  describe('Tabs Layout', () => {
+    test('shows one tab per KRI and only the active panel', () => {
+      new SimaerepDashboard(container, entries);
+
+      const tabs = container.querySelectorAll('.simaerep-dashboard-tab');
+      const panels = container.querySelectorAll('.simaerep-dashboard-panel');
+      expect(Array.from(tabs).map(tab => tab.textContent)).toEqual(['AE', 'PD']);
+      expect(tabs[0].getAttribute('aria-selected')).toBe('true');
+      expect(panels[0].style.display).toBe('block');
+      expect(panels[1].style.display).toBe('none');
+    });
+
+    test('clicking a tab switches the visible KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const listener = jest.fn();
+      container.addEventListener('metric-changed', listener);
+
+      container.querySelectorAll('.simaerep-dashboard-tab')[1].click();
+
+      const panels = container.querySelectorAll('.simaerep-dashboard-panel');
+      expect(panels[0].style.display).toBe('none');
+      expect(panels[1].style.display).toBe('block');
+      expect(dashboard.data.config.activeMetricID).toBe('Analysis_kri0003');
+      expect(listener.mock.calls[0][0].detail.metricID).toBe('Analysis_kri0003');
+    });
+
+    test('opens the tab given by activeMetricID', () => {
+      new SimaerepDashboard(container, entries, { activeMetricID: 'Analysis_kri0003' });
+
+      const tabs = container.querySelectorAll('.simaerep-dashboard-tab');
+      expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+    });
+  });
+
+  describe('Grid Layout', () => {
+    test('shows all KRIs with titles', () => {
+      new SimaerepDashboard(container, entries, { layout: 'grid', gridColumns: 2 });
+
+      const panels = container.querySelector('.simaerep-dashboard-panels');
+      const titles = container.querySelectorAll('.simaerep-dashboard-panel-title');
+      expect(container.querySelector('.simaerep-dashboard-tabs')).toBeNull();
+      expect(panels.style.gridTemplateColumns).toBe('repeat(2, minmax(0, 1fr))');
+      expect(Array.from(titles).map(title => title.textContent))
+        .toEqual(['Adverse Event Rate', 'Protocol Deviation Rate']);
+    });
+  });
+
+  describe('Shared Selection', () => {
+    test('selecting a site selects it in every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const listener = jest.fn();
+      container.addEventListener('site-selected', listener);
+
+      dashboard.selectSite('120');
+
+      dashboard.charts.forEach(chart => {
+        expect(chart.data.config.selectedGroupIDs).toBe('120');
+      });
+      expect(listener.mock.calls[0][0].detail).toEqual({ groupID: '120' });
+    });
+
+    test('changing the shared site selector selects the site', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const selector = container.querySelector('.gsm-widget-control--group');
+
+      selector.value = '10';
+      selector.dispatchEvent(new Event('change'));
+
+      expect(dashboard.charts.get('Analysis_kri0001').data.config.selectedGroupIDs).toBe('10');
+    });
+
+    test('selecting a country selects its sites in every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      dashboard.countryToSites = { USA: ['10', '120'] };
+
+      dashboard.selectCountry('USA');
+
+      dashboard.charts.forEach(chart => {
+        expect(chart.data.config.selectedGroupIDs).toEqual(['10', '120']);
+      });
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('None');
+    });
+
+    test('multi-site selection in one KRI selects the sites in every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const listener = jest.fn();
+      container.addEventListener('sites-selected', listener);
+
+      dashboard.charts.get('Analysis_kri0001').selectSites(['10', '120']);
+
+      dashboard.charts.forEach(chart => {
+        expect(chart.data.config.selectedGroupIDs).toEqual(['10', '120']);
+      });
+      expect(listener.mock.calls[0][0].detail).toEqual({ groupIDs: ['10', '120'] });
+    });
+
+    test('selecting a site inside one KRI selects it in the dashboard and every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const listener = jest.fn();
+      container.addEventListener('site-selected', listener);
+
+      const source = dashboard.charts.get('Analysis_kri0001');
+      const sourceUpdate = jest.spyOn(source, 'updateSelectedGroupIDs');
+      const otherUpdate = jest.spyOn(dashboard.charts.get('Analysis_kri0003'), 'updateSelectedGroupIDs');
+
+      source.selectSite('120');
+
+      expect(dashboard.data.config.selectedGroupIDs).toBe('120');
+      expect(dashboard.charts.get('Analysis_kri0003').data.config.selectedGroupIDs).toBe('120');
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('120');
+      expect(listener).toHaveBeenCalledTimes(1);
+      // The KRI the site was selected in is not updated a second time
+      expect(sourceUpdate).toHaveBeenCalledTimes(1);
+      expect(otherUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('Enter on the overview of one KRI selects the site in every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const chart = dashboard.charts.get('Analysis_kri0003');
+      chart.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+      const groupID = chart.getNavigableSites()[chart.activeSiteIndex];
+
+      chart.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+      expect(dashboard.data.config.selectedGroupIDs).toBe(groupID);
+      expect(dashboard.charts.get('Analysis_kri0001').data.config.selectedGroupIDs).toBe(groupID);
+    });
+
+    test('a country selected inside one KRI selects its sites in every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      dashboard.countryToSites = { USA: ['10', '120'] };
+      const chart = dashboard.charts.get('Analysis_kri0001');
+      chart.countryToSites = { USA: ['10', '120'] };
+
+      chart.selectCountry('USA');
+
+      expect(dashboard.selectedCountry).toBe('USA');
+      expect(dashboard.charts.get('Analysis_kri0003').data.config.selectedGroupIDs).toEqual(['10', '120']);
+    });
+
+    test('clicking a data table row of one KRI selects the site in every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const chart = dashboard.charts.get('Analysis_kri0001');
+      chart.toggleDataTable(true);
+
+      const row = Array.from(chart.container.querySelectorAll('.simaerep-data-table-sites tbody tr'))
+        .find(element => element.getAttribute('data-row-key') === '10');
+      row.click();
+
+      expect(dashboard.data.config.selectedGroupIDs).toBe('10');
+      expect(dashboard.charts.get('Analysis_kri0003').data.config.selectedGroupIDs).toBe('10');
+    });
+
+    test('gsm.kri selection updates all KRIs and the selector', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+
+      dashboard.helpers.updateSelectedGroupIDs('120');
+
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('120');
+      expect(dashboard.charts.get('Analysis_kri0003').data.config.selectedGroupIDs).toBe('120');
+    });
+
+    test('updateConfig with a new selection does not re-render', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const charts = Array.from(dashboard.charts.values());
+      const renderSpy = jest.spyOn(dashboard, 'render');
+
+      dashboard.updateConfig(dashboard, { selectedGroupIDs: '10' });
+
+      expect(renderSpy).not.toHaveBeenCalled();
+      expect(Array.from(dashboard.charts.values())).toEqual(charts);
+      expect(charts[0].data.config.selectedGroupIDs).toBe('10');
+    });
+
+    test('updateConfig with other options re-renders', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const renderSpy = jest.spyOn(dashboard, 'render');
+
+      dashboard.updateConfig(dashboard, { layout: 'grid' });
+
+      expect(renderSpy).toHaveBeenCalled();
+      expect(container.querySelector('.simaerep-dashboard-tabs')).toBeNull();
+    });
+  });
+
+  describe('Badge Strip', () => {
+    test('is empty without a selection', () => {
+      new SimaerepDashboard(container, entries);
+      expect(container.querySelectorAll('.simaerep-dashboard-badge')).toHaveLength(0);
+    });
+
+    test('shows the Flag of each KRI for the selected site', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      dashboard.selectSite('10');
+
+      const badges = container.querySelectorAll('.simaerep-dashboard-badge');
+      expect(Array.from(badges).map(badge => badge.textContent)).toEqual(['AE: 0', 'PD: -1']);
+      expect(badges[1].getAttribute('data-flag')).toBe('-1');
+    });
+
+    test('writes badge text in the most readable theme color', () => {
+      const dashboard = new SimaerepDashboard(container, entries, { theme: 'dark' });
+      dashboard.selectSite('10');
+
+      const badge = container.querySelector('.simaerep-dashboard-badge');
+      // Dark theme background (#1e1e1e) on the light blue of Flag 0
+      expect(badge.style.color).toBe('rgb(30, 30, 30)');
+
+      dashboard.setTheme('highContrast');
+
+      expect(container.querySelector('.simaerep-dashboard-badge').style.color).toBe('rgb(0, 0, 0)');
+    });
+
+    test('shows n/a for sites missing from a KRI', () => {
+      entries[1].data.df_label_sites = [{ GroupID: '120', Flag: 0 }];
+      const dashboard = new SimaerepDashboard(container, entries);
+      dashboard.selectSite('10');
+
+      const badges = container.querySelectorAll('.simaerep-dashboard-badge');
+      expect(badges[1].textContent).toBe('PD: n/a');
+    });
+
+    test('shows one row per site of a selected country', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      dashboard.countryToSites = { USA: ['10', '120'] };
+      dashboard.selectCountry('USA');
+
+      const rows = container.querySelectorAll('.simaerep-dashboard-badge-row');
+      expect(Array.from(rows).map(row => row.getAttribute('data-group-id'))).toEqual(['10', '120']);
+    });
+
+    test('clicking a badge opens the KRI tab', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      dashboard.selectSite('120');
+
+      container.querySelector('.simaerep-dashboard-badge[data-metric-id="Analysis_kri0003"]').click();
+
+      expect(dashboard.data.config.activeMetricID).toBe('Analysis_kri0003');
+    });
+
+    test('can be hidden', () => {
+      new SimaerepDashboard(container, entries, { showBadges: false });
+      expect(container.querySelector('.simaerep-dashboard-badges').style.display).toBe('none');
+    });
+  });
+
+  describe('Cleanup', () => {
+    test('destroy destroys all charts and clears the container', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const charts = Array.from(dashboard.charts.values());
+      charts.forEach(chart => jest.spyOn(chart, 'destroy'));
+
+      dashboard.destroy();
+
+      charts.forEach(chart => expect(chart.destroy).toHaveBeenCalled());
+      expect(container.innerHTML).toBe('');
+    });
+  });
+
+  describe('Theming', () => {
+    test('passes the theme to every KRI', () => {
+      const dashboard = new SimaerepDashboard(container, entries, { theme: 'dark' });
+
+      expect(container.getAttribute('data-gsm-theme')).toBe('dark');
+      dashboard.charts.forEach(chart => {
+        expect(chart.theme.name).toBe('dark');
+      });
+    });
+
+    test('updateConfig with a theme switches every KRI without re-rendering', () => {
+      const dashboard = new SimaerepDashboard(container, entries);
+      const charts = Array.from(dashboard.charts.values());
+
+      dashboard.helpers.updateConfig(dashboard, { theme: 'highContrast' });
+
+      expect(container.getAttribute('data-gsm-theme')).toBe('highContrast');
+      charts.forEach(chart => {
+        expect(dashboard.charts.get(chart.config.metric.MetricID)).toBe(chart);
+        expect(chart.container.getAttribute('data-gsm-theme')).toBe('highContrast');
+        expect(chart.chartInstance.options.scales.x.grid.color).toBe('#808080');
+      });
+    });
+  });
+});
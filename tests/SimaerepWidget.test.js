@@ -0,0 +1,161 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import fs from 'fs';
+import path from 'path';
+import SimaerepWidget from '../src/SimaerepWidget';
+
+// Mock d3 to avoid ES module issues
+jest.mock('d3', () => ({
+  rollup: jest.fn((data, reducer, ...keys) => {
+    const map = new Map();
+    data.forEach(item => {
+      const key = keys.map(k => k(item)).join('-');
+      if (!map.has(key)) {
+        map.set(key, []);
+      }
+      map.get(key).push(item);
+    });
+    return map;
+  })
+}));
+
+// Mock Chart.js
+jest.mock('chart.js/auto', () => {
+  return jest.fn().mockImplementation(function(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    this.destroy = jest.fn();
+    this.update = jest.fn();
+    this.resize = jest.fn();
+    return this;
+  });
+});
+
+describe('SimaerepWidget', () => {
+  let el;
+  let input;
+
+  beforeEach(() => {
+    el = document.createElement('div');
+    document.body.appendChild(el);
+    Element.prototype.scrollIntoView = jest.fn();
+
+    // Data frames in the column format sent by htmlwidgets
+    input = {
+      df_mean_study: { Denominator: ['1', '2'], cum_mean_dev_event: ['0.1', '0.2'] },
+      df_mean_group_flagged: { GroupID: ['120', '120'], Denominator: ['1', '2'], cum_mean_dev_event: ['0.3', '0.6'] },
+      df_mean_group_not_flagged: { GroupID: ['10', '10'], Denominator: ['1', '2'], cum_mean_dev_event: ['0', '0.1'] },
+      df_label_sites: { GroupID: ['10', '120'], Flag: ['0', '2'], Color: ['#DEEBF7', '#3182BD'], Score: ['0.5', '0.999'] },
+      df_visit: { GroupID: ['120', '120'], SubjectID: ['001', '001'], Denominator: ['1', '2'], Numerator: ['0', '1'] },
+      dfGroups: { GroupID: ['120'], GroupLevel: 'Site', Param: ['Country'], Value: ['US'] },
+      dfMetric: { MetricID: 'Analysis_kri0001', Abbreviation: 'AE', Threshold: '-0.99,-0.95,0.95,0.99' },
+      strStudyId: 'AA-1234',
+      strScoreCol: 'Score',
+      lChartConfig: { selectedGroupIDs: '120', theme: 'dark' },
+      bAddGroupSelect: true
+    };
+  });
+
+  afterEach(() => {
+    document.body.removeChild(el);
+  });
+
+  test('renders a Simaerep chart with the converted data and options', () => {
+    const widget = new SimaerepWidget(el, 800, 500);
+    widget.renderValue(input);
+
+    const chart = widget.chart;
+    expect(el.id).toBe('simaerep--AA-1234_Score');
+    expect(el.chartInstance).toBe(chart);
+    expect(chart.rawData.df_label_sites.map(site => site.GroupID)).toEqual(['10', '120']);
+    expect(chart.data.config).toEqual(expect.objectContaining({
+      selectedGroupIDs: '120',
+      theme: 'dark',
+      Abbreviation: 'AE',
+      width: 800,
+      height: 500
+    }));
+    expect(chart.getThresholds()).toEqual([-0.99, -0.95, 0.95, 0.99]);
+  });
+
+  test('forwards df_visit and group metadata', () => {
+    const widget = new SimaerepWidget(el, 800, 500);
+    widget.renderValue(input);
+
+    expect(el.querySelector('.simaerep-site-plot[data-group-id="120"]')).not.toBeNull();
+    expect(widget.chart.data.config.groupMetadata).toEqual([
+      { GroupID: '120', GroupLevel: 'Site', Param: 'Country', Value: 'US' }
+    ]);
+  });
+
+  test('rendering again replaces the chart', () => {
+    const widget = new SimaerepWidget(el, 800, 500);
+    widget.renderValue(input);
+    const first = widget.chart;
+    const destroySpy = jest.spyOn(first, 'destroy');
+
+    widget.renderValue({ ...input, lChartConfig: {} });
+
+    expect(destroySpy).toHaveBeenCalled();
+    expect(widget.chart).not.toBe(first);
+    expect(el.querySelectorAll('.simaerep-panels-container').length).toBe(1);
+  });
+
+  test('resize updates the chart size without re-rendering', () => {
+    const widget = new SimaerepWidget(el, 800, 500);
+    widget.renderValue(input);
+    const renderSpy = jest.spyOn(widget.chart, 'render');
+
+    widget.resize(600, 400);
+
+    expect(renderSpy).not.toHaveBeenCalled();
+    expect(widget.chart.data.config.height).toBe(400);
+    expect(widget.chart.chartInstance.resize).toHaveBeenCalled();
+    expect(el.querySelector('.simaerep-panels-container').style.height).toBe('360px');
+  });
+
+  test('resize before the first render keeps the size for it', () => {
+    const widget = new SimaerepWidget(el, 800, 500);
+
+    widget.resize(600, 300);
+    widget.renderValue(input);
+
+    expect(widget.chart.data.config.height).toBe(300);
+  });
+
+  test('in Shiny, keeps the output ID and reports selections as inputs', () => {
+    window.HTMLWidgets = { shinyMode: true };
+    window.Shiny = { setInputValue: jest.fn(), addCustomMessageHandler: jest.fn() };
+    el.id = 'simaerep_plot';
+
+    try {
+      const widget = new SimaerepWidget(el, 800, 500);
+      widget.renderValue(input);
+      widget.renderValue(input);
+      expect(el.id).toBe('simaerep_plot');
+      expect(window.Shiny.setInputValue).toHaveBeenCalledWith('simaerep_plot_selected_group', '120');
+
+      // Only the current chart reports to Shiny
+      window.Shiny.setInputValue.mockClear();
+      widget.chart.selectSite('10');
+      expect(window.Shiny.setInputValue.mock.calls.filter(([name]) => name === 'simaerep_plot_selected_group'))
+        .toEqual([['simaerep_plot_selected_group', '10']]);
+    } finally {
+      delete window.HTMLWidgets;
+      delete window.Shiny;
+    }
+  });
+
+  test('the htmlwidget YAML depends on the current package version', () => {
+    const root = path.resolve(__dirname, '..');
+    const { version } = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    const yaml = fs.readFileSync(path.join(root, 'htmlwidgets', 'Widget_Simaerep.yaml'), 'utf8');
+
+    expect(yaml).toContain('name: gsmSimaerepViz');
+    expect(yaml).toContain(`version: ${version}`);
+  });
+});
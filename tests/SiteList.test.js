@@ -112,7 +112,8 @@ describe('SiteList', () => {
       const chart = new SiteList(container, sampleData, { selectedGroupIDs: 'Site002' });
       const items = container.querySelectorAll('.site-list-item');
       
-      expect(items[1].style.backgroundColor).toBe('rgb(227, 242, 253)');
+      expect(items[1].classList.contains('site-list-item--selected')).toBe(true);
+      expect(items[0].classList.contains('site-list-item--selected')).toBe(false);
     });
 
     test('should dispatch site-selected event', (done) => {
@@ -192,7 +193,8 @@ describe('SiteList', () => {
       chart.helpers.updateSelectedGroupIDs('Site002');
       
       const items = container.querySelectorAll('.site-list-item');
-      expect(items[1].style.backgroundColor).toBe('rgb(227, 242, 253)');
+      expect(items[1].classList.contains('site-list-item--selected')).toBe(true);
+      expect(items[0].classList.contains('site-list-item--selected')).toBe(false);
     });
   });
 
@@ -216,6 +218,36 @@ describe('SiteList', () => {
     });
   });
 
+  describe('Export', () => {
+    function readText(blob) {
+      return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+      });
+    }
+
+    test('should export the list as SVG', async () => {
+      const chart = new SiteList(container, sampleData, { selectedGroupIDs: 'Site002' });
+      const blob = chart.exportChart({ format: 'svg', download: false });
+      const svg = await readText(blob);
+
+      expect(blob.type).toBe('image/svg+xml');
+      expect(svg).toContain('Sites (3)');
+      expect(svg).toContain('>Site001</text>');
+      expect(svg).toContain('>Smith</text>');
+      expect(svg).toContain('fill="#e3f2fd"');
+    });
+
+    test('should split PDF exports into pages of 25 sites', () => {
+      const sites = Array.from({ length: 60 }, (_, i) => ({ GroupID: `Site${i}` }));
+      const chart = new SiteList(container, sites);
+
+      expect(chart.getExportPages('pdf')).toHaveLength(3);
+      expect(chart.getExportPages('png')).toHaveLength(1);
+    });
+  });
+
   describe('Cleanup', () => {
     test('should destroy chart and clean container', () => {
       const chart = new SiteList(container, sampleData);
@@ -223,5 +255,293 @@ describe('SiteList', () => {
       expect(container.innerHTML).toBe('');
     });
   });
-});
 
+  describe('Accessibility', () => {
+    const keydown = (element, key) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+      element.dispatchEvent(event);
+      return event;
+    };
+
+    const items = () => Array.from(container.querySelectorAll('.site-list-item'));
+
+    test('should render the list as a listbox of options', () => {
+      new SiteList(container, sampleData, { selectedGroupIDs: 'Site002' });
+      const list = container.querySelector('.site-list-items');
+
+      expect(list.getAttribute('role')).toBe('listbox');
+      expect(items().map(item => item.getAttribute('role'))).toEqual(['option', 'option', 'option']);
+      expect(items().map(item => item.getAttribute('aria-selected'))).toEqual(['false', 'true', 'false']);
+    });
+
+    test('should put only the selected item in the tab order', () => {
+      new SiteList(container, sampleData, { selectedGroupIDs: 'Site002' });
+      expect(items().map(item => item.tabIndex)).toEqual([-1, 0, -1]);
+    });
+
+    test('should put the first item in the tab order without a selection', () => {
+      new SiteList(container, sampleData);
+      expect(items().map(item => item.tabIndex)).toEqual([0, -1, -1]);
+    });
+
+    test('should move focus with the arrow keys', () => {
+      new SiteList(container, sampleData);
+      items()[0].focus();
+
+      const event = keydown(items()[0], 'ArrowDown');
+      expect(event.defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(items()[1]);
+
+      keydown(items()[1], 'ArrowUp');
+      keydown(items()[0], 'ArrowUp');
+      expect(document.activeElement).toBe(items()[2]);
+      expect(items().map(item => item.tabIndex)).toEqual([-1, -1, 0]);
+    });
+
+    test('should select the focused site with Enter and keep focus', () => {
+      const chart = new SiteList(container, sampleData);
+      items()[0].focus();
+      keydown(items()[0], 'ArrowDown');
+
+      keydown(items()[1], 'Enter');
+
+      expect(chart.data.config.selectedGroupIDs).toBe('Site002');
+      expect(document.activeElement).toBe(items()[1]);
+      expect(document.activeElement.getAttribute('aria-selected')).toBe('true');
+    });
+
+    test('should clear the selection with Escape', () => {
+      const chart = new SiteList(container, sampleData, { selectedGroupIDs: 'Site002' });
+      items()[1].focus();
+
+      keydown(items()[1], 'Escape');
+
+      expect(chart.data.config.selectedGroupIDs).toBe('None');
+    });
+
+    test('should announce selection changes', () => {
+      const chart = new SiteList(container, sampleData);
+      const liveRegion = container.querySelector('.site-list-live-region');
+
+      chart.selectSite('Site003');
+      expect(liveRegion.getAttribute('role')).toBe('status');
+      expect(container.querySelector('.site-list-live-region').textContent).toBe('Site Site003 selected');
+
+      chart.helpers.updateConfig(chart, { selectedGroupIDs: 'None' });
+      expect(container.querySelector('.site-list-live-region').textContent).toBe('Selection cleared');
+    });
+
+    test('should hide the compatibility canvas from screen readers', () => {
+      new SiteList(container, sampleData);
+      expect(container.querySelector('canvas').getAttribute('aria-hidden')).toBe('true');
+    });
+  });
+
+  describe('Sanitization', () => {
+    const payload = '<img src=x onerror="window.__xss = true">';
+
+    test('should render malicious site details and selector options as text', () => {
+      new SiteList(container, [
+        { GroupID: payload, InvestigatorLastName: '<script>window.__xss = true</script>' }
+      ]);
+
+      expect(container.querySelector('.site-id').textContent).toBe(payload);
+      expect(container.querySelector('.site-details').textContent)
+        .toBe('<script>window.__xss = true</script>');
+      expect(container.querySelectorAll('.gsm-widget-control--group option')[1].textContent).toBe(payload);
+      expect(container.querySelector('img, .site-list-container script')).toBeNull();
+      expect(window.__xss).toBeUndefined();
+    });
+  });
+
+  describe('Theming', () => {
+    test('styles items through the theme stylesheet', () => {
+      new SiteList(container, sampleData, { selectedGroupIDs: 'Site002' });
+      const stylesheet = document.getElementById('gsm-theme-styles');
+
+      expect(container.style.getPropertyValue('--gsm-selection')).toBe('#e3f2fd');
+      expect(stylesheet.textContent).toContain('.site-list-item--selected');
+      expect(stylesheet.textContent).toContain('var(--gsm-selection)');
+    });
+
+    test('setTheme switches the custom properties without re-rendering', () => {
+      const chart = new SiteList(container, sampleData, { theme: 'dark' });
+      const list = container.querySelector('.site-list-items');
+
+      expect(container.getAttribute('data-gsm-theme')).toBe('dark');
+
+      chart.setTheme({ base: 'light', selection: 'gold' });
+
+      expect(container.querySelector('.site-list-items')).toBe(list);
+      expect(container.getAttribute('data-gsm-theme')).toBe('custom');
+      expect(container.style.getPropertyValue('--gsm-selection')).toBe('gold');
+      expect(chart.data.config.theme).toEqual({ base: 'light', selection: 'gold' });
+    });
+  });
+
+  describe('Multi-select', () => {
+    const click = (index, options = {}) => {
+      container.querySelectorAll('.site-list-item')[index]
+        .dispatchEvent(new MouseEvent('click', { bubbles: true, ...options }));
+    };
+
+    test('ctrl-click adds and removes sites', () => {
+      const chart = new SiteList(container, sampleData);
+
+      click(0);
+      click(2, { ctrlKey: true });
+      expect(chart.data.config.selectedGroupIDs).toEqual(['Site001', 'Site003']);
+
+      click(0, { metaKey: true });
+      expect(chart.data.config.selectedGroupIDs).toBe('Site003');
+    });
+
+    test('shift-click selects the range from the last clicked site', () => {
+      const chart = new SiteList(container, sampleData);
+
+      click(2);
+      click(0, { shiftKey: true });
+      expect(chart.data.config.selectedGroupIDs).toEqual(['Site001', 'Site002', 'Site003']);
+
+      // The range is anchored at the last plain click, so it shrinks again
+      click(1, { shiftKey: true });
+      expect(chart.data.config.selectedGroupIDs).toEqual(['Site002', 'Site003']);
+    });
+
+    test('ctrl+shift-click adds the range to the selection', () => {
+      const chart = new SiteList(container, [...sampleData, { GroupID: 'Site004' }]);
+
+      click(0);
+      click(2, { ctrlKey: true });
+      click(3, { ctrlKey: true, shiftKey: true });
+      expect(chart.data.config.selectedGroupIDs).toEqual(['Site001', 'Site003', 'Site004']);
+    });
+
+    test('dispatches sites-selected and marks all selected items', () => {
+      const chart = new SiteList(container, sampleData);
+      const listener = jest.fn();
+      container.addEventListener('sites-selected', listener);
+
+      chart.selectSites(['Site001', 'Site002']);
+
+      expect(listener.mock.calls[0][0].detail).toEqual({ groupIDs: ['Site001', 'Site002'] });
+      expect(container.querySelectorAll('.site-list-item--selected').length).toBe(2);
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('None');
+    });
+
+    test('ctrl+Enter toggles the focused site', () => {
+      const chart = new SiteList(container, sampleData);
+      chart.selectSite('Site001');
+      const items = container.querySelectorAll('.site-list-item');
+      items[1].focus();
+
+      items[1].dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true, bubbles: true }));
+
+      expect(chart.data.config.selectedGroupIDs).toEqual(['Site001', 'Site002']);
+    });
+  });
+
+  describe('Hover and data updates', () => {
+    test('dispatches site-hovered when the pointer enters an item and leaves the list', () => {
+      new SiteList(container, sampleData);
+      const listener = jest.fn();
+      container.addEventListener('site-hovered', listener);
+
+      container.querySelectorAll('.site-list-item')[1].dispatchEvent(new MouseEvent('mouseenter'));
+      container.querySelector('.site-list-items').dispatchEvent(new MouseEvent('mouseleave'));
+
+      expect(listener.mock.calls.map(call => call[0].detail)).toEqual([{ groupID: 'Site002' }, { groupID: null }]);
+    });
+
+    test('setData replaces the sites and keeps the selection', () => {
+      const chart = new SiteList(container, sampleData, { selectedGroupIDs: 'Site002' });
+
+      chart.setData([{ GroupID: 'Site002' }, { GroupID: 'Site004' }]);
+
+      const items = container.querySelectorAll('.site-list-item');
+      expect(items.length).toBe(2);
+      expect(chart.data.config.selectedGroupIDs).toBe('Site002');
+      expect(container.querySelector('.site-list-item--selected').textContent).toContain('Site002');
+    });
+  });
+
+  describe('Instance Events', () => {
+    test('selectionchange reports user, programmatic and gsm.kri selections', () => {
+      const chart = new SiteList(container, sampleData);
+      const listener = jest.fn();
+      chart.on('selectionchange', listener);
+
+      container.querySelectorAll('.site-list-item')[0].click();
+      chart.selectSites(['Site001', 'Site002']);
+      chart.helpers.updateSelectedGroupIDs('Site003');
+      chart.helpers.updateSelectedGroupIDs('Site003');
+
+      expect(listener.mock.calls.map(call => call[0])).toEqual([
+        { groupIDs: ['Site001'], country: null, source: 'user' },
+        { groupIDs: ['Site001', 'Site002'], country: null, source: 'programmatic' },
+        { groupIDs: ['Site003'], country: null, source: 'gsm.kri' }
+      ]);
+    });
+
+    test('emits hover, render, datachange and destroy', () => {
+      const chart = new SiteList(container, sampleData);
+      const events = [];
+      ['hover', 'render', 'datachange', 'destroy'].forEach(type => {
+        chart.on(type, payload => events.push(type === 'hover' ? [type, payload] : type));
+      });
+
+      chart.hoverSite('Site002');
+      chart.setData(sampleData);
+      chart.destroy();
+
+      expect(events).toEqual([['hover', { groupID: 'Site002', source: 'user' }], 'render', 'datachange', 'destroy']);
+    });
+
+    test('config.on listeners receive the first render', () => {
+      const render = jest.fn();
+
+      const chart = new SiteList(container, sampleData, { on: { render } });
+      chart.selectSite('Site001');
+
+      expect(render).toHaveBeenCalledTimes(2);
+    });
+
+    test('off stops a listener', () => {
+      const chart = new SiteList(container, sampleData);
+      const listener = jest.fn();
+      chart.on('selectionchange', listener);
+      chart.off('selectionchange', listener);
+
+      chart.selectSite('Site001');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('State', () => {
+    test('getState and setState cover the selection and scroll position', () => {
+      const chart = new SiteList(container, sampleData, { syncSelection: false });
+      const listener = jest.fn();
+      chart.on('statechange', listener);
+
+      chart.setState({ selectedGroupIDs: ['Site001', 'Site003'], scrollTop: 40 });
+
+      expect(chart.data.config.selectedGroupIDs).toEqual(['Site001', 'Site003']);
+      expect(container.querySelector('.site-list-container').scrollTop).toBe(40);
+      expect(chart.getState()).toEqual({ selectedGroupIDs: ['Site001', 'Site003'], scrollTop: 40 });
+      expect(listener).toHaveBeenCalledWith({
+        state: { selectedGroupIDs: ['Site001', 'Site003'], scrollTop: 0 },
+        source: 'programmatic'
+      });
+    });
+
+    test('keeps the scroll position when the list is rendered again', () => {
+      const chart = new SiteList(container, sampleData, { syncSelection: false });
+      container.querySelector('.site-list-container').scrollTop = 25;
+
+      chart.selectSite('Site002');
+
+      expect(container.querySelector('.site-list-container').scrollTop).toBe(25);
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import SiteScoreBar from '../src/SiteScoreBar';
+
+// Mock Chart.js
+jest.mock('chart.js/auto', () => {
+  return jest.fn().mockImplementation(function(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    this.destroy = jest.fn();
+    this.update = jest.fn();
+    return this;
+  });
+});
+
+describe('SiteScoreBar', () => {
+  let container;
+  let sampleData;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    sampleData = [
+      { GroupID: '10', Score: '0.5', ExpectedNumerator: '1.2', Flag: '0', Color: '#DEEBF7', Country: 'USA' },
+      { GroupID: '120', Score: '0.99', ExpectedNumerator: '-4.1', Flag: '2', Color: '#3182BD', Country: 'UK' },
+      { GroupID: '30', Score: 'NA', ExpectedNumerator: '0.3', Flag: '0', Color: '#DEEBF7', Country: 'Austria' },
+      { GroupID: '4', Score: '-0.96', ExpectedNumerator: '2.5', Flag: '-1', Color: '#9ECAE1', Country: 'USA' }
+    ];
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  const barLabels = chart => chart.chartInstance.data.labels;
+
+  describe('Initialization', () => {
+    test('renders a horizontal bar per site', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+
+      expect(chart.chartInstance.config.type).toBe('bar');
+      expect(chart.chartInstance.options.indexAxis).toBe('y');
+      expect(barLabels(chart)).toHaveLength(4);
+    });
+
+    test('follows the gsm.kri contract', () => {
+      const chart = new SiteScoreBar(container, sampleData, { thresholds: [-0.95, 0.95] });
+
+      expect(container.classList.contains('gsm-widget')).toBe(true);
+      expect(chart.canvas.chart).toBe(chart);
+      expect(chart.data.config).toBe(chart.config);
+      expect(chart.data._thresholds_).toEqual([-0.95, 0.95]);
+      expect(typeof chart.helpers.updateConfig).toBe('function');
+      expect(typeof chart.helpers.updateSelectedGroupIDs).toBe('function');
+    });
+
+    test('accepts a simaerep data bundle', () => {
+      const chart = new SiteScoreBar(container, { df_label_sites: sampleData });
+      expect(barLabels(chart)).toHaveLength(4);
+    });
+
+    test('colours bars by site Color', () => {
+      const chart = new SiteScoreBar(container, sampleData, { sortBy: 'GroupID' });
+      const colors = chart.chartInstance.data.datasets[0].backgroundColor;
+
+      expect(barLabels(chart)).toEqual(['4', '10', '30', '120']);
+      expect(colors[0]).toBe('rgba(158, 202, 225, 1)');
+    });
+
+    test('falls back to the Flag colour without Color', () => {
+      sampleData.forEach(site => delete site.Color);
+      const chart = new SiteScoreBar(container, sampleData, { sortBy: 'GroupID' });
+
+      expect(chart.chartInstance.data.datasets[0].backgroundColor[3])
+        .toBe('rgba(49, 130, 189, 1)');
+    });
+  });
+
+  describe('Measure', () => {
+    test('plots Score by default', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      const dataset = chart.chartInstance.data.datasets[0];
+
+      expect(dataset.data).toEqual([-0.96, 0.5, 0.99, null]);
+      expect(chart.chartInstance.options.scales.x.title.text).toBe('Over/Under-Reporting Probability');
+    });
+
+    test('plots ExpectedNumerator when configured', () => {
+      const chart = new SiteScoreBar(container, sampleData, { measure: 'ExpectedNumerator', sortBy: 'GroupID' });
+
+      expect(chart.chartInstance.data.datasets[0].data).toEqual([2.5, 1.2, 0.3, -4.1]);
+    });
+
+    test('measure toggle switches the plotted value', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      const toggle = container.querySelector('.site-score-bar-measure');
+
+      toggle.value = 'ExpectedNumerator';
+      toggle.dispatchEvent(new Event('change'));
+
+      expect(chart.data.config.measure).toBe('ExpectedNumerator');
+      expect(chart.chartInstance.options.scales.x.title.text).toBe('Delta Expected AEs');
+    });
+
+    test('uses metric labels', () => {
+      const chart = new SiteScoreBar(container, sampleData, {
+        metric: { Score: 'Probability', ExpectedNumerator: 'Delta PDs' }
+      });
+      const options = Array.from(container.querySelectorAll('.site-score-bar-measure option'));
+
+      expect(options.map(option => option.textContent)).toEqual(['Probability', 'Delta PDs']);
+      expect(chart.chartInstance.data.datasets[0].label).toBe('Probability');
+    });
+  });
+
+  describe('Sorting', () => {
+    test('sorts numeric columns numerically with missing values last', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      expect(barLabels(chart)).toEqual(['4', '10', '120', '30']);
+    });
+
+    test('sorts descending', () => {
+      const chart = new SiteScoreBar(container, sampleData, { sortOrder: 'descending' });
+      expect(barLabels(chart)).toEqual(['120', '10', '4', '30']);
+    });
+
+    test('sorts text columns alphabetically', () => {
+      const chart = new SiteScoreBar(container, sampleData, { sortBy: 'Country' });
+      expect(barLabels(chart)).toEqual(['30', '120', '10', '4']);
+    });
+
+    test('sort control lists every df_label_sites column', () => {
+      new SiteScoreBar(container, sampleData);
+      const options = Array.from(container.querySelectorAll('.site-score-bar-sort option'));
+
+      expect(options.map(option => option.value))
+        .toEqual(['GroupID', 'Score', 'ExpectedNumerator', 'Flag', 'Color', 'Country']);
+    });
+
+    test('sort control and order button re-sort the bars', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      const sortSelect = container.querySelector('.site-score-bar-sort');
+
+      sortSelect.value = 'ExpectedNumerator';
+      sortSelect.dispatchEvent(new Event('change'));
+      expect(barLabels(chart)).toEqual(['120', '30', '10', '4']);
+
+      container.querySelector('.site-score-bar-order').click();
+      expect(chart.data.config.sortOrder).toBe('descending');
+      expect(barLabels(chart)).toEqual(['4', '10', '30', '120']);
+    });
+  });
+
+  describe('Thresholds', () => {
+    test('uses gsm.kri thresholds', () => {
+      const chart = new SiteScoreBar(container, sampleData, {
+        thresholds: { lower: -0.95, upper: 0.95 },
+        metric: { Threshold: '-0.99,-0.95,0.95,0.99' }
+      });
+
+      expect(chart.getThresholds()).toEqual([-0.95, 0.95]);
+    });
+
+    test('falls back to df_metric.Threshold', () => {
+      const chart = new SiteScoreBar(container, sampleData, {
+        metric: { Threshold: '-0.99,-0.95,0.95,0.99' }
+      });
+
+      expect(chart.getThresholds()).toEqual([-0.99, -0.95, 0.95, 0.99]);
+      expect(chart.chartInstance.options.scales.x.suggestedMin).toBe(-0.99);
+      expect(chart.chartInstance.options.scales.x.suggestedMax).toBe(0.99);
+    });
+
+    test('draws a dashed line per threshold', () => {
+      const chart = new SiteScoreBar(container, sampleData, { thresholds: [-0.95, 0.95] });
+      const plugin = chart.chartInstance.config.plugins[0];
+      const ctx = {
+        save: jest.fn(),
+        restore: jest.fn(),
+        setLineDash: jest.fn(),
+        beginPath: jest.fn(),
+        moveTo: jest.fn(),
+        lineTo: jest.fn(),
+        stroke: jest.fn(),
+        fillText: jest.fn()
+      };
+
+      plugin.afterDatasetsDraw({
+        ctx,
+        chartArea: { left: 0, right: 200, top: 10, bottom: 110 },
+        scales: { x: { getPixelForValue: value => value * 100 + 100 } }
+      });
+
+      expect(ctx.stroke).toHaveBeenCalledTimes(2);
+      expect(ctx.moveTo).toHaveBeenCalledWith(5, 10);
+      expect(ctx.setLineDash).toHaveBeenCalledWith([4, 4]);
+    });
+
+    test('colors threshold lines with the threshold tokens of the theme', () => {
+      const chart = new SiteScoreBar(container, sampleData, { thresholds: [-2, -1, 1, 2], theme: 'dark' });
+      const plugin = chart.chartInstance.config.plugins[0];
+      const colors = [];
+      const ctx = {
+        save: jest.fn(),
+        restore: jest.fn(),
+        setLineDash: jest.fn(),
+        beginPath: jest.fn(),
+        moveTo: jest.fn(),
+        lineTo: jest.fn(),
+        stroke: jest.fn(() => colors.push(ctx.strokeStyle)),
+        fillText: jest.fn()
+      };
+
+      plugin.afterDatasetsDraw({
+        ctx,
+        chartArea: { left: 0, right: 600, top: 10, bottom: 110 },
+        scales: { x: { getPixelForValue: value => value * 100 + 300 } }
+      });
+
+      expect(colors).toEqual(['#ff7b72', '#f6c26b', '#f6c26b', '#ff7b72']);
+    });
+
+    test('omits threshold lines for ExpectedNumerator', () => {
+      const chart = new SiteScoreBar(container, sampleData, {
+        thresholds: [-0.95, 0.95],
+        measure: 'ExpectedNumerator'
+      });
+
+      expect(chart.chartInstance.options.scales.x.suggestedMin).toBeUndefined();
+    });
+
+    test('new thresholds reclassify the Flag and Color of each site', () => {
+      const chart = new SiteScoreBar(container, sampleData, { thresholds: [-0.95, 0.95] });
+
+      chart.helpers.updateConfig(chart, {}, [-0.6, -0.4, 0.4, 0.6]);
+
+      const site = chart.data.sites.find(row => row.GroupID === '10');
+      expect(site).toEqual(expect.objectContaining({ Flag: 1, Color: '#9ECAE1' }));
+      expect(chart.data.sites.find(row => row.GroupID === '30').Flag).toBe('0');
+      expect(chart.chartInstance.options.scales.x.suggestedMin).toBe(-0.6);
+    });
+  });
+
+  describe('Selection', () => {
+    test('dims unselected bars and outlines the selected site', () => {
+      const chart = new SiteScoreBar(container, sampleData, { selectedGroupIDs: '120' });
+      const dataset = chart.chartInstance.data.datasets[0];
+      const index = barLabels(chart).indexOf('120');
+
+      expect(dataset.borderWidth[index]).toBe(2);
+      expect(dataset.backgroundColor[index]).toBe('rgba(49, 130, 189, 1)');
+      expect(dataset.backgroundColor[0]).toContain('0.2');
+    });
+
+    test('supports several selected sites', () => {
+      const chart = new SiteScoreBar(container, sampleData, { selectedGroupIDs: ['10', '4'] });
+      expect(chart.chartInstance.data.datasets[0].borderWidth).toEqual([2, 2, 0, 0]);
+    });
+
+    test('clicking a bar selects the site', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      const listener = jest.fn();
+      container.addEventListener('site-selected', listener);
+
+      chart.chartInstance.options.onClick({}, [{ index: 2 }]);
+
+      expect(chart.data.config.selectedGroupIDs).toBe('120');
+      expect(container.querySelector('.gsm-widget-control--group').value).toBe('120');
+      expect(listener.mock.calls[0][0].detail).toEqual({ groupID: '120' });
+    });
+
+    test('gsm.kri selection restyles without re-rendering', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      const chartInstance = chart.chartInstance;
+
+      chart.helpers.updateConfig(chart, { selectedGroupIDs: '10' });
+
+      expect(chart.chartInstance).toBe(chartInstance);
+      expect(chartInstance.update).toHaveBeenCalledWith('none');
+      expect(chartInstance.data.datasets[0].borderWidth[1]).toBe(2);
+    });
+
+    test('updateConfig with other options re-renders', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      const chartInstance = chart.chartInstance;
+
+      chart.helpers.updateConfig(chart, { sortBy: 'GroupID' });
+
+      expect(chart.chartInstance).not.toBe(chartInstance);
+      expect(chartInstance.destroy).toHaveBeenCalled();
+    });
+
+    test('updateConfig with new thresholds re-renders', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+
+      chart.helpers.updateConfig(chart, {}, [-0.9, 0.9]);
+
+      expect(chart.getThresholds()).toEqual([-0.9, 0.9]);
+      expect(chart.chartInstance.options.scales.x.suggestedMax).toBe(0.9);
+    });
+  });
+
+  describe('Cleanup', () => {
+    test('destroy destroys the chart and clears the container', () => {
+      const chart = new SiteScoreBar(container, sampleData);
+      const chartInstance = chart.chartInstance;
+
+      chart.destroy();
+
+      expect(chartInstance.destroy).toHaveBeenCalled();
+      expect(container.innerHTML).toBe('');
+    });
+  });
+
+  describe('Theming', () => {
+    test('drives axis colors and the selection outline from the theme', () => {
+      const chart = new SiteScoreBar(container, sampleData, { theme: 'dark', selectedGroupIDs: '120' });
+      const index = barLabels(chart).indexOf('120');
+
+      expect(chart.chartInstance.options.scales.x.grid.color).toBe(chart.theme.grid);
+      expect(chart.chartInstance.options.scales.y.ticks.color).toBe(chart.theme.textMuted);
+      expect(chart.chartInstance.data.datasets[0].borderColor[index]).toBe(chart.theme.text);
+    });
+
+    test('updateConfig with a theme restyles without re-rendering', () => {
+      const chart = new SiteScoreBar(container, sampleData, { selectedGroupIDs: '120' });
+      const chartInstance = chart.chartInstance;
+      const index = barLabels(chart).indexOf('120');
+
+      chart.helpers.updateConfig(chart, { theme: 'highContrast' });
+
+      expect(chart.chartInstance).toBe(chartInstance);
+      expect(chartInstance.update).toHaveBeenCalledWith('none');
+      expect(chartInstance.options.scales.x.grid.color).toBe('#808080');
+      expect(chartInstance.data.datasets[0].borderColor[index]).toBe('#ffffff');
+      expect(container.getAttribute('data-gsm-theme')).toBe('highContrast');
+    });
+  });
+});
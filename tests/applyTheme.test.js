@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import applyTheme from '../src/util/applyTheme.js';
+import resolveTheme from '../src/util/resolveTheme.js';
+import themes from '../src/util/themes.js';
+
+describe('resolveTheme', () => {
+  test('defaults to the light theme', () => {
+    expect(resolveTheme()).toEqual({ ...themes.light, name: 'light' });
+  });
+
+  test('resolves built-in themes by name', () => {
+    expect(resolveTheme('dark').grid).toBe(themes.dark.grid);
+    expect(resolveTheme('highContrast').name).toBe('highContrast');
+  });
+
+  test('built-in themes define the same tokens', () => {
+    const keys = Object.keys(themes.light).sort();
+    expect(Object.keys(themes.dark).sort()).toEqual(keys);
+    expect(Object.keys(themes.highContrast).sort()).toEqual(keys);
+  });
+
+  test('merges custom tokens over their base theme', () => {
+    const theme = resolveTheme({ base: 'dark', accent: 'purple' });
+
+    expect(theme.accent).toBe('purple');
+    expect(theme.background).toBe(themes.dark.background);
+    expect(theme.name).toBe('custom');
+    expect(theme.base).toBeUndefined();
+  });
+
+  test('falls back to light for unknown names', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(resolveTheme('sepia').name).toBe('light');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Unknown theme "sepia"'));
+
+    warn.mockRestore();
+  });
+});
+
+describe('applyTheme', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    document.querySelectorAll('#gsm-theme-styles').forEach(style => style.remove());
+  });
+
+  test('sets a custom property per token', () => {
+    const theme = applyTheme(container, 'dark');
+
+    expect(theme.name).toBe('dark');
+    expect(container.style.getPropertyValue('--gsm-accent')).toBe(themes.dark.accent);
+    expect(container.style.getPropertyValue('--gsm-surface-hover')).toBe(themes.dark.surfaceHover);
+    expect(container.style.getPropertyValue('--gsm-font')).toBe('roboto, sans-serif');
+    expect(container.getAttribute('data-gsm-theme')).toBe('dark');
+  });
+
+  test('adds the theme stylesheet to the document once', () => {
+    applyTheme(container, 'light');
+    applyTheme(document.createElement('div'), 'dark');
+
+    const styles = document.head.querySelectorAll('#gsm-theme-styles');
+    expect(styles).toHaveLength(1);
+    expect(styles[0].textContent).toContain('background-color: var(--gsm-selection)');
+  });
+
+  test('adds the theme stylesheet to a shadow root', () => {
+    const host = document.createElement('div');
+    container.appendChild(host);
+    const shadowRoot = host.attachShadow({ mode: 'open' });
+    const widget = document.createElement('div');
+    shadowRoot.appendChild(widget);
+
+    applyTheme(widget, 'highContrast');
+
+    expect(shadowRoot.querySelector('#gsm-theme-styles')).not.toBeNull();
+    expect(widget.style.getPropertyValue('--gsm-accent')).toBe(themes.highContrast.accent);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import SiteList from '../src/SiteList.js';
+import Simaerep from '../src/Simaerep.js';
+import bindShiny from '../src/util/bindShiny.js';
+
+// Mock d3 to avoid ES module issues, nesting like d3.rollup so groupMetadata is structured
+jest.mock('d3', () => {
+  const rollup = (data, reducer, key, ...keys) => {
+    const map = new Map();
+    data.forEach(item => {
+      const value = key(item);
+      if (!map.has(value)) {
+        map.set(value, []);
+      }
+      map.get(value).push(item);
+    });
+    map.forEach((items, value) => {
+      map.set(value, keys.length > 0 ? rollup(items, reducer, ...keys) : reducer(items));
+    });
+    return map;
+  };
+  return { rollup };
+});
+
+// Mock Chart.js
+jest.mock('chart.js/auto', () => {
+  return jest.fn().mockImplementation(function(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    this.destroy = jest.fn();
+    this.update = jest.fn();
+    this.resize = jest.fn();
+    return this;
+  });
+});
+
+describe('bindShiny', () => {
+  let container;
+  let shiny;
+  let unbind;
+
+  // Last value set for input$<name>
+  const inputValue = (name) => {
+    const calls = shiny.setInputValue.mock.calls.filter(([inputName]) => inputName === name);
+    return calls.length > 0 ? calls[calls.length - 1][1] : undefined;
+  };
+  // Send a server message as session$sendCustomMessage('gsm-simaerep-viz', message)
+  const sendMessage = (message) => {
+    const [type, handler] = shiny.addCustomMessageHandler.mock.calls[0];
+    expect(type).toBe('gsm-simaerep-viz');
+    handler(message);
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    shiny = { setInputValue: jest.fn(), addCustomMessageHandler: jest.fn() };
+    unbind = null;
+  });
+
+  afterEach(() => {
+    if (unbind) unbind();
+    document.body.removeChild(container);
+  });
+
+  const sites = [
+    { GroupID: 'Site001', Country: 'USA' },
+    { GroupID: 'Site002', Country: 'USA' },
+    { GroupID: 'Site003', Country: 'UK' },
+  ];
+
+  test('does nothing outside of Shiny', () => {
+    const chart = new SiteList(container, sites);
+    expect(bindShiny(chart, 'sites', undefined)).toBeNull();
+  });
+
+  test('sends the initial selection and reports selections and hover', () => {
+    const chart = new SiteList(container, sites, { selectedGroupIDs: 'Site002' });
+    unbind = bindShiny(chart, 'sites', shiny);
+
+    expect(inputValue('sites_selected_group')).toBe('Site002');
+    expect(inputValue('sites_hovered_group')).toBeNull();
+    // SiteList has no country or patient selection
+    expect(inputValue('sites_selected_country')).toBeUndefined();
+
+    chart.selectSites(['Site001', 'Site003']);
+    expect(inputValue('sites_selected_group')).toEqual(['Site001', 'Site003']);
+
+    chart.selectSite('None');
+    expect(inputValue('sites_selected_group')).toBeNull();
+
+    container.querySelectorAll('.site-list-item')[2].dispatchEvent(new MouseEvent('mouseenter'));
+    expect(inputValue('sites_hovered_group')).toBe('Site003');
+  });
+
+  test('reports country and patient selections', () => {
+    const chart = {
+      container,
+      data: { config: { selectedGroupIDs: 'None' } },
+      selectedCountry: 'None',
+      selectCountry: jest.fn(),
+      selectPatient: jest.fn(),
+    };
+    unbind = bindShiny(chart, 'simaerep', shiny);
+    expect(inputValue('simaerep_selected_country')).toBeNull();
+    expect(inputValue('simaerep_selected_patient')).toBeNull();
+
+    container.dispatchEvent(new CustomEvent('country-selected', { detail: { country: 'USA', groupIDs: ['Site001', 'Site002'] } }));
+    expect(inputValue('simaerep_selected_country')).toBe('USA');
+    expect(inputValue('simaerep_selected_group')).toEqual(['Site001', 'Site002']);
+
+    container.dispatchEvent(new CustomEvent('site-selected', { detail: { groupID: 'Site003' } }));
+    expect(inputValue('simaerep_selected_country')).toBeNull();
+
+    container.dispatchEvent(new CustomEvent('patient-selected', { detail: { groupID: 'Site003', subjectID: '001', patient: {} } }));
+    expect(inputValue('simaerep_selected_patient')).toEqual({ groupID: 'Site003', subjectID: '001' });
+  });
+
+  test('select and replaceData messages update the chart in place', () => {
+    const chart = new SiteList(container, sites);
+    unbind = bindShiny(chart, 'sites', shiny);
+    const canvas = container.querySelector('canvas');
+
+    sendMessage({ id: 'sites', action: 'select', groupIDs: ['Site001', 'Site002'] });
+    expect(chart.data.config.selectedGroupIDs).toEqual(['Site001', 'Site002']);
+
+    sendMessage({ id: 'sites', action: 'select', groupIDs: 'Site003' });
+    expect(chart.data.config.selectedGroupIDs).toBe('Site003');
+
+    // Data frames arrive in column format
+    sendMessage({ id: 'sites', action: 'replaceData', data: { GroupID: ['Site010', 'Site011'], Country: ['FR', 'DE'] } });
+    expect(container.querySelectorAll('.site-list-item').length).toBe(2);
+    expect(container.querySelector('canvas')).toBe(canvas);
+    expect(canvas.chart).toBe(chart);
+  });
+
+  test('selectCountry messages select the sites of a chart without a country selector', () => {
+    Element.prototype.scrollIntoView = jest.fn();
+    const bundle = {
+      df_mean_study: [{ Denominator: '1', cum_mean_dev_event: '0' }],
+      df_mean_group_flagged: [{ GroupID: '120', Denominator: '1', cum_mean_dev_event: '1' }],
+      df_mean_group_not_flagged: [{ GroupID: '10', Denominator: '1', cum_mean_dev_event: '0' }],
+      df_label_sites: [{ GroupID: '10', Flag: '0' }, { GroupID: '120', Flag: '2' }]
+    };
+    const chart = new Simaerep(container, bundle, {
+      showCountrySelector: false,
+      syncSelection: false,
+      groupMetadata: [
+        { GroupID: '10', Param: 'Country', Value: 'US', GroupLevel: 'Site' },
+        { GroupID: '120', Param: 'Country', Value: 'US', GroupLevel: 'Site' },
+      ],
+    });
+    unbind = bindShiny(chart, 'simaerep', shiny);
+
+    sendMessage({ id: 'simaerep', action: 'selectCountry', country: 'US' });
+
+    expect(container.querySelector('.gsm-widget-control--country')).toBeNull();
+    expect(chart.data.config.selectedGroupIDs).toEqual(['10', '120']);
+    expect(inputValue('simaerep_selected_country')).toBe('US');
+    chart.destroy();
+  });
+
+  test('routes zoom, country and data bundle messages by output ID', () => {
+    const chart = {
+      container,
+      data: { config: { selectedGroupIDs: 'None' } },
+      selectCountry: jest.fn(),
+      setZoom: jest.fn(),
+      resetZoom: jest.fn(),
+      setData: jest.fn(),
+    };
+    const other = { ...chart, container: document.createElement('div'), setZoom: jest.fn() };
+    unbind = bindShiny(chart, 'simaerep', shiny);
+    const unbindOther = bindShiny(other, 'other', shiny);
+
+    // One message handler for all bound charts
+    expect(shiny.addCustomMessageHandler).toHaveBeenCalledTimes(1);
+
+    sendMessage({ id: 'simaerep', action: 'zoom', x: { min: 0, max: 10 } });
+    expect(chart.setZoom).toHaveBeenCalledWith('overview', { x: { min: 0, max: 10 } });
+    expect(other.setZoom).not.toHaveBeenCalled();
+
+    sendMessage({ id: 'simaerep', action: 'resetZoom', panel: '120' });
+    expect(chart.resetZoom).toHaveBeenCalledWith('120');
+
+    sendMessage({ id: 'simaerep', action: 'selectCountry', country: null });
+    expect(chart.selectCountry).toHaveBeenCalledWith('None');
+
+    sendMessage({ id: 'simaerep', action: 'replaceData', data: { df_label_sites: { GroupID: ['10', '120'], Flag: ['0', '2'] } } });
+    expect(chart.setData).toHaveBeenCalledWith({
+      df_label_sites: [{ GroupID: '10', Flag: '0' }, { GroupID: '120', Flag: '2' }],
+    });
+
+    // Unbound charts no longer receive messages
+    unbindOther();
+    sendMessage({ id: 'other', action: 'zoom', y: null });
+    expect(other.setZoom).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the client-side simaerep engine
+ */
+
+import computeSimaerep from '../src/util/computeSimaerep.js';
+import dfVisit from '../examples/data/csv/df_visit.json';
+import dfMeanGroupFlagged from '../examples/data/csv/df_mean_group_flagged.json';
+import dfLabelSites from '../examples/data/csv/df_label_sites.json';
+
+describe('computeSimaerep', () => {
+  // Keep simulations small so the suite stays fast
+  const options = { r: 200, seed: 42 };
+  // The example df_visit only covers a subset of the sites in the R output
+  const visitGroupIDs = new Set(dfVisit.map(row => row.GroupID));
+  let result;
+
+  beforeAll(() => {
+    result = computeSimaerep(dfVisit, options);
+  });
+
+  describe('Output structure', () => {
+    test('returns all tables consumed by Simaerep', () => {
+      expect(result).toHaveProperty('df_mean_study');
+      expect(result).toHaveProperty('df_mean_group_flagged');
+      expect(result).toHaveProperty('df_mean_group_not_flagged');
+      expect(result).toHaveProperty('df_label_sites');
+    });
+
+    test('creates one label row per site', () => {
+      expect(result.df_label_sites.length).toBe(visitGroupIDs.size);
+    });
+
+    test('splits curves by Flag', () => {
+      const flagged = new Set(result.df_label_sites.filter(d => d.Flag !== 0).map(d => d.GroupID));
+      result.df_mean_group_flagged.forEach(row => expect(flagged.has(row.GroupID)).toBe(true));
+      result.df_mean_group_not_flagged.forEach(row => expect(flagged.has(row.GroupID)).toBe(false));
+    });
+
+    test('handles empty input', () => {
+      const empty = computeSimaerep([]);
+      expect(empty.df_mean_study).toEqual([]);
+      expect(empty.df_label_sites).toEqual([]);
+    });
+
+    test('rejects unknown methods', () => {
+      expect(() => computeSimaerep(dfVisit, { method: 'unknown' })).toThrow(/Unknown simaerep method/);
+    });
+  });
+
+  describe('Observed values', () => {
+    test('site curves match R output', () => {
+      const computed = [...result.df_mean_group_flagged, ...result.df_mean_group_not_flagged];
+
+      dfMeanGroupFlagged.filter(d => visitGroupIDs.has(d.GroupID)).forEach(expected => {
+        const row = computed.find(
+          d => d.GroupID === expected.GroupID && d.Denominator === expected.Denominator
+        );
+        expect(row).toBeDefined();
+        expect(row.cum_mean_dev_event).toBeCloseTo(expected.cum_mean_dev_event, 10);
+      });
+    });
+
+    test('site totals match R output', () => {
+      dfLabelSites.filter(d => visitGroupIDs.has(d.GroupID)).forEach(expected => {
+        const row = result.df_label_sites.find(d => d.GroupID === expected.GroupID);
+        expect(row.Numerator).toBe(expected.Numerator);
+        expect(row.Denominator).toBe(expected.Denominator);
+        if (expected.nSubjects !== 'NA') {
+          expect(row.nSubjects).toBe(expected.nSubjects);
+        }
+      });
+    });
+
+    test('study curve accumulates mean increments of all patients', () => {
+      const firstVisit = dfVisit.filter(row => row.Denominator === 1);
+      const expected = firstVisit.reduce((acc, row) => acc + row.Numerator, 0) / firstVisit.length;
+      expect(result.df_mean_study[0].Denominator).toBe(1);
+      expect(result.df_mean_study[0].cum_mean_dev_event).toBeCloseTo(expected, 10);
+    });
+  });
+
+  describe('Scores and flags', () => {
+    test('is deterministic for a given seed', () => {
+      const repeat = computeSimaerep(dfVisit, options);
+      expect(repeat).toEqual(result);
+    });
+
+    test('scores are probabilities between -1 and 1', () => {
+      result.df_label_sites.forEach(site => {
+        expect(site.Score).toBeGreaterThanOrEqual(-1);
+        expect(site.Score).toBeLessThanOrEqual(1);
+        expect(Math.abs(site.ScoreMult)).toBeLessThanOrEqual(Math.abs(site.Score));
+      });
+    });
+
+    test('extreme sites are flagged in the same direction as R', () => {
+      ['0X159', '0X175', '0X027'].forEach(groupID => {
+        expect(result.df_label_sites.find(d => d.GroupID === groupID).Flag).toBeGreaterThan(0);
+      });
+      ['0X153', '0X126', '0X003'].forEach(groupID => {
+        expect(result.df_label_sites.find(d => d.GroupID === groupID).Flag).toBeLessThan(0);
+      });
+    });
+
+    test('Flag and Color follow thresholds', () => {
+      const custom = computeSimaerep(dfVisit, { ...options, thresholds: '-1.1, -1.05, 1.05, 1.1' });
+      custom.df_label_sites.forEach(site => {
+        expect(site.Flag).toBe(0);
+        expect(site.Color).toBe('#DEEBF7');
+      });
+      expect(custom.df_mean_group_flagged).toEqual([]);
+    });
+
+    test('ExpectedNumerator sign matches Score sign', () => {
+      result.df_label_sites
+        .filter(site => Math.abs(site.Score) === 1)
+        .forEach(site => {
+          expect(Math.sign(site.ExpectedNumerator)).toBe(Math.sign(site.Score));
+        });
+    });
+
+    test('sorts sites by absolute Score', () => {
+      const scores = result.df_label_sites.map(site => Math.abs(site.Score));
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+
+    test('supports the bootstrap method', () => {
+      const bootstrap = computeSimaerep(dfVisit, { ...options, method: 'bootstrap' });
+      expect(bootstrap.df_label_sites.find(d => d.GroupID === '0X159').Flag).toBeGreaterThan(0);
+      expect(bootstrap.df_label_sites.find(d => d.GroupID === '0X153').Flag).toBeLessThan(0);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for createCrosshairPlugin and interpolateY
+ */
+
+import createCrosshairPlugin from '../src/util/createCrosshairPlugin.js';
+import interpolateY from '../src/util/interpolateY.js';
+
+/**
+ * Minimal stand-in for a Chart.js chart with linear 0..100 scales
+ * drawn on a 0..200 pixel chart area
+ */
+function createChart() {
+  return {
+    chartArea: { left: 0, right: 200, top: 0, bottom: 200 },
+    scales: {
+      x: {
+        getValueForPixel: pixel => pixel / 2,
+        getPixelForValue: value => value * 2,
+      },
+      y: {
+        getPixelForValue: value => 200 - value * 2,
+      },
+    },
+    ctx: {
+      save: jest.fn(),
+      restore: jest.fn(),
+      setLineDash: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      stroke: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      fillRect: jest.fn(),
+      fillText: jest.fn(),
+      measureText: text => ({ width: text.length * 6 }),
+    },
+  };
+}
+
+const crosshair = {
+  x: 25,
+  label: 'Visits: 25',
+  lines: [
+    { label: 'Site 120', y: 10, color: '#3182BD' },
+    { label: 'Study', y: null, color: '#000000' },
+  ],
+  color: '#666666',
+  textColor: '#000000',
+  background: '#ffffff',
+};
+
+describe('createCrosshairPlugin', () => {
+  let chart;
+
+  beforeEach(() => {
+    chart = createChart();
+  });
+
+  test('reports the x value under the pointer', () => {
+    const onHover = jest.fn();
+    const plugin = createCrosshairPlugin({ getCrosshair: () => null, onHover });
+
+    plugin.afterEvent(chart, { event: { type: 'mousemove', x: 50, y: 20 } });
+    plugin.afterEvent(chart, { event: { type: 'mousemove', x: 250, y: 20 } });
+    plugin.afterEvent(chart, { event: { type: 'mouseout', x: 0, y: 0 } });
+
+    expect(onHover.mock.calls).toEqual([[chart, 25], [chart, null], [chart, null]]);
+  });
+
+  test('ignores pointer events without onHover', () => {
+    const plugin = createCrosshairPlugin({ getCrosshair: () => null });
+    expect(() => plugin.afterEvent(chart, { event: { type: 'mousemove', x: 50, y: 20 } })).not.toThrow();
+  });
+
+  test('draws a vertical line with a point and label per line value', () => {
+    const plugin = createCrosshairPlugin({ getCrosshair: () => crosshair });
+
+    plugin.afterDatasetsDraw(chart);
+
+    expect(chart.ctx.moveTo).toHaveBeenCalledWith(50, 0);
+    expect(chart.ctx.lineTo).toHaveBeenCalledWith(50, 200);
+    expect(chart.ctx.arc).toHaveBeenCalledTimes(1);
+    expect(chart.ctx.arc.mock.calls[0].slice(0, 2)).toEqual([50, 180]);
+    expect(chart.ctx.fillText.mock.calls.map(call => call[0])).toEqual(['Visits: 25', 'Site 120: 10.00']);
+  });
+
+  test('draws nothing without a crosshair or outside the chart area', () => {
+    createCrosshairPlugin({ getCrosshair: () => null }).afterDatasetsDraw(chart);
+    createCrosshairPlugin({ getCrosshair: () => ({ ...crosshair, x: 150 }) }).afterDatasetsDraw(chart);
+
+    expect(chart.ctx.stroke).not.toHaveBeenCalled();
+  });
+
+  test('flips the label to the left near the right edge', () => {
+    const plugin = createCrosshairPlugin({ getCrosshair: () => ({ ...crosshair, x: 95 }) });
+
+    plugin.afterDatasetsDraw(chart);
+
+    const [left] = chart.ctx.fillRect.mock.calls[0];
+    expect(left).toBeLessThan(190);
+  });
+});
+
+describe('interpolateY', () => {
+  const points = [{ x: 3, y: 6 }, { x: 1, y: 2 }, { x: 2, y: 2 }];
+
+  test('returns the y value of a point', () => {
+    expect(interpolateY(points, 2)).toBe(2);
+    expect(interpolateY(points, 3)).toBe(6);
+  });
+
+  test('interpolates between points', () => {
+    expect(interpolateY(points, 2.5)).toBe(4);
+    expect(interpolateY(points, 1.5)).toBe(2);
+  });
+
+  test('returns null outside the x range', () => {
+    expect(interpolateY(points, 0.5)).toBeNull();
+    expect(interpolateY(points, 4)).toBeNull();
+    expect(interpolateY([], 1)).toBeNull();
+    expect(interpolateY(points, NaN)).toBeNull();
+  });
+});
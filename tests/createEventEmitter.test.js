@@ -0,0 +1,68 @@
+import createEventEmitter from '../src/util/createEventEmitter.js';
+
+describe('createEventEmitter', () => {
+  test('calls listeners with the payload until they are removed', () => {
+    const events = createEventEmitter();
+    const listener = jest.fn();
+
+    const remove = events.on('render', listener);
+    events.emit('render', { n: 1 });
+    remove();
+    events.emit('render', { n: 2 });
+
+    expect(listener.mock.calls).toEqual([[{ n: 1 }]]);
+  });
+
+  test('off removes on() and once() listeners', () => {
+    const events = createEventEmitter();
+    const listener = jest.fn();
+    const onceListener = jest.fn();
+
+    events.on('hover', listener);
+    events.once('hover', onceListener);
+    events.off('hover', listener);
+    events.off('hover', onceListener);
+    events.emit('hover', {});
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(onceListener).not.toHaveBeenCalled();
+  });
+
+  test('once listeners fire a single time without skipping other listeners', () => {
+    const events = createEventEmitter();
+    const onceListener = jest.fn();
+    const listener = jest.fn();
+
+    events.once('zoom', onceListener);
+    events.on('zoom', listener);
+    events.emit('zoom', {});
+    events.emit('zoom', {});
+
+    expect(onceListener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects listeners that are not functions', () => {
+    expect(() => createEventEmitter().on('render', null)).toThrow('Listener of "render" must be a function');
+  });
+
+  test('tracks the source of the outermost change', () => {
+    const events = createEventEmitter();
+    const sources = [];
+
+    sources.push(events.getSource());
+    events.withSource('user', () => {
+      events.withSource('gsm.kri', () => sources.push(events.getSource()));
+    });
+    sources.push(events.getSource());
+
+    expect(sources).toEqual(['programmatic', 'user', 'programmatic']);
+  });
+
+  test('resets the source when the change throws', () => {
+    const events = createEventEmitter();
+
+    expect(() => events.withSource('user', () => { throw new Error('failed'); })).toThrow('failed');
+    expect(events.getSource()).toBe('programmatic');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import createLassoPlugin from '../src/util/createLassoPlugin.js';
+import getSelectedGroupIDs from '../src/util/getSelectedGroupIDs.js';
+import lineCrossesPolygon from '../src/util/lineCrossesPolygon.js';
+import normalizeSelection from '../src/util/normalizeSelection.js';
+
+/**
+ * Minimal stand-in for a Chart.js chart with a 0..200 pixel chart area
+ */
+function createChart() {
+  const canvas = document.createElement('canvas');
+  const parent = document.createElement('div');
+  parent.appendChild(canvas);
+  document.body.appendChild(parent);
+
+  return {
+    canvas,
+    chartArea: { left: 0, right: 200, top: 0, bottom: 200 },
+  };
+}
+
+function mouse(type, x, y, options = {}) {
+  return new MouseEvent(type, { clientX: x, clientY: y, button: 0, bubbles: true, ...options });
+}
+
+function drawLasso(chart, points, options = { altKey: true }) {
+  const [first, ...rest] = points;
+  chart.canvas.dispatchEvent(mouse('mousedown', first[0], first[1], options));
+  rest.forEach(([x, y]) => window.dispatchEvent(mouse('mousemove', x, y, options)));
+  const last = points[points.length - 1];
+  window.dispatchEvent(mouse('mouseup', last[0], last[1], options));
+}
+
+describe('createLassoPlugin', () => {
+  let chart;
+  let onLasso;
+  let plugin;
+
+  beforeEach(() => {
+    chart = createChart();
+    onLasso = jest.fn();
+    plugin = createLassoPlugin({ onLasso });
+    plugin.afterInit(chart);
+  });
+
+  afterEach(() => {
+    plugin.beforeDestroy(chart);
+    document.body.innerHTML = '';
+  });
+
+  test('alt + drag reports the lasso polygon', () => {
+    drawLasso(chart, [[10, 10], [100, 10], [100, 100], [10, 100]]);
+
+    expect(onLasso).toHaveBeenCalledTimes(1);
+    const [calledChart, polygon] = onLasso.mock.calls[0];
+    expect(calledChart).toBe(chart);
+    expect(polygon).toEqual([
+      { x: 10, y: 10 },
+      { x: 100, y: 10 },
+      { x: 100, y: 100 },
+      { x: 10, y: 100 },
+    ]);
+  });
+
+  test('draws an SVG overlay while dragging and removes it on mouseup', () => {
+    chart.canvas.dispatchEvent(mouse('mousedown', 10, 10, { altKey: true }));
+    window.dispatchEvent(mouse('mousemove', 100, 10, { altKey: true }));
+
+    const polygon = chart.canvas.parentNode.querySelector('.simaerep-lasso polygon');
+    expect(polygon).not.toBeNull();
+    expect(polygon.getAttribute('points')).toBe('10,10 100,10');
+
+    window.dispatchEvent(mouse('mouseup', 100, 10, { altKey: true }));
+    expect(chart.canvas.parentNode.querySelector('.simaerep-lasso')).toBeNull();
+  });
+
+  test('ignores drags without the modifier key', () => {
+    drawLasso(chart, [[10, 10], [100, 10], [100, 100]], {});
+
+    expect(onLasso).not.toHaveBeenCalled();
+  });
+
+  test('ignores lassos with fewer than three points', () => {
+    drawLasso(chart, [[10, 10], [11, 11], [100, 100]]);
+
+    expect(onLasso).not.toHaveBeenCalled();
+  });
+
+  test('stops other mousedown listeners from starting a pan', () => {
+    const onMouseDown = jest.fn();
+    chart.canvas.addEventListener('mousedown', onMouseDown);
+
+    drawLasso(chart, [[10, 10], [100, 10], [100, 100]]);
+
+    expect(onMouseDown).not.toHaveBeenCalled();
+  });
+
+  test('uses a configurable modifier key', () => {
+    plugin.beforeDestroy(chart);
+    plugin = createLassoPlugin({ onLasso, modifier: 'shift' });
+    plugin.afterInit(chart);
+
+    drawLasso(chart, [[10, 10], [100, 10], [100, 100]], { altKey: true });
+    expect(onLasso).not.toHaveBeenCalled();
+
+    drawLasso(chart, [[10, 10], [100, 10], [100, 100]], { shiftKey: true });
+    expect(onLasso).toHaveBeenCalledTimes(1);
+  });
+
+  test('removes its listeners on destroy', () => {
+    plugin.beforeDestroy(chart);
+
+    drawLasso(chart, [[10, 10], [100, 10], [100, 100]]);
+
+    expect(onLasso).not.toHaveBeenCalled();
+  });
+});
+
+describe('lineCrossesPolygon', () => {
+  const square = [{ x: 10, y: 10 }, { x: 20, y: 10 }, { x: 20, y: 20 }, { x: 10, y: 20 }];
+
+  test('detects lines with a point inside the polygon', () => {
+    expect(lineCrossesPolygon([{ x: 0, y: 0 }, { x: 15, y: 15 }], square)).toBe(true);
+  });
+
+  test('detects lines passing through the polygon without a point inside', () => {
+    expect(lineCrossesPolygon([{ x: 0, y: 15 }, { x: 30, y: 15 }], square)).toBe(true);
+  });
+
+  test('ignores lines outside the polygon', () => {
+    expect(lineCrossesPolygon([{ x: 0, y: 0 }, { x: 30, y: 0 }], square)).toBe(false);
+    expect(lineCrossesPolygon([], square)).toBe(false);
+  });
+});
+
+describe('selection helpers', () => {
+  test('normalizeSelection returns None, a single GroupID or an array without duplicates', () => {
+    expect(normalizeSelection([])).toBe('None');
+    expect(normalizeSelection(['None'])).toBe('None');
+    expect(normalizeSelection(['10'])).toBe('10');
+    expect(normalizeSelection(['10', '20', '10'])).toEqual(['10', '20']);
+  });
+
+  test('getSelectedGroupIDs lists the GroupIDs of a selection', () => {
+    expect(getSelectedGroupIDs('None')).toEqual([]);
+    expect(getSelectedGroupIDs('10')).toEqual(['10']);
+    expect(getSelectedGroupIDs(['10', '20'])).toEqual(['10', '20']);
+  });
+});
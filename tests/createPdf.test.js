@@ -0,0 +1,60 @@
+/**
+ * Unit tests for the minimal PDF writer
+ */
+
+import createPdf from '../src/util/createPdf.js';
+
+function toText(bytes) {
+  return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+describe('createPdf', () => {
+  const image = { data: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), width: 200, height: 100 };
+
+  test('writes a PDF document', () => {
+    const text = toText(createPdf([{ title: 'Overview', image }]));
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  test('creates one page per input page', () => {
+    const text = toText(createPdf([{ title: 'Overview', image }, { title: 'Site 10', image }, { image }]));
+
+    expect(text).toContain('/Type /Pages /Count 3');
+    expect(text.match(/\/Type \/Page /g)).toHaveLength(3);
+    expect(text.match(/\/Filter \/DCTDecode/g)).toHaveLength(3);
+  });
+
+  test('embeds the JPEG data unchanged', () => {
+    const text = toText(createPdf([{ image }]));
+
+    expect(text).toContain('/Width 200 /Height 100');
+    expect(text).toContain(`stream\n${toText(image.data)}\nendstream`);
+  });
+
+  test('cross-reference table points at each object', () => {
+    const text = toText(createPdf([{ title: 'Overview', image }]));
+    const xrefOffset = Number(/startxref\n(\d+)/.exec(text)[1]);
+    const entries = text.slice(xrefOffset).split('\n').slice(3);
+
+    entries.slice(0, 7).forEach((entry, i) => {
+      const offset = Number(entry.slice(0, 10));
+      expect(text.slice(offset).startsWith(`${i + 1} 0 obj\n`)).toBe(true);
+    });
+  });
+
+  test('escapes titles and replaces characters outside Latin-1', () => {
+    const text = toText(createPdf([{ title: 'Site (10) \\ 試験', image }], { title: 'AE (rate)' }));
+
+    expect(text).toContain('(Site \\(10\\) \\\\ ??) Tj');
+    expect(text).toContain('/Title (AE \\(rate\\))');
+  });
+
+  test('scales images to fit the page', () => {
+    const text = toText(createPdf([{ image: { ...image, width: 4000, height: 100 } }], { pageWidth: 600, pageHeight: 400 }));
+    const [width] = /q ([\d.]+) 0 0/.exec(text).slice(1).map(Number);
+
+    expect(width).toBeCloseTo(600 - 72);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import createScoreGauge from '../src/util/createScoreGauge.js';
+
+describe('createScoreGauge', () => {
+  const thresholds = [-0.99, -0.95, 0.95, 0.99];
+
+  test('creates a meter with the Score and its threshold band', () => {
+    const gauge = createScoreGauge('0.97', thresholds);
+
+    expect(gauge.getAttribute('role')).toBe('meter');
+    expect(gauge.getAttribute('aria-valuenow')).toBe('0.97');
+    expect(gauge.getAttribute('aria-valuemin')).toBe('-1');
+    expect(gauge.getAttribute('aria-valuemax')).toBe('1');
+    expect(gauge.getAttribute('aria-valuetext')).toBe('0.97, beyond a warning threshold');
+  });
+
+  test('shades the warning and flag bands and marks each threshold', () => {
+    const gauge = createScoreGauge(0, thresholds);
+
+    expect(gauge.querySelectorAll('.simaerep-score-gauge-band--flag').length).toBe(2);
+    expect(gauge.querySelectorAll('.simaerep-score-gauge-band--warning').length).toBe(2);
+    expect(gauge.querySelectorAll('.simaerep-score-gauge-threshold').length).toBe(4);
+
+    const flagBand = gauge.querySelector('.simaerep-score-gauge-band--flag');
+    expect(parseFloat(flagBand.style.left)).toBeCloseTo(0);
+    expect(parseFloat(flagBand.style.width)).toBeCloseTo(0.5);
+  });
+
+  test('places the marker at the Score', () => {
+    const gauge = createScoreGauge(0.5, thresholds);
+
+    expect(parseFloat(gauge.querySelector('.simaerep-score-gauge-marker').style.left)).toBeCloseTo(75);
+  });
+
+  test('widens the range to include the Score', () => {
+    const gauge = createScoreGauge(3, [-2, 2]);
+
+    expect(gauge.getAttribute('aria-valuemax')).toBe('3');
+    expect(gauge.getAttribute('aria-valuemin')).toBe('-2');
+  });
+
+  test('returns null without a numeric Score', () => {
+    expect(createScoreGauge('NA', thresholds)).toBeNull();
+  });
+});
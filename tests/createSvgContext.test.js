@@ -0,0 +1,123 @@
+/**
+ * Unit tests for the SVG recording canvas context
+ */
+
+import createSvgContext from '../src/util/createSvgContext.js';
+
+describe('createSvgContext', () => {
+  test('returns an SVG document of the requested size', () => {
+    const svg = createSvgContext(300, 150).getSvg();
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).toContain('width="300" height="150"');
+    expect(svg).toContain('viewBox="0 0 300 150"');
+  });
+
+  test('records stroked paths with the current style', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.strokeStyle = 'rgba(49, 130, 189, 1)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 2]);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 20);
+    ctx.stroke();
+
+    const body = ctx.getSvgBody();
+    expect(body).toContain('d="M0 0L10 20"');
+    expect(body).toContain('stroke="rgba(49, 130, 189, 1)"');
+    expect(body).toContain('stroke-width="2"');
+    expect(body).toContain('stroke-dasharray="4 2"');
+    expect(body).toContain('fill="none"');
+  });
+
+  test('applies transforms to path coordinates', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.translate(10, 5);
+    ctx.scale(2, 2);
+    ctx.fillRect(0, 0, 5, 5);
+
+    expect(ctx.getSvgBody()).toContain('d="M10 5L20 5L20 15L10 15Z"');
+  });
+
+  test('restores state saved with save()', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.fillStyle = 'red';
+    ctx.save();
+    ctx.fillStyle = 'blue';
+    ctx.translate(50, 50);
+    ctx.restore();
+    ctx.fillRect(0, 0, 1, 1);
+
+    expect(ctx.fillStyle).toBe('red');
+    expect(ctx.getSvgBody()).toContain('d="M0 0L1 0L1 1L0 1Z" fill="red"');
+  });
+
+  test('records text with font, alignment and escaped content', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.font = '500 13px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#3182BD';
+    ctx.fillText('Score <0.95> & "N"', 20, 30);
+
+    const body = ctx.getSvgBody();
+    expect(body).toContain('<text x="20" y="30"');
+    expect(body).toContain('font: 500 13px sans-serif');
+    expect(body).toContain('text-anchor="middle"');
+    expect(body).toContain('dominant-baseline="text-before-edge"');
+    expect(body).toContain('Score &lt;0.95&gt; &amp; &quot;N&quot;');
+  });
+
+  test('rotated text keeps its transform', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.translate(10, 50);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('Axis', 0, 0);
+
+    expect(ctx.getSvgBody()).toContain('transform="matrix(0 -1 1 0 10 50)"');
+  });
+
+  test('clips subsequent drawing until restore', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, 50, 50);
+    ctx.clip();
+    ctx.fillRect(0, 0, 100, 100);
+    ctx.restore();
+    ctx.fillRect(0, 0, 10, 10);
+
+    const body = ctx.getSvgBody();
+    const id = /<clipPath id="([^"]+)">/.exec(body)[1];
+    expect(body).toContain(`<defs><clipPath id="${id}"><path d="M0 0L50 0L50 50L0 50Z"/></clipPath></defs>`);
+    expect(body.match(/clip-path="url\(#/g)).toHaveLength(1);
+  });
+
+  test('uses unique clip path IDs across contexts', () => {
+    const ids = [createSvgContext(10, 10), createSvgContext(10, 10)].map(ctx => {
+      ctx.rect(0, 0, 5, 5);
+      ctx.clip();
+      return /<clipPath id="([^"]+)">/.exec(ctx.getSvgBody())[1];
+    });
+
+    expect(ids[0]).not.toBe(ids[1]);
+  });
+
+  test('draws full circles as two arcs', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.beginPath();
+    ctx.arc(50, 50, 10, 0, Math.PI * 2);
+    ctx.fill();
+
+    expect(ctx.getSvgBody()).toContain('d="M60 50A10 10 0 0 1 40 50A10 10 0 0 1 60 50"');
+  });
+
+  test('applies global alpha', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(0, 0, 1, 1);
+
+    expect(ctx.getSvgBody()).toContain('opacity="0.5"');
+  });
+});
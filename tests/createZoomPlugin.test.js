@@ -0,0 +1,165 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import createZoomPlugin from '../src/util/createZoomPlugin.js';
+
+/**
+ * Minimal stand-in for a Chart.js chart with linear 0..100 scales
+ * drawn on a 0..200 pixel chart area
+ */
+function createChart() {
+  const canvas = document.createElement('canvas');
+  const parent = document.createElement('div');
+  parent.appendChild(canvas);
+  document.body.appendChild(parent);
+
+  const chart = {
+    canvas,
+    chartArea: { left: 0, right: 200, top: 0, bottom: 200 },
+    options: { scales: { x: {}, y: {} } },
+    scales: {},
+    update: jest.fn(() => {
+      ['x', 'y'].forEach(axis => {
+        chart.scales[axis].min = chart.options.scales[axis].min ?? 0;
+        chart.scales[axis].max = chart.options.scales[axis].max ?? 100;
+      });
+    }),
+  };
+
+  chart.scales.x = {
+    min: 0,
+    max: 100,
+    getValueForPixel(pixel) {
+      return this.min + (pixel / 200) * (this.max - this.min);
+    },
+  };
+  chart.scales.y = {
+    min: 0,
+    max: 100,
+    getValueForPixel(pixel) {
+      return this.max - (pixel / 200) * (this.max - this.min);
+    },
+  };
+
+  return chart;
+}
+
+function mouse(type, x, y, options = {}) {
+  return new MouseEvent(type, { clientX: x, clientY: y, button: 0, bubbles: true, ...options });
+}
+
+describe('createZoomPlugin', () => {
+  let chart;
+  let onZoom;
+  let plugin;
+
+  beforeEach(() => {
+    chart = createChart();
+    onZoom = jest.fn();
+    plugin = createZoomPlugin({ onZoom });
+    plugin.afterInit(chart);
+  });
+
+  afterEach(() => {
+    plugin.beforeDestroy(chart);
+    document.body.innerHTML = '';
+  });
+
+  test('wheel zooms in around the cursor', () => {
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 100, clientY: 100, deltaY: -100 }));
+
+    expect(chart.options.scales.x.min).toBeCloseTo(5);
+    expect(chart.options.scales.x.max).toBeCloseTo(95);
+    expect(chart.options.scales.y.min).toBeCloseTo(5);
+    expect(chart.update).toHaveBeenCalledWith('none');
+    expect(onZoom).toHaveBeenCalledWith(chart, expect.objectContaining({ x: expect.any(Object) }));
+  });
+
+  test('wheel zooms out when scrolling down', () => {
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 100, clientY: 100, deltaY: 100 }));
+
+    expect(chart.options.scales.x.min).toBeLessThan(0);
+    expect(chart.options.scales.x.max).toBeGreaterThan(100);
+  });
+
+  test('wheel zoom respects the modifier key', () => {
+    plugin.beforeDestroy(chart);
+    plugin = createZoomPlugin({ wheelModifier: 'ctrl', onZoom });
+    plugin.afterInit(chart);
+
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 100, clientY: 100, deltaY: -100 }));
+    expect(onZoom).not.toHaveBeenCalled();
+
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 100, clientY: 100, deltaY: -100, ctrlKey: true }));
+    expect(onZoom).toHaveBeenCalled();
+  });
+
+  test('x mode leaves the y axis untouched', () => {
+    plugin.beforeDestroy(chart);
+    plugin = createZoomPlugin({ mode: 'x', onZoom });
+    plugin.afterInit(chart);
+
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 100, clientY: 100, deltaY: -100 }));
+
+    expect(chart.options.scales.x.min).toBeCloseTo(5);
+    expect(chart.options.scales.y.min).toBeUndefined();
+  });
+
+  test('drag pans the chart', () => {
+    chart.canvas.dispatchEvent(mouse('mousedown', 100, 100));
+    window.dispatchEvent(mouse('mousemove', 80, 120));
+    window.dispatchEvent(mouse('mouseup', 80, 120));
+
+    // Dragging 20px left shows data further right, dragging down shows data further up
+    expect(chart.options.scales.x.min).toBeCloseTo(10);
+    expect(chart.options.scales.x.max).toBeCloseTo(110);
+    expect(chart.options.scales.y.min).toBeCloseTo(10);
+    expect(chart.options.scales.y.max).toBeCloseTo(110);
+  });
+
+  test('shift-drag zooms into the selected box', () => {
+    chart.canvas.dispatchEvent(mouse('mousedown', 20, 40, { shiftKey: true }));
+    window.dispatchEvent(mouse('mousemove', 100, 140));
+    expect(chart.canvas.parentNode.querySelector('.simaerep-zoom-box')).not.toBeNull();
+
+    window.dispatchEvent(mouse('mouseup', 100, 140));
+
+    expect(chart.canvas.parentNode.querySelector('.simaerep-zoom-box')).toBeNull();
+    expect(chart.options.scales.x.min).toBeCloseTo(10);
+    expect(chart.options.scales.x.max).toBeCloseTo(50);
+    expect(chart.options.scales.y.min).toBeCloseTo(30);
+    expect(chart.options.scales.y.max).toBeCloseTo(80);
+  });
+
+  test('ignores box selections smaller than a few pixels', () => {
+    chart.canvas.dispatchEvent(mouse('mousedown', 20, 40, { shiftKey: true }));
+    window.dispatchEvent(mouse('mouseup', 22, 41));
+
+    expect(onZoom).not.toHaveBeenCalled();
+    expect(chart.options.scales.x.min).toBeUndefined();
+  });
+
+  test('ignores interactions outside the chart area', () => {
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 300, clientY: 100, deltaY: -100 }));
+    chart.canvas.dispatchEvent(mouse('mousedown', 300, 100));
+
+    expect(onZoom).not.toHaveBeenCalled();
+  });
+
+  test('double-click resets the zoom', () => {
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 100, clientY: 100, deltaY: -100 }));
+    chart.canvas.dispatchEvent(new MouseEvent('dblclick'));
+
+    expect(chart.options.scales.x.min).toBeUndefined();
+    expect(chart.options.scales.x.max).toBeUndefined();
+    expect(onZoom).toHaveBeenLastCalledWith(chart, { x: null, y: null });
+  });
+
+  test('removes listeners on destroy', () => {
+    plugin.beforeDestroy(chart);
+    chart.canvas.dispatchEvent(new WheelEvent('wheel', { clientX: 100, clientY: 100, deltaY: -100 }));
+
+    expect(onZoom).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import Chart from 'chart.js/auto';
+import drawChart from '../src/util/drawChart.js';
+import createSvgContext from '../src/util/createSvgContext.js';
+
+describe('drawChart', () => {
+  let canvas;
+  let chart;
+
+  beforeEach(() => {
+    // jsdom has no canvas rendering; let Chart.js draw into an SVG context
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function() {
+      const ctx = createSvgContext(this.width, this.height);
+      ctx.canvas = this;
+      return ctx;
+    });
+
+    const container = document.createElement('div');
+    canvas = document.createElement('canvas');
+    container.appendChild(canvas);
+    document.body.appendChild(container);
+
+    chart = new Chart(canvas, {
+      type: 'line',
+      data: {
+        datasets: [{
+          label: 'Site 10',
+          data: [{ x: 1, y: 0 }, { x: 2, y: 1 }, { x: 3, y: 3 }],
+          borderColor: '#3182BD',
+          pointRadius: 0,
+        }],
+      },
+      options: {
+        animation: false,
+        responsive: false,
+        scales: { x: { type: 'linear' } },
+        plugins: { legend: { display: false } },
+      },
+    });
+  });
+
+  afterEach(() => {
+    chart.destroy();
+    jest.restoreAllMocks();
+    delete globalThis.Path2D;
+    document.body.innerHTML = '';
+  });
+
+  test('redraws the chart into another context', () => {
+    const target = createSvgContext(chart.width, chart.height);
+    drawChart(chart, target);
+
+    const body = target.getSvgBody();
+    expect(body).toContain('stroke="#3182BD"');
+    expect(body).toMatch(/<text [^>]*>2\.0<\/text>/);
+  });
+
+  test('leaves the chart drawing to its own context afterwards', () => {
+    const original = chart.ctx;
+    drawChart(chart, createSvgContext(chart.width, chart.height));
+
+    expect(chart.ctx).toBe(original);
+    expect(chart.scales.x.ctx).toBe(original);
+    expect(chart.getDatasetMeta(0).controller._ctx).toBe(original);
+  });
+
+  test('draws lines cached as native Path2D objects', () => {
+    // Browsers provide Path2D, which Chart.js uses to cache line paths
+    globalThis.Path2D = class {
+      moveTo() {}
+      lineTo() {}
+      closePath() {}
+    };
+    chart.draw();
+
+    const target = createSvgContext(chart.width, chart.height);
+    drawChart(chart, target);
+
+    expect(target.getSvgBody()).toMatch(/<path d="M[^"]+L[^"]+L[^"]+" fill="none" stroke="#3182BD"/);
+    expect(globalThis.Path2D).not.toBe(target.Path2D);
+  });
+});
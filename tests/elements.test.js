@@ -0,0 +1,177 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import defineElements from '../src/elements.js';
+
+// Mock d3 to avoid ES module issues
+jest.mock('d3', () => ({
+  rollup: jest.fn((data, reducer, ...keys) => {
+    const map = new Map();
+    data.forEach(item => {
+      const key = keys.map(k => k(item)).join('-');
+      if (!map.has(key)) {
+        map.set(key, []);
+      }
+      map.get(key).push(item);
+    });
+    return map;
+  })
+}));
+
+// Mock Chart.js
+jest.mock('chart.js/auto', () => {
+  return jest.fn().mockImplementation(function(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    this.destroy = jest.fn();
+    this.update = jest.fn();
+    this.resize = jest.fn();
+    return this;
+  });
+});
+
+describe('Custom elements', () => {
+  let host;
+  let bundle;
+  const sites = [
+    { GroupID: 'Site001', Country: 'USA' },
+    { GroupID: 'Site002', Country: 'UK' },
+  ];
+
+  beforeAll(() => {
+    defineElements();
+  });
+
+  beforeEach(() => {
+    host = document.createElement('div');
+    document.body.appendChild(host);
+    Element.prototype.scrollIntoView = jest.fn();
+
+    bundle = {
+      df_mean_study: [{ Denominator: '1', cum_mean_dev_event: '0.1' }, { Denominator: '2', cum_mean_dev_event: '0.2' }],
+      df_mean_group_flagged: [{ GroupID: '120', Denominator: '1', cum_mean_dev_event: '0.3' }],
+      df_mean_group_not_flagged: [{ GroupID: '10', Denominator: '1', cum_mean_dev_event: '0' }],
+      df_label_sites: [{ GroupID: '10', Flag: '0', Color: '#DEEBF7' }, { GroupID: '120', Flag: '2', Color: '#3182BD' }]
+    };
+  });
+
+  afterEach(() => {
+    document.body.removeChild(host);
+    delete global.fetch;
+  });
+
+  test('defines both elements once', () => {
+    defineElements();
+    expect(customElements.get('gsm-simaerep')).toBeDefined();
+    expect(customElements.get('gsm-site-list')).toBeDefined();
+  });
+
+  test('<gsm-site-list> renders its data property in a shadow root with attribute options', () => {
+    const element = document.createElement('gsm-site-list');
+    element.setAttribute('theme', 'dark');
+    element.setAttribute('selected-group-ids', 'Site001, Site002');
+    element.data = sites;
+    host.appendChild(element);
+
+    expect(element.chart.data.config.theme).toBe('dark');
+    expect(element.chart.data.config.selectedGroupIDs).toEqual(['Site001', 'Site002']);
+    expect(element.shadowRoot.querySelectorAll('.site-list-item').length).toBe(2);
+    // Theme stylesheet is added to the shadow root
+    expect(element.shadowRoot.querySelector('#gsm-theme-styles')).not.toBeNull();
+  });
+
+  test('re-dispatches chart events as composed events', () => {
+    const element = document.createElement('gsm-site-list');
+    element.data = sites;
+    host.appendChild(element);
+    const listener = jest.fn();
+    host.addEventListener('site-selected', listener);
+
+    element.chart.selectSite('Site002');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const event = listener.mock.calls[0][0];
+    expect(event.detail).toEqual({ groupID: 'Site002' });
+    expect(event.composed).toBe(true);
+    expect(event.target).toBe(element);
+  });
+
+  test('attribute and data changes update the chart in place', () => {
+    const element = document.createElement('gsm-site-list');
+    element.data = sites;
+    host.appendChild(element);
+    const chart = element.chart;
+
+    element.setAttribute('selected-group-ids', 'Site002');
+    element.data = [...sites, { GroupID: 'Site003' }];
+
+    expect(element.chart).toBe(chart);
+    expect(chart.data.config.selectedGroupIDs).toBe('Site002');
+    expect(element.shadowRoot.querySelectorAll('.site-list-item').length).toBe(3);
+  });
+
+  test('option attributes changed after connecting are applied to the live chart', () => {
+    const element = document.createElement('gsm-simaerep');
+    element.data = bundle;
+    host.appendChild(element);
+    const chart = element.chart;
+    expect(element.shadowRoot.querySelector('.gsm-widget-control--country')).not.toBeNull();
+
+    element.setAttribute('show-country-selector', 'false');
+    element.setAttribute('show-group-selector', 'false');
+    element.setAttribute('group-level', 'Country');
+
+    expect(element.chart).toBe(chart);
+    expect(element.shadowRoot.querySelector('.gsm-widget-control--country')).toBeNull();
+    expect(element.shadowRoot.querySelector('.gsm-widget-control--group')).toBeNull();
+    expect(chart.config.GroupLevel).toBe('Country');
+
+    element.setAttribute('show-country-selector', 'true');
+    expect(element.shadowRoot.querySelector('.gsm-widget-control--country')).not.toBeNull();
+  });
+
+  test('<gsm-simaerep> loads its bundle from src and destroys the charts when removed', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(bundle) }));
+    const element = document.createElement('gsm-simaerep');
+    element.setAttribute('src', 'data/simaerep.json');
+    element.setAttribute('config', '{"metric": {"Abbreviation": "SAE"}}');
+    element.setAttribute('show-right-panel', 'false');
+    host.appendChild(element);
+
+    await element.load();
+
+    expect(global.fetch).toHaveBeenCalledWith('data/simaerep.json');
+    const chart = element.chart;
+    expect(chart.rawData).toBe(bundle);
+    expect(chart.data.config.Abbreviation).toBe('SAE');
+    expect(chart.data.config.showRightPanel).toBe(false);
+    expect(element.shadowRoot.querySelector('canvas').chart).toBe(chart);
+
+    const destroySpy = jest.spyOn(chart, 'destroy');
+    host.removeChild(element);
+
+    expect(destroySpy).toHaveBeenCalled();
+    expect(chart.chartInstance.destroy).toHaveBeenCalled();
+    expect(element.chart).toBeNull();
+  });
+
+  test('reports files that cannot be loaded', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const listener = jest.fn();
+    host.addEventListener('load-error', listener);
+
+    const element = document.createElement('gsm-simaerep');
+    element.setAttribute('src', 'missing.json');
+    host.appendChild(element);
+    await element.load();
+
+    expect(errorSpy).toHaveBeenCalledWith('gsm-simaerep: could not load missing.json: HTTP 404');
+    expect(listener.mock.calls[0][0].detail.src).toBe('missing.json');
+    expect(element.chart).toBeNull();
+    errorSpy.mockRestore();
+  });
+});
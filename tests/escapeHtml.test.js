@@ -0,0 +1,36 @@
+/**
+ * Unit tests for escapeHtml and sanitizeColor
+ */
+
+import escapeHtml from '../src/util/escapeHtml.js';
+import sanitizeColor from '../src/util/sanitizeColor.js';
+
+describe('escapeHtml', () => {
+  test('escapes markup characters', () => {
+    expect(escapeHtml('<img src=x onerror="alert(1)">'))
+      .toBe('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(escapeHtml("O'Brien & Sons")).toBe('O&#39;Brien &amp; Sons');
+  });
+
+  test('converts other values to strings', () => {
+    expect(escapeHtml(12)).toBe('12');
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+  });
+});
+
+describe('sanitizeColor', () => {
+  test('keeps valid colors', () => {
+    expect(sanitizeColor('#3182BD')).toBe('#3182BD');
+    expect(sanitizeColor('#fff')).toBe('#fff');
+    expect(sanitizeColor('rgba(49, 130, 189, 0.2)')).toBe('rgba(49, 130, 189, 0.2)');
+    expect(sanitizeColor('steelblue')).toBe('steelblue');
+  });
+
+  test('replaces colors carrying CSS or markup', () => {
+    expect(sanitizeColor('red;background-image:url(https://example.com/x)')).toBe('#333');
+    expect(sanitizeColor('"><script>alert(1)</script>')).toBe('#333');
+    expect(sanitizeColor('rgb(url(x))')).toBe('#333');
+    expect(sanitizeColor(undefined, '#999')).toBe('#999');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import exportPages from '../src/util/exportPages.js';
+import createSvgContext from '../src/util/createSvgContext.js';
+
+// 1x1 pixel PNG
+const PNG_DATA_URL =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const JPEG_DATA_URL = 'data:image/jpeg;base64,/9j/2Q==';
+
+function readBlob(blob) {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+function toText(bytes) {
+  return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+describe('exportPages', () => {
+  let page;
+  let contexts;
+
+  beforeEach(() => {
+    page = {
+      title: 'Overview',
+      width: 200,
+      height: 100,
+      draw: jest.fn(ctx => ctx.fillRect(10, 10, 20, 20)),
+    };
+
+    // jsdom has no canvas rendering; record drawing with the SVG context instead
+    contexts = [];
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function() {
+      const ctx = createSvgContext(this.width, this.height);
+      contexts.push(ctx);
+      return ctx;
+    });
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(type =>
+      type === 'image/jpeg' ? JPEG_DATA_URL : PNG_DATA_URL
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('exports SVG with a white background', async () => {
+    const blob = exportPages([page], { format: 'svg' });
+    const svg = toText(await readBlob(blob));
+
+    expect(blob.type).toBe('image/svg+xml');
+    expect(svg).toContain('width="200" height="100"');
+    expect(svg).toContain('d="M0 0L200 0L200 100L0 100Z" fill="#ffffff"');
+    expect(svg).toContain('d="M10 10L30 10L30 30L10 30Z"');
+  });
+
+  test('exports transparent SVG when background is null', async () => {
+    const svg = toText(await readBlob(exportPages([page], { format: 'svg', background: null })));
+
+    expect(svg).not.toContain('fill="#ffffff"');
+  });
+
+  test('exports PNG scaled to the requested DPI', async () => {
+    const blob = exportPages([page], { format: 'png', dpi: 300 });
+    const bytes = await readBlob(blob);
+
+    expect(blob.type).toBe('image/png');
+    expect(contexts[0].canvas.width).toBe(625);
+    expect(contexts[0].canvas.height).toBe(313);
+    // pHYs chunk with 300 DPI (11811 pixels per meter) follows IHDR
+    expect(toText(bytes.subarray(37, 41))).toBe('pHYs');
+    expect(Array.from(bytes.subarray(41, 45))).toEqual([0, 0, 0x2e, 0x23]);
+  });
+
+  test('exports one PDF page per input page', async () => {
+    const blob = exportPages([page, { ...page, title: 'Site 10' }], { format: 'pdf', title: 'AE' });
+    const text = toText(await readBlob(blob));
+
+    expect(blob.type).toBe('application/pdf');
+    expect(text).toContain('/Type /Pages /Count 2');
+    expect(text).toContain('(Site 10) Tj');
+    expect(page.draw).toHaveBeenCalledTimes(2);
+  });
+
+  test('throws for unknown formats', () => {
+    expect(() => exportPages([page], { format: 'gif' })).toThrow('Unknown export format "gif"');
+  });
+
+  test('throws when there is nothing to export', () => {
+    expect(() => exportPages([], { format: 'png' })).toThrow('Nothing to export');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for formatGroupTooltipLabel
+ */
+
+import formatGroupTooltipLabel from '../src/util/formatGroupTooltipLabel.js';
+
+describe('formatGroupTooltipLabel', () => {
+  const group = {
+    invid: '0X001',
+    Country: 'USA',
+    PercentParticipantsActive: '87.456',
+    ParticipantCount: 12,
+    Status: ''
+  };
+
+  test('title-cases all fields except internal ones by default', () => {
+    expect(formatGroupTooltipLabel(group, {})).toEqual([
+      'Investigator ID: 0X001',
+      'Country: USA',
+      'Percent Participants Active: 87.456'
+    ]);
+  });
+
+  test('returns no lines without metadata', () => {
+    expect(formatGroupTooltipLabel(null, {})).toEqual([]);
+  });
+
+  test('uses labels and order of an object of keys', () => {
+    const config = { groupTooltipKeys: { Country: 'Country', invid: 'Investigator' } };
+    expect(formatGroupTooltipLabel(group, config)).toEqual(['Country: USA', 'Investigator: 0X001']);
+  });
+
+  test('accepts an array of field names and key objects', () => {
+    const config = {
+      groupTooltipKeys: ['Country', { key: 'PercentParticipantsActive', label: 'Active', format: 1 }, 'Status']
+    };
+    expect(formatGroupTooltipLabel(group, config)).toEqual(['Country: USA', 'Active: 87.5']);
+  });
+
+  test('applies groupTooltipFormats', () => {
+    const config = {
+      groupTooltipKeys: ['PercentParticipantsActive', 'ParticipantCount', 'Country'],
+      groupTooltipFormats: {
+        PercentParticipantsActive: 0,
+        ParticipantCount: (value, row) => `${value} of ${row.Country}`,
+        Country: 2
+      }
+    };
+    expect(formatGroupTooltipLabel(group, config)).toEqual([
+      'Percent Participants Active: 87',
+      'Participant Count: 12 of USA',
+      'Country: USA'
+    ]);
+  });
+});
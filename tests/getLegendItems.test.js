@@ -0,0 +1,37 @@
+import getLegendItems from '../src/util/getLegendItems.js';
+
+describe('getLegendItems', () => {
+  const datasets = [
+    { siteType: 'unflagged', flag: 0, baseColor: '#DEEBF7' },
+    { siteType: 'unflagged', flag: 0, baseColor: '#DEEBF7' },
+    { siteType: 'unflagged', flag: null, baseColor: '#CCCCCC' },
+    { siteType: 'flagged', flag: 2, baseColor: '#3182BD' },
+    { siteType: 'flagged', flag: -1, baseColor: '#9ECAE1' },
+    { siteType: 'study', flag: null, borderColor: '#000000' },
+  ];
+
+  test('lists siteType and Flag entries with counts', () => {
+    const items = getLegendItems(datasets);
+
+    expect(items.map(item => [item.key, item.count])).toEqual([
+      ['siteType:flagged', 2],
+      ['siteType:unflagged', 3],
+      ['siteType:study', 1],
+      ['flag:-1', 1],
+      ['flag:0', 2],
+      ['flag:2', 1],
+    ]);
+  });
+
+  test('labels entries and groups them', () => {
+    const items = getLegendItems(datasets);
+
+    expect(items[0]).toEqual(expect.objectContaining({ group: 'siteType', label: 'Flagged', color: '#3182BD' }));
+    expect(items[2].color).toBe('#000000');
+    expect(items[3]).toEqual(expect.objectContaining({ group: 'flag', label: 'Flag -1', color: '#9ECAE1' }));
+  });
+
+  test('omits categories without datasets', () => {
+    expect(getLegendItems([])).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+import convertRDataFrame from '../src/util/convertRDataFrame.js';
+import parseWidgetInput from '../src/util/parseWidgetInput.js';
+
+describe('convertRDataFrame', () => {
+  test('converts column format to rows', () => {
+    expect(convertRDataFrame({ GroupID: ['10', '20'], Flag: [0, 2] })).toEqual([
+      { GroupID: '10', Flag: 0 },
+      { GroupID: '20', Flag: 2 }
+    ]);
+  });
+
+  test('repeats columns unboxed to a scalar', () => {
+    expect(convertRDataFrame({ GroupID: ['10', '20'], GroupLevel: 'Site' })).toEqual([
+      { GroupID: '10', GroupLevel: 'Site' },
+      { GroupID: '20', GroupLevel: 'Site' }
+    ]);
+    expect(convertRDataFrame({ MetricID: 'Analysis_kri0001', Threshold: '-0.99,0.99' })).toEqual([
+      { MetricID: 'Analysis_kri0001', Threshold: '-0.99,0.99' }
+    ]);
+  });
+
+  test('keeps row format and handles missing frames', () => {
+    const rows = [{ GroupID: '10' }];
+
+    expect(convertRDataFrame(rows)).toBe(rows);
+    expect(convertRDataFrame({})).toEqual([]);
+    expect(convertRDataFrame(null)).toEqual([]);
+  });
+});
+
+describe('parseWidgetInput', () => {
+  const input = {
+    df_mean_study: { Denominator: [1, 2], cum_mean_dev_event: [0.1, 0.2] },
+    df_label_sites: { GroupID: ['10'], Flag: [2] },
+    df_visit: { GroupID: ['10', '10'], SubjectID: ['001', '001'], Denominator: [1, 2], Numerator: [0, 1] },
+    dfGroups: { GroupID: ['10'], Param: ['Country'], Value: ['US'], GroupLevel: ['Site'] },
+    dfMetric: { MetricID: 'Analysis_kri0001', Abbreviation: 'AE', Threshold: '-0.99,-0.95,0.95,0.99' },
+    vThreshold: [-0.95, 0.95],
+    lChartConfig: { selectedGroupIDs: '10', theme: 'dark', hiddenLegendItems: 'flag:0', sitePlotInclude: 'all' },
+    bAddGroupSelect: false
+  };
+
+  test('converts the data frames that were passed', () => {
+    const { data } = parseWidgetInput(input, 800, 500);
+
+    expect(data.df_mean_study).toEqual([
+      { Denominator: 1, cum_mean_dev_event: 0.1 },
+      { Denominator: 2, cum_mean_dev_event: 0.2 }
+    ]);
+    expect(data.df_visit.length).toBe(2);
+    expect(Object.keys(data)).toEqual(['df_mean_study', 'df_label_sites', 'df_visit']);
+  });
+
+  test('treats R NULL data frames as missing', () => {
+    const { data } = parseWidgetInput({ df_visit: input.df_visit, df_mean_study: {}, df_label_sites: null }, 800, 500);
+
+    expect(Object.keys(data)).toEqual(['df_visit']);
+  });
+
+  test('passes metric, group metadata and thresholds', () => {
+    const { config } = parseWidgetInput(input, 800, 500);
+
+    expect(config.metric).toEqual(expect.objectContaining({ MetricID: 'Analysis_kri0001', Abbreviation: 'AE' }));
+    expect(config.groupMetadata).toEqual([{ GroupID: '10', Param: 'Country', Value: 'US', GroupLevel: 'Site' }]);
+    expect(config.thresholds).toEqual([-0.95, 0.95]);
+  });
+
+  test('passes every lChartConfig option and boxes array options', () => {
+    const { config } = parseWidgetInput(input, 800, 500);
+
+    expect(config).toEqual(expect.objectContaining({
+      selectedGroupIDs: '10',
+      theme: 'dark',
+      sitePlotInclude: 'all',
+      hiddenLegendItems: ['flag:0'],
+      showGroupSelector: false,
+      width: 800,
+      height: 500
+    }));
+  });
+
+  test('lChartConfig takes precedence over widget arguments', () => {
+    const { config } = parseWidgetInput({
+      bAddGroupSelect: false,
+      lChartConfig: { showGroupSelector: true, height: 'auto', metric: { Abbreviation: 'PD' }, thresholds: '-0.9,0.9' }
+    }, 800, 500);
+
+    expect(config.showGroupSelector).toBe(true);
+    expect(config.height).toBe('auto');
+    expect(config.metric).toEqual({ Abbreviation: 'PD' });
+    expect(config.thresholds).toBe('-0.9,0.9');
+  });
+
+  test('handles a missing or invalid lChartConfig', () => {
+    const { config } = parseWidgetInput({ lChartConfig: [] }, 800, 500);
+
+    expect(config).toEqual({ width: 800, height: 500 });
+  });
+});
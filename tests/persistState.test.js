@@ -0,0 +1,113 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import persistState from '../src/util/persistState.js';
+import createEventEmitter from '../src/util/createEventEmitter.js';
+import SiteList from '../src/SiteList.js';
+
+describe('persistState', () => {
+  let stop;
+
+  // Chart with the instance events and state methods used by persistState
+  const fakeChart = () => {
+    const events = createEventEmitter();
+    return {
+      setState: jest.fn(),
+      on: events.on,
+      changeState: state => events.emit('statechange', { state, source: 'user' }),
+      destroy: () => events.emit('destroy', {}),
+    };
+  };
+
+  const hashParams = () => new URLSearchParams(window.location.hash.slice(1));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '#');
+    window.localStorage.clear();
+    stop = null;
+  });
+
+  afterEach(() => {
+    if (stop) stop();
+    jest.useRealTimers();
+  });
+
+  test('restores the saved state, the hash winning over localStorage', () => {
+    window.localStorage.setItem('gsm-simaerep-viz:ae', JSON.stringify({ selectedGroupIDs: '10', scrollTop: 30 }));
+    window.history.replaceState(null, '', `#other=1&ae=${encodeURIComponent(JSON.stringify({ selectedGroupIDs: '120' }))}`);
+    const chart = fakeChart();
+
+    stop = persistState(chart, { key: 'ae', hash: true, storage: true });
+
+    expect(chart.setState).toHaveBeenCalledWith({ selectedGroupIDs: '120', scrollTop: 30 });
+  });
+
+  test('saves state changes after the delay', () => {
+    const chart = fakeChart();
+    stop = persistState(chart, { key: 'ae', hash: true, storage: true });
+
+    chart.changeState({ selectedGroupIDs: '10' });
+    chart.changeState({ selectedGroupIDs: '120' });
+    expect(hashParams().get('ae')).toBeNull();
+
+    jest.advanceTimersByTime(200);
+
+    expect(JSON.parse(hashParams().get('ae'))).toEqual({ selectedGroupIDs: '120' });
+    expect(JSON.parse(window.localStorage.getItem('gsm-simaerep-viz:ae'))).toEqual({ selectedGroupIDs: '120' });
+    expect(chart.setState).not.toHaveBeenCalled();
+  });
+
+  test('keeps the hash entries of other widgets and only syncs the chosen targets', () => {
+    window.history.replaceState(null, '', '#sites=%7B%7D');
+    const chart = fakeChart();
+    stop = persistState(chart, { key: 'ae', storage: true });
+
+    chart.changeState({ selectedGroupIDs: '10' });
+    chart.destroy();
+
+    expect(window.localStorage.getItem('gsm-simaerep-viz:ae')).not.toBeNull();
+    expect(window.location.hash).toBe('#sites=%7B%7D');
+  });
+
+  test('applies hash changes made outside of the chart', () => {
+    const chart = fakeChart();
+    stop = persistState(chart, { key: 'ae', hash: true });
+
+    window.history.replaceState(null, '', `#ae=${encodeURIComponent('{"selectedGroupIDs":"10"}')}`);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+    window.history.replaceState(null, '', '#ae=not-json');
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+    expect(chart.setState).toHaveBeenCalledTimes(1);
+    expect(chart.setState).toHaveBeenCalledWith({ selectedGroupIDs: '10' });
+  });
+
+  test('needs a key', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(persistState(fakeChart(), { hash: true })).toBeNull();
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  test('charts restore their state from the syncStateTo* options', () => {
+    const container = document.createElement('div');
+    container.id = 'sites';
+    document.body.appendChild(container);
+    const sites = [{ GroupID: 'Site001' }, { GroupID: 'Site002' }];
+    const options = { syncStateToHash: true, syncStateToStorage: true, syncSelection: false };
+
+    const chart = new SiteList(container, sites, options);
+    chart.selectSite('Site002');
+    chart.destroy();
+    window.history.replaceState(null, '', '#');
+
+    const restored = new SiteList(container, sites, options);
+    expect(restored.data.config.selectedGroupIDs).toBe('Site002');
+
+    restored.destroy();
+    document.body.removeChild(container);
+  });
+});
@@ -0,0 +1,75 @@
+import getThresholdBand from '../src/util/getThresholdBand.js';
+import reclassifySites from '../src/util/reclassifySites.js';
+
+describe('reclassifySites', () => {
+  const data = {
+    df_label_sites: [
+      { GroupID: 'A', Score: '0.97', Flag: '0', Color: '#DEEBF7' },
+      { GroupID: 'B', Score: '-0.999', Flag: '-2', Color: '#3182BD' },
+      { GroupID: 'C', Score: 'NA', Flag: '1', Color: '#9ECAE1' },
+    ],
+    df_mean_group_flagged: [
+      { GroupID: 'B', Denominator: '1', cum_mean_dev_event: '0' },
+      { GroupID: 'C', Denominator: '1', cum_mean_dev_event: '0' },
+    ],
+    df_mean_group_not_flagged: [
+      { GroupID: 'A', Denominator: '1', cum_mean_dev_event: '1' },
+      { GroupID: 'D', Denominator: '1', cum_mean_dev_event: '1' },
+    ],
+  };
+
+  test('derives Flag and Color from the Score', () => {
+    const result = reclassifySites(data, [-0.99, -0.95, 0.95, 0.99]);
+
+    expect(result.df_label_sites[0]).toEqual(expect.objectContaining({ Flag: 1, Color: '#9ECAE1' }));
+    expect(result.df_label_sites[1]).toEqual(expect.objectContaining({ Flag: -2, Color: '#3182BD' }));
+  });
+
+  test('keeps sites without a numeric Score', () => {
+    const result = reclassifySites(data, [-0.5, 0.5]);
+
+    expect(result.df_label_sites[2]).toBe(data.df_label_sites[2]);
+  });
+
+  test('moves curves to the table of the new Flag', () => {
+    const result = reclassifySites(data, [-0.9999, -0.999, 0.98, 0.99]);
+
+    expect(result.df_mean_group_flagged.map(row => row.GroupID)).toEqual(['B', 'C']);
+    expect(result.df_label_sites[0].Flag).toBe(0);
+
+    const widened = reclassifySites(data, [-0.9999, -0.99999, 0.9, 0.99]);
+    expect(widened.df_mean_group_flagged.map(row => row.GroupID)).toEqual(['C', 'A']);
+    expect(widened.df_mean_group_not_flagged.map(row => row.GroupID)).toEqual(['B', 'D']);
+  });
+
+  test('uses the strongest flag color beyond two flags', () => {
+    const result = reclassifySites(data, [-0.999, -0.99, -0.9, 0.9, 0.95, 0.96]);
+
+    expect(result.df_label_sites[0]).toEqual(expect.objectContaining({ Flag: 3, Color: '#3182BD' }));
+  });
+
+  test('does not modify the input and ignores missing thresholds', () => {
+    const copy = JSON.parse(JSON.stringify(data));
+
+    reclassifySites(data, [-0.5, 0.5]);
+
+    expect(data).toEqual(copy);
+    expect(reclassifySites(data, [])).toBe(data);
+  });
+});
+
+describe('getThresholdBand', () => {
+  const thresholds = [-0.99, -0.95, 0.95, 0.99];
+
+  test('classifies Scores by threshold band', () => {
+    expect(getThresholdBand(0.5, thresholds)).toBe('none');
+    expect(getThresholdBand('0.96', thresholds)).toBe('warning');
+    expect(getThresholdBand(-0.96, thresholds)).toBe('warning');
+    expect(getThresholdBand(0.995, thresholds)).toBe('flag');
+  });
+
+  test('returns null without thresholds or a numeric Score', () => {
+    expect(getThresholdBand('NA', thresholds)).toBeNull();
+    expect(getThresholdBand(0.5, [])).toBeNull();
+  });
+});
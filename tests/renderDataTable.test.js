@@ -0,0 +1,103 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import renderDataTable from '../src/util/renderDataTable.js';
+
+describe('renderDataTable', () => {
+  let container;
+  let options;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    options = {
+      caption: 'Sites',
+      columns: [
+        { key: 'GroupID', label: 'Site' },
+        { key: 'Score', label: 'Score', format: value => (value === 'NA' ? 'NA' : Number(value).toFixed(1)) }
+      ],
+      rows: [
+        { GroupID: '10', Score: '0.5' },
+        { GroupID: '9', Score: 'NA' },
+        { GroupID: '120', Score: '-0.25' }
+      ],
+      state: {}
+    };
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  const cellTexts = (column) => Array.from(container.querySelectorAll('tbody tr'))
+    .map(row => row.children[column].textContent);
+
+  test('renders a caption, header and one row per input row', () => {
+    const table = renderDataTable(container, options);
+
+    expect(table.querySelector('caption').textContent).toBe('Sites (3 of 3 rows)');
+    expect(Array.from(table.querySelectorAll('th')).map(th => th.getAttribute('scope'))).toEqual(['col', 'col']);
+    expect(cellTexts(1)).toEqual(['0.5', 'NA', '-0.3']);
+  });
+
+  test('sorts numerically by a clicked column and reverses on the second click', () => {
+    renderDataTable(container, options);
+
+    container.querySelector('[data-key="GroupID"]').click();
+    expect(cellTexts(0)).toEqual(['9', '10', '120']);
+    expect(container.querySelector('th').getAttribute('aria-sort')).toBe('ascending');
+
+    container.querySelector('[data-key="GroupID"]').click();
+    expect(cellTexts(0)).toEqual(['120', '10', '9']);
+    expect(options.state).toEqual({ sortKey: 'GroupID', sortOrder: 'descending', filter: '' });
+  });
+
+  test('sorts missing values last', () => {
+    renderDataTable(container, options);
+
+    container.querySelector('[data-key="Score"]').click();
+    expect(cellTexts(0)).toEqual(['120', '10', '9']);
+    container.querySelector('[data-key="Score"]').click();
+    expect(cellTexts(0)).toEqual(['10', '120', '9']);
+  });
+
+  test('filters rows on the formatted cell text', () => {
+    renderDataTable(container, options);
+    const filter = container.querySelector('input');
+
+    filter.value = '-0.3';
+    filter.dispatchEvent(new Event('input'));
+
+    expect(cellTexts(0)).toEqual(['120']);
+    expect(container.querySelector('caption').textContent).toBe('Sites (1 of 3 rows)');
+  });
+
+  test('keeps sorting and filtering when rendered again', () => {
+    options.state = { sortKey: 'GroupID', sortOrder: 'descending', filter: '1' };
+    renderDataTable(container, options);
+
+    expect(container.querySelector('input').value).toBe('1');
+    expect(cellTexts(0)).toEqual(['120', '10']);
+  });
+
+  test('marks selected rows and activates rows by click or Enter', () => {
+    const onRowClick = jest.fn();
+    renderDataTable(container, {
+      ...options,
+      rowKey: 'GroupID',
+      isSelected: row => row.GroupID === '9',
+      onRowClick
+    });
+    const rows = container.querySelectorAll('tbody tr');
+
+    expect(rows[1].getAttribute('aria-current')).toBe('true');
+    expect(rows[1].getAttribute('data-row-key')).toBe('9');
+    expect(rows[0].tabIndex).toBe(0);
+
+    rows[0].click();
+    rows[2].dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(onRowClick.mock.calls.map(call => call[0].GroupID)).toEqual(['10', '120']);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import selectionStore from '../src/util/selectionStore.js';
+import SiteList from '../src/SiteList.js';
+import Simaerep from '../src/Simaerep.js';
+import SimaerepDashboard from '../src/SimaerepDashboard.js';
+import SiteScoreBar from '../src/SiteScoreBar.js';
+
+// Mock d3 to avoid ES module issues
+jest.mock('d3', () => ({
+  rollup: jest.fn((data, reducer, ...keys) => {
+    const map = new Map();
+    data.forEach(item => {
+      const key = keys.map(k => k(item)).join('-');
+      if (!map.has(key)) {
+        map.set(key, []);
+      }
+      map.get(key).push(item);
+    });
+    return map;
+  })
+}));
+
+// Mock Chart.js
+jest.mock('chart.js/auto', () => {
+  return jest.fn().mockImplementation(function(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    this.destroy = jest.fn();
+    this.update = jest.fn();
+    this.resize = jest.fn();
+    return this;
+  });
+});
+
+describe('selectionStore', () => {
+  let host;
+  let cleanups;
+  const sites = [
+    { GroupID: '10', Country: 'USA' },
+    { GroupID: '120', Country: 'UK' },
+  ];
+
+  // Each test uses its own scope, so registrations of other tests are not updated
+  let scopeCount = 0;
+  const newScope = () => `test-${++scopeCount}`;
+
+  // gsm.kri-like chart with a connected container
+  const fakeChart = (helpers = {}) => {
+    const container = document.createElement('div');
+    host.appendChild(container);
+    return {
+      container,
+      data: { config: { selectedGroupIDs: 'None' }, _thresholds_: [-2, 2] },
+      helpers: { updateConfig: jest.fn(), ...helpers },
+    };
+  };
+
+  const addContainer = () => {
+    const container = document.createElement('div');
+    host.appendChild(container);
+    return container;
+  };
+
+  beforeEach(() => {
+    host = document.createElement('div');
+    document.body.appendChild(host);
+    Element.prototype.scrollIntoView = jest.fn();
+    cleanups = [];
+  });
+
+  afterEach(() => {
+    cleanups.forEach((cleanup) => cleanup());
+    document.body.removeChild(host);
+  });
+
+  test('applies selections with updateSelectedGroupIDs or updateConfig', () => {
+    const scope = newScope();
+    const timeSeries = fakeChart({ updateSelectedGroupIDs: jest.fn() });
+    const barChart = fakeChart();
+    cleanups.push(selectionStore.register(timeSeries, { scope }), selectionStore.register(barChart, { scope }));
+
+    selectionStore.select('120', { scope });
+
+    expect(timeSeries.helpers.updateSelectedGroupIDs).toHaveBeenCalledWith('120');
+    expect(timeSeries.helpers.updateConfig).not.toHaveBeenCalled();
+    expect(barChart.helpers.updateConfig).toHaveBeenCalledWith(
+      barChart,
+      { selectedGroupIDs: '120' },
+      [-2, 2]
+    );
+  });
+
+  test('skips the source, unregistered and detached widgets', () => {
+    const scope = newScope();
+    const source = fakeChart();
+    const removed = fakeChart();
+    const detached = fakeChart();
+    const apply = { source: jest.fn(), removed: jest.fn(), detached: jest.fn() };
+    cleanups.push(selectionStore.register(source, { scope, apply: apply.source }));
+    selectionStore.register(removed, { scope, apply: apply.removed })();
+    cleanups.push(selectionStore.register(detached, { scope, apply: apply.detached }));
+    host.removeChild(detached.container);
+
+    selectionStore.select(['10', '120'], { scope, source });
+
+    expect(apply.source).not.toHaveBeenCalled();
+    expect(apply.removed).not.toHaveBeenCalled();
+    expect(apply.detached).not.toHaveBeenCalled();
+  });
+
+  test('keeps scopes apart and reports their selection', () => {
+    const scope = newScope();
+    const otherScope = newScope();
+    const chart = fakeChart();
+    const apply = jest.fn();
+    cleanups.push(selectionStore.register(chart, { scope: otherScope, apply }));
+
+    selectionStore.select('10', { scope, country: 'USA' });
+
+    expect(apply).not.toHaveBeenCalled();
+    expect(selectionStore.getSelection(scope)).toEqual({ groupIDs: ['10'], country: 'USA' });
+    expect(selectionStore.getSelection(otherScope)).toEqual({ groupIDs: [], country: null });
+  });
+
+  test('lets a widget applying a selection publish into another scope', () => {
+    const scope = newScope();
+    const otherScope = newScope();
+    const bridge = fakeChart();
+    const apply = jest.fn();
+    cleanups.push(
+      selectionStore.register(bridge, { scope, apply: (selection) => selectionStore.select(selection, { scope: otherScope, source: bridge }) }),
+      selectionStore.register(fakeChart(), { scope: otherScope, apply })
+    );
+
+    selectionStore.select('120', { scope });
+
+    expect(apply).toHaveBeenCalledWith('120', null);
+    expect(selectionStore.getSelection(otherScope).groupIDs).toEqual(['120']);
+  });
+
+  test('notifies subscribers until they unsubscribe', () => {
+    const scope = newScope();
+    const listener = jest.fn();
+    const unsubscribe = selectionStore.subscribe(listener, { scope });
+
+    selectionStore.select('120', { scope });
+    unsubscribe();
+    selectionStore.select('None', { scope });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ groupIDs: ['120'], country: null, source: null });
+  });
+
+  test('syncs the selection between widgets of a scope', () => {
+    const scope = newScope();
+    const bundle = {
+      df_mean_study: [{ Denominator: '1', cum_mean_dev_event: '0.1' }, { Denominator: '2', cum_mean_dev_event: '0.2' }],
+      df_mean_group_flagged: [{ GroupID: '120', Denominator: '1', cum_mean_dev_event: '0.3' }],
+      df_mean_group_not_flagged: [{ GroupID: '10', Denominator: '1', cum_mean_dev_event: '0' }],
+      df_label_sites: [{ GroupID: '10', Flag: '0', Color: '#DEEBF7' }, { GroupID: '120', Flag: '2', Color: '#3182BD' }]
+    };
+    const siteList = new SiteList(addContainer(), sites, { selectionScope: scope });
+    const simaerep = new Simaerep(addContainer(), bundle, { selectionScope: scope, showRightPanel: false });
+    const optedOut = new SiteList(addContainer(), sites, { selectionScope: scope, syncSelection: false });
+    cleanups.push(() => siteList.destroy(), () => simaerep.destroy(), () => optedOut.destroy());
+    const listener = jest.fn();
+    cleanups.push(selectionStore.subscribe(listener, { scope }));
+    const simaerepChanges = jest.fn();
+    simaerep.on('selectionchange', simaerepChanges);
+
+    siteList.selectSite('120');
+
+    expect(simaerep.data.config.selectedGroupIDs).toBe('120');
+    expect(optedOut.data.config.selectedGroupIDs).toBe('None');
+    expect(simaerepChanges).toHaveBeenCalledWith({ groupIDs: ['120'], country: null, source: 'programmatic' });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].source).toBe(siteList);
+
+    simaerep.selectSite('10');
+
+    expect(siteList.data.config.selectedGroupIDs).toBe('10');
+    expect(selectionStore.getSelection(scope).groupIDs).toEqual(['10']);
+
+    // Destroyed widgets leave the scope
+    siteList.destroy();
+    selectionStore.select('120', { scope });
+    expect(siteList.data.config.selectedGroupIDs).toBe('10');
+    expect(simaerep.data.config.selectedGroupIDs).toBe('120');
+  });
+
+  test('syncs the selection of SiteScoreBar with the other widgets', () => {
+    const scope = newScope();
+    const bars = new SiteScoreBar(addContainer(), [
+      { GroupID: '10', Score: '0.1', ExpectedNumerator: '1', Flag: '0' },
+      { GroupID: '120', Score: '3', ExpectedNumerator: '5', Flag: '2' },
+    ], { selectionScope: scope, sortBy: 'GroupID' });
+    const siteList = new SiteList(addContainer(), sites, { selectionScope: scope });
+    cleanups.push(() => bars.destroy(), () => siteList.destroy());
+
+    bars.chartInstance.options.onClick({}, [{ index: 1 }]);
+
+    expect(siteList.data.config.selectedGroupIDs).toBe('120');
+    expect(selectionStore.getSelection(scope).groupIDs).toEqual(['120']);
+
+    siteList.selectSite('10');
+
+    expect(bars.data.config.selectedGroupIDs).toBe('10');
+  });
+
+  test('publishes selections made inside the charts of a dashboard', () => {
+    const scope = newScope();
+    const bundle = {
+      df_mean_study: [{ Denominator: '1', cum_mean_dev_event: '0' }],
+      df_mean_group_flagged: [{ GroupID: '120', Denominator: '1', cum_mean_dev_event: '1' }],
+      df_mean_group_not_flagged: [{ GroupID: '10', Denominator: '1', cum_mean_dev_event: '0' }],
+      df_label_sites: [{ GroupID: '10', Flag: '0' }, { GroupID: '120', Flag: '2' }]
+    };
+    const dashboard = new SimaerepDashboard(addContainer(), [
+      { metric: { MetricID: 'AE' }, data: bundle },
+      { metric: { MetricID: 'PD' }, data: bundle }
+    ], { selectionScope: scope });
+    const siteList = new SiteList(addContainer(), sites, { selectionScope: scope });
+    cleanups.push(() => dashboard.destroy(), () => siteList.destroy());
+
+    dashboard.charts.get('AE').selectSite('120');
+
+    expect(siteList.data.config.selectedGroupIDs).toBe('120');
+    expect(selectionStore.getSelection(scope)).toEqual({ groupIDs: ['120'], country: null });
+
+    dashboard.charts.get('PD').countryToSites = { UK: ['120'] };
+    dashboard.charts.get('PD').selectCountry('UK');
+
+    expect(selectionStore.getSelection(scope)).toEqual({ groupIDs: ['120'], country: 'UK' });
+  });
+});
@@ -0,0 +1,50 @@
+import summarizePatients from '../src/util/summarizePatients.js';
+
+describe('summarizePatients', () => {
+  const dfVisit = [
+    { GroupID: 'A', SubjectID: '1', Denominator: '1', Numerator: '0' },
+    { GroupID: 'A', SubjectID: '1', Denominator: '10', Numerator: '10' },
+    { GroupID: 'A', SubjectID: '1', Denominator: '5', Numerator: '4' },
+    { GroupID: 'A', SubjectID: '2', Denominator: '10', Numerator: '1' },
+    { GroupID: 'B', SubjectID: '1', Denominator: '20', Numerator: '3' },
+    { GroupID: 'B', SubjectID: '3', Denominator: 'NA', Numerator: '3' },
+  ];
+
+  test('totals events and visits at the last visit of each patient', () => {
+    const { patients } = summarizePatients(dfVisit);
+
+    expect(patients.map(({ GroupID, SubjectID, Events, Visits }) => ({ GroupID, SubjectID, Events, Visits }))).toEqual([
+      { GroupID: 'A', SubjectID: '1', Events: 10, Visits: 10 },
+      { GroupID: 'A', SubjectID: '2', Events: 1, Visits: 10 },
+      { GroupID: 'B', SubjectID: '1', Events: 3, Visits: 20 },
+    ]);
+  });
+
+  test('compares patient rates with the study rate', () => {
+    const { studyRate, patients } = summarizePatients(dfVisit);
+
+    expect(studyRate).toBeCloseTo(14 / 40);
+    expect(patients[0].Rate).toBe(1);
+    expect(patients[0].RateRatio).toBeCloseTo(40 / 14);
+  });
+
+  test('marks patients at least 2 Poisson standard deviations from the expected count', () => {
+    const { patients } = summarizePatients(dfVisit);
+
+    // Expected events: 3.5 for 10 visits, 7 for 20 visits
+    expect(patients.map(patient => patient.Outlier)).toEqual(['over', '', '']);
+
+    const under = summarizePatients([
+      ...dfVisit,
+      { GroupID: 'C', SubjectID: '9', Denominator: '60', Numerator: '0' },
+    ]).patients.find(patient => patient.GroupID === 'C');
+    expect(under.Outlier).toBe('under');
+  });
+
+  test('handles missing visits and studies without events', () => {
+    expect(summarizePatients(undefined)).toEqual({ studyRate: 0, patients: [] });
+
+    const { patients } = summarizePatients([{ GroupID: 'A', SubjectID: '1', Denominator: '3', Numerator: '0' }]);
+    expect(patients[0]).toEqual(expect.objectContaining({ Rate: 0, RateRatio: null, Outlier: '' }));
+  });
+});
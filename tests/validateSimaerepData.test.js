@@ -0,0 +1,140 @@
+/**
+ * Unit tests for Simaerep data bundle validation
+ */
+
+import validateSimaerepData from '../src/util/validateSimaerepData.js';
+
+describe('validateSimaerepData', () => {
+  let data;
+
+  beforeEach(() => {
+    data = {
+      df_mean_study: [
+        { Denominator: '1', cum_mean_dev_event: '0.0046' },
+        { Denominator: '2', cum_mean_dev_event: '0.1107' },
+      ],
+      df_mean_group_flagged: [
+        { GroupID: '120', Denominator: '1', cum_mean_dev_event: '0.3333', Color: '#3182BD' },
+        { GroupID: '120', Denominator: '2', cum_mean_dev_event: '0.6667', Color: '#3182BD' },
+      ],
+      df_mean_group_not_flagged: [
+        { GroupID: '10', Denominator: '1', cum_mean_dev_event: '0', Color: '#DEEBF7' },
+      ],
+      df_label_sites: [
+        { GroupID: '120', Flag: '2', Color: '#3182BD', Score: '1', nSubjects: 'NA' },
+        { GroupID: '10', Flag: '0', Color: '#DEEBF7', Score: '0.1', nSubjects: '5' },
+      ],
+    };
+  });
+
+  const codes = (issues) => issues.map(issue => issue.code);
+
+  test('accepts a valid bundle', () => {
+    const result = validateSimaerepData(data);
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('warns about missing tables', () => {
+    const result = validateSimaerepData({});
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map(w => w.table)).toEqual([
+      'df_mean_study',
+      'df_mean_group_flagged',
+      'df_mean_group_not_flagged',
+      'df_label_sites',
+    ]);
+  });
+
+  test('reports misnamed columns with a suggestion', () => {
+    data.df_mean_group_flagged = data.df_mean_group_flagged.map(({ cum_mean_dev_event, ...row }) => ({
+      ...row,
+      cum_mean_dev: cum_mean_dev_event,
+    }));
+
+    const result = validateSimaerepData(data);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatchObject({
+      code: 'missing_column',
+      table: 'df_mean_group_flagged',
+      column: 'cum_mean_dev_event',
+    });
+    expect(result.errors[0].message).toContain('Did you mean "cum_mean_dev"?');
+  });
+
+  test('reports values that cannot be coerced to numbers', () => {
+    data.df_mean_study[1].cum_mean_dev_event = 'abc';
+    const result = validateSimaerepData(data);
+    expect(result.errors[0]).toMatchObject({
+      code: 'not_numeric',
+      table: 'df_mean_study',
+      column: 'cum_mean_dev_event',
+      rows: [1],
+      count: 1,
+    });
+  });
+
+  test('accepts NA subject counts but not other text', () => {
+    data.df_label_sites[0].nSubjects = 'many';
+    expect(codes(validateSimaerepData(data).errors)).toEqual(['not_numeric']);
+  });
+
+  test('reports Flag values outside -2..2', () => {
+    data.df_label_sites[0].Flag = '3';
+    expect(codes(validateSimaerepData(data).errors)).toEqual(['invalid_flag']);
+
+    data.df_label_sites[0].Flag = 1.5;
+    expect(codes(validateSimaerepData(data).errors)).toEqual(['invalid_flag']);
+  });
+
+  test('reports invalid colors', () => {
+    data.df_mean_group_not_flagged[0].Color = 'blue';
+    const result = validateSimaerepData(data);
+    expect(result.errors[0]).toMatchObject({ code: 'invalid_color', table: 'df_mean_group_not_flagged' });
+  });
+
+  test('warns about flagged GroupIDs missing from df_label_sites', () => {
+    data.df_mean_group_flagged.push({ GroupID: '999', Denominator: '1', cum_mean_dev_event: '1' });
+    const result = validateSimaerepData(data);
+    expect(result.valid).toBe(true);
+    expect(result.warnings[0]).toMatchObject({ code: 'unknown_group', table: 'df_mean_group_flagged' });
+    expect(result.warnings[0].message).toContain('999');
+  });
+
+  test('warns about not flagged curves without a df_label_sites row', () => {
+    data.df_mean_group_not_flagged.push({ GroupID: '998', Denominator: '1', cum_mean_dev_event: '0' });
+    const result = validateSimaerepData(data);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toHaveLength(1);
+    expect(result.warnings[0]).toMatchObject({ code: 'unknown_group', table: 'df_mean_group_not_flagged', count: 1 });
+    expect(result.warnings[0].message).toContain('998');
+  });
+
+  test('reports duplicate (GroupID, Denominator) rows', () => {
+    data.df_mean_group_flagged.push({ ...data.df_mean_group_flagged[0] });
+    const result = validateSimaerepData(data);
+    expect(result.errors[0]).toMatchObject({
+      code: 'duplicate_rows',
+      table: 'df_mean_group_flagged',
+      column: 'GroupID, Denominator',
+      rows: [2],
+    });
+  });
+
+  test('validates groupMetadata from config', () => {
+    const result = validateSimaerepData(data, {
+      groupMetadata: [{ GroupID: '120', Param: 'Country', Value: 'USA', GroupLevel: 'Country' }],
+      GroupLevel: 'Site',
+    });
+    expect(codes(result.warnings)).toEqual(['missing_group_level']);
+
+    const invalid = validateSimaerepData(data, { groupMetadata: [{ GroupID: '120', Key: 'Country' }] });
+    expect(codes(invalid.errors)).toEqual(['missing_column', 'missing_column', 'missing_column']);
+  });
+
+  test('rejects tables that are not arrays', () => {
+    data.df_label_sites = { GroupID: ['120'] };
+    expect(codes(validateSimaerepData(data).errors)).toEqual(['invalid_table']);
+  });
+});
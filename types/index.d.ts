@@ -0,0 +1,542 @@
+/**
+ * Type declarations of gsm.simaerep.viz
+ *
+ * Copyright (c) 2025 IMPALA Consortium
+ * Licensed under the MIT License - see LICENSE.md
+ */
+
+/** A single GroupID, several GroupIDs, or 'None' for no selection */
+export type Selection = string | string[];
+
+/** Data frame row, as exported from R (values are often strings) */
+export type Row = Record<string, string | number | null>;
+
+/** Theme name or theme tokens over the light theme */
+export type ThemeInput = 'light' | 'dark' | 'highContrast' | Partial<ThemeTokens>;
+
+export interface ThemeTokens {
+  font: string;
+  text: string;
+  textMuted: string;
+  background: string;
+  surface: string;
+  surfaceHover: string;
+  border: string;
+  controlBorder: string;
+  accent: string;
+  accentFill: string;
+  focusRing: string;
+  selection: string;
+  selectionBorder: string;
+  grid: string;
+  study: string;
+  patient: string;
+  patientDimmed: string;
+  tooltipBackground: string;
+  tooltipBorder: string;
+  shadow: string;
+  errorBackground: string;
+  errorBorder: string;
+  errorText: string;
+  warningText: string;
+  thresholdWarning: string;
+  thresholdFlag: string;
+}
+
+/** KRI thresholds: an ascending array, a df_metric.Threshold string or gsm.kri thresholds */
+export type Thresholds = number[] | string | Record<string, unknown>;
+
+/** Zoomed range of an axis (null for the full range) */
+export interface AxisRange {
+  min: number;
+  max: number;
+}
+
+export interface ZoomLimits {
+  x?: AxisRange | null;
+  y?: AxisRange | null;
+}
+
+export interface ExportOptions {
+  /** Simaerep only: 'overview', 'site' or 'composite' */
+  view?: 'overview' | 'site' | 'composite';
+  /** Simaerep only: site of the 'site' view (default: the selected site) */
+  groupID?: string;
+  format?: 'png' | 'svg' | 'pdf';
+  dpi?: number;
+  filename?: string;
+  /** Download the file (default: true) */
+  download?: boolean;
+}
+
+// ---------------------------------------------------------------------------
+// Instance events
+// ---------------------------------------------------------------------------
+
+/** Origin of a change: a user interaction, a method call, or gsm.kri through chart.helpers */
+export type EventSource = 'user' | 'programmatic' | 'gsm.kri';
+
+export interface SelectionChangeEvent {
+  /** Selected GroupIDs (empty when the selection is cleared) */
+  groupIDs: string[];
+  /** Selected country (Simaerep), else null */
+  country: string | null;
+  source: EventSource;
+}
+
+export interface HoverEvent {
+  /** Site under the pointer, null when the pointer leaves the sites */
+  groupID: string | null;
+  source: 'user';
+}
+
+export interface ZoomEvent {
+  /** 'overview' or the GroupID of a site plot */
+  panel: string;
+  x: AxisRange | null;
+  y: AxisRange | null;
+  source: EventSource;
+}
+
+export interface StateChangeEvent {
+  state: SimaerepState | SiteListState;
+  source: EventSource;
+}
+
+export interface DataChangeEvent {
+  source: EventSource;
+}
+
+export interface ErrorEvent {
+  message: string;
+  /** Data validation errors that prevented drawing the chart */
+  errors?: ValidationIssue[];
+  /** Exception of a failed export */
+  error?: Error;
+}
+
+export interface ChartEventMap {
+  selectionchange: SelectionChangeEvent;
+  statechange: StateChangeEvent;
+  hover: HoverEvent;
+  render: Record<string, never>;
+  zoom: ZoomEvent;
+  datachange: DataChangeEvent;
+  error: ErrorEvent;
+  destroy: Record<string, never>;
+}
+
+export type ChartEventListener<K extends keyof ChartEventMap> = (event: ChartEventMap[K]) => void;
+
+/** Listeners of the `on` option, by event type */
+export type ChartEventListeners = { [K in keyof ChartEventMap]?: ChartEventListener<K> };
+
+/** on/off/once of the chart instances */
+export interface ChartEvents {
+  /** Listen to an instance event; returns a function removing the listener */
+  on<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): () => void;
+  /** Listen to the next instance event of a type only; returns a function removing the listener */
+  once<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): () => void;
+  /** Remove a listener added with on() or once() */
+  off<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): void;
+}
+
+/** Details of the DOM events dispatched on the chart container */
+export interface ChartDOMEventMap {
+  'site-selected': CustomEvent<{ groupID: string }>;
+  'sites-selected': CustomEvent<{ groupIDs: string[] }>;
+  'country-selected': CustomEvent<{ country: string; groupIDs: Selection }>;
+  'site-hovered': CustomEvent<{ groupID: string | null }>;
+  'patient-selected': CustomEvent<{ groupID: string | null; subjectID: string | null; patient: PatientSummary | null }>;
+  'zoom-changed': CustomEvent<{ panel: string; x: AxisRange | null; y: AxisRange | null }>;
+  'legend-changed': CustomEvent<{ hiddenLegendItems: string[] }>;
+}
+
+// ---------------------------------------------------------------------------
+// gsm.kri interface
+// ---------------------------------------------------------------------------
+
+export interface ChartData<C> {
+  config: C;
+  _thresholds_: Thresholds;
+}
+
+export interface ChartHelpers<C> {
+  updateConfig(chart: unknown, config: Partial<C>, thresholds?: Thresholds): void;
+  updateSelectedGroupIDs(groupID: Selection, skipInteraction?: boolean): void;
+}
+
+/** Charts are attached to their canvas for gsm.kri */
+export interface ChartCanvas<T> extends HTMLCanvasElement {
+  chart: T;
+}
+
+// ---------------------------------------------------------------------------
+// SiteList
+// ---------------------------------------------------------------------------
+
+export interface SiteListConfig {
+  selectedGroupIDs?: Selection;
+  width?: string | number;
+  height?: string | number;
+  maxHeight?: string;
+  showGroupSelector?: boolean;
+  groupLabelKey?: string;
+  theme?: ThemeInput;
+  thresholds?: Thresholds;
+  /** Share the selection through the selection store (default true) */
+  syncSelection?: boolean;
+  selectionScope?: string;
+  /** Instance event listeners, added before the first render in the constructor */
+  on?: ChartEventListeners;
+  /** Keep the state in the URL hash and/or localStorage, saved under stateKey (default: container id) */
+  syncStateToHash?: boolean;
+  syncStateToStorage?: boolean;
+  stateKey?: string;
+  [option: string]: unknown;
+}
+
+export interface SiteListState {
+  selectedGroupIDs: Selection;
+  scrollTop: number;
+}
+
+export class SiteList implements ChartEvents {
+  constructor(container: HTMLElement, data: Row[], config?: SiteListConfig);
+
+  container: HTMLElement;
+  canvas: ChartCanvas<SiteList>;
+  data: ChartData<SiteListConfig> & { sites: Row[] };
+  helpers: ChartHelpers<SiteListConfig>;
+
+  on<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): () => void;
+  once<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): () => void;
+  off<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): void;
+
+  updateConfig(chart: unknown, config: Partial<SiteListConfig>, thresholds?: Thresholds): void;
+  updateSelectedGroupIDs(groupID: Selection): void;
+  selectSite(groupID: string): void;
+  selectSites(groupIDs: string[]): void;
+  setData(sites: Row[]): void;
+  getState(): SiteListState;
+  /** Restore a state; keys left out are not changed */
+  setState(state: Partial<SiteListState>): void;
+  setTheme(theme: ThemeInput): void;
+  exportChart(options?: ExportOptions): Blob;
+  render(): void;
+  destroy(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Simaerep
+// ---------------------------------------------------------------------------
+
+export interface SimaerepData {
+  df_mean_study?: Row[];
+  df_mean_group_flagged?: Row[];
+  df_mean_group_not_flagged?: Row[];
+  df_label_sites?: Row[];
+  /** Visit-level data: patient lines of the site plots; alone, the other tables are computed */
+  df_visit?: Row[];
+}
+
+export interface SimaerepConfig {
+  selectedGroupIDs?: Selection;
+  /** Share the selection through the selection store (default true) */
+  syncSelection?: boolean;
+  selectionScope?: string;
+  /** Instance event listeners, added before the first render in the constructor */
+  on?: ChartEventListeners;
+  /** Keep the state in the URL hash and/or localStorage, saved under stateKey (default: container id) */
+  syncStateToHash?: boolean;
+  syncStateToStorage?: boolean;
+  stateKey?: string;
+  width?: string | number;
+  height?: string | number;
+  aspectRatio?: number;
+  theme?: ThemeInput;
+  /** df_metric row: Metric, Numerator, Denominator, Score, Threshold, Abbreviation, GroupLevel, ... */
+  metric?: Row;
+  /** Group metadata in Param/Value format (dfGroups) */
+  groupMetadata?: Row[];
+  thresholds?: Thresholds;
+  GroupLevel?: string;
+  groupLabelKey?: string;
+  groupTooltipKeys?: Array<string | { key: string; label?: string; format?: (value: unknown) => string }>;
+  groupTooltipFormats?: Record<string, (value: unknown) => string>;
+  tooltipFormatter?: (context: unknown, defaults: unknown) => unknown;
+  showGroupSelector?: boolean;
+  showCountrySelector?: boolean;
+  showRightPanel?: boolean;
+  rightPanelWidth?: string;
+  maxVisibleSitePlots?: number;
+  sitePlotAspectRatio?: number;
+  showSitePlotControls?: boolean;
+  sitePlotSortKey?: 'Score' | 'ExpectedNumerator' | 'nSubjects' | 'GroupID' | 'Country';
+  sitePlotSortOrder?: 'ascending' | 'descending';
+  sitePlotGroupBy?: 'none' | 'Country';
+  sitePlotInclude?: 'flagged' | 'all' | 'custom';
+  sitePlotGroupIDs?: string[];
+  showScoreGauge?: boolean;
+  showPatientTable?: boolean;
+  enableZoom?: boolean;
+  zoomMode?: 'x' | 'y' | 'xy';
+  zoomWheelModifier?: 'ctrl' | 'alt' | 'shift' | 'meta' | null;
+  linkZoomX?: boolean;
+  showExportButton?: boolean;
+  exportDpi?: number;
+  showDataTableToggle?: boolean;
+  showDataTable?: boolean;
+  showLegend?: boolean;
+  hiddenLegendItems?: string[];
+  validateData?: boolean;
+  computeFromVisits?: boolean;
+  simaerepOptions?: ComputeSimaerepOptions;
+  [option: string]: unknown;
+}
+
+export interface ValidationIssue {
+  level: 'error' | 'warning';
+  code: string;
+  table: string;
+  column?: string;
+  message: string;
+  rows?: number[];
+  [field: string]: unknown;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationIssue[];
+  warnings: ValidationIssue[];
+}
+
+export interface PatientSummary {
+  GroupID: string;
+  SubjectID: string;
+  Events: number;
+  Visits: number;
+  Rate: number;
+  RateRatio: number | null;
+  Outlier: 'over' | 'under' | '';
+}
+
+export interface DataTableState {
+  sortKey: string | null;
+  sortOrder: 'ascending' | 'descending';
+  filter: string;
+}
+
+export interface SimaerepState {
+  selectedGroupIDs: Selection;
+  selectedCountry: string | null;
+  /** Ranges of the zoomed panels, by 'overview' or GroupID */
+  zoom: Record<string, { x: AxisRange | null; y: AxisRange | null }>;
+  hiddenLegendItems: string[];
+  sitePlotSortKey: NonNullable<SimaerepConfig['sitePlotSortKey']>;
+  sitePlotSortOrder: 'ascending' | 'descending';
+  sitePlotGroupBy: 'none' | 'Country';
+  sitePlotInclude: 'flagged' | 'all' | 'custom';
+  sitePlotGroupIDs: string[];
+  showDataTable: boolean;
+  dataTables: { sites: DataTableState; curves: DataTableState; patients: DataTableState };
+  /** Scroll position of the right panel */
+  scrollTop: number;
+}
+
+export class Simaerep implements ChartEvents {
+  constructor(container: HTMLElement, data: SimaerepData, config?: SimaerepConfig);
+
+  container: HTMLElement;
+  canvas: ChartCanvas<Simaerep>;
+  data: ChartData<SimaerepConfig>;
+  helpers: ChartHelpers<SimaerepConfig>;
+  rawData: SimaerepData;
+  validation: ValidationResult | null;
+  selectedCountry: string;
+
+  on<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): () => void;
+  once<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): () => void;
+  off<K extends keyof ChartEventMap>(type: K, listener: ChartEventListener<K>): void;
+
+  updateConfig(chart: unknown, config: Partial<SimaerepConfig>, thresholds?: Thresholds): void;
+  updateSelectedGroupIDs(groupID: Selection, skipInteraction?: boolean): void;
+  selectSite(groupID: string): void;
+  selectSites(groupIDs: string[]): void;
+  selectCountry(country: string): void;
+  selectPatient(groupID: string | null, subjectID?: string | null): void;
+  setData(data: SimaerepData): void;
+  setZoom(panel: string, limits: ZoomLimits): void;
+  resetZoom(panel?: string): void;
+  getState(): SimaerepState;
+  /** Restore a state; keys left out are not changed */
+  setState(state: Partial<SimaerepState>): void;
+  setTheme(theme: ThemeInput): void;
+  setThresholds(thresholds: Thresholds): void;
+  getThresholds(): number[];
+  setHiddenLegendItems(keys: string[]): void;
+  setFlagFilter(filter: 'all' | 'over' | 'under'): void;
+  setSitePlotOptions(options: Partial<SimaerepConfig>): void;
+  resize(width: string | number, height: string | number): void;
+  exportChart(options?: ExportOptions): Blob;
+  render(): void;
+  destroy(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Other charts
+// ---------------------------------------------------------------------------
+
+export interface SimaerepDashboardEntry {
+  metric: Row;
+  data: SimaerepData;
+  config?: SimaerepConfig;
+}
+
+export interface SimaerepDashboardConfig extends SimaerepConfig {
+  layout?: 'tabs' | 'grid';
+  gridColumns?: number;
+  showBadges?: boolean;
+  activeMetricID?: string | null;
+}
+
+export class SimaerepDashboard {
+  constructor(container: HTMLElement, entries: SimaerepDashboardEntry[], config?: SimaerepDashboardConfig);
+
+  container: HTMLElement;
+  canvas: ChartCanvas<SimaerepDashboard>;
+  data: ChartData<SimaerepDashboardConfig>;
+  helpers: ChartHelpers<SimaerepDashboardConfig>;
+
+  updateConfig(chart: unknown, config: Partial<SimaerepDashboardConfig>, thresholds?: Thresholds): void;
+  updateSelectedGroupIDs(groupID: Selection, skipInteraction?: boolean): void;
+  selectSite(groupID: string): void;
+  selectSites(groupIDs: string[]): void;
+  /** groupIDs: sites of the country, looked up in the site metadata when left out */
+  selectCountry(country: string, groupIDs?: string[]): void;
+  setActiveMetric(metricID: string): void;
+  setTheme(theme: ThemeInput): void;
+  render(): void;
+  destroy(): void;
+}
+
+export interface SiteScoreBarConfig {
+  selectedGroupIDs?: Selection;
+  metric?: Row;
+  thresholds?: Thresholds;
+  theme?: ThemeInput;
+  syncSelection?: boolean;
+  selectionScope?: string;
+  [option: string]: unknown;
+}
+
+export class SiteScoreBar {
+  constructor(container: HTMLElement, data: { df_label_sites?: Row[] } | Row[], config?: SiteScoreBarConfig);
+
+  container: HTMLElement;
+  canvas: ChartCanvas<SiteScoreBar>;
+  data: ChartData<SiteScoreBarConfig>;
+  helpers: ChartHelpers<SiteScoreBarConfig>;
+
+  updateConfig(chart: unknown, config: Partial<SiteScoreBarConfig>, thresholds?: Thresholds): void;
+  updateSelectedGroupIDs(groupID: Selection): void;
+  selectSite(groupID: string): void;
+  getThresholds(): number[];
+  setTheme(theme: ThemeInput): void;
+  render(): void;
+  destroy(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Integrations
+// ---------------------------------------------------------------------------
+
+export class SimaerepWidget {
+  constructor(el: HTMLElement, width: number, height: number);
+
+  el: HTMLElement;
+  chart: Simaerep | null;
+
+  /** Render the widget input sent by R; rendering again replaces the chart */
+  renderValue(input: Record<string, unknown>): void;
+  resize(width: number, height: number): void;
+}
+
+/** Report selections of a chart as Shiny inputs and receive server messages; null outside of Shiny */
+export function bindShiny(chart: Simaerep | SiteList, id: string, shiny?: unknown): (() => void) | null;
+
+/** Register <gsm-simaerep> and <gsm-site-list> */
+export function defineElements(registry?: CustomElementRegistry): void;
+
+export interface ChartElement<T, D> extends HTMLElement {
+  data: D | undefined;
+  config: Record<string, unknown>;
+  /** Chart instance (null while disconnected or without data) */
+  readonly chart: T | null;
+  /** Load the data from the JSON file of the src attribute */
+  load(): Promise<void>;
+}
+
+export type SimaerepElement = ChartElement<Simaerep, SimaerepData>;
+export type SiteListElement = ChartElement<SiteList, Row[] | SimaerepData>;
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'gsm-simaerep': SimaerepElement;
+    'gsm-site-list': SiteListElement;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Utilities
+// ---------------------------------------------------------------------------
+
+export interface ComputeSimaerepOptions {
+  method?: 'inframe' | 'bootstrap';
+  r?: number;
+  seed?: number;
+  thresholds?: Thresholds;
+  GroupLevel?: string;
+  colors?: Record<string, string>;
+}
+
+export interface SelectionStoreEvent {
+  groupIDs: string[];
+  country: string | null;
+  /** Widget the selection was made in, null for select() calls */
+  source: unknown;
+}
+
+export const selectionStore: {
+  DEFAULT_SCOPE: string;
+  /** Add a widget to a scope; returns a function removing it */
+  register(chart: unknown, options?: { scope?: string; apply?: (selection: Selection, country: string | null) => void }): () => void;
+  /** Apply a selection to every widget of the scope except source */
+  select(selection: Selection, options?: { scope?: string; country?: string | null; source?: unknown }): void;
+  getSelection(scope?: string): { groupIDs: string[]; country: string | null };
+  /** Listen to the selections of a scope; returns a function removing the listener */
+  subscribe(listener: (event: SelectionStoreEvent) => void, options?: { scope?: string }): () => void;
+};
+
+export function computeSimaerep(dfVisit: Row[], config?: ComputeSimaerepOptions): Required<Omit<SimaerepData, 'df_visit'>>;
+
+export const themes: {
+  light: ThemeTokens;
+  dark: ThemeTokens;
+  highContrast: ThemeTokens;
+};
+
+declare const gsmSimaerepViz: {
+  SiteList: typeof SiteList;
+  Simaerep: typeof Simaerep;
+  SimaerepDashboard: typeof SimaerepDashboard;
+  SiteScoreBar: typeof SiteScoreBar;
+  SimaerepWidget: typeof SimaerepWidget;
+  defineElements: typeof defineElements;
+  computeSimaerep: typeof computeSimaerep;
+  bindShiny: typeof bindShiny;
+  selectionStore: typeof selectionStore;
+  themes: typeof themes;
+};
+
+export default gsmSimaerepViz;